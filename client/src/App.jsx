@@ -1,15 +1,19 @@
 import { useState } from "react";
 import { BrowserRouter as Router, Routes, Route, Link, useLocation, useNavigate } from "react-router-dom";
 import { AuthProvider, useAuth } from "./hooks/useAuth";
+import { PreferencesProvider } from "./hooks/usePreferences";
 import TunerPage from "./pages/TunerPage.jsx";
 import AuthPage from "./pages/AuthPage.jsx";
 import LandingPage from "./pages/LandingPage.jsx";
 import ChordsPage from "./pages/ChordsPage.jsx";
+import PracticePage from "./pages/PracticePage.jsx";
+import ScalesPage from "./pages/ScalesPage.jsx";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — Main Application Shell
 //  Routes: Home, Tuner, Practice, Chords, Scales, Auth
-//  AuthProvider wraps the entire app for global auth state
+//  AuthProvider wraps the entire app for global auth state,
+//  PreferencesProvider for the player's tuning
 //  AUDIT: Auth-aware nav shows user menu when logged in,
 //  login prompt when not. All features work without login —
 //  auth is optional and only required for progress tracking.
@@ -142,28 +146,14 @@ function Nav() {
 // ─── Home Page (now uses dedicated LandingPage component) ────
 function Home() { return <LandingPage />; }
 
-// ─── Placeholder Pages ───────────────────────────────────────
+// ─── Route Pages ─────────────────────────────────────────────
 function Tuner() { return <TunerPage />; }
 
 function Chords() { return <ChordsPage />; }
 
-function Practice() {
-  return (
-    <div className="page"><div className="container">
-      <h2>🔥 Practice Engine</h2>
-      <p className="mono" style={{ color: "var(--text-muted)" }}>Phase 2 — Coming soon. Random chord progressions with audio detection feedback.</p>
-    </div></div>
-  );
-}
+function Practice() { return <PracticePage />; }
 
-function Scales() {
-  return (
-    <div className="page"><div className="container">
-      <h2>🎼 Scale Patterns</h2>
-      <p className="mono" style={{ color: "var(--text-muted)" }}>Phase 2 — Coming soon. Interactive scale patterns on the fretboard.</p>
-    </div></div>
-  );
-}
+function Scales() { return <ScalesPage />; }
 
 // ─── App Shell ───────────────────────────────────────────────
 function AppContent() {
@@ -204,7 +194,9 @@ export default function App() {
   return (
     <Router>
       <AuthProvider>
-        <AppContent />
+        <PreferencesProvider>
+          <AppContent />
+        </PreferencesProvider>
       </AuthProvider>
     </Router>
   );
@@ -0,0 +1,256 @@
+import { readFileSync } from "node:fs";
+import { fft } from "../utils/fft";
+import { renderPluck } from "../utils/synth";
+import { detectPitch, DEFAULT_PITCH_METHOD } from "../utils/pitchDetection";
+import { computeChroma, buildChordTemplates, matchChord } from "../utils/chroma";
+import { DEFAULT_VOLUME_THRESHOLD, DEFAULT_CLARITY_THRESHOLD } from "../utils/calibration";
+import { CHORD_LIBRARY, STANDARD_TUNING, DEFAULT_REFERENCE_PITCH, frequencyToNote } from "../data/chords";
+import { WINDOW_SIZE as PITCH_WINDOW_SIZE, HOP_SIZE as PITCH_HOP_SIZE } from "../hooks/usePitch";
+import { MIN_CONFIDENCE } from "../hooks/useChordDetection";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Offline Audio Harness
+//  Runs recorded or synthesized audio through the detectors the
+//  way the hooks do in the browser, without a browser: WAV files
+//  are decoded here, plucked strings come from utils/synth.js's
+//  Karplus–Strong renderPluck, and the samples are cut into the
+//  same windows the pitch worklet and the AnalyserNode would see
+//
+//  analysePitch mirrors worklets/pitchProcessor.js plus usePitch's
+//  gates; analyseChord mirrors useAudio's AnalyserNode (Blackman
+//  window, 4096-point FFT, 0.8 smoothing, dB) feeding
+//  useChordDetection's 100ms matching passes
+// ═══════════════════════════════════════════════════════════════
+
+// Same analyser settings as useAudio, same pacing as useChordDetection
+const ANALYSER_FFT_SIZE = 4096;
+const ANALYSER_SMOOTHING = 0.8;
+const CHORD_INTERVAL = 0.1; // seconds
+
+// Deviation of `freq` from `target`, in cents
+export const centsOff = (freq, target) => 1200 * Math.log2(freq / target);
+
+// ─── WAV ─────────────────────────────────────────────────────
+// RIFF/WAVE with 8/16/24/32-bit integer PCM or 32-bit float,
+// including WAVE_FORMAT_EXTENSIBLE → { sampleRate, channels,
+// samples } where `samples` is the channels mixed to mono
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+export function decodeWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (tag(0) !== "RIFF" || tag(8) !== "WAVE") throw new Error("Not a WAV file");
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      let code = view.getUint16(body, true);
+      // Extensible: the real format code leads the sub-format GUID
+      if (code === FORMAT_EXTENSIBLE) code = view.getUint16(body + 24, true);
+      format = {
+        code,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitDepth: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      data = { offset: body, size: Math.min(size, bytes.length - body) };
+    }
+    offset = body + size + (size % 2); // chunks are word-aligned
+  }
+  if (!format || !data) throw new Error("WAV file has no fmt or data chunk");
+
+  const { code, channelCount, sampleRate, bitDepth } = format;
+  const bytesPerSample = bitDepth / 8;
+  const read = sampleReader(view, code, bitDepth);
+  const frameCount = Math.floor(data.size / (bytesPerSample * channelCount));
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      channels[c][i] = read(data.offset + (i * channelCount + c) * bytesPerSample);
+    }
+  }
+
+  const samples = new Float32Array(frameCount);
+  for (const channel of channels) {
+    for (let i = 0; i < frameCount; i++) samples[i] += channel[i] / channelCount;
+  }
+  return { sampleRate, channels, samples };
+}
+
+function sampleReader(view, code, bitDepth) {
+  if (code === FORMAT_FLOAT && bitDepth === 32) return (at) => view.getFloat32(at, true);
+  if (code !== FORMAT_PCM) throw new Error(`Unsupported WAV format ${code}`);
+  switch (bitDepth) {
+    case 8: return (at) => (view.getUint8(at) - 128) / 128;
+    case 16: return (at) => view.getInt16(at, true) / 32768;
+    case 24: return (at) => {
+      const value = view.getUint8(at) | (view.getUint8(at + 1) << 8) | (view.getInt8(at + 2) << 16);
+      return value / 8388608;
+    };
+    case 32: return (at) => view.getInt32(at, true) / 2147483648;
+    default: throw new Error(`Unsupported WAV bit depth ${bitDepth}`);
+  }
+}
+
+export function loadWav(path) {
+  return decodeWav(new Uint8Array(readFileSync(path)));
+}
+
+// The reverse, for writing fixtures: `channels` is one Float32Array
+// per channel; bitDepth 16 or 24 writes PCM, 32 writes float
+export function encodeWav(channels, sampleRate, { bitDepth = 16 } = {}) {
+  const frameCount = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const dataSize = frameCount * channels.length * bytesPerSample;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  const writeTag = (offset, text) => [...text].forEach((ch, i) => { bytes[offset + i] = ch.charCodeAt(0); });
+
+  writeTag(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, "WAVE");
+  writeTag(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, bitDepth === 32 ? FORMAT_FLOAT : FORMAT_PCM, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels.length * bytesPerSample, true);
+  view.setUint16(32, channels.length * bytesPerSample, true);
+  view.setUint16(34, bitDepth, true);
+  writeTag(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  let at = 44;
+  for (let i = 0; i < frameCount; i++) {
+    for (const channel of channels) {
+      const v = Math.max(-1, Math.min(1, channel[i]));
+      if (bitDepth === 32) view.setFloat32(at, v, true);
+      else if (bitDepth === 24) {
+        const int = Math.round(v * 8388607);
+        view.setUint8(at, int & 0xff);
+        view.setUint8(at + 1, (int >> 8) & 0xff);
+        view.setInt8(at + 2, int >> 16);
+      } else view.setInt16(at, Math.round(v * 32767), true);
+      at += bytesPerSample;
+    }
+  }
+  return bytes;
+}
+
+// ─── Strums ──────────────────────────────────────────────────
+// A strum: each sounding string plucked `spread` seconds after the
+// one below it. `frets` is low E → high E with -1 for muted strings
+export function strum(frets, {
+  tuning = STANDARD_TUNING,
+  sampleRate = 44100,
+  duration = 1,
+  spread = 0.01,
+  amplitude = 0.15,
+} = {}) {
+  const out = new Float32Array(Math.round(duration * sampleRate));
+  let delay = 0;
+  frets.forEach((fret, i) => {
+    if (fret < 0) return;
+    const freq = tuning[i].freq * Math.pow(2, fret / 12);
+    const offset = Math.round(delay * sampleRate);
+    const note = renderPluck(freq, { sampleRate, duration: duration - delay, amplitude, seed: i + 1 });
+    for (let n = 0; n < note.length && offset + n < out.length; n++) out[offset + n] += note[n];
+    delay += spread;
+  });
+  return out;
+}
+
+// ─── Pitch, as usePitch sees it ──────────────────────────────
+// → { frames: [{ time, freq, clarity, rms }], freq, note } where
+// `freq` is the median of the frames that passed usePitch's volume
+// and clarity gates and `note` is what the tuner would show for it
+export function analysePitch(samples, sampleRate, {
+  method = DEFAULT_PITCH_METHOD,
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+  volumeThreshold = DEFAULT_VOLUME_THRESHOLD,
+  clarityThreshold = DEFAULT_CLARITY_THRESHOLD,
+} = {}) {
+  const frames = [];
+  for (let end = PITCH_WINDOW_SIZE; end <= samples.length; end += PITCH_HOP_SIZE) {
+    const result = detectPitch(samples.subarray(end - PITCH_WINDOW_SIZE, end), sampleRate, { method });
+    frames.push({ time: end / sampleRate, ...result });
+  }
+
+  const heard = frames
+    .filter((f) => f.freq && 20 * Math.log10(f.rms) >= volumeThreshold && f.clarity > clarityThreshold)
+    .map((f) => f.freq)
+    .sort((a, b) => a - b);
+  const freq = heard.length ? heard[Math.floor(heard.length / 2)] : null;
+  return { frames, freq, note: frequencyToNote(freq, referencePitch) };
+}
+
+// ─── Spectrum, as useAudio's AnalyserNode produces it ────────
+// Call frequencyData() with the samples up to "now", in order; like
+// the real node it smooths each call against the previous one
+export function createOfflineAnalyser({
+  fftSize = ANALYSER_FFT_SIZE,
+  smoothingTimeConstant = ANALYSER_SMOOTHING,
+} = {}) {
+  // Blackman window, as the Web Audio spec defines it
+  const window = new Float32Array(fftSize);
+  for (let n = 0; n < fftSize; n++) {
+    const phase = (2 * Math.PI * n) / fftSize;
+    window[n] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+  }
+  const smoothed = new Float32Array(fftSize / 2);
+  const real = new Float64Array(fftSize);
+  const imag = new Float64Array(fftSize);
+
+  return {
+    frequencyData(samples, end) {
+      const start = end - fftSize;
+      for (let n = 0; n < fftSize; n++) {
+        real[n] = start + n >= 0 ? samples[start + n] * window[n] : 0;
+        imag[n] = 0;
+      }
+      fft(real, imag);
+      const out = new Float32Array(fftSize / 2);
+      for (let k = 0; k < out.length; k++) {
+        const magnitude = Math.hypot(real[k], imag[k]) / fftSize;
+        smoothed[k] = smoothingTimeConstant * smoothed[k] + (1 - smoothingTimeConstant) * magnitude;
+        out[k] = 20 * Math.log10(smoothed[k]);
+      }
+      return out;
+    },
+  };
+}
+
+// ─── Chords, as useChordDetection sees them ──────────────────
+// → { passes: [{ time, key, score }], key, score } where `key` is
+// the chord named most often at useChordDetection's confidence, and
+// `score` its best similarity
+export function analyseChord(samples, sampleRate, {
+  library = CHORD_LIBRARY,
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+} = {}) {
+  const templates = buildChordTemplates(library);
+  const analyser = createOfflineAnalyser();
+  const step = Math.round(CHORD_INTERVAL * sampleRate);
+
+  const passes = [];
+  for (let end = step; end <= samples.length; end += step) {
+    const chroma = computeChroma(analyser.frequencyData(samples, end), sampleRate, referencePitch);
+    const { best } = matchChord(chroma, templates);
+    passes.push({ time: end / sampleRate, key: best?.key ?? null, score: best?.score ?? 0 });
+  }
+
+  const votes = {};
+  for (const pass of passes) {
+    if (pass.key && pass.score >= MIN_CONFIDENCE) votes[pass.key] = (votes[pass.key] || 0) + 1;
+  }
+  const key = Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0] ?? null;
+  const score = Math.max(0, ...passes.filter((p) => p.key === key).map((p) => p.score));
+  return { passes, key, score };
+}
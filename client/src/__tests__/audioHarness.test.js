@@ -0,0 +1,135 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Offline Detector Tests
+//  Karplus–Strong plucks and strums, and the WAV fixtures in
+//  fixtures/, through the pitch and chord detection the hooks run
+//  (see audioHarness.js). Asserts the note or chord the player
+//  would see and how many cents the tuner would be off
+//
+//  The fixtures are Karplus–Strong renders in three encodings
+//  (16-bit, 24-bit stereo at 48kHz, 32-bit float). Recordings of a
+//  real guitar can go next to them: add a row to FIXTURES
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import { join } from "node:path";
+import { CHORD_LIBRARY, STANDARD_TUNING, frequencyToNote } from "../data/chords";
+import { PITCH_METHODS } from "../utils/pitchDetection";
+import { renderPluck } from "../utils/synth";
+import {
+  decodeWav,
+  encodeWav,
+  loadWav,
+  strum,
+  analysePitch,
+  analyseChord,
+  centsOff,
+} from "./audioHarness";
+
+const SAMPLE_RATE = 44100;
+
+// How far off the tuner may read a clean synthesized pluck
+const MAX_CENTS_ERROR = 2;
+
+// What the chord detector calls these today. A string's 7th
+// harmonic lands on a minor seventh (D3 × 7 rounds to C) and 3rd
+// harmonics stack up fifths, so these shapes read as a 7th, a
+// power chord or a neighbour. Fixing that should update this map
+const KNOWN_CONFUSIONS = {
+  D: "D7",
+  G: "G5",
+  E5: "E7",
+  G5: "D",
+};
+
+const noteName = (note) => `${note.note}${note.octave}`;
+
+const fixture = (name) => join(__dirname, "fixtures", name);
+
+// Each fixture names the note (with its exact frequency) or the chord in it
+const FIXTURES = [
+  { file: "pluck-a2-16bit.wav", note: "A2", freq: 110 },
+  { file: "pluck-g3-flat-24bit-stereo.wav", note: "G3", freq: 196 * Math.pow(2, -12 / 1200) },
+  { file: "strum-c-float.wav", chord: "C" },
+];
+
+// ─── WAV ─────────────────────────────────────────────────────
+describe("WAV decoding", () => {
+  const left = renderPluck(196, { duration: 0.05 });
+  const right = left.map((v) => -v / 2);
+
+  test.each([16, 24, 32])("round-trips %i-bit stereo", (bitDepth) => {
+    const decoded = decodeWav(encodeWav([left, right], 48000, { bitDepth }));
+    expect(decoded.sampleRate).toBe(48000);
+    expect(decoded.channels).toHaveLength(2);
+    const tolerance = bitDepth === 16 ? 1e-4 : 1e-6;
+    for (let i = 0; i < left.length; i += 97) {
+      expect(Math.abs(decoded.channels[0][i] - left[i])).toBeLessThan(tolerance);
+      expect(Math.abs(decoded.channels[1][i] - right[i])).toBeLessThan(tolerance);
+      expect(Math.abs(decoded.samples[i] - (left[i] + right[i]) / 2)).toBeLessThan(tolerance);
+    }
+  });
+
+  test("rejects files that aren't WAV", () => {
+    expect(() => decodeWav(new TextEncoder().encode("ID3 not a wav file at all"))).toThrow(/Not a WAV/);
+  });
+});
+
+// ─── Pitch ───────────────────────────────────────────────────
+describe.each(PITCH_METHODS)("pitch of Karplus–Strong plucks (%s)", (method) => {
+  // Open strings, and the 5th and 12th frets of the outer strings
+  const notes = [
+    ...STANDARD_TUNING.map((s) => ({ freq: s.freq, fret: 0, string: s })),
+    ...[0, 5].flatMap((i) => [5, 12].map((fret) => ({
+      freq: STANDARD_TUNING[i].freq * Math.pow(2, fret / 12),
+      fret,
+      string: STANDARD_TUNING[i],
+    }))),
+  ];
+
+  test.each(notes)("$string.name string, fret $fret ($freq Hz)", ({ freq }) => {
+    const { freq: detected, note } = analysePitch(renderPluck(freq, { duration: 0.5 }), SAMPLE_RATE, { method });
+    expect(detected).not.toBeNull();
+    expect(Math.abs(centsOff(detected, freq))).toBeLessThan(MAX_CENTS_ERROR);
+    expect(noteName(note)).toBe(noteName(frequencyToNote(freq)));
+  });
+
+  test.each([-30, -8, 15, 40])("reads a string %i cents off", (detune) => {
+    const freq = 110 * Math.pow(2, detune / 1200);
+    const { freq: detected, note } = analysePitch(renderPluck(freq, { duration: 0.5 }), SAMPLE_RATE, { method });
+    expect(noteName(note)).toBe("A2");
+    expect(Math.abs(centsOff(detected, 110) - detune)).toBeLessThan(MAX_CENTS_ERROR);
+  });
+
+  test("stays quiet on silence", () => {
+    expect(analysePitch(new Float32Array(SAMPLE_RATE / 2), SAMPLE_RATE, { method }).note).toBeNull();
+  });
+});
+
+// ─── Chords ──────────────────────────────────────────────────
+describe("chords from Karplus–Strong strums", () => {
+  const recognized = Object.keys(CHORD_LIBRARY).filter((key) => !KNOWN_CONFUSIONS[key]);
+
+  test.each(recognized)("recognizes %s", (key) => {
+    const { key: detected, score } = analyseChord(strum(CHORD_LIBRARY[key].strings), SAMPLE_RATE);
+    expect(detected).toBe(key);
+    expect(score).toBeGreaterThan(0.8);
+  });
+
+  test.each(Object.entries(KNOWN_CONFUSIONS))("still hears %s as %s", (key, heard) => {
+    expect(analyseChord(strum(CHORD_LIBRARY[key].strings), SAMPLE_RATE).key).toBe(heard);
+  });
+});
+
+// ─── Fixtures ────────────────────────────────────────────────
+describe("WAV fixtures", () => {
+  test.each(FIXTURES)("$file", ({ file, note, freq, chord }) => {
+    const { samples, sampleRate } = loadWav(fixture(file));
+    if (chord) {
+      expect(analyseChord(samples, sampleRate).key).toBe(chord);
+      return;
+    }
+    const result = analysePitch(samples, sampleRate);
+    expect(noteName(result.note)).toBe(note);
+    expect(Math.abs(centsOff(result.freq, freq))).toBeLessThan(MAX_CENTS_ERROR);
+  });
+});
@@ -0,0 +1,231 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Microphone Calibration Tests
+//  Threshold math, per-device storage, and useAudio's
+//  noise → pluck calibration run against a fake analyser
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import {
+  DEFAULT_THRESHOLDS,
+  computeThresholds,
+  measureFrame,
+  toDbfs,
+  dbfsToRms,
+  percentile,
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+} from "../utils/calibration";
+import { useAudio } from "../hooks/useAudio";
+
+const SAMPLE_RATE = 44100;
+
+function sine(freq, amplitude, length = 4096) {
+  return Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / SAMPLE_RATE));
+}
+
+// Deterministic white noise at a given peak amplitude
+function noise(amplitude, length = 4096) {
+  let seed = 7;
+  return Float32Array.from({ length }, () => {
+    seed = (seed * 16807) % 2147483647;
+    return amplitude * (2 * (seed / 2147483647) - 1);
+  });
+}
+
+const frames = (count, frame) => Array.from({ length: count }, () => ({ ...frame }));
+
+beforeEach(() => localStorage.clear());
+
+// ─── Levels ──────────────────────────────────────────────────
+describe("levels", () => {
+  test("converts between RMS and dBFS", () => {
+    expect(toDbfs(1)).toBe(0);
+    expect(toDbfs(0.01)).toBeCloseTo(-40, 6);
+    expect(toDbfs(0)).toBe(-Infinity);
+    expect(dbfsToRms(-40)).toBeCloseTo(0.01, 6);
+  });
+
+  test("percentile picks from the sorted list", () => {
+    expect(percentile([5, 1, 3, 2, 4], 0.5)).toBe(3);
+    expect(percentile([5, 1, 3, 2, 4], 0.9)).toBe(5);
+    expect(percentile([], 0.5)).toBeNull();
+  });
+
+  test("measureFrame reports level and clarity the way usePitch judges them", () => {
+    const tone = measureFrame(sine(110, 0.1), SAMPLE_RATE);
+    expect(tone.db).toBeCloseTo(toDbfs(0.1 * Math.SQRT1_2), 0);
+    expect(tone.clarity).toBeGreaterThan(0.9);
+    expect(measureFrame(noise(0.01), SAMPLE_RATE).clarity).toBeLessThan(0.5);
+  });
+});
+
+// ─── computeThresholds ───────────────────────────────────────
+describe("computeThresholds", () => {
+  test("sets the gate between a noisy room and a quiet acoustic", () => {
+    const result = computeThresholds(
+      frames(60, { db: -45, clarity: 0.3 }),
+      [...frames(20, { db: -44, clarity: 0.3 }), ...frames(40, { db: -30, clarity: 0.95 })],
+    );
+    // Above everything the room produced, below the string
+    expect(result.volumeThreshold).toBeGreaterThan(-45);
+    expect(result.volumeThreshold).toBeLessThan(-30);
+    expect(result.noiseFloor).toBe(-45);
+    expect(result.signalLevel).toBe(-30);
+  });
+
+  test("lowers the gate for a quiet room so soft playing registers", () => {
+    const result = computeThresholds(
+      frames(60, { db: -75, clarity: 0.2 }),
+      frames(40, { db: -50, clarity: 0.92 }),
+    );
+    expect(result.volumeThreshold).toBeLessThan(DEFAULT_THRESHOLDS.volumeThreshold);
+    expect(result.volumeThreshold).toBeGreaterThan(-75);
+  });
+
+  test("raises the clarity gate when the room hums", () => {
+    const result = computeThresholds(
+      frames(60, { db: -50, clarity: 0.9 }),
+      frames(40, { db: -25, clarity: 0.98 }),
+    );
+    expect(result.clarityThreshold).toBeGreaterThan(DEFAULT_THRESHOLDS.clarityThreshold);
+    expect(result.clarityThreshold).toBeLessThan(0.98);
+  });
+
+  test("keeps the gates inside usable bounds", () => {
+    const result = computeThresholds(
+      frames(10, { db: -Infinity, clarity: 0 }),
+      frames(10, { db: -3, clarity: 1 }),
+    );
+    expect(result.volumeThreshold).toBeLessThanOrEqual(-20);
+    expect(result.clarityThreshold).toBeLessThanOrEqual(0.95);
+    expect(result.noiseFloor).toBeNull();
+  });
+
+  test("throws when the pluck never clears the noise", () => {
+    expect(() => computeThresholds(
+      frames(60, { db: -40, clarity: 0.3 }),
+      frames(60, { db: -38, clarity: 0.6 }),
+    )).toThrow("Couldn't hear the string");
+  });
+});
+
+// ─── Storage ─────────────────────────────────────────────────
+describe("per-device storage", () => {
+  test("saves, loads and clears thresholds per device", () => {
+    saveCalibration("usb-interface", { volumeThreshold: -55, clarityThreshold: 0.8 });
+    saveCalibration("laptop-mic", { volumeThreshold: -35, clarityThreshold: 0.9 });
+
+    expect(loadCalibration("usb-interface")).toMatchObject({ volumeThreshold: -55, clarityThreshold: 0.8 });
+    expect(loadCalibration("usb-interface").calibratedAt).toBeTruthy();
+    expect(loadCalibration("laptop-mic").volumeThreshold).toBe(-35);
+
+    clearCalibration("usb-interface");
+    expect(loadCalibration("usb-interface")).toBeNull();
+    expect(loadCalibration("laptop-mic")).not.toBeNull();
+  });
+
+  test("ignores corrupt storage", () => {
+    localStorage.setItem("fretforge_calibration", "{not json");
+    expect(loadCalibration("default")).toBeNull();
+    localStorage.setItem("fretforge_calibration", JSON.stringify({ default: { volumeThreshold: "loud" } }));
+    expect(loadCalibration("default")).toBeNull();
+  });
+});
+
+// ─── useAudio calibration run ────────────────────────────────
+describe("useAudio calibration", () => {
+  let signal;
+  const originalAudioContext = globalThis.AudioContext;
+  const originalGetUserMedia = navigator.mediaDevices.getUserMedia;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    signal = noise(0.003);
+
+    globalThis.AudioContext = class {
+      constructor() { this.sampleRate = SAMPLE_RATE; }
+      createAnalyser() {
+        return {
+          fftSize: 4096,
+          connect: () => {},
+          getFloatTimeDomainData: (out) => out.set(signal.subarray(0, out.length)),
+        };
+      }
+      createMediaStreamSource() { return { connect: () => {}, disconnect: () => {} }; }
+      close() { return Promise.resolve(); }
+    };
+    navigator.mediaDevices.getUserMedia = () => Promise.resolve({
+      getAudioTracks: () => [{ getSettings: () => ({ deviceId: "usb-interface" }) }],
+      getTracks: () => [{ stop: () => {} }],
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    globalThis.AudioContext = originalAudioContext;
+    navigator.mediaDevices.getUserMedia = originalGetUserMedia;
+  });
+
+  async function listen() {
+    const hook = renderHook(() => useAudio());
+    await act(() => hook.result.current.startListening());
+    return hook;
+  }
+
+  test("starts from the default gates on an uncalibrated device", async () => {
+    const { result } = await listen();
+    expect(result.current.deviceId).toBe("usb-interface");
+    expect(result.current.thresholds).toEqual(DEFAULT_THRESHOLDS);
+    expect(result.current.calibration.status).toBe("idle");
+  });
+
+  test("measures noise, then the pluck, and saves thresholds for the device", async () => {
+    const { result } = await listen();
+
+    act(() => result.current.startCalibration());
+    expect(result.current.calibration.status).toBe("noise");
+
+    act(() => vi.advanceTimersByTime(3000));
+    expect(result.current.calibration.status).toBe("signal");
+
+    // A quiet acoustic: well under the old fixed -40 dBFS gate
+    signal = sine(110, 0.012);
+    act(() => vi.advanceTimersByTime(4000));
+
+    const { calibration, thresholds } = result.current;
+    expect(calibration.status).toBe("done");
+    expect(thresholds.volumeThreshold).toBeLessThan(-40);
+    expect(thresholds.calibratedAt).toBeTruthy();
+    expect(loadCalibration("usb-interface").volumeThreshold).toBe(thresholds.volumeThreshold);
+  });
+
+  test("restores the saved thresholds the next time the device opens", async () => {
+    saveCalibration("usb-interface", { volumeThreshold: -58, clarityThreshold: 0.8 });
+    const { result } = await listen();
+    expect(result.current.thresholds.volumeThreshold).toBe(-58);
+
+    act(() => result.current.resetCalibration());
+    expect(result.current.thresholds).toEqual(DEFAULT_THRESHOLDS);
+    expect(loadCalibration("usb-interface")).toBeNull();
+  });
+
+  test("reports an error when no string is heard", async () => {
+    const { result } = await listen();
+    act(() => result.current.startCalibration());
+    act(() => vi.advanceTimersByTime(7000));
+    expect(result.current.calibration.status).toBe("error");
+    expect(result.current.calibration.error).toMatch(/Couldn't hear the string/);
+    expect(result.current.thresholds).toEqual(DEFAULT_THRESHOLDS);
+  });
+
+  test("can be cancelled part way", async () => {
+    const { result } = await listen();
+    act(() => result.current.startCalibration());
+    act(() => vi.advanceTimersByTime(1000));
+    act(() => result.current.cancelCalibration());
+    act(() => vi.advanceTimersByTime(7000));
+    expect(result.current.calibration.status).toBe("idle");
+  });
+});
@@ -0,0 +1,187 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Chord Generator Unit Tests
+//  Every generated voicing must contain exactly the chord's
+//  tones, be playable with four fingers in a 4-fret window, and
+//  reproduce the hand-typed open chords at the open position
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import { CHORD_LIBRARY, NOTE_NAMES } from "../data/chords";
+import {
+  CHORD_QUALITIES,
+  CHORD_SHAPES,
+  shapeChord,
+  generateVoicings,
+  generateChord,
+  parseChordKey,
+  FULL_CHORD_LIBRARY,
+} from "../utils/chordGenerator";
+
+// Semitones above the root for each quality
+const QUALITY_INTERVALS = {
+  major: [0, 4, 7],
+  minor: [0, 3, 7],
+  "7": [0, 4, 7, 10],
+  m7: [0, 3, 7, 10],
+  maj7: [0, 4, 7, 11],
+  sus2: [0, 2, 7],
+  sus4: [0, 5, 7],
+  dim: [0, 3, 6],
+  aug: [0, 4, 8],
+  add9: [0, 2, 4, 7],
+  "5": [0, 7],
+};
+
+function pitchClasses(chord, root) {
+  const rootIndex = NOTE_NAMES.indexOf(root);
+  const set = new Set(
+    chord.notes
+      .filter((n) => n !== "X")
+      .map((n) => (NOTE_NAMES.indexOf(n) - rootIndex + 12) % 12)
+  );
+  return [...set].sort((a, b) => a - b);
+}
+
+// ─── Templates ───────────────────────────────────────────────
+describe("CHORD_SHAPES", () => {
+  test("the index finger holds every root-fret note", () => {
+    for (const shape of Object.values(CHORD_SHAPES)) {
+      for (const t of Object.values(shape.templates)) {
+        t.offsets.forEach((o, i) => {
+          if (t.fingers[i] === 1) expect(o).toBe(0);
+        });
+      }
+    }
+  });
+
+  test("every shape fits a 4-fret window", () => {
+    for (const shape of Object.values(CHORD_SHAPES)) {
+      for (const t of Object.values(shape.templates)) {
+        const played = t.offsets.filter((o) => o !== null);
+        expect(Math.max(...played)).toBeLessThanOrEqual(3);
+        expect(t.offsets[shape.rootString]).toBe(0);
+      }
+    }
+  });
+});
+
+// ─── Generated voicings ──────────────────────────────────────
+describe("generateVoicings", () => {
+  test("every root and quality has at least one voicing", () => {
+    for (const root of NOTE_NAMES) {
+      for (const quality of Object.keys(CHORD_QUALITIES)) {
+        expect(generateVoicings(root, quality).length).toBeGreaterThan(0);
+      }
+    }
+  });
+
+  test("every voicing contains exactly the chord tones", () => {
+    for (const root of NOTE_NAMES) {
+      for (const [quality, intervals] of Object.entries(QUALITY_INTERVALS)) {
+        for (const chord of generateVoicings(root, quality)) {
+          expect(pitchClasses(chord, root)).toEqual(intervals);
+        }
+      }
+    }
+  });
+
+  test("voicings are playable with four fingers", () => {
+    for (const root of NOTE_NAMES) {
+      for (const quality of Object.keys(CHORD_QUALITIES)) {
+        for (const chord of generateVoicings(root, quality)) {
+          expect(chord.fingers.every((f) => f >= 0 && f <= 4)).toBe(true);
+          chord.strings.forEach((fret, i) => {
+            // Fretted notes need a finger, open and muted strings don't
+            if (fret > 0) expect(chord.fingers[i]).toBeGreaterThan(0);
+            else expect(chord.fingers[i]).toBe(0);
+          });
+        }
+      }
+    }
+  });
+
+  test("voicings are sorted by root fret", () => {
+    const frets = generateVoicings("C", "major").map((c) => c.rootFret);
+    expect(frets).toEqual([...frets].sort((a, b) => a - b));
+  });
+});
+
+// ─── Shapes against the hand-typed library ───────────────────
+describe("shapeChord", () => {
+  test.each([
+    ["E", "major", "E", "E"],
+    ["E", "minor", "E", "Em"],
+    ["E", "7", "E", "E7"],
+    ["A", "major", "A", "A"],
+    ["A", "minor", "A", "Am"],
+    ["A", "7", "A", "A7"],
+    ["A", "m7", "A", "Am7"],
+    ["D", "major", "D", "D"],
+    ["D", "minor", "D", "Dm"],
+    ["D", "7", "D", "D7"],
+  ])("open %s %s %s-shape matches CHORD_LIBRARY.%s", (root, quality, shape, key) => {
+    const chord = shapeChord(root, quality, shape);
+    expect(chord.strings).toEqual(CHORD_LIBRARY[key].strings);
+    expect(chord.fingers).toEqual(CHORD_LIBRARY[key].fingers);
+    expect(chord.notes).toEqual(CHORD_LIBRARY[key].notes);
+  });
+
+  test("barre shapes reproduce F and Bm", () => {
+    const f = shapeChord("F", "major", "E");
+    expect(f.strings).toEqual(CHORD_LIBRARY.F.strings);
+    expect(f.barreAt).toBe(1);
+
+    const bm = shapeChord("B", "minor", "A");
+    expect(bm.strings).toEqual(CHORD_LIBRARY.Bm.strings);
+    expect(bm.barreAt).toBe(2);
+  });
+
+  test("returns null for a shape without that quality", () => {
+    expect(shapeChord("C", "add9", "A")).toBeNull();
+    expect(shapeChord("H", "major", "E")).toBeNull();
+  });
+});
+
+// ─── Library ─────────────────────────────────────────────────
+describe("FULL_CHORD_LIBRARY", () => {
+  test("covers all 12 keys for every quality", () => {
+    for (const root of NOTE_NAMES) {
+      for (const q of Object.values(CHORD_QUALITIES)) {
+        expect(FULL_CHORD_LIBRARY[`${root}${q.suffix}`]).toBeTruthy();
+      }
+    }
+  });
+
+  test("keeps the hand-typed chords", () => {
+    for (const [key, chord] of Object.entries(CHORD_LIBRARY)) {
+      expect(FULL_CHORD_LIBRARY[key]).toBe(chord);
+    }
+  });
+
+  test("picks the shape closest to the nut", () => {
+    // C: A-shape at fret 3 beats E-shape at 8 and D-shape at 10
+    const c = generateChord("C", "major");
+    expect(c.shape).toBe("A");
+    expect(c.rootFret).toBe(3);
+  });
+});
+
+// ─── Keys ────────────────────────────────────────────────────
+describe("parseChordKey", () => {
+  test("splits root and quality", () => {
+    expect(parseChordKey("C#m7")).toEqual({ root: "C#", quality: "m7" });
+    expect(parseChordKey("G")).toEqual({ root: "G", quality: "major" });
+    expect(parseChordKey("E5")).toEqual({ root: "E", quality: "5" });
+  });
+
+  test("every library key parses", () => {
+    for (const key of Object.keys(FULL_CHORD_LIBRARY)) {
+      expect(parseChordKey(key)).not.toBeNull();
+    }
+  });
+
+  test("returns null for unknown suffixes", () => {
+    expect(parseChordKey("Cm13")).toBeNull();
+    expect(parseChordKey("")).toBeNull();
+  });
+});
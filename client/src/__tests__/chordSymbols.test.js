@@ -0,0 +1,121 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Chord Symbol Parser Unit Tests
+//  Tests parseChordSymbol, formatChordSymbol, spellNote and
+//  toLibraryKey across common and jazz spellings
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import {
+  parseChordSymbol,
+  formatChordSymbol,
+  spellNote,
+  toLibraryKey,
+} from "../utils/chordSymbols";
+import { FULL_CHORD_LIBRARY } from "../utils/chordGenerator";
+
+// ─── parseChordSymbol ────────────────────────────────────────
+describe("parseChordSymbol", () => {
+  test.each([
+    ["C#m7b5", { root: "C#", quality: "m7", extensions: ["b5"], bass: null }],
+    ["Bb/D", { root: "A#", quality: "major", extensions: [], bass: "D" }],
+    ["Gsus4", { root: "G", quality: "sus4", extensions: [], bass: null }],
+    ["Eadd9", { root: "E", quality: "add9", extensions: [], bass: null }],
+    ["F#5", { root: "F#", quality: "5", extensions: [], bass: null }],
+    ["Am", { root: "A", quality: "minor", extensions: [], bass: null }],
+    ["Cmaj7", { root: "C", quality: "maj7", extensions: [], bass: null }],
+    ["C9", { root: "C", quality: "7", extensions: ["9"], bass: null }],
+    ["A7#9", { root: "A", quality: "7", extensions: ["#9"], bass: null }],
+    ["D7sus4", { root: "D", quality: "sus4", extensions: ["7"], bass: null }],
+    ["C6/9", { root: "C", quality: "major", extensions: ["6", "9"], bass: null }],
+    ["Bdim7", { root: "B", quality: "dim", extensions: ["7"], bass: null }],
+    ["Ebm(add11)", { root: "D#", quality: "minor", extensions: ["add11"], bass: null }],
+    ["Cmaj", { root: "C", quality: "major", extensions: [], bass: null }],
+    ["CM", { root: "C", quality: "major", extensions: [], bass: null }],
+    ["CMaj7", { root: "C", quality: "maj7", extensions: [], bass: null }],
+    ["CM9", { root: "C", quality: "maj7", extensions: ["9"], bass: null }],
+  ])("parses %s", (text, expected) => {
+    expect(parseChordSymbol(text)).toEqual(expected);
+  });
+
+  test("accepts alternative spellings", () => {
+    expect(parseChordSymbol("C-7").quality).toBe("m7");
+    expect(parseChordSymbol("CΔ7").quality).toBe("maj7");
+    expect(parseChordSymbol("Cø").extensions).toEqual(["b5"]);
+    expect(parseChordSymbol("C+").quality).toBe("aug");
+    expect(parseChordSymbol("C°").quality).toBe("dim");
+    expect(parseChordSymbol("Csus").quality).toBe("sus4");
+    expect(parseChordSymbol("B♭").root).toBe("A#");
+    expect(parseChordSymbol("Amajor").quality).toBe("major");
+    expect(parseChordSymbol("Amin").quality).toBe("minor");
+  });
+
+  test("accepts a lowercase root", () => {
+    expect(parseChordSymbol("am")).toMatchObject({ root: "A", quality: "minor" });
+    expect(parseChordSymbol("bb")).toMatchObject({ root: "A#", quality: "major" });
+  });
+
+  test("wraps enharmonic roots around the octave", () => {
+    expect(parseChordSymbol("Cb").root).toBe("B");
+    expect(parseChordSymbol("B#").root).toBe("C");
+  });
+
+  test.each(["", "H", "Xyz", "Cxyz", "C/", "dominant", "7"])("rejects %j", (text) => {
+    expect(parseChordSymbol(text)).toBeNull();
+  });
+});
+
+// ─── formatChordSymbol ───────────────────────────────────────
+describe("formatChordSymbol", () => {
+  test.each(["C#m7b5", "Gsus4", "Eadd9", "F#5", "C9", "Cmaj9", "A7#9", "D7sus4", "C6/9", "Bdim7", "G/B"])(
+    "round-trips %s",
+    (text) => {
+      expect(formatChordSymbol(parseChordSymbol(text))).toBe(text);
+    }
+  );
+
+  test("normalizes alternative spellings", () => {
+    expect(formatChordSymbol(parseChordSymbol("C-7"))).toBe("Cm7");
+    expect(formatChordSymbol(parseChordSymbol("Cø"))).toBe("Cm7b5");
+    expect(formatChordSymbol(parseChordSymbol("CΔ"))).toBe("Cmaj7");
+  });
+
+  test("spells with flats on request", () => {
+    expect(formatChordSymbol(parseChordSymbol("A#m7b5"), { prefer: "flat" })).toBe("Bbm7b5");
+    expect(formatChordSymbol(parseChordSymbol("Bb/D"), { prefer: "flat" })).toBe("Bb/D");
+    expect(formatChordSymbol(parseChordSymbol("Bb/D"))).toBe("A#/D");
+  });
+
+  test("returns an empty string for nothing", () => {
+    expect(formatChordSymbol(null)).toBe("");
+  });
+});
+
+// ─── spellNote ───────────────────────────────────────────────
+describe("spellNote", () => {
+  test("leaves naturals alone", () => {
+    expect(spellNote("E", "flat")).toBe("E");
+  });
+
+  test("converts sharps to flats", () => {
+    expect(spellNote("G#", "flat")).toBe("Ab");
+    expect(spellNote("G#")).toBe("G#");
+  });
+});
+
+// ─── toLibraryKey ────────────────────────────────────────────
+describe("toLibraryKey", () => {
+  test("maps plain chords onto library keys", () => {
+    expect(toLibraryKey(parseChordSymbol("Bbm7"))).toBe("A#m7");
+    expect(toLibraryKey(parseChordSymbol("Em"))).toBe("Em");
+    expect(FULL_CHORD_LIBRARY[toLibraryKey(parseChordSymbol("Dbmaj7"))]).toBeTruthy();
+  });
+
+  test("ignores the slash bass", () => {
+    expect(toLibraryKey(parseChordSymbol("C/G"))).toBe("C");
+  });
+
+  test("returns null when extensions have no library shape", () => {
+    expect(toLibraryKey(parseChordSymbol("C#m7b5"))).toBeNull();
+    expect(toLibraryKey(null)).toBeNull();
+  });
+});
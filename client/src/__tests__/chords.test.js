@@ -1,7 +1,8 @@
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — Chord Data Unit Tests
-//  Tests pure functions: frequencyToNote, noteFrequency, and
-//  validates the structural integrity of the chord library data
+//  Tests pure functions: frequencyToNote, noteFrequency (at A440
+//  and other reference pitches), and validates the structural
+//  integrity of the chord library data
 //  These run via Vitest (configured in vite.config.js)
 // ═══════════════════════════════════════════════════════════════
 
@@ -61,6 +62,14 @@ describe("frequencyToNote", () => {
     expect(result.note).toBe("A");
     expect(result.cents).toBeLessThan(0);
   });
+
+  test("measures cents against a custom reference pitch", () => {
+    expect(frequencyToNote(432, 432)).toMatchObject({ note: "A", octave: 4, cents: 0 });
+    // 440 Hz is ~+32 cents sharp of A4 = 432
+    expect(frequencyToNote(440, 432).cents).toBe(32);
+    // A guitar tuned to A442 reads in tune at A442
+    expect(frequencyToNote(noteFrequency("E", 2, 442), 442)).toMatchObject({ note: "E", octave: 2, cents: 0 });
+  });
 });
 
 // ─── noteFrequency ───────────────────────────────────────────
@@ -78,6 +87,11 @@ describe("noteFrequency", () => {
     expect(noteFrequency("H", 3)).toBeNull();
   });
 
+  test("scales with the reference pitch", () => {
+    expect(noteFrequency("A", 4, 432)).toBeCloseTo(432, 5);
+    expect(noteFrequency("E", 2, 446) / noteFrequency("E", 2)).toBeCloseTo(446 / 440, 5);
+  });
+
   test("octave doubling: A5 is twice A4", () => {
     const a4 = noteFrequency("A", 4);
     const a5 = noteFrequency("A", 5);
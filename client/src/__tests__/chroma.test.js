@@ -0,0 +1,106 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Chromagram Unit Tests
+//  Tests computeChroma, buildChordTemplates, and matchChord using
+//  synthetic spectra built from each chord's fretted frequencies
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import { CHORD_LIBRARY, STANDARD_TUNING, NOTE_NAMES } from "../data/chords";
+import { computeChroma, buildChordTemplates, matchChord } from "../utils/chroma";
+import { FULL_CHORD_LIBRARY } from "../utils/chordGenerator";
+
+const SAMPLE_RATE = 44100;
+const BIN_COUNT = 2048; // fftSize 4096, same as useAudio
+
+// Build a fake AnalyserNode dB spectrum for a strummed chord: every sounding
+// string contributes its fundamental plus a few decaying harmonics. Each
+// partial gets a Gaussian main lobe (~1 bin wide) centered on its exact
+// fractional bin, roughly what the analyser's Blackman window produces
+function chordSpectrum(chord) {
+  const linear = new Float32Array(BIN_COUNT);
+  const binHz = SAMPLE_RATE / (BIN_COUNT * 2);
+  chord.strings.forEach((fret, i) => {
+    if (fret < 0) return;
+    const fundamental = STANDARD_TUNING[i].freq * Math.pow(2, fret / 12);
+    for (let h = 1; h <= 4; h++) {
+      const center = (fundamental * h) / binHz;
+      for (let k = Math.floor(center) - 4; k <= Math.ceil(center) + 4; k++) {
+        linear[k] += (0.1 / h) * Math.exp(-((k - center) ** 2) / 2);
+      }
+    }
+  });
+  return linear.map((m) => (m > 0 ? 20 * Math.log10(m) : -120));
+}
+
+const templates = buildChordTemplates(CHORD_LIBRARY);
+
+// ─── computeChroma ───────────────────────────────────────────
+describe("computeChroma", () => {
+  test("returns null for a silent spectrum", () => {
+    expect(computeChroma(new Float32Array(BIN_COUNT).fill(-120), SAMPLE_RATE)).toBeNull();
+  });
+
+  test("returns null for missing data", () => {
+    expect(computeChroma(null)).toBeNull();
+  });
+
+  test("a single A2 peak lands in the A bin", () => {
+    const chroma = computeChroma(chordSpectrum({ strings: [-1, 0, -1, -1, -1, -1] }), SAMPLE_RATE);
+    expect(chroma).toHaveLength(12);
+    expect(chroma[NOTE_NAMES.indexOf("A")]).toBe(1);
+  });
+
+  test("is normalized to a maximum of 1", () => {
+    const chroma = computeChroma(chordSpectrum(CHORD_LIBRARY.G), SAMPLE_RATE);
+    expect(Math.max(...chroma)).toBe(1);
+    chroma.forEach((v) => expect(v).toBeGreaterThanOrEqual(0));
+  });
+});
+
+// ─── buildChordTemplates ─────────────────────────────────────
+describe("buildChordTemplates", () => {
+  test("creates one template per library entry", () => {
+    expect(templates).toHaveLength(Object.keys(CHORD_LIBRARY).length);
+  });
+
+  test("ignores muted strings", () => {
+    const am = templates.find((t) => t.key === "Am");
+    const active = am.vector
+      .map((v, i) => (v ? NOTE_NAMES[i] : null))
+      .filter(Boolean);
+    expect(active.sort()).toEqual(["A", "C", "E"]);
+  });
+
+  test("weights each pitch class by how many strings sound it", () => {
+    const em = templates.find((t) => t.key === "Em");
+    expect(em.vector[NOTE_NAMES.indexOf("E")]).toBe(3);
+    expect(em.vector[NOTE_NAMES.indexOf("B")]).toBe(2);
+    expect(em.vector[NOTE_NAMES.indexOf("G")]).toBe(1);
+  });
+});
+
+// ─── matchChord ──────────────────────────────────────────────
+describe("matchChord", () => {
+  test("returns nulls when there is no chroma", () => {
+    expect(matchChord(null, templates)).toEqual({ best: null, runnerUp: null });
+  });
+
+  test.each(Object.keys(CHORD_LIBRARY))("recognizes %s from its own spectrum", (key) => {
+    const chroma = computeChroma(chordSpectrum(CHORD_LIBRARY[key]), SAMPLE_RATE);
+    const { best, runnerUp } = matchChord(chroma, templates);
+    expect(best.key).toBe(key);
+    expect(best.score).toBeGreaterThan(0.9);
+    expect(runnerUp.key).not.toBe(key);
+    expect(runnerUp.score).toBeLessThanOrEqual(best.score);
+  });
+
+  test.each(["C#m7", "F#maj7", "A#dim", "G#aug", "Badd9", "D#sus4"])(
+    "recognizes generated %s alongside the open-chord library",
+    (key) => {
+      const library = { ...CHORD_LIBRARY, [key]: FULL_CHORD_LIBRARY[key] };
+      const chroma = computeChroma(chordSpectrum(FULL_CHORD_LIBRARY[key]), SAMPLE_RATE);
+      const { best } = matchChord(chroma, buildChordTemplates(library));
+      expect(best.key).toBe(key);
+    }
+  );
+});
@@ -6,12 +6,39 @@
 //  (no actual Web Audio API in JSDOM).
 // ═══════════════════════════════════════════════════════════════
 
-import { describe, test, expect } from "vitest";
-import { render, screen } from "@testing-library/react";
+import { describe, test, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, act } from "@testing-library/react";
 import { MemoryRouter } from "react-router-dom";
 import { CHORD_LIBRARY } from "../data/chords";
 import FretboardDiagram from "../components/chords/FretboardDiagram";
 import ChordCard from "../components/chords/ChordCard";
+import ChordDetail from "../components/chords/ChordDetail";
+import PracticePage from "../pages/PracticePage";
+import ChordsPage from "../pages/ChordsPage";
+import ScalesPage from "../pages/ScalesPage";
+import FullNeckFretboard from "../components/fretboard/FullNeckFretboard";
+import { SCALE_LIBRARY } from "../data/scales";
+import { scaleSequence } from "../utils/fretboard";
+import { AuthProvider } from "../hooks/useAuth";
+import api from "../utils/api";
+import { PreferencesProvider } from "../hooks/usePreferences";
+import StringDisplay from "../components/audio/StringDisplay";
+import TuningMeter from "../components/audio/TuningMeter";
+import StrobeTuner from "../components/audio/StrobeTuner";
+import TunerPage from "../pages/TunerPage";
+import CalibrationWizard from "../components/audio/CalibrationWizard";
+import LatencyCalibration from "../components/audio/LatencyCalibration";
+import ReferenceTonePanel from "../components/audio/ReferenceTonePanel";
+import IntonationCheck from "../components/audio/IntonationCheck";
+import InputDeviceSelector from "../components/audio/InputDeviceSelector";
+import InputLevelMeter from "../components/audio/InputLevelMeter";
+import RhythmReport from "../components/practice/RhythmReport";
+import MetronomeControls from "../components/practice/MetronomeControls";
+import SpeedTrainerControls from "../components/practice/SpeedTrainerControls";
+import { DEFAULT_THRESHOLDS } from "../utils/calibration";
+import { measureString } from "../utils/intonation";
+import { summarizeRhythm } from "../utils/rhythm";
+import { TUNINGS, buildTuning } from "../data/tunings";
 
 // ─── FretboardDiagram ────────────────────────────────────────
 describe("FretboardDiagram", () => {
@@ -156,3 +183,790 @@ describe("ChordCard", () => {
     });
   });
 });
+
+// ─── PracticePage ────────────────────────────────────────────
+describe("PracticePage", () => {
+  const renderPage = () =>
+    render(
+      <MemoryRouter>
+        <AuthProvider>
+          <PreferencesProvider>
+            <PracticePage />
+          </PreferencesProvider>
+        </AuthProvider>
+      </MemoryRouter>
+    );
+
+  afterEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  test("renders the setup screen with beginner progressions", () => {
+    renderPage();
+    expect(screen.getByText("Two-Chord Wonder")).toBeTruthy();
+    expect(screen.getByText("🎸 Start Practice")).toBeTruthy();
+  });
+
+  test("accepts flat and slash spellings in a custom progression", () => {
+    renderPage();
+    fireEvent.change(screen.getByPlaceholderText(/Custom/), { target: { value: "Bb/F - Gm, Eb" } });
+    fireEvent.click(screen.getByText("Use"));
+    expect(screen.queryByText(/Unknown chord/)).toBeNull();
+    expect(screen.getByText("A#")).toBeTruthy();
+    expect(screen.getByText("D#")).toBeTruthy();
+  });
+
+  test("rejects a custom progression chord without a library shape", () => {
+    renderPage();
+    fireEvent.change(screen.getByPlaceholderText(/Custom/), { target: { value: "G C#m7b5" } });
+    fireEvent.click(screen.getByText("Use"));
+    expect(screen.getByText("No shape for C#m7b5 in the library yet")).toBeTruthy();
+  });
+
+  test("rejects a custom progression with an unknown chord", () => {
+    renderPage();
+    fireEvent.change(screen.getByPlaceholderText(/Custom/), { target: { value: "G Xyz" } });
+    fireEvent.click(screen.getByText("Use"));
+    expect(screen.getByText("Unknown chord: Xyz")).toBeTruthy();
+  });
+
+  test("stopping in the count-in ends without saving the session", async () => {
+    localStorage.setItem("fretforge_token", "token");
+    vi.spyOn(api, "get").mockResolvedValue({ user: { id: "u1", username: "player" } });
+    const post = vi.spyOn(api, "post").mockResolvedValue({ session: { id: "s1" } });
+    const patch = vi.spyOn(api, "patch").mockResolvedValue({ xpEarned: 0, newStreak: 1 });
+    vi.spyOn(navigator.mediaDevices, "getUserMedia").mockResolvedValue({ getTracks: () => [] });
+    vi.stubGlobal("AudioContext", class extends AudioContext {
+      createMediaStreamSource() { return { connect: () => {}, disconnect: () => {} }; }
+    });
+    renderPage();
+    await act(async () => {}); // Session restored from the token
+
+    await act(async () => {
+      fireEvent.click(screen.getByText("🎸 Start Practice"));
+    });
+    expect(post).toHaveBeenCalledWith("/api/sessions", expect.objectContaining({ type: "chord_practice" }));
+
+    await act(async () => {
+      fireEvent.click(screen.getByText("⏹ Stop"));
+    });
+    expect(patch).not.toHaveBeenCalled();
+    expect(screen.getByText(/nothing to save/)).toBeTruthy();
+  });
+});
+
+// ─── ChordsPage ──────────────────────────────────────────────
+describe("ChordsPage", () => {
+  const renderPage = () =>
+    render(
+      <AuthProvider>
+        <PreferencesProvider>
+          <ChordsPage />
+        </PreferencesProvider>
+      </AuthProvider>
+    );
+  const search = (text) =>
+    fireEvent.change(screen.getByPlaceholderText("Search chords..."), { target: { value: text } });
+
+  test("finds a chord by symbol in any spelling", () => {
+    renderPage();
+    search("Bbm7");
+    expect(screen.getByText("1 chord matching")).toBeTruthy();
+    expect(screen.getByText("A# minor 7")).toBeTruthy();
+  });
+
+  test("lists every chord on a root", () => {
+    renderPage();
+    search("c");
+    expect(screen.getByText("11 chords matching")).toBeTruthy();
+  });
+
+  test("falls back to text search", () => {
+    renderPage();
+    search("power");
+    expect(screen.getByText("E power chord")).toBeTruthy();
+  });
+
+  test("saves the selected tuning", () => {
+    localStorage.clear();
+    renderPage();
+    fireEvent.change(screen.getByLabelText("TUNING"), { target: { value: "drop_d" } });
+    expect(screen.getByText("D A D G B E")).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem("fretforge_preferences")).tuningKey).toBe("drop_d");
+    localStorage.clear();
+  });
+
+  test("rejects a custom tuning that isn't six notes", () => {
+    renderPage();
+    fireEvent.change(screen.getByLabelText("TUNING"), { target: { value: "__custom__" } });
+    fireEvent.change(screen.getByPlaceholderText(/Notes low/), { target: { value: "D A D G" } });
+    fireEvent.click(screen.getByText("Save"));
+    expect(screen.getByText("Enter six notes, low string to high")).toBeTruthy();
+  });
+});
+
+// ─── StringDisplay ───────────────────────────────────────────
+describe("StringDisplay", () => {
+  test("targets the strings of the given tuning", () => {
+    render(<StringDisplay tuning={TUNINGS.drop_d.strings} detectedFreq={73.5} isActive />);
+    expect(screen.getByText("Nearest: Low D")).toBeTruthy();
+    expect(screen.getByText("✓")).toBeTruthy();
+  });
+
+  test("moves string targets with the reference pitch", () => {
+    render(<StringDisplay referencePitch={432} detectedFreq={108} isActive />);
+    expect(screen.getByText("108.0 Hz")).toBeTruthy();
+    expect(screen.getByText("Nearest: A")).toBeTruthy();
+    expect(screen.getByText("✓")).toBeTruthy();
+  });
+
+  test("spells Eb tunings with flats", () => {
+    render(<StringDisplay tuning={TUNINGS.eb_standard.strings} prefer="flat" />);
+    expect(screen.getAllByText("Eb")).toHaveLength(2);
+    expect(screen.getByText("Low Eb")).toBeTruthy();
+  });
+});
+
+// ─── TuningMeter ─────────────────────────────────────────────
+describe("TuningMeter", () => {
+  test("shows the reference pitch and the target frequency", () => {
+    render(<TuningMeter isActive cents={0} note={{ note: "A", octave: 4 }} referencePitch={442} />);
+    expect(screen.getByText("A4 = 442 Hz · target 442.00 Hz")).toBeTruthy();
+  });
+});
+
+// ─── StrobeTuner ─────────────────────────────────────────────
+describe("StrobeTuner", () => {
+  // Runs the animation by hand: each frame() is 100ms later
+  function stubFrames() {
+    let callback = null;
+    let now = 0;
+    vi.stubGlobal("requestAnimationFrame", (cb) => { callback = cb; return 1; });
+    vi.stubGlobal("cancelAnimationFrame", () => { callback = null; });
+    return {
+      frame: () => act(() => { const cb = callback; now += 100; cb(now); }),
+      get running() { return callback !== null; },
+    };
+  }
+  const offset = (band) =>
+    Number(document.querySelector(`[data-band="${band}"]`).getAttribute("transform").match(/translate\(([-\d.]+)/)[1]);
+  const note = { note: "E", octave: 2 };
+
+  afterEach(() => vi.unstubAllGlobals());
+
+  test("drifts right when sharp, faster on the lower bands", () => {
+    const frames = stubFrames();
+    render(<StrobeTuner isActive cents={2} note={note} />);
+    frames.frame();
+    frames.frame();
+    frames.frame();
+    // 2 cents for 0.2s: a tenth of a stripe on the top band
+    expect(offset(1)).toBeCloseTo(2.4, 1);
+    expect(offset(4)).toBeCloseTo(9.6, 1);
+    expect(screen.getByText("+2.0 cents")).toBeTruthy();
+    expect(screen.getByText("Tune Down ↓")).toBeTruthy();
+  });
+
+  test("drifts left when flat", () => {
+    const frames = stubFrames();
+    render(<StrobeTuner isActive cents={-0.4} note={note} />);
+    frames.frame();
+    frames.frame();
+    // Wraps round: a little left of a whole stripe
+    expect(offset(1)).toBeGreaterThan(23);
+    expect(offset(1)).toBeLessThan(24);
+    expect(screen.getByText("-0.4 cents")).toBeTruthy();
+    expect(screen.getByText("In Tune!")).toBeTruthy();
+  });
+
+  test("stands still without a note", () => {
+    const frames = stubFrames();
+    render(<StrobeTuner isActive cents={null} note={null} />);
+    expect(frames.running).toBe(false);
+    expect(offset(1)).toBe(0);
+    expect(screen.getByText("Play a string")).toBeTruthy();
+  });
+});
+
+// ─── TunerPage ───────────────────────────────────────────────
+describe("TunerPage", () => {
+  const renderPage = () =>
+    render(
+      <AuthProvider>
+        <PreferencesProvider>
+          <TunerPage />
+        </PreferencesProvider>
+      </AuthProvider>
+    );
+
+  test("steps the reference pitch and saves it", () => {
+    localStorage.clear();
+    renderPage();
+    expect(screen.getByText("Standard Tuning Reference (A440)")).toBeTruthy();
+
+    fireEvent.click(screen.getByLabelText("Raise reference pitch"));
+    fireEvent.click(screen.getByLabelText("Raise reference pitch"));
+    expect(screen.getByText("442 Hz")).toBeTruthy();
+    expect(screen.getByText("Standard Tuning Reference (A442)")).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem("fretforge_preferences")).referencePitch).toBe(442);
+
+    fireEvent.click(screen.getByText("Reset to 440"));
+    expect(screen.getByText("440 Hz")).toBeTruthy();
+    localStorage.clear();
+  });
+
+  test("stops at the bottom of the range", () => {
+    localStorage.setItem("fretforge_preferences", JSON.stringify({ referencePitch: 400 }));
+    renderPage();
+    expect(screen.getByText("432 Hz")).toBeTruthy();
+    expect(screen.getByLabelText("Lower reference pitch").disabled).toBe(true);
+    localStorage.clear();
+  });
+
+  test("switches to the strobe and remembers it", () => {
+    localStorage.clear();
+    renderPage();
+    expect(screen.getByText("Needle").getAttribute("aria-pressed")).toBe("true");
+    expect(document.querySelector(".tuning-meter")).toBeTruthy();
+
+    fireEvent.click(screen.getByText("Strobe"));
+    expect(document.querySelector(".strobe-tuner")).toBeTruthy();
+    expect(document.querySelector(".tuning-meter")).toBeNull();
+    expect(JSON.parse(localStorage.getItem("fretforge_preferences")).tunerView).toBe("strobe");
+    localStorage.clear();
+  });
+
+  test("offers mic calibration once listening", () => {
+    renderPage();
+    expect(screen.getByText("MIC CALIBRATION")).toBeTruthy();
+    expect(screen.getByText("Calibrate mic").disabled).toBe(true);
+    expect(screen.getByText("Start listening first")).toBeTruthy();
+  });
+});
+
+// ─── CalibrationWizard ───────────────────────────────────────
+describe("CalibrationWizard", () => {
+  const idle = { status: "idle", progress: 0, error: null };
+  const renderWizard = (props) =>
+    render(
+      <CalibrationWizard
+        isListening
+        calibration={idle}
+        thresholds={DEFAULT_THRESHOLDS}
+        onStart={() => {}}
+        onCancel={() => {}}
+        onReset={() => {}}
+        {...props}
+      />
+    );
+
+  test("shows the default gate and starts calibration", () => {
+    const onStart = vi.fn();
+    renderWizard({ onStart });
+    expect(screen.getByText("default")).toBeTruthy();
+    expect(screen.getByText("Gate -40 dBFS · clarity 85%")).toBeTruthy();
+    fireEvent.click(screen.getByText("Calibrate mic"));
+    expect(onStart).toHaveBeenCalled();
+  });
+
+  test("walks through the noise and pluck steps with progress", () => {
+    const onCancel = vi.fn();
+    const { rerender } = renderWizard({ calibration: { status: "noise", progress: 0.5, error: null }, onCancel });
+    expect(screen.getByText(/measuring the room's noise floor/)).toBeTruthy();
+    expect(screen.getByRole("progressbar").getAttribute("aria-valuenow")).toBe("50");
+
+    rerender(
+      <CalibrationWizard
+        isListening
+        calibration={{ status: "signal", progress: 0.25, error: null }}
+        thresholds={DEFAULT_THRESHOLDS}
+        onCancel={onCancel}
+      />
+    );
+    expect(screen.getByText("Now pluck any open string and let it ring")).toBeTruthy();
+    fireEvent.click(screen.getByText("Cancel"));
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  test("reports the measured levels and can reset", () => {
+    const onReset = vi.fn();
+    renderWizard({
+      calibration: { status: "done", progress: 1, error: null },
+      thresholds: {
+        volumeThreshold: -52.5,
+        clarityThreshold: 0.78,
+        noiseFloor: -61,
+        signalLevel: -34.5,
+        calibratedAt: "2026-01-01T00:00:00.000Z",
+      },
+      onReset,
+    });
+    expect(screen.getByText("calibrated for this mic")).toBeTruthy();
+    expect(screen.getByText("Room -61 dBFS · string -34.5 dBFS")).toBeTruthy();
+    expect(screen.getByText("Gate -52.5 dBFS · clarity 78%")).toBeTruthy();
+    fireEvent.click(screen.getByText("Reset to defaults"));
+    expect(onReset).toHaveBeenCalled();
+  });
+
+  test("shows why a calibration failed", () => {
+    renderWizard({ calibration: { status: "error", progress: 0, error: "Couldn't hear the string" } });
+    expect(screen.getByText("Couldn't hear the string")).toBeTruthy();
+    expect(screen.getByText("Recalibrate")).toBeTruthy();
+  });
+});
+
+// ─── LatencyCalibration ──────────────────────────────────────
+describe("LatencyCalibration", () => {
+  const idle = { status: "idle", progress: 0, error: null };
+  const renderCard = (props) =>
+    render(
+      <LatencyCalibration
+        isListening
+        latency={null}
+        measurement={idle}
+        onMeasure={() => {}}
+        onCancel={() => {}}
+        onReset={() => {}}
+        {...props}
+      />
+    );
+
+  test("measures once the mic is listening", () => {
+    const onMeasure = vi.fn();
+    const { rerender } = renderCard({ isListening: false, onMeasure });
+    expect(screen.getByText("Measure latency").disabled).toBe(true);
+
+    rerender(<LatencyCalibration isListening latency={null} measurement={idle} onMeasure={onMeasure} />);
+    fireEvent.click(screen.getByText("Measure latency"));
+    expect(onMeasure).toHaveBeenCalled();
+  });
+
+  test("shows progress and can cancel", () => {
+    const onCancel = vi.fn();
+    renderCard({ measurement: { status: "measuring", progress: 0.4, error: null }, onCancel });
+    expect(screen.getByRole("progressbar").getAttribute("aria-valuenow")).toBe("40");
+    fireEvent.click(screen.getByText("Cancel"));
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  test("shows the measured round trip and can reset", () => {
+    const onReset = vi.fn();
+    renderCard({
+      latency: { latencyMs: 84.2, jitterMs: 0.6, heard: 8, measuredAt: "2026-01-01T00:00:00.000Z" },
+      onReset,
+    });
+    expect(screen.getByText("measured for this mic")).toBeTruthy();
+    expect(screen.getByText("Round trip 84.2 ms ± 0.6 ms")).toBeTruthy();
+    fireEvent.click(screen.getByText("Reset"));
+    expect(onReset).toHaveBeenCalled();
+  });
+
+  test("shows why a measurement failed", () => {
+    renderCard({ measurement: { status: "error", progress: 0, error: "Couldn't hear the clicks" } });
+    expect(screen.getByText("Couldn't hear the clicks")).toBeTruthy();
+    expect(screen.getByText("Remeasure")).toBeTruthy();
+  });
+});
+
+// ─── IntonationCheck ─────────────────────────────────────────
+describe("IntonationCheck", () => {
+  const tuning = TUNINGS.standard.strings.slice(0, 2);
+  const check = (props) => ({
+    status: "running",
+    stringIndex: 0,
+    string: tuning[0],
+    phase: "harmonic",
+    waiting: false,
+    progress: 0,
+    ...props,
+  });
+  const rows = [
+    measureString(tuning[0], 164.82, 164.82 * Math.pow(2, 9 / 1200)),
+    measureString(tuning[1], null, null),
+  ];
+  const renderCheck = (props) =>
+    render(
+      <IntonationCheck
+        isListening
+        check={check({ status: "idle" })}
+        results={rows.map((row) => ({ ...row, cents: null }))}
+        scaleLength="25.5"
+        reports={[]}
+        saved={false}
+        onStart={() => {}}
+        onCancel={() => {}}
+        onRedo={() => {}}
+        onSkip={() => {}}
+        onScaleLengthChange={() => {}}
+        onSave={() => {}}
+        onDelete={() => {}}
+        {...props}
+      />
+    );
+
+  test("picks a scale length and starts once listening", () => {
+    const onStart = vi.fn();
+    const onScaleLengthChange = vi.fn();
+    renderCheck({ isListening: false, onStart, onScaleLengthChange });
+    expect(screen.getByText("Check intonation").disabled).toBe(true);
+    expect(screen.getByText("25.5″").getAttribute("aria-pressed")).toBe("true");
+    fireEvent.click(screen.getByText("24.75″"));
+    expect(onScaleLengthChange).toHaveBeenCalledWith("24.75");
+  });
+
+  test("prompts for the harmonic, then the fretted note", () => {
+    const onSkip = vi.fn();
+    const { rerender } = renderCheck({ check: check({ progress: 0.5 }), onSkip });
+    expect(screen.getByText(/E3: Touch the string right over the 12th fret/)).toBeTruthy();
+    expect(screen.getByText("string 1 of 2")).toBeTruthy();
+    expect(screen.getByRole("progressbar").getAttribute("aria-valuenow")).toBe("50");
+    fireEvent.click(screen.getByText("Skip string"));
+    expect(onSkip).toHaveBeenCalled();
+
+    rerender(
+      <IntonationCheck
+        isListening
+        check={check({ phase: "fretted", waiting: true })}
+        results={rows}
+        reports={[]}
+      />
+    );
+    expect(screen.getByText("Mute the strings…")).toBeTruthy();
+  });
+
+  test("shows the advice and saves the report", () => {
+    const onSave = vi.fn();
+    const { rerender } = renderCheck({ check: check({ status: "done" }), results: rows, onSave });
+    expect(screen.getByText("+9.0¢")).toBeTruthy();
+    expect(screen.getByText(/Sharp — move saddle back \(away from the neck\) about 1.7 mm/)).toBeTruthy();
+    fireEvent.click(screen.getByText("Save report"));
+    expect(onSave).toHaveBeenCalled();
+
+    const report = { id: "r1", createdAt: "2026-03-01T12:00:00.000Z", tuningName: "Standard", strings: rows };
+    const onDelete = vi.fn();
+    rerender(
+      <IntonationCheck
+        isListening
+        check={check({ status: "done" })}
+        results={rows}
+        reports={[report]}
+        saved
+        onDelete={onDelete}
+      />
+    );
+    expect(screen.getByText("Saved").disabled).toBe(true);
+    expect(screen.getByText(/Standard · worst ±9.0¢/)).toBeTruthy();
+    fireEvent.click(screen.getByText("Delete"));
+    expect(onDelete).toHaveBeenCalledWith("r1");
+  });
+});
+
+// ─── ReferenceTonePanel ──────────────────────────────────────
+describe("ReferenceTonePanel", () => {
+  const renderPanel = (props) =>
+    render(
+      <ReferenceTonePanel
+        playing={null}
+        timbre="pluck"
+        sustain={4}
+        volume={0.6}
+        onToggle={() => {}}
+        onStop={() => {}}
+        onTimbreChange={() => {}}
+        onSustainChange={() => {}}
+        onVolumeChange={() => {}}
+        {...props}
+      />
+    );
+
+  test("plays each string at the reference pitch", () => {
+    const onToggle = vi.fn();
+    renderPanel({ onToggle, referencePitch: 442 });
+    fireEvent.click(screen.getByLabelText("Play string 5"));
+    expect(onToggle).toHaveBeenCalledWith(expect.closeTo(110.5, 5), "string-5");
+    expect(screen.getByLabelText("Play string 6").textContent).toBe("6E2");
+  });
+
+  test("plays any chromatic note", () => {
+    const onToggle = vi.fn();
+    renderPanel({ onToggle, prefer: "flat" });
+    fireEvent.change(screen.getByLabelText("Reference note"), { target: { value: "A#" } });
+    fireEvent.change(screen.getByLabelText("Reference octave"), { target: { value: "2" } });
+    expect(screen.getByLabelText("Reference note").selectedOptions[0].textContent).toBe("Bb");
+    fireEvent.click(screen.getByText("▶ 116.5 Hz"));
+    expect(onToggle).toHaveBeenCalledWith(expect.closeTo(116.54, 2), "chromatic");
+  });
+
+  test("marks the sounding note and can stop it", () => {
+    const onStop = vi.fn();
+    renderPanel({ playing: { id: "string-1", freq: 329.63 }, onStop });
+    expect(screen.getByLabelText("Play string 1").getAttribute("aria-pressed")).toBe("true");
+    expect(screen.getByLabelText("Play string 2").getAttribute("aria-pressed")).toBe("false");
+    fireEvent.click(screen.getByText("Stop"));
+    expect(onStop).toHaveBeenCalled();
+  });
+
+  test("changes timbre, sustain and volume", () => {
+    const onTimbreChange = vi.fn();
+    const onSustainChange = vi.fn();
+    const onVolumeChange = vi.fn();
+    renderPanel({ onTimbreChange, onSustainChange, onVolumeChange });
+    expect(screen.getByText("Pluck").getAttribute("aria-pressed")).toBe("true");
+    fireEvent.click(screen.getByText("Sine"));
+    expect(onTimbreChange).toHaveBeenCalledWith("sine");
+    fireEvent.click(screen.getByText("Hold"));
+    expect(onSustainChange).toHaveBeenCalledWith(Infinity);
+    fireEvent.change(screen.getByLabelText("VOLUME"), { target: { value: "25" } });
+    expect(onVolumeChange).toHaveBeenCalledWith(0.25);
+  });
+});
+
+// ─── RhythmReport ────────────────────────────────────────────
+describe("RhythmReport", () => {
+  // Four beats at 120 BPM: 10ms late, 30ms early, missed, on time
+  const rhythm = summarizeRhythm([0, 0.5, 1, 1.5], [0.01, 0.47, 1.5]);
+
+  test("shows the tightness, average and per-beat deviations", () => {
+    render(<RhythmReport rhythm={rhythm} />);
+    expect(screen.getByText(String(rhythm.tightness))).toBeTruthy();
+    expect(screen.getByText(/Average 7ms early \(rushing\) · spread ±17ms · 3 strummed, 1 missed/)).toBeTruthy();
+    const chips = screen.getByLabelText("Beat deviations").textContent;
+    expect(chips).toBe("+10-30—0");
+    expect(screen.getByRole("img", { name: "Timing histogram" }).children).toHaveLength(20);
+  });
+
+  test("compact mode keeps only the latest beats and no histogram", () => {
+    const long = summarizeRhythm(Array.from({ length: 12 }, (_, i) => i * 0.5), []);
+    render(<RhythmReport rhythm={long} compact />);
+    expect(screen.getByLabelText("Beat deviations").children).toHaveLength(8);
+    expect(screen.queryByRole("img", { name: "Timing histogram" })).toBeNull();
+    expect(screen.getByText("—", { selector: "span[style*='18px']" })).toBeTruthy();
+  });
+});
+
+// ─── MetronomeControls ───────────────────────────────────────
+describe("MetronomeControls", () => {
+  const renderControls = (props) =>
+    render(
+      <MetronomeControls
+        meter="4/4"
+        subdivision="none"
+        accents={["accent", "normal", "normal", "normal"]}
+        onMeterChange={() => {}}
+        onSubdivisionChange={() => {}}
+        onAccentToggle={() => {}}
+        {...props}
+      />
+    );
+
+  test("lists the meters and picks one", () => {
+    const onMeterChange = vi.fn();
+    renderControls({ onMeterChange });
+    expect(screen.getByRole("option", { name: "7/8 (2+2+3)" })).toBeTruthy();
+    fireEvent.change(screen.getByLabelText("METER"), { target: { value: "12/8" } });
+    expect(onMeterChange).toHaveBeenCalledWith("12/8");
+  });
+
+  test("offers only the subdivisions that fit the meter", () => {
+    const onSubdivisionChange = vi.fn();
+    const { rerender } = renderControls({ onSubdivisionChange });
+    fireEvent.click(screen.getByText("Shuffle"));
+    expect(onSubdivisionChange).toHaveBeenCalledWith("shuffle");
+
+    rerender(
+      <MetronomeControls meter="6/8" subdivision="none" accents={["accent", "normal"]} />
+    );
+    expect(screen.queryByText("Triplets")).toBeNull();
+    expect(screen.getByText("Eighths")).toBeTruthy();
+  });
+
+  test("shows one accent button per beat and toggles it", () => {
+    const onAccentToggle = vi.fn();
+    renderControls({ meter: "7/8", accents: ["accent", "mute", "normal"], onAccentToggle });
+    expect(screen.getByLabelText("Beat 1: accent")).toBeTruthy();
+    expect(screen.getByLabelText("Beat 3: normal").style.flexGrow).toBe("3");
+    fireEvent.click(screen.getByLabelText("Beat 2: mute"));
+    expect(onAccentToggle).toHaveBeenCalledWith(1);
+  });
+});
+
+// ─── SpeedTrainerControls ────────────────────────────────────
+describe("SpeedTrainerControls", () => {
+  const ramp = { startBpm: 60, stepBpm: 5, everyBars: 4, targetBpm: 100, dropBpm: 10 };
+
+  test("turns the ramp on with defaults and off again", () => {
+    const onChange = vi.fn();
+    const { rerender } = render(<SpeedTrainerControls ramp={null} onChange={onChange} />);
+    fireEvent.click(screen.getByLabelText("Speed trainer"));
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ startBpm: expect.any(Number) }));
+
+    rerender(<SpeedTrainerControls ramp={ramp} onChange={onChange} />);
+    fireEvent.click(screen.getByLabelText("Speed trainer"));
+    expect(onChange).toHaveBeenLastCalledWith(null);
+  });
+
+  test("summarizes the ramp and edits it", () => {
+    const onChange = vi.fn();
+    render(<SpeedTrainerControls ramp={ramp} onChange={onChange} />);
+    expect(screen.getByText("60 → 100 BPM, +5 every 4 bars · −10 after a missed chord")).toBeTruthy();
+    fireEvent.change(screen.getByLabelText(/Every/), { target: { value: "2" } });
+    expect(onChange).toHaveBeenCalledWith({ ...ramp, everyBars: 2 });
+  });
+
+  test("clamps on blur and keeps the target above the start", () => {
+    const onChange = vi.fn();
+    render(<SpeedTrainerControls ramp={{ ...ramp, startBpm: 130 }} onChange={onChange} />);
+    fireEvent.blur(screen.getByLabelText(/Start/));
+    expect(onChange).toHaveBeenCalledWith({ ...ramp, startBpm: 130, targetBpm: 130 });
+  });
+});
+
+// ─── InputDeviceSelector ─────────────────────────────────────
+describe("InputDeviceSelector", () => {
+  const devices = [
+    { deviceId: "default", label: "Default - MacBook Microphone" },
+    { deviceId: "builtin-mic", label: "MacBook Microphone" },
+    { deviceId: "scarlett", label: "Scarlett 2i2 USB" },
+  ];
+
+  test("lists inputs after the default and reports the pick", () => {
+    const onChange = vi.fn();
+    render(<InputDeviceSelector devices={devices} value="" onChange={onChange} />);
+    const select = screen.getByLabelText("INPUT");
+    expect(Array.from(select.options).map((o) => o.textContent)).toEqual([
+      "Default input",
+      "MacBook Microphone",
+      "Scarlett 2i2 USB",
+    ]);
+    fireEvent.change(select, { target: { value: "scarlett" } });
+    expect(onChange).toHaveBeenCalledWith("scarlett");
+  });
+
+  test("keeps a remembered input that isn't plugged in", () => {
+    render(<InputDeviceSelector devices={devices} value="old-interface" onChange={() => {}} />);
+    expect(screen.getByText("Saved input (not connected)")).toBeTruthy();
+  });
+});
+
+// ─── InputLevelMeter ─────────────────────────────────────────
+describe("InputLevelMeter", () => {
+  test("shows RMS and held peak while active", () => {
+    vi.useFakeTimers();
+    const getInputLevel = () => ({ rmsDb: -24.2, peakDb: -12.4 });
+    render(<InputLevelMeter getInputLevel={getInputLevel} isActive />);
+    act(() => vi.advanceTimersByTime(60));
+    expect(screen.getByText("-24 dB · pk -12 dB")).toBeTruthy();
+    expect(screen.getByRole("meter").getAttribute("aria-valuenow")).toBe("-24");
+    vi.useRealTimers();
+  });
+
+  test("warns when the input clips", () => {
+    vi.useFakeTimers();
+    render(<InputLevelMeter getInputLevel={() => ({ rmsDb: -3, peakDb: 0 })} isActive />);
+    act(() => vi.advanceTimersByTime(60));
+    expect(screen.getByText("CLIP")).toBeTruthy();
+    vi.useRealTimers();
+  });
+
+  test("rests at silence when inactive", () => {
+    render(<InputLevelMeter getInputLevel={() => null} isActive={false} />);
+    expect(screen.getByText("— · pk —")).toBeTruthy();
+  });
+});
+
+// ─── ChordDetail ─────────────────────────────────────────────
+describe("ChordDetail", () => {
+  test("re-spells the notes for another tuning", () => {
+    render(<ChordDetail chord={CHORD_LIBRARY.E} chordKey="E" tuning={TUNINGS.drop_d.strings} onClose={() => {}} />);
+    expect(screen.getByText("Low D")).toBeTruthy();
+    // Open E shape in Drop D: D B E G# B E
+    expect(screen.getAllByText("D").length).toBeGreaterThan(0);
+  });
+
+  test("shows a voicings carousel that pages through alternatives", () => {
+    render(<ChordDetail chord={CHORD_LIBRARY.C} chordKey="C" onClose={() => {}} />);
+    expect(screen.getByText(/Voicings · 12 ways to play C/)).toBeTruthy();
+    expect(screen.getByText("#1 · Open")).toBeTruthy();
+    expect(screen.getByText("shown above")).toBeTruthy();
+
+    fireEvent.click(screen.getByLabelText("Next voicing"));
+    expect(screen.queryByText(/^#1 ·/)).toBeNull();
+    expect(screen.getByText(/^#4 ·/)).toBeTruthy();
+  });
+
+  test("keeps the voicings row in range when the tuning has fewer", () => {
+    const { rerender } = render(<ChordDetail chord={CHORD_LIBRARY.Am} chordKey="Am" onClose={() => {}} />);
+    for (let i = 0; i < 9; i++) fireEvent.click(screen.getByLabelText("Next voicing"));
+    expect(screen.getByText(/^#12 ·/)).toBeTruthy();
+
+    // Only 10 voicings of Am in this tuning — the row pulls back to show the last 3
+    const tuning = buildTuning(["E2", "F2", "F#2", "G2", "G#2", "A2"]);
+    rerender(<ChordDetail chord={CHORD_LIBRARY.Am} chordKey="Am" tuning={tuning} onClose={() => {}} />);
+    expect(screen.getByText(/Voicings · 10 ways/)).toBeTruthy();
+    expect(screen.getByText(/^#8 ·/)).toBeTruthy();
+    expect(screen.getByText(/^#10 ·/)).toBeTruthy();
+    expect(screen.getByLabelText("Next voicing").disabled).toBe(true);
+
+    fireEvent.click(screen.getByLabelText("Previous voicing"));
+    expect(screen.getByText(/^#7 ·/)).toBeTruthy();
+  });
+});
+
+// ─── FullNeckFretboard ───────────────────────────────────────
+describe("FullNeckFretboard", () => {
+  const scale = SCALE_LIBRARY.am_pentatonic_box1;
+
+  test("renders one dot per scale position", () => {
+    const positions = scaleSequence(scale);
+    const { container } = render(
+      <FullNeckFretboard positions={positions} roots={scale.roots} />
+    );
+    // Note dots are the only circles with a 2px outline
+    const dots = container.querySelectorAll('circle[stroke-width="2"]');
+    expect(dots).toHaveLength(positions.length);
+  });
+
+  test("shows note names in note label mode", () => {
+    const { container } = render(
+      <FullNeckFretboard positions={scaleSequence(scale)} roots={scale.roots} labelMode="note" />
+    );
+    const texts = Array.from(container.querySelectorAll("text")).map((t) => t.textContent);
+    expect(texts).toContain("A");
+    expect(texts).toContain("C");
+  });
+});
+
+// ─── ScalesPage ──────────────────────────────────────────────
+describe("ScalesPage", () => {
+  // The drill reads auth state and links to sign-in
+  const renderPage = () =>
+    render(
+      <MemoryRouter>
+        <AuthProvider>
+          <PreferencesProvider>
+            <ScalesPage />
+          </PreferencesProvider>
+        </AuthProvider>
+      </MemoryRouter>
+    );
+
+  test("lists every scale grouped under tier headings", () => {
+    renderPage();
+    expect(screen.getByRole("heading", { name: "Tier 1 · First Scale" })).toBeTruthy();
+    expect(screen.getByText("A Blues Scale (Box 1)")).toBeTruthy();
+  });
+
+  test("selecting a scale shows it in the detail panel", () => {
+    renderPage();
+    fireEvent.click(screen.getByText("C Major Scale (Open Position)"));
+    expect(screen.getAllByText("C Major Scale (Open Position)")).toHaveLength(2);
+  });
+
+  test("offers a scale drill", () => {
+    renderPage();
+    expect(screen.getByText("🎤 Start Drill")).toBeTruthy();
+    expect(screen.getByText(/moves on once it hears/)).toBeTruthy();
+  });
+});
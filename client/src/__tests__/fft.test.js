@@ -0,0 +1,71 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — FFT Unit Tests
+//  Checks the radix-2 transform against a naive DFT
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import { fft, ifft, nextPowerOfTwo } from "../utils/fft";
+
+// O(N²) reference
+function dft(input) {
+  const size = input.length;
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  for (let k = 0; k < size; k++) {
+    for (let n = 0; n < size; n++) {
+      const angle = (-2 * Math.PI * k * n) / size;
+      real[k] += input[n] * Math.cos(angle);
+      imag[k] += input[n] * Math.sin(angle);
+    }
+  }
+  return { real, imag };
+}
+
+describe("nextPowerOfTwo", () => {
+  test("rounds up to a power of two", () => {
+    expect(nextPowerOfTwo(1)).toBe(1);
+    expect(nextPowerOfTwo(2048)).toBe(2048);
+    expect(nextPowerOfTwo(2049)).toBe(4096);
+    expect(nextPowerOfTwo(2678)).toBe(4096);
+  });
+});
+
+describe("fft", () => {
+  test("matches a naive DFT", () => {
+    const input = Float64Array.from({ length: 64 }, (_, i) => Math.sin(i * 0.7) + 0.3 * Math.cos(i * 2.1));
+    const real = Float64Array.from(input);
+    const imag = new Float64Array(64);
+    fft(real, imag);
+
+    const expected = dft(input);
+    for (let k = 0; k < 64; k++) {
+      expect(real[k]).toBeCloseTo(expected.real[k], 9);
+      expect(imag[k]).toBeCloseTo(expected.imag[k], 9);
+    }
+  });
+
+  test("turns an impulse into a flat spectrum", () => {
+    const real = new Float64Array(16);
+    const imag = new Float64Array(16);
+    real[0] = 1;
+    fft(real, imag);
+    expect(Array.from(real)).toEqual(new Array(16).fill(1));
+    expect(imag.every((v) => v === 0)).toBe(true);
+  });
+
+  test("round-trips through ifft", () => {
+    const input = Float64Array.from({ length: 256 }, (_, i) => Math.sin(i) * Math.exp(-i / 100));
+    const real = Float64Array.from(input);
+    const imag = new Float64Array(256);
+    fft(real, imag);
+    ifft(real, imag);
+    input.forEach((v, i) => {
+      expect(real[i]).toBeCloseTo(v, 12);
+      expect(imag[i]).toBeCloseTo(0, 12);
+    });
+  });
+
+  test("rejects sizes that aren't a power of two", () => {
+    expect(() => fft(new Float64Array(12), new Float64Array(12))).toThrow("power of two");
+  });
+});
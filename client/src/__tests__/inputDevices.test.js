@@ -0,0 +1,196 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Input Device & Level Meter Tests
+//  useAudio's device list, remembered input, live switching and
+//  devicechange handling against a fake mediaDevices, plus the
+//  level helpers behind InputLevelMeter
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { useAudio } from "../hooks/useAudio";
+import { computePeak, measureLevel, saveCalibration } from "../utils/calibration";
+
+// ─── Level helpers ───────────────────────────────────────────
+describe("measureLevel", () => {
+  test("reports RMS and peak in linear and dBFS terms", () => {
+    const square = Float32Array.from({ length: 256 }, (_, i) => (i % 2 ? 0.5 : -0.5));
+    const level = measureLevel(square);
+    expect(level.rms).toBeCloseTo(0.5, 6);
+    expect(level.peak).toBe(0.5);
+    expect(level.peakDb).toBeCloseTo(-6.02, 2);
+  });
+
+  test("finds the largest sample whatever its sign", () => {
+    expect(computePeak(Float32Array.from([0.1, -0.9, 0.4]))).toBeCloseTo(0.9, 6);
+    expect(measureLevel(new Float32Array(64)).rmsDb).toBe(-Infinity);
+  });
+});
+
+// ─── useAudio input selection ────────────────────────────────
+describe("useAudio input devices", () => {
+  let deviceList;
+  let contexts;
+  let mediaDevices;
+  const originalAudioContext = globalThis.AudioContext;
+  const originalMediaDevices = navigator.mediaDevices;
+
+  function makeStream(deviceId) {
+    const track = {
+      readyState: "live",
+      getSettings: () => ({ deviceId }),
+      stop: vi.fn(() => { track.readyState = "ended"; }),
+    };
+    return { track, getAudioTracks: () => [track], getTracks: () => [track] };
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    contexts = 0;
+    deviceList = [
+      { kind: "audioinput", deviceId: "builtin-mic", label: "MacBook Microphone" },
+      { kind: "audioinput", deviceId: "scarlett", label: "Scarlett 2i2 USB" },
+      { kind: "audiooutput", deviceId: "speakers", label: "Speakers" },
+    ];
+
+    globalThis.AudioContext = class {
+      constructor() {
+        contexts += 1;
+        this.sampleRate = 44100;
+      }
+      createAnalyser() {
+        return {
+          fftSize: 4096,
+          getFloatTimeDomainData: (out) => out.fill(0.25),
+        };
+      }
+      createMediaStreamSource(stream) {
+        return { stream, connect: vi.fn(), disconnect: vi.fn() };
+      }
+      close() { return Promise.resolve(); }
+    };
+
+    mediaDevices = Object.assign(new EventTarget(), {
+      enumerateDevices: vi.fn(async () => deviceList),
+      getUserMedia: vi.fn(async ({ audio }) => {
+        const exact = audio.deviceId?.exact;
+        if (exact && !deviceList.some((d) => d.deviceId === exact)) {
+          throw Object.assign(new Error("No such device"), { name: "OverconstrainedError" });
+        }
+        return makeStream(exact || "builtin-mic");
+      }),
+    });
+    navigator.mediaDevices = mediaDevices;
+  });
+
+  afterEach(() => {
+    globalThis.AudioContext = originalAudioContext;
+    navigator.mediaDevices = originalMediaDevices;
+    localStorage.clear();
+  });
+
+  const requestedDevice = (call) => mediaDevices.getUserMedia.mock.calls[call][0].audio.deviceId;
+
+  test("lists audio inputs only", async () => {
+    const { result } = renderHook(() => useAudio());
+    await waitFor(() => expect(result.current.devices).toHaveLength(2));
+    expect(result.current.devices[1]).toEqual({ deviceId: "scarlett", label: "Scarlett 2i2 USB" });
+    expect(result.current.inputDeviceId).toBe("");
+  });
+
+  test("shares a context opened before listening, e.g. by the metronome", async () => {
+    const { result } = renderHook(() => useAudio());
+    const context = result.current.openContext();
+    expect(result.current.openContext()).toBe(context);
+
+    await act(async () => expect(await result.current.startListening()).toBe(true));
+    expect(result.current.audioContext.current).toBe(context);
+    expect(contexts).toBe(1);
+  });
+
+  test("startListening resolves false when the mic can't open", async () => {
+    mediaDevices.getUserMedia.mockRejectedValueOnce(Object.assign(new Error("denied"), { name: "NotAllowedError" }));
+    const { result } = renderHook(() => useAudio());
+    await act(async () => expect(await result.current.startListening()).toBe(false));
+    expect(result.current.error).toBeTruthy();
+  });
+
+  test("names unlabelled inputs until permission is granted", async () => {
+    deviceList = [{ kind: "audioinput", deviceId: "a", label: "" }, { kind: "audioinput", deviceId: "b", label: "" }];
+    const { result } = renderHook(() => useAudio());
+    await waitFor(() => expect(result.current.devices.map((d) => d.label)).toEqual(["Microphone 1", "Microphone 2"]));
+  });
+
+  test("opens the remembered input with raw settings", async () => {
+    localStorage.setItem("fretforge_input_device", "scarlett");
+    const { result } = renderHook(() => useAudio());
+    await act(() => result.current.startListening());
+
+    expect(requestedDevice(0)).toEqual({ exact: "scarlett" });
+    expect(mediaDevices.getUserMedia.mock.calls[0][0].audio.echoCancellation).toBe(false);
+    expect(result.current.deviceId).toBe("scarlett");
+  });
+
+  test("switches inputs live, keeping the AudioContext, and remembers the choice", async () => {
+    saveCalibration("scarlett", { volumeThreshold: -58, clarityThreshold: 0.8 });
+    const { result } = renderHook(() => useAudio());
+    await act(() => result.current.startListening());
+    const firstStream = mediaDevices.getUserMedia.mock.results[0].value;
+
+    await act(() => result.current.setInputDevice("scarlett"));
+
+    expect(contexts).toBe(1);
+    expect((await firstStream).track.stop).toHaveBeenCalled();
+    expect(result.current.deviceId).toBe("scarlett");
+    expect(result.current.inputDeviceId).toBe("scarlett");
+    expect(result.current.thresholds.volumeThreshold).toBe(-58);
+    expect(localStorage.getItem("fretforge_input_device")).toBe("scarlett");
+  });
+
+  test("falls back to the default input when the remembered one is gone", async () => {
+    localStorage.setItem("fretforge_input_device", "unplugged-interface");
+    const { result } = renderHook(() => useAudio());
+    await act(() => result.current.startListening());
+
+    expect(result.current.isListening).toBe(true);
+    expect(result.current.deviceId).toBe("builtin-mic");
+    expect(result.current.inputDeviceId).toBe("");
+    expect(result.current.error).toMatch(/isn't connected/);
+    expect(localStorage.getItem("fretforge_input_device")).toBeNull();
+  });
+
+  test("follows an input being unplugged mid-session", async () => {
+    localStorage.setItem("fretforge_input_device", "scarlett");
+    const { result } = renderHook(() => useAudio());
+    await act(() => result.current.startListening());
+
+    deviceList = deviceList.filter((d) => d.deviceId !== "scarlett");
+    await act(async () => {
+      mediaDevices.dispatchEvent(new Event("devicechange"));
+    });
+
+    await waitFor(() => expect(result.current.deviceId).toBe("builtin-mic"));
+    expect(result.current.devices).toHaveLength(1);
+    expect(result.current.error).toMatch(/Input disconnected/);
+    expect(contexts).toBe(1);
+  });
+
+  test("picks up newly connected inputs", async () => {
+    const { result } = renderHook(() => useAudio());
+    await waitFor(() => expect(result.current.devices).toHaveLength(2));
+
+    deviceList = [...deviceList, { kind: "audioinput", deviceId: "usb-mic", label: "USB Mic" }];
+    await act(async () => {
+      mediaDevices.dispatchEvent(new Event("devicechange"));
+    });
+    await waitFor(() => expect(result.current.devices).toHaveLength(3));
+  });
+
+  test("getInputLevel reads the analyser", async () => {
+    const { result } = renderHook(() => useAudio());
+    expect(result.current.getInputLevel()).toBeNull();
+    await act(() => result.current.startListening());
+    const level = result.current.getInputLevel();
+    expect(level.rms).toBeCloseTo(0.25, 6);
+    expect(level.peak).toBeCloseTo(0.25, 6);
+  });
+});
@@ -0,0 +1,201 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Intonation Tests
+//  Steady-reading capture, the cents and saddle advice from a
+//  harmonic/fretted pair, report storage, and useIntonation
+//  stepping through the strings from a stream of pitches
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, beforeEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import { STANDARD_TUNING } from "../data/chords";
+import {
+  CAPTURE_FRAMES,
+  captureReading,
+  intonationOffset,
+  intonationTarget,
+  saddleAdvice,
+  measureString,
+  buildReport,
+  formatReport,
+  loadReports,
+  saveReport,
+  deleteReport,
+} from "../utils/intonation";
+import { useIntonation } from "../hooks/useIntonation";
+
+const detune = (freq, cents) => freq * Math.pow(2, cents / 1200);
+
+// ─── Capture ─────────────────────────────────────────────────
+describe("captureReading", () => {
+  test("waits for enough frames", () => {
+    expect(captureReading(Array(CAPTURE_FRAMES - 1).fill(220))).toBeNull();
+  });
+
+  test("takes the median once the frames agree", () => {
+    const freqs = Array.from({ length: CAPTURE_FRAMES }, (_, i) => detune(220, (i % 3) - 1));
+    expect(captureReading(freqs)).toBeCloseTo(220, 5);
+  });
+
+  test("ignores a wobbly attack until it settles", () => {
+    const attack = [detune(220, 30), detune(220, -20)];
+    const steady = Array(CAPTURE_FRAMES - 1).fill(220);
+    expect(captureReading([...attack, ...steady])).toBeNull();
+    expect(captureReading([...attack, ...steady, 220])).toBe(220);
+  });
+});
+
+// ─── Advice ──────────────────────────────────────────────────
+describe("saddle advice", () => {
+  test("targets the string's octave at the reference pitch", () => {
+    expect(intonationTarget(110, 440)).toBe(220);
+    expect(intonationTarget(110, 432)).toBeCloseTo(216, 5);
+  });
+
+  test("measures the fretted note against the harmonic", () => {
+    expect(intonationOffset(220, detune(220, 6.04))).toBe(6);
+    expect(intonationOffset(220, detune(220, -3))).toBe(-3);
+  });
+
+  test("sends a sharp string's saddle back and a flat one's forward", () => {
+    const sharp = saddleAdvice(10, 647.7);
+    expect(sharp.direction).toBe("back");
+    expect(sharp.mm).toBeCloseTo(1.9, 5);
+    expect(sharp.text).toMatch(/move saddle back/);
+
+    const flat = saddleAdvice(-5, 647.7);
+    expect(flat.direction).toBe("forward");
+    expect(flat.text).toMatch(/move saddle forward/);
+  });
+
+  test("leaves a string within tolerance alone", () => {
+    expect(saddleAdvice(1.5)).toEqual({ direction: null, mm: 0, text: "In tune — leave the saddle" });
+  });
+
+  test("builds a row per string, or an unmeasured one", () => {
+    const row = measureString(STANDARD_TUNING[1], 220, detune(220, 8));
+    expect(row).toMatchObject({ string: 5, note: "A3", cents: 8 });
+    expect(row.advice.direction).toBe("back");
+    expect(measureString(STANDARD_TUNING[1], 220, null)).toMatchObject({ cents: null, advice: null });
+  });
+});
+
+// ─── Reports ─────────────────────────────────────────────────
+describe("reports", () => {
+  beforeEach(() => localStorage.clear());
+
+  const report = (id) => ({
+    ...buildReport(
+      [measureString(STANDARD_TUNING[0], 164.82, detune(164.82, -4)), measureString(STANDARD_TUNING[1], null, null)],
+      { tuningName: "Standard", referencePitch: 440, scaleLength: "25.5" },
+    ),
+    id,
+  });
+
+  test("saves newest first and deletes by id", () => {
+    saveReport(report("a"));
+    saveReport(report("b"));
+    expect(loadReports().map((r) => r.id)).toEqual(["b", "a"]);
+    expect(deleteReport("b").map((r) => r.id)).toEqual(["a"]);
+    expect(loadReports().map((r) => r.id)).toEqual(["a"]);
+  });
+
+  test("tolerates corrupt storage", () => {
+    localStorage.setItem("fretforge_intonation", "{nope");
+    expect(loadReports()).toEqual([]);
+  });
+
+  test("formats as plain text", () => {
+    const text = formatReport(report("a"));
+    expect(text).toContain("Standard tuning · A4 = 440 Hz · 25.5″ scale");
+    expect(text).toContain("String 6 (E3): harmonic 164.82 Hz, fretted 164.44 Hz, -4.0 cents — Flat — move saddle forward");
+    expect(text).toContain("String 5 (A3): not measured");
+  });
+});
+
+// ─── useIntonation ───────────────────────────────────────────
+describe("useIntonation", () => {
+  const tuning = STANDARD_TUNING.slice(0, 2); // low E and A keep it short
+
+  beforeEach(() => localStorage.clear());
+
+  function setup() {
+    const hook = renderHook(({ freq }) => useIntonation(freq, { tuning, tuningName: "Standard" }), {
+      initialProps: { freq: null },
+    });
+    // A ringing note: tiny changes so every frame is a new value
+    const play = (freq, frames = CAPTURE_FRAMES) => {
+      for (let i = 0; i < frames; i++) hook.rerender({ freq: freq * (1 + (i % 2) * 1e-6) });
+    };
+    const mute = () => hook.rerender({ freq: null });
+    return { ...hook, play, mute };
+  }
+
+  test("captures the harmonic then the fretted note on each string", () => {
+    const { result, play, mute } = setup();
+    act(() => result.current.start());
+    expect(result.current.check).toMatchObject({ status: "running", stringIndex: 0, phase: "harmonic", waiting: false });
+
+    play(164.82);
+    expect(result.current.check).toMatchObject({ phase: "fretted", waiting: true });
+    play(164.82); // still ringing — not the fretted note yet
+    expect(result.current.check.phase).toBe("fretted");
+    mute();
+    play(detune(164.82, 7));
+
+    expect(result.current.check).toMatchObject({ stringIndex: 1, phase: "harmonic" });
+    expect(result.current.results[0].cents).toBeCloseTo(7, 0);
+    expect(result.current.results[0].advice.direction).toBe("back");
+
+    mute();
+    play(220);
+    mute();
+    play(detune(220, -1));
+    expect(result.current.check.status).toBe("done");
+    expect(result.current.results[1].advice.direction).toBeNull();
+  });
+
+  test("ignores notes that aren't the string's octave", () => {
+    const { result, play } = setup();
+    act(() => result.current.start());
+    play(110); // the open A, not the low E's 12th
+    expect(result.current.check.phase).toBe("harmonic");
+    expect(result.current.check.progress).toBe(0);
+  });
+
+  test("skips and redoes strings", () => {
+    const { result, play, mute } = setup();
+    act(() => result.current.start());
+    play(164.82);
+    act(() => result.current.redo());
+    expect(result.current.check).toMatchObject({ stringIndex: 0, phase: "harmonic" });
+
+    act(() => result.current.skip());
+    expect(result.current.check.stringIndex).toBe(1);
+    mute();
+    play(220);
+    mute();
+    play(220);
+    expect(result.current.check.status).toBe("done");
+    expect(result.current.results[0].cents).toBeNull();
+    expect(result.current.results[1].cents).toBe(0);
+  });
+
+  test("saves the finished check once", () => {
+    const { result, play, mute } = setup();
+    act(() => result.current.start());
+    act(() => result.current.skip());
+    mute();
+    play(220);
+    mute();
+    play(detune(220, 3));
+
+    act(() => { result.current.saveReport(); });
+    expect(result.current.saved).toBe(true);
+    act(() => { result.current.saveReport(); });
+    expect(result.current.reports).toHaveLength(1);
+    expect(loadReports()[0]).toMatchObject({ tuningName: "Standard", scaleLength: "25.5" });
+
+    act(() => result.current.deleteReport(result.current.reports[0].id));
+    expect(result.current.reports).toEqual([]);
+  });
+});
@@ -0,0 +1,230 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Latency Tests
+//  Synthetic loopback recordings (clicks delayed by a known round
+//  trip over room noise) through the click detector, the latency
+//  math and storage, the latency worklet and useLatency
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, vi, beforeAll, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import {
+  createClickDetector,
+  measureLatency,
+  loadLatency,
+  saveLatency,
+  clearLatency,
+  LATENCY_CLICK_COUNT,
+} from "../utils/latency";
+import { useLatency } from "../hooks/useLatency";
+
+const SAMPLE_RATE = 44100;
+
+// Room noise with a decaying 2 kHz click at each time in `clicks`
+function record(seconds, clicks, { amp = 0.3, noise = 0.004 } = {}) {
+  const out = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  let seed = 7;
+  for (let i = 0; i < out.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    out[i] = noise * (seed / 2147483647 - 0.5);
+  }
+  for (const at of clicks) {
+    const start = Math.round(at * SAMPLE_RATE);
+    for (let i = start; i < Math.min(out.length, start + 0.02 * SAMPLE_RATE); i++) {
+      const t = (i - start) / SAMPLE_RATE;
+      out[i] += amp * Math.exp(-t * 300) * Math.cos(2 * Math.PI * 2000 * t);
+    }
+  }
+  return out;
+}
+
+// Feed a recording in render quanta, as the audio thread would
+function detectAll(signal, startTime = 0) {
+  const detector = createClickDetector({ sampleRate: SAMPLE_RATE });
+  const times = [];
+  for (let i = 0; i < signal.length; i += 128) {
+    times.push(...detector.process(signal.subarray(i, i + 128), startTime + i / SAMPLE_RATE));
+  }
+  return times;
+}
+
+const CLICKS = Array.from({ length: LATENCY_CLICK_COUNT }, (_, i) => 0.3 + i * 0.6);
+
+// ─── Click detection ─────────────────────────────────────────
+describe("createClickDetector", () => {
+  test("finds each click to the sample, once", () => {
+    const heard = CLICKS.map((t) => t + 0.0734);
+    const times = detectAll(record(5.5, heard), 10);
+    expect(times).toHaveLength(heard.length);
+    times.forEach((time, i) => expect(time - 10).toBeCloseTo(heard[i], 4));
+  });
+
+  test("ignores room noise", () => {
+    expect(detectAll(record(2, []))).toEqual([]);
+  });
+});
+
+// ─── Latency from click times ────────────────────────────────
+describe("measureLatency", () => {
+  test("recovers the round trip from a loopback recording", () => {
+    const heard = CLICKS.map((t) => t + 0.0734);
+    const result = measureLatency(CLICKS, detectAll(record(5.5, heard)));
+    expect(result.latencyMs).toBeCloseTo(73.4, 0);
+    expect(result.jitterMs).toBeLessThan(1);
+    expect(result.heard).toBe(CLICKS.length);
+  });
+
+  test("takes the median past stray detections and missed clicks", () => {
+    const clicks = [1, 2, 3, 4];
+    const detected = [1.05, 1.3, 2.051, 3.049]; // 1.3 is a stray; click 4 never came back
+    const result = measureLatency(clicks, detected);
+    expect(result.latencyMs).toBe(50);
+    expect(result.heard).toBe(3);
+  });
+
+  test("throws when too few clicks are heard", () => {
+    expect(() => measureLatency([1, 2, 3, 4], [1.05])).toThrow(/Couldn't hear the clicks/);
+  });
+
+  test("throws when the delays disagree", () => {
+    expect(() => measureLatency([1, 2, 3, 4], [1.02, 2.1, 3.2, 4.3])).toThrow(/unevenly/);
+  });
+});
+
+// ─── Storage ─────────────────────────────────────────────────
+describe("latency storage", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("saves, loads and clears per device", () => {
+    const saved = saveLatency("usb-mic", { latencyMs: 42.5, jitterMs: 0.4, heard: 8 });
+    expect(saved.measuredAt).toBeTruthy();
+    expect(loadLatency("usb-mic")).toEqual(saved);
+    expect(loadLatency("default")).toBeNull();
+
+    clearLatency("usb-mic");
+    expect(loadLatency("usb-mic")).toBeNull();
+  });
+
+  test("ignores corrupt storage", () => {
+    localStorage.setItem("fretforge_latency", "{nope");
+    expect(loadLatency("default")).toBeNull();
+  });
+});
+
+// ─── Worklet ─────────────────────────────────────────────────
+describe("latency-processor worklet", () => {
+  let Processor;
+
+  beforeAll(async () => {
+    vi.stubGlobal("sampleRate", SAMPLE_RATE);
+    vi.stubGlobal("currentTime", 0);
+    vi.stubGlobal("AudioWorkletProcessor", class {
+      constructor() { this.port = { postMessage: vi.fn(), onmessage: null }; }
+    });
+    vi.stubGlobal("registerProcessor", (name, cls) => { if (name === "latency-processor") Processor = cls; });
+    await import("../worklets/latencyProcessor.js");
+  });
+
+  afterEach(() => vi.unstubAllGlobals());
+
+  test("posts click times on the AudioContext clock", () => {
+    const processor = new Processor({});
+    const signal = record(1, [0.5]);
+    for (let i = 0; i + 128 <= signal.length; i += 128) {
+      vi.stubGlobal("currentTime", 20 + i / SAMPLE_RATE);
+      processor.process([[signal.subarray(i, i + 128)]]);
+    }
+    expect(processor.port.postMessage).toHaveBeenCalledTimes(1);
+    expect(processor.port.postMessage.mock.calls[0][0].time).toBeCloseTo(20.5, 4);
+  });
+});
+
+// ─── useLatency ──────────────────────────────────────────────
+describe("useLatency", () => {
+  let nodes;
+  let context;
+  let analyser;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    nodes = [];
+    vi.stubGlobal("AudioWorkletNode", class {
+      constructor(ctx, name) {
+        this.name = name;
+        this.port = { postMessage: vi.fn(), onmessage: null };
+        nodes.push(this);
+      }
+    });
+    const startedAt = Date.now();
+    context = {
+      sampleRate: SAMPLE_RATE,
+      audioWorklet: { addModule: vi.fn(() => Promise.resolve()) },
+      get currentTime() { return (Date.now() - startedAt) / 1000; },
+      destination: {},
+      clicks: [],
+      createOscillator() {
+        const osc = { frequency: {}, connect: () => {}, stop: vi.fn() };
+        osc.start = (time) => context.clicks.push(time);
+        return osc;
+      },
+      createGain() {
+        return { connect: () => {}, gain: { setValueAtTime: () => {}, exponentialRampToValueAtTime: () => {} } };
+      },
+    };
+    analyser = { connect: vi.fn(), disconnect: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  test("plays clicks, times their return and stores the round trip", async () => {
+    const { result } = renderHook(() => useLatency({ current: context }, { current: analyser }, "usb-mic"));
+    expect(result.current.latency).toBeNull();
+
+    act(() => result.current.measure());
+    expect(result.current.measurement.status).toBe("measuring");
+    await act(async () => {}); // the worklet module loads
+    expect(nodes[0].name).toBe("latency-processor");
+    expect(analyser.connect).toHaveBeenCalledWith(nodes[0]);
+    expect(context.clicks).toHaveLength(LATENCY_CLICK_COUNT);
+
+    // Every click comes back 61ms later
+    context.clicks.forEach((time) => nodes[0].port.onmessage({ data: { time: time + 0.061 } }));
+    act(() => vi.advanceTimersByTime(6000));
+
+    expect(result.current.measurement.status).toBe("done");
+    expect(result.current.latency.latencyMs).toBe(61);
+    expect(result.current.latencySeconds).toBeCloseTo(0.061, 6);
+    expect(loadLatency("usb-mic").latencyMs).toBe(61);
+    expect(analyser.disconnect).toHaveBeenCalledWith(nodes[0]);
+  });
+
+  test("reports an error when nothing comes back", async () => {
+    const { result } = renderHook(() => useLatency({ current: context }, { current: analyser }, "usb-mic"));
+    act(() => result.current.measure());
+    await act(async () => {});
+    act(() => vi.advanceTimersByTime(6000));
+
+    expect(result.current.measurement.status).toBe("error");
+    expect(result.current.measurement.error).toMatch(/Couldn't hear the clicks/);
+    expect(result.current.latency).toBeNull();
+  });
+
+  test("loads each device's measurement and resets it", () => {
+    saveLatency("usb-mic", { latencyMs: 30, jitterMs: 0.2, heard: 8 });
+    const { result, rerender } = renderHook(
+      ({ device }) => useLatency({ current: context }, { current: analyser }, device),
+      { initialProps: { device: "default" } },
+    );
+    expect(result.current.latencySeconds).toBe(0);
+
+    rerender({ device: "usb-mic" });
+    expect(result.current.latency.latencyMs).toBe(30);
+
+    act(() => result.current.reset());
+    expect(result.current.latency).toBeNull();
+    expect(loadLatency("usb-mic")).toBeNull();
+  });
+});
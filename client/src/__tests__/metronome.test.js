@@ -0,0 +1,374 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Metronome Tests
+//  Measure layouts for simple, compound and odd meters, accent
+//  patterns and click timbres, the speed trainer ramp, and
+//  useMetronome scheduling them on a fake AudioContext clock
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import { METERS } from "../data/meters";
+import {
+  buildMeasure,
+  clickSound,
+  defaultAccents,
+  nextAccent,
+  subdivisionsFor,
+  tickSeconds,
+  tempoNote,
+  nextRampTempo,
+  CLICK_SOUNDS,
+} from "../utils/meter";
+import { useMetronome } from "../hooks/useMetronome";
+
+const offsets = (measure) => measure.clicks.map((c) => Math.round(c.at * 1000) / 1000);
+
+describe("buildMeasure", () => {
+  test("4/4 has four beats, one tick each", () => {
+    const measure = buildMeasure("4/4");
+    expect(measure.ticks).toBe(4);
+    expect(measure.clicks).toEqual([0, 1, 2, 3].map((beat) => ({ at: beat, beat, isBeat: true })));
+  });
+
+  test("subdivides simple meters into eighths, triplets and sixteenths", () => {
+    expect(offsets(buildMeasure("2/4", "eighths"))).toEqual([0, 0.5, 1, 1.5]);
+    expect(offsets(buildMeasure("2/4", "triplets"))).toEqual([0, 0.333, 0.667, 1, 1.333, 1.667]);
+    expect(buildMeasure("4/4", "sixteenths").clicks).toHaveLength(16);
+    expect(buildMeasure("4/4", "sixteenths").clicks.filter((c) => c.isBeat)).toHaveLength(4);
+  });
+
+  test("shuffle leaves out the middle triplet", () => {
+    expect(offsets(buildMeasure("2/4", "shuffle"))).toEqual([0, 0.667, 1, 1.667]);
+  });
+
+  test("compound meters group eighths in threes", () => {
+    const measure = buildMeasure("6/8", "eighths");
+    expect(measure.ticks).toBe(6);
+    expect(measure.clicks.filter((c) => c.isBeat).map((c) => c.at)).toEqual([0, 3]);
+    expect(measure.clicks.map((c) => c.beat)).toEqual([0, 0, 0, 1, 1, 1]);
+    expect(buildMeasure("12/8").clicks).toHaveLength(4);
+  });
+
+  test("odd meters follow their grouping", () => {
+    expect(buildMeasure("7/8").clicks.map((c) => c.at)).toEqual([0, 2, 4]);
+    expect(buildMeasure("7/8_322").clicks.map((c) => c.at)).toEqual([0, 3, 5]);
+    expect(buildMeasure("7/8", "eighths").clicks.map((c) => c.beat)).toEqual([0, 0, 1, 1, 2, 2, 2]);
+  });
+});
+
+describe("subdivisions and tempo", () => {
+  test("triplets and the shuffle only fit quarter-note meters", () => {
+    expect(subdivisionsFor("4/4")).toEqual(["none", "eighths", "triplets", "shuffle", "sixteenths"]);
+    expect(subdivisionsFor("6/8")).toEqual(["none", "eighths", "sixteenths"]);
+    expect(subdivisionsFor("7/8")).toEqual(["none", "eighths", "sixteenths"]);
+  });
+
+  test("BPM counts quarters, or dotted quarters in compound meters", () => {
+    expect(tickSeconds("4/4", 120)).toBeCloseTo(0.5);
+    expect(tickSeconds("6/8", 60)).toBeCloseTo(1 / 3); // ♩. = 60 → three eighths a second
+    expect(tickSeconds("7/8", 120)).toBeCloseTo(0.25); // ♩ = 120 → eighth = 250ms
+    expect(tempoNote("4/4")).toBe("♩");
+    expect(tempoNote("12/8")).toBe("♩.");
+    expect(tempoNote("7/8")).toBe("♩");
+  });
+
+  test("every meter's groups fill its bar", () => {
+    for (const [id, meter] of Object.entries(METERS)) {
+      const [top] = id.split("/").map(Number);
+      expect(meter.groups.reduce((a, b) => a + b, 0)).toBe(top);
+    }
+  });
+});
+
+describe("accents and timbres", () => {
+  test("the downbeat is accented by default", () => {
+    expect(defaultAccents("7/8")).toEqual(["accent", "normal", "normal"]);
+  });
+
+  test("accent levels cycle accent → normal → mute", () => {
+    expect(nextAccent("accent")).toBe("normal");
+    expect(nextAccent("normal")).toBe("mute");
+    expect(nextAccent("mute")).toBe("accent");
+  });
+
+  test("accents, beats and subdivisions each have their own sound", () => {
+    const accents = ["accent", "normal", "mute"];
+    expect(clickSound({ beat: 0, isBeat: true }, accents)).toBe(CLICK_SOUNDS.accent);
+    expect(clickSound({ beat: 1, isBeat: true }, accents)).toBe(CLICK_SOUNDS.beat);
+    expect(clickSound({ beat: 1, isBeat: false }, accents)).toBe(CLICK_SOUNDS.subdivision);
+    const waves = new Set(Object.values(CLICK_SOUNDS).map((s) => `${s.wave}@${s.freq}`));
+    expect(waves.size).toBe(3);
+  });
+
+  test("a muted beat silences its subdivisions too", () => {
+    const accents = ["accent", "mute"];
+    expect(clickSound({ beat: 1, isBeat: true }, accents)).toBeNull();
+    expect(clickSound({ beat: 1, isBeat: false }, accents)).toBeNull();
+  });
+});
+
+describe("nextRampTempo", () => {
+  const ramp = { startBpm: 60, stepBpm: 5, everyBars: 2, targetBpm: 70, dropBpm: 10 };
+
+  test("steps up every few bars until the target", () => {
+    let state = { bpm: 60, barsAtTempo: 0 };
+    const tempos = [];
+    for (let bar = 0; bar < 8; bar++) {
+      state = nextRampTempo(ramp, state.bpm, state.barsAtTempo);
+      tempos.push(state.bpm);
+    }
+    expect(tempos).toEqual([60, 65, 65, 70, 70, 70, 70, 70]);
+  });
+
+  test("never overshoots the target", () => {
+    expect(nextRampTempo({ ...ramp, stepBpm: 8 }, 66, 1).bpm).toBe(70);
+  });
+
+  test("drops back after a mistake, not below the start", () => {
+    expect(nextRampTempo(ramp, 70, 1, { mistake: true })).toEqual({ bpm: 60, barsAtTempo: 0 });
+    expect(nextRampTempo({ ...ramp, dropBpm: 5 }, 70, 1, { mistake: true }).bpm).toBe(65);
+    // Drop-back off: a mistake is just another bar
+    expect(nextRampTempo({ ...ramp, dropBpm: 0 }, 65, 1, { mistake: true }).bpm).toBe(70);
+  });
+});
+
+describe("useMetronome", () => {
+  let clicks;
+  let contexts;
+  const originalAudioContext = globalThis.AudioContext;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    clicks = [];
+    contexts = 0;
+    // currentTime follows the fake clock
+    globalThis.AudioContext = class {
+      constructor() {
+        this.startedAt = Date.now();
+        contexts++;
+      }
+      get currentTime() { return (Date.now() - this.startedAt) / 1000; }
+      get destination() { return {}; }
+      createOscillator() {
+        const osc = { type: "sine", frequency: {}, connect: () => {}, stop: () => {} };
+        osc.start = (time) => clicks.push({ time, wave: osc.type, freq: osc.frequency.value });
+        return osc;
+      }
+      createGain() {
+        return { connect: () => {}, gain: { setValueAtTime: () => {}, exponentialRampToValueAtTime: () => {} } };
+      }
+      close() { return Promise.resolve(); }
+    };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    globalThis.AudioContext = originalAudioContext;
+  });
+
+  test("schedules 6/8 with eighth subdivisions and reports only beats", () => {
+    const onBeat = vi.fn();
+    const { result } = renderHook(() => useMetronome({ onBeat }));
+    act(() => {
+      result.current.setBpm(60); // ♩. = 60 → eighths every 333ms
+      result.current.setMeter("6/8");
+      result.current.setSubdivision("eighths");
+    });
+    expect(result.current.beatsPerMeasure).toBe(2);
+
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(2200));
+
+    const first = clicks.slice(0, 7);
+    const gaps = first.slice(1).map((c, i) => c.time - first[i].time);
+    for (const gap of gaps) expect(gap).toBeCloseTo(1 / 3, 5);
+    expect(first.map((c) => c.freq)).toEqual([
+      CLICK_SOUNDS.accent.freq, CLICK_SOUNDS.subdivision.freq, CLICK_SOUNDS.subdivision.freq,
+      CLICK_SOUNDS.beat.freq, CLICK_SOUNDS.subdivision.freq, CLICK_SOUNDS.subdivision.freq,
+      CLICK_SOUNDS.accent.freq,
+    ]);
+    expect(onBeat.mock.calls.map(([e]) => e.beat)).toEqual([0, 1, 0]);
+    expect(onBeat.mock.calls.map(([e]) => e.count)).toEqual([0, 1, 2]);
+
+    act(() => result.current.stop());
+  });
+
+  test("spaces 7/8 (2+2+3) beats unevenly", () => {
+    const onBeat = vi.fn();
+    const { result } = renderHook(() => useMetronome({ onBeat }));
+    act(() => {
+      result.current.setBpm(120); // eighth = 250ms
+      result.current.setMeter("7/8");
+    });
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(1900));
+
+    const times = onBeat.mock.calls.map(([e]) => e.time);
+    const gaps = times.slice(1).map((t, i) => Math.round((t - times[i]) * 1000));
+    expect(gaps.slice(0, 3)).toEqual([500, 500, 750]);
+    act(() => result.current.stop());
+  });
+
+  test("muted beats stay silent but still count", () => {
+    const onBeat = vi.fn();
+    const { result } = renderHook(() => useMetronome({ onBeat }));
+    act(() => {
+      result.current.setBpm(120);
+      result.current.setMeter("2/4");
+      result.current.cycleAccent(1); // normal → mute
+    });
+    expect(result.current.accents).toEqual(["accent", "mute"]);
+
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(1050));
+    expect(onBeat).toHaveBeenCalledTimes(2);
+    expect(clicks.map((c) => c.freq)).toEqual([CLICK_SOUNDS.accent.freq, CLICK_SOUNDS.accent.freq]);
+    act(() => result.current.stop());
+  });
+
+  test("changing meter resets accents and drops a subdivision that doesn't fit", () => {
+    const { result } = renderHook(() => useMetronome());
+    act(() => result.current.setSubdivision("triplets"));
+    expect(result.current.subdivision).toBe("triplets");
+
+    act(() => result.current.setMeter("12/8"));
+    expect(result.current.subdivision).toBe("none");
+    expect(result.current.accents).toEqual(["accent", "normal", "normal", "normal"]);
+
+    act(() => result.current.setSubdivision("triplets"));
+    expect(result.current.subdivision).toBe("none");
+  });
+
+  const beatGaps = (onBeat) => {
+    const times = onBeat.mock.calls.map(([e]) => e.time);
+    return times.slice(1).map((t, i) => Math.round((t - times[i]) * 1000));
+  };
+
+  test("a tempo change while playing lands on the next beat without a restart", () => {
+    const onBeat = vi.fn();
+    const { result } = renderHook(() => useMetronome({ onBeat }));
+    act(() => {
+      result.current.setBpm(120);
+      result.current.setMeter("4/4");
+    });
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(300)); // Between the first two beats
+    act(() => result.current.setBpm(60));
+    act(() => vi.advanceTimersByTime(3500));
+
+    expect(contexts).toBe(1);
+    expect(onBeat.mock.calls.map(([e]) => e.count)).toEqual([0, 1, 2, 3, 4]);
+    expect(onBeat.mock.calls.map(([e]) => e.beat)).toEqual([0, 1, 2, 3, 0]);
+    expect(beatGaps(onBeat)).toEqual([500, 1000, 1000, 1000]);
+    act(() => result.current.stop());
+  });
+
+  test("a meter change while playing starts a new bar on the next beat", () => {
+    const onBeat = vi.fn();
+    const { result } = renderHook(() => useMetronome({ onBeat }));
+    act(() => result.current.setBpm(120));
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(800)); // Between beats 2 and 3 of a 4/4 bar
+    act(() => result.current.setMeter("3/4"));
+    act(() => vi.advanceTimersByTime(2000));
+
+    expect(contexts).toBe(1);
+    const calls = onBeat.mock.calls.map(([e]) => e);
+    expect(calls.map((e) => e.beat)).toEqual([0, 1, 0, 1, 2, 0]);
+    expect(calls.map((e) => e.bar)).toEqual([0, 0, 1, 1, 1, 2]);
+    expect(beatGaps(onBeat)).toEqual([500, 500, 500, 500, 500]);
+    act(() => result.current.stop());
+  });
+
+  test("a subdivision change is heard from the next beat", () => {
+    const { result } = renderHook(() => useMetronome());
+    act(() => {
+      result.current.setBpm(60);
+      result.current.setMeter("2/4");
+    });
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(300));
+    act(() => result.current.setSubdivision("eighths"));
+    act(() => vi.advanceTimersByTime(1900));
+
+    const times = clicks.map((c) => Math.round((c.time - clicks[0].time) * 1000));
+    expect(times).toEqual([0, 1000, 1500, 2000]);
+    act(() => result.current.stop());
+  });
+
+  test("clicks on a shared AudioContext and leaves it open on stop", () => {
+    const shared = new AudioContext();
+    shared.close = vi.fn();
+    const getAudioContext = vi.fn(() => shared);
+    const stopped = [];
+    const createOscillator = shared.createOscillator.bind(shared);
+    shared.createOscillator = () => {
+      const osc = createOscillator();
+      osc.stop = (time) => stopped.push(time);
+      return osc;
+    };
+
+    const { result } = renderHook(() => useMetronome({ getAudioContext }));
+    act(() => result.current.start());
+    expect(getAudioContext).toHaveBeenCalled();
+    expect(result.current.audioContext.current).toBe(shared);
+    expect(contexts).toBe(1); // Only the shared one
+    act(() => vi.advanceTimersByTime(30)); // The first click is scheduled, not yet played
+
+    act(() => result.current.stop());
+    expect(shared.close).not.toHaveBeenCalled();
+    // The scheduled click is cancelled outright
+    expect(stopped).toContain(undefined);
+  });
+
+  test("sounds clicks ahead by the latency while beat times stay on the grid", () => {
+    const onBeat = vi.fn();
+    const { result } = renderHook(() => useMetronome({ onBeat, latency: 0.08 }));
+    act(() => result.current.setBpm(60));
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(2500));
+
+    const beatTimes = onBeat.mock.calls.map(([e]) => e.time);
+    expect(beatTimes.length).toBeGreaterThanOrEqual(2);
+    beatTimes.forEach((time, i) => expect(clicks[i].time).toBeCloseTo(time - 0.08, 5));
+    // The first click still waits the usual moment after start()
+    expect(clicks[0].time).toBeCloseTo(0.1, 2);
+    act(() => result.current.stop());
+  });
+
+  test("the speed trainer ramps up bar by bar and backs off after a mistake", () => {
+    const onBeat = vi.fn();
+    const { result } = renderHook(() => useMetronome({ onBeat }));
+    act(() => {
+      result.current.setMeter("2/4");
+      result.current.setRamp({ startBpm: 60, stepBpm: 30, everyBars: 1, targetBpm: 120, dropBpm: 30 });
+    });
+    expect(result.current.bpm).toBe(60);
+
+    act(() => result.current.start());
+    // Bars at 60, 90, 120 BPM: 2s + 1.33s + 1s
+    act(() => vi.advanceTimersByTime(4400));
+    const tempos = onBeat.mock.calls.map(([e]) => e.bpm);
+    expect(tempos.slice(0, 6)).toEqual([60, 60, 90, 90, 120, 120]);
+    expect(beatGaps(onBeat).slice(0, 5)).toEqual([1000, 1000, 667, 667, 500]);
+    expect(result.current.bpm).toBe(120);
+
+    act(() => result.current.reportMistake());
+    act(() => vi.advanceTimersByTime(3000));
+    expect(onBeat.mock.calls.map(([e]) => e.bpm)).toContain(90);
+    expect(contexts).toBe(1);
+    act(() => result.current.stop());
+  });
+
+  test("a ramp restarts from its start tempo", () => {
+    const { result } = renderHook(() => useMetronome());
+    act(() => result.current.setRamp({ startBpm: 50, stepBpm: 10, everyBars: 1, targetBpm: 100, dropBpm: 0 }));
+    act(() => result.current.start());
+    act(() => vi.advanceTimersByTime(12000));
+    expect(result.current.bpm).toBeGreaterThan(50);
+    act(() => result.current.stop());
+    act(() => result.current.start());
+    expect(result.current.bpm).toBe(50);
+    act(() => result.current.stop());
+  });
+});
@@ -0,0 +1,179 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Onset Detection Tests
+//  Synthesized plucks and strums (staggered strings, decaying
+//  harmonics, a little room noise) through the spectral-flux
+//  detector, the onset worklet and useOnsets
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, vi, beforeAll, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { detectOnsets, spectralFlux, classifyOnset } from "../utils/onsetDetection";
+import { useOnsets } from "../hooks/useOnsets";
+
+const SAMPLE_RATE = 44100;
+
+// E major, low to high
+const E_MAJOR = [82.41, 123.47, 164.81, 207.65, 246.94, 329.63];
+
+// Notes are { freq, at (s), amp } — eight decaying harmonics each
+function render(seconds, notes) {
+  const out = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  let seed = 3;
+  for (let i = 0; i < out.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    out[i] = 0.002 * (seed / 2147483647 - 0.5);
+  }
+  for (const { freq, at, amp = 0.2 } of notes) {
+    const start = Math.round(at * SAMPLE_RATE);
+    for (let i = start; i < out.length; i++) {
+      const t = (i - start) / SAMPLE_RATE;
+      let v = 0;
+      for (let n = 1; n <= 8; n++) v += (1 / n) * Math.exp(-t * 2 * n) * Math.sin(2 * Math.PI * freq * n * t);
+      out[i] += amp * v * Math.min(1, t / 0.002);
+    }
+  }
+  return out;
+}
+
+// Down-strum: strings 6 → 1, `spread` seconds apart
+const strum = (at, { spread = 0.008, amp = 0.1 } = {}) =>
+  E_MAJOR.map((freq, i) => ({ freq, at: at + i * spread, amp }));
+
+// ─── Flux ────────────────────────────────────────────────────
+describe("spectralFlux", () => {
+  test("counts rises only", () => {
+    const before = Float32Array.from([0, 1, 0, 1, 0, 1, 0]);
+    const after = Float32Array.from([0, 3, 0, 0.5, 0, 2, 0]);
+    const { flux, risingPeaks } = spectralFlux(before, after);
+    expect(flux).toBeCloseTo(3, 6); // +2 at bin 1, +1 at bin 5; bin 3 fell
+    expect(risingPeaks).toBe(2);
+  });
+
+  test("classifies by how many peaks rose", () => {
+    expect(classifyOnset(8)).toBe("pluck");
+    expect(classifyOnset(60)).toBe("strum");
+  });
+});
+
+// ─── detectOnsets ────────────────────────────────────────────
+describe("detectOnsets", () => {
+  test("times single plucks and calls them plucks", () => {
+    const events = detectOnsets(render(1.5, [{ freq: 82.41, at: 0.3 }, { freq: 329.63, at: 0.9, amp: 0.1 }]), SAMPLE_RATE);
+    expect(events.map((e) => e.type)).toEqual(["pluck", "pluck"]);
+    expect(events[0].time).toBeCloseTo(0.3, 1);
+    expect(Math.abs(events[0].time - 0.3)).toBeLessThan(0.012);
+    expect(Math.abs(events[1].time - 0.9)).toBeLessThan(0.012);
+  });
+
+  test("reports a strum once, at its first string", () => {
+    const events = detectOnsets(render(1, strum(0.3)), SAMPLE_RATE);
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe("strum");
+    expect(Math.abs(events[0].time - 0.3)).toBeLessThan(0.012);
+  });
+
+  test("tells repeated strums of the same chord apart", () => {
+    const beats = [0.3, 0.55, 0.8, 1.05, 1.3];
+    const events = detectOnsets(render(2, beats.flatMap((at) => strum(at, { spread: 0.006, amp: 0.08 }))), SAMPLE_RATE);
+    expect(events).toHaveLength(beats.length);
+    events.forEach((event, i) => {
+      expect(event.type).toBe("strum");
+      expect(Math.abs(event.time - beats[i])).toBeLessThan(0.025);
+    });
+  });
+
+  test("rates a soft pluck weaker than a hard one", () => {
+    const [soft] = detectOnsets(render(1, [{ freq: 110, at: 0.3, amp: 0.01 }]), SAMPLE_RATE);
+    const [hard] = detectOnsets(render(1, [{ freq: 110, at: 0.3, amp: 0.3 }]), SAMPLE_RATE);
+    expect(soft.strength).toBeGreaterThan(0);
+    expect(soft.strength).toBeLessThan(hard.strength);
+  });
+
+  test("stays quiet on room noise", () => {
+    expect(detectOnsets(render(1.5, []), SAMPLE_RATE)).toEqual([]);
+  });
+
+  test("sensitivity and minRms filter out soft attacks", () => {
+    const soft = render(1, [{ freq: 110, at: 0.3, amp: 0.01 }]);
+    expect(detectOnsets(soft, SAMPLE_RATE, { sensitivity: 0.3 })).toEqual([]);
+    expect(detectOnsets(soft, SAMPLE_RATE, { minRms: 0.05 })).toEqual([]);
+  });
+});
+
+// ─── Worklet processor ───────────────────────────────────────
+describe("onset-processor worklet", () => {
+  let Processor;
+
+  beforeAll(async () => {
+    vi.stubGlobal("sampleRate", SAMPLE_RATE);
+    vi.stubGlobal("currentTime", 0);
+    vi.stubGlobal("AudioWorkletProcessor", class {
+      constructor() { this.port = { postMessage: vi.fn(), onmessage: null }; }
+    });
+    vi.stubGlobal("registerProcessor", (name, cls) => { if (name === "onset-processor") Processor = cls; });
+    await import("../worklets/onsetProcessor.js");
+  });
+
+  // Render quanta with the context clock starting at `startTime`
+  function feed(processor, signal, startTime) {
+    for (let i = 0; i + 128 <= signal.length; i += 128) {
+      vi.stubGlobal("currentTime", startTime + i / SAMPLE_RATE);
+      processor.process([[signal.subarray(i, i + 128)]]);
+    }
+  }
+
+  test("posts strums stamped on the AudioContext clock", () => {
+    const processor = new Processor({});
+    feed(processor, render(1, strum(0.4)), 12.5);
+
+    expect(processor.port.postMessage).toHaveBeenCalledTimes(1);
+    const event = processor.port.postMessage.mock.calls[0][0];
+    expect(event.type).toBe("strum");
+    expect(Math.abs(event.time - 12.9)).toBeLessThan(0.012);
+  });
+
+  test("takes new options from the port", () => {
+    const processor = new Processor({});
+    processor.port.onmessage({ data: { minRms: 0.5 } });
+    feed(processor, render(1, strum(0.4)), 0);
+    expect(processor.port.postMessage).not.toHaveBeenCalled();
+  });
+});
+
+// ─── useOnsets ───────────────────────────────────────────────
+describe("useOnsets", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  test("collects worklet events and forwards them to onOnset", async () => {
+    const nodes = [];
+    vi.stubGlobal("AudioWorkletNode", class {
+      constructor(context, name, options) {
+        this.name = name;
+        this.options = options;
+        this.port = { postMessage: vi.fn(), onmessage: null };
+        nodes.push(this);
+      }
+    });
+    const context = { sampleRate: SAMPLE_RATE, audioWorklet: { addModule: vi.fn(() => Promise.resolve()) } };
+    const analyser = { connect: vi.fn(), disconnect: vi.fn() };
+    const onOnset = vi.fn();
+
+    const { result } = renderHook(() =>
+      useOnsets({ current: context }, { current: analyser }, { sensitivity: 1.5, onOnset })
+    );
+    act(() => result.current.start());
+    await waitFor(() => expect(nodes).toHaveLength(1));
+
+    expect(nodes[0].name).toBe("onset-processor");
+    expect(nodes[0].options.processorOptions.sensitivity).toBe(1.5);
+    expect(analyser.connect).toHaveBeenCalledWith(nodes[0]);
+
+    const strumEvent = { type: "strum", time: 3.217, strength: 0.8 };
+    act(() => nodes[0].port.onmessage({ data: strumEvent }));
+    expect(result.current.lastOnset).toEqual(strumEvent);
+    expect(onOnset).toHaveBeenCalledWith(strumEvent);
+
+    act(() => result.current.stop());
+    expect(analyser.disconnect).toHaveBeenCalledWith(nodes[0]);
+  });
+});
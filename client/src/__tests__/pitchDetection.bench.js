@@ -0,0 +1,30 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Pitch Detection Benchmarks
+//  Per-frame cost of the FFT correlation against the direct
+//  nested loop it replaced, on a 2048-sample window (what usePitch
+//  feeds the worklet). Run with `npm run bench`
+// ═══════════════════════════════════════════════════════════════
+
+import { bench, describe } from "vitest";
+import { detectPitch, PITCH_METHODS } from "../utils/pitchDetection";
+
+const SAMPLE_RATE = 44100;
+const WINDOW_SIZE = 2048;
+
+// Low E with a few harmonics — the widest lag range we search
+const frame = Float32Array.from({ length: WINDOW_SIZE }, (_, i) => {
+  const t = i / SAMPLE_RATE;
+  return 0.3 * (Math.sin(2 * Math.PI * 82.41 * t)
+    + 0.5 * Math.sin(2 * Math.PI * 164.82 * t)
+    + 0.33 * Math.sin(2 * Math.PI * 247.23 * t));
+});
+
+describe.each(PITCH_METHODS)("detectPitch %s, one 2048-sample frame", (method) => {
+  bench("FFT correlation", () => {
+    detectPitch(frame, SAMPLE_RATE, { method });
+  });
+
+  bench("direct correlation", () => {
+    detectPitch(frame, SAMPLE_RATE, { method, useFft: false });
+  });
+});
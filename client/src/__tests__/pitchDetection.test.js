@@ -0,0 +1,268 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Pitch Detection Unit Tests
+//  Feeds synthesized guitar-like signals (harmonics, inharmonic
+//  partials, decay) to the MPM and YIN detectors and to the
+//  AudioWorklet processor that wraps them
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, vi, beforeAll } from "vitest";
+import {
+  detectPitch,
+  computeRms,
+  nsdf,
+  nsdfDirect,
+  autocorrelation,
+  cumulativeMeanNormalizedDifference,
+  cumulativeMeanNormalizedDifferenceDirect,
+  findKeyMaxima,
+  correctOctave,
+  PITCH_METHODS,
+} from "../utils/pitchDetection";
+
+const SAMPLE_RATE = 44100;
+
+// A sine, optionally with a few harmonics like a plucked string
+function tone(freq, { length = 2048, amplitude = 0.5, harmonics = [] } = {}) {
+  const buffer = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const t = i / SAMPLE_RATE;
+    let v = Math.sin(2 * Math.PI * freq * t);
+    harmonics.forEach((h, k) => { v += h * Math.sin(2 * Math.PI * freq * (k + 2) * t); });
+    buffer[i] = amplitude * v;
+  }
+  return buffer;
+}
+
+// Guitar-like pluck: partial n sits at n·f·√(1 + B·n²) (string
+// stiffness makes the overtones run sharp) and dies away faster
+// the higher it is
+function pluck(freq, {
+  partials = [1, 0.5, 0.33, 0.25],
+  inharmonicity = 0,
+  decay = 0,
+  length = 2048,
+} = {}) {
+  const buffer = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const t = i / SAMPLE_RATE;
+    let v = 0;
+    partials.forEach((amp, k) => {
+      const n = k + 1;
+      const partialFreq = n * freq * Math.sqrt(1 + inharmonicity * n * n);
+      v += amp * Math.exp(-decay * n * t) * Math.sin(2 * Math.PI * partialFreq * t);
+    });
+    buffer[i] = 0.3 * v;
+  }
+  return buffer;
+}
+
+const cents = (a, b) => 1200 * Math.log2(a / b);
+
+// Open strings in standard tuning, plus a 12th-fret high E and C6
+const GUITAR_NOTES = [82.41, 110, 146.83, 196, 246.94, 329.63, 659.25, 1046.5];
+
+// ─── computeRms ──────────────────────────────────────────────
+describe("computeRms", () => {
+  test("is zero for silence and ~0.707 × amplitude for a sine", () => {
+    expect(computeRms(new Float32Array(1024))).toBe(0);
+    expect(computeRms(tone(110, { amplitude: 1 }))).toBeCloseTo(Math.SQRT1_2, 1);
+  });
+});
+
+// ─── Curves and peak picking ─────────────────────────────────
+describe("nsdf", () => {
+  test("is 1 at lag 0 and peaks again at the period", () => {
+    const curve = nsdf(tone(441), 250);
+    expect(curve[0]).toBeCloseTo(1, 5);
+    expect(curve[100]).toBeGreaterThan(0.95); // 44100 / 441 = 100 samples
+    expect(curve[50]).toBeLessThan(-0.95);
+  });
+});
+
+// The FFT curves must agree with the nested loops they replaced
+describe("FFT correlation", () => {
+  const signal = pluck(110, { partials: [0.4, 1, 0.6, 0.3], inharmonicity: 0.0002, decay: 3 });
+
+  test("autocorrelation matches the direct sum", () => {
+    const acf = autocorrelation(signal, 40);
+    for (const lag of [0, 1, 17, 40]) {
+      let sum = 0;
+      for (let i = 0; i < signal.length - lag; i++) sum += signal[i] * signal[i + lag];
+      expect(acf[lag]).toBeCloseTo(sum, 6);
+    }
+  });
+
+  test("nsdf matches nsdfDirect", () => {
+    const fast = nsdf(signal, 631);
+    const direct = nsdfDirect(signal, 631);
+    fast.forEach((v, lag) => expect(v).toBeCloseTo(direct[lag], 4));
+  });
+
+  test("YIN's difference curve matches the direct version", () => {
+    const fast = cumulativeMeanNormalizedDifference(signal, 631);
+    const direct = cumulativeMeanNormalizedDifferenceDirect(signal, 631);
+    fast.forEach((v, lag) => expect(v).toBeCloseTo(direct[lag], 3));
+  });
+});
+
+describe("findKeyMaxima", () => {
+  test("takes one maximum per positive lobe after the lag-0 lobe", () => {
+    const curve = Float32Array.from([1, 0.5, -0.2, 0.3, 0.6, 0.4, -0.1, 0.2, 0.9, 0.1]);
+    expect(findKeyMaxima(curve)).toEqual([4, 8]);
+  });
+
+  test("skips maxima below the minimum lag", () => {
+    const curve = Float32Array.from([1, 0.5, -0.2, 0.3, 0.6, 0.4, -0.1, 0.2, 0.9, 0.1]);
+    expect(findKeyMaxima(curve, 5)).toEqual([8]);
+  });
+});
+
+describe("correctOctave", () => {
+  test("drops an octave when double the period scores clearly higher", () => {
+    const curve = new Float32Array(120);
+    curve[50] = 0.85;
+    curve[100] = 0.98;
+    expect(correctOctave(curve, 50)).toBe(100);
+  });
+
+  test("rises an octave when half the period scores about as well", () => {
+    const curve = new Float32Array(120);
+    curve[50] = 0.95;
+    curve[100] = 0.96;
+    expect(correctOctave(curve, 100)).toBe(50);
+  });
+
+  test("leaves a clear pick alone", () => {
+    const curve = new Float32Array(220);
+    curve[50] = 0.4;
+    curve[100] = 0.97;
+    curve[200] = 0.95;
+    expect(correctOctave(curve, 100)).toBe(100);
+  });
+});
+
+// ─── detectPitch ─────────────────────────────────────────────
+describe.each(PITCH_METHODS)("detectPitch (%s)", (method) => {
+  const detect = (buffer) => detectPitch(buffer, SAMPLE_RATE, { method });
+
+  test.each(GUITAR_NOTES)("finds a %d Hz sine within 5 cents", (freq) => {
+    const result = detect(tone(freq));
+    expect(Math.abs(cents(result.freq, freq))).toBeLessThan(5);
+    expect(result.clarity).toBeGreaterThan(0.9);
+  });
+
+  test.each(GUITAR_NOTES)("finds a %d Hz harmonic-rich pluck", (freq) => {
+    const result = detect(pluck(freq));
+    expect(Math.abs(cents(result.freq, freq))).toBeLessThan(5);
+  });
+
+  // The low strings' fundamentals are weak next to their second
+  // harmonic — the classic octave-up misread
+  test.each([82.41, 110])("keeps the %d Hz string in its octave with a weak fundamental", (freq) => {
+    const result = detect(pluck(freq, { partials: [0.15, 1, 0.8, 0.5, 0.3, 0.2] }));
+    expect(Math.abs(cents(result.freq, freq))).toBeLessThan(5);
+  });
+
+  test.each([82.41, 110, 196])("tolerates inharmonic partials and decay at %d Hz", (freq) => {
+    const result = detect(pluck(freq, {
+      partials: [1, 0.7, 0.5, 0.4, 0.3, 0.2],
+      inharmonicity: 0.0004,
+      decay: 4,
+    }));
+    expect(Math.abs(cents(result.freq, freq))).toBeLessThan(10);
+    expect(result.clarity).toBeGreaterThan(0.85);
+  });
+
+  test("reports no pitch for silence", () => {
+    expect(detect(new Float32Array(2048))).toEqual({ freq: null, clarity: 0, rms: 0 });
+  });
+
+  test("gives white noise a low clarity", () => {
+    let seed = 1;
+    const noise = Float32Array.from({ length: 2048 }, () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647 - 0.5;
+    });
+    expect(detect(noise).clarity).toBeLessThan(0.5);
+  });
+});
+
+describe("detectPitch options", () => {
+  test("defaults to MPM", () => {
+    const buffer = pluck(146.83);
+    expect(detectPitch(buffer, SAMPLE_RATE)).toEqual(detectPitch(buffer, SAMPLE_RATE, { method: "mpm" }));
+  });
+
+  test.each(PITCH_METHODS)("%s gives the same pitch with or without the FFT", (method) => {
+    const buffer = pluck(82.41, { partials: [0.3, 1, 0.6, 0.4, 0.2], decay: 2 });
+    const fast = detectPitch(buffer, SAMPLE_RATE, { method });
+    const direct = detectPitch(buffer, SAMPLE_RATE, { method, useFft: false });
+    expect(fast.freq).toBeCloseTo(direct.freq, 2);
+    expect(fast.clarity).toBeCloseTo(direct.clarity, 3);
+  });
+
+  test("rejects an unknown method", () => {
+    expect(() => detectPitch(tone(110), SAMPLE_RATE, { method: "fft" })).toThrow("Unknown pitch method: fft");
+  });
+
+  test("ignores pitches outside the requested range", () => {
+    expect(detectPitch(tone(110), SAMPLE_RATE, { minFreq: 200 }).freq).toBeNull();
+  });
+});
+
+// ─── Worklet processor ───────────────────────────────────────
+describe("pitch-processor worklet", () => {
+  let Processor;
+
+  beforeAll(async () => {
+    // Minimal AudioWorkletGlobalScope
+    vi.stubGlobal("sampleRate", SAMPLE_RATE);
+    vi.stubGlobal("AudioWorkletProcessor", class {
+      constructor() { this.port = { postMessage: vi.fn(), onmessage: null }; }
+    });
+    vi.stubGlobal("registerProcessor", (name, cls) => { Processor = cls; });
+    await import("../worklets/pitchProcessor.js");
+  });
+
+  // Push a signal through process() in 128-sample render quanta
+  function feed(processor, signal) {
+    for (let i = 0; i + 128 <= signal.length; i += 128) {
+      processor.process([[signal.subarray(i, i + 128)]]);
+    }
+  }
+
+  test("registers under the name usePitch asks for", () => {
+    expect(Processor).toBeTypeOf("function");
+  });
+
+  test("posts { freq, clarity, rms } once per hop after the window fills", () => {
+    const processor = new Processor({ processorOptions: { bufferSize: 2048, hopSize: 1024 } });
+    feed(processor, tone(110, { length: 4096 }));
+
+    // Window full at 2048, then again at 3072 and 4096
+    expect(processor.port.postMessage).toHaveBeenCalledTimes(3);
+    const result = processor.port.postMessage.mock.calls[2][0];
+    expect(Math.abs(cents(result.freq, 110))).toBeLessThan(5);
+    expect(result.clarity).toBeGreaterThan(0.9);
+    expect(result.rms).toBeGreaterThan(0.3);
+  });
+
+  test("skips detection below the noise gate", () => {
+    const processor = new Processor({ processorOptions: { bufferSize: 2048, hopSize: 1024, minRms: 0.5 } });
+    feed(processor, tone(110, { length: 2048, amplitude: 0.1 }));
+    expect(processor.port.postMessage).toHaveBeenCalledWith(expect.objectContaining({ freq: null, clarity: 0 }));
+  });
+
+  test("uses the detector named in processorOptions", () => {
+    const processor = new Processor({ processorOptions: { method: "yin" } });
+    expect(processor.method).toBe("yin");
+    feed(processor, pluck(82.41, { length: 2048 }));
+    const result = processor.port.postMessage.mock.calls[0][0];
+    expect(Math.abs(cents(result.freq, 82.41))).toBeLessThan(5);
+  });
+
+  test("keeps running without input", () => {
+    const processor = new Processor({});
+    expect(processor.process([[]])).toBe(true);
+  });
+});
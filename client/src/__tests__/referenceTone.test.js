@@ -0,0 +1,174 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Reference Tone Tests
+//  The Karplus–Strong pluck's decay, how startTone schedules each
+//  timbre, and useReferenceTone's one-note-at-a-time playback
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import { renderPluck, pluckDecay, startTone } from "../utils/synth";
+import { computeRms } from "../utils/pitchDetection";
+import { useReferenceTone } from "../hooks/useReferenceTone";
+
+const SAMPLE_RATE = 44100;
+
+// Records what a tone schedules on its nodes
+function fakeContext() {
+  const param = () => ({
+    value: 1,
+    setValueAtTime: vi.fn(),
+    exponentialRampToValueAtTime: vi.fn(),
+    cancelScheduledValues: vi.fn(),
+    setTargetAtTime: vi.fn(),
+  });
+  const ctx = {
+    currentTime: 2,
+    sampleRate: SAMPLE_RATE,
+    state: "running",
+    destination: {},
+    sources: [],
+    gains: [],
+    createGain: () => {
+      const gain = { gain: param(), connect: vi.fn() };
+      ctx.gains.push(gain);
+      return gain;
+    },
+    createOscillator: () => {
+      const osc = { frequency: {}, connect: vi.fn(), start: vi.fn(), stop: vi.fn() };
+      ctx.sources.push(osc);
+      return osc;
+    },
+    createBuffer: (channels, length, rate) => {
+      const data = new Float32Array(length);
+      return { length, sampleRate: rate, getChannelData: () => data };
+    },
+    createBufferSource: () => {
+      const source = { connect: vi.fn(), start: vi.fn(), stop: vi.fn() };
+      ctx.sources.push(source);
+      return source;
+    },
+    resume: vi.fn(),
+    close: vi.fn(() => Promise.resolve()),
+  };
+  return ctx;
+}
+
+// ─── Pluck ───────────────────────────────────────────────────
+describe("renderPluck", () => {
+  test("fades by about 60dB over the sustain pluckDecay is given", () => {
+    const freq = 110;
+    const samples = renderPluck(freq, { duration: 2.1, decay: pluckDecay(freq, 2) });
+    const level = (at) => computeRms(samples.subarray(Math.round(at * SAMPLE_RATE), Math.round((at + 0.05) * SAMPLE_RATE)));
+    const dropDb = 20 * Math.log10(level(0.05) / level(2));
+    // The loop's averaging damps it a little further still
+    expect(dropDb).toBeGreaterThan(55);
+    expect(dropDb).toBeLessThan(75);
+  });
+
+  test("is repeatable for a seed", () => {
+    expect(renderPluck(196, { duration: 0.1, seed: 3 })).toEqual(renderPluck(196, { duration: 0.1, seed: 3 }));
+  });
+});
+
+// ─── startTone ───────────────────────────────────────────────
+describe("startTone", () => {
+  test("holds a sine for the sustain, then stops it", () => {
+    const ctx = fakeContext();
+    const master = {};
+    startTone(ctx, master, 440, { timbre: "sine", sustain: 4 });
+
+    const [osc] = ctx.sources;
+    expect(osc.type).toBe("sine");
+    expect(osc.frequency.value).toBe(440);
+    expect(osc.start).toHaveBeenCalledWith(2);
+    expect(osc.stop).toHaveBeenCalledWith(6);
+    expect(ctx.gains[0].connect).toHaveBeenCalledWith(master);
+  });
+
+  test("renders a pluck into a buffer and loops it to hold", () => {
+    const ctx = fakeContext();
+    startTone(ctx, {}, 82.41, { timbre: "pluck", sustain: Infinity });
+
+    const [source] = ctx.sources;
+    expect(source.loop).toBe(true);
+    expect(source.buffer.getChannelData(0).some((v) => v !== 0)).toBe(true);
+    expect(source.stop).not.toHaveBeenCalled();
+  });
+
+  test("stop() fades out and ends the note", () => {
+    const ctx = fakeContext();
+    const tone = startTone(ctx, {}, 440, { timbre: "sine", sustain: Infinity });
+    ctx.currentTime = 3;
+    tone.stop();
+    expect(ctx.gains[0].gain.setTargetAtTime).toHaveBeenCalledWith(0, 3, expect.any(Number));
+    expect(ctx.sources[0].stop).toHaveBeenCalledWith(expect.closeTo(3.04, 5));
+  });
+});
+
+// ─── useReferenceTone ────────────────────────────────────────
+describe("useReferenceTone", () => {
+  let contexts;
+  const originalAudioContext = globalThis.AudioContext;
+
+  beforeEach(() => {
+    contexts = [];
+    globalThis.AudioContext = function AudioContext() {
+      const ctx = fakeContext();
+      contexts.push(ctx);
+      return ctx;
+    };
+  });
+
+  afterEach(() => {
+    globalThis.AudioContext = originalAudioContext;
+  });
+
+  test("plays one note at a time on one context", () => {
+    const { result } = renderHook(() => useReferenceTone());
+    act(() => result.current.play(110, "string-5"));
+    expect(result.current.playing).toEqual({ id: "string-5", freq: 110 });
+
+    act(() => result.current.play(146.83, "string-4"));
+    expect(contexts).toHaveLength(1);
+    expect(contexts[0].sources[0].stop).toHaveBeenCalled(); // the A was cut off
+    expect(result.current.playing.id).toBe("string-4");
+  });
+
+  test("toggles the same note off", () => {
+    const { result } = renderHook(() => useReferenceTone());
+    act(() => result.current.toggle(110, "string-5"));
+    act(() => result.current.toggle(110, "string-5"));
+    expect(result.current.playing).toBeNull();
+  });
+
+  test("clears the note when it dies away", async () => {
+    const { result } = renderHook(() => useReferenceTone());
+    act(() => result.current.play(110, "string-5"));
+    await act(async () => contexts[0].sources[0].onended());
+    expect(result.current.playing).toBeNull();
+  });
+
+  test("uses the chosen timbre and sustain, and changes volume live", () => {
+    const { result } = renderHook(() => useReferenceTone());
+    act(() => {
+      result.current.setTimbre("sine");
+      result.current.setSustain(8);
+    });
+    act(() => result.current.play(440, "chromatic"));
+    const [master, envelope] = contexts[0].gains;
+    expect(master.gain.value).toBe(0.6);
+    expect(contexts[0].sources[0].type).toBe("sine");
+    expect(contexts[0].sources[0].stop).toHaveBeenCalledWith(10);
+    expect(envelope.connect).toHaveBeenCalledWith(master);
+
+    act(() => result.current.setVolume(0.2));
+    expect(master.gain.value).toBe(0.2);
+  });
+
+  test("closes its context on unmount", () => {
+    const { result, unmount } = renderHook(() => useReferenceTone());
+    act(() => result.current.play(110));
+    unmount();
+    expect(contexts[0].close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Rhythm Scoring Tests
+//  Matching strums to the beat grid, tightness and the deviation
+//  histogram, including strums found by the onset detector
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import {
+  matchOnsetsToBeats,
+  tightnessScore,
+  deviationHistogram,
+  summarizeRhythm,
+} from "../utils/rhythm";
+import { detectOnsets } from "../utils/onsetDetection";
+
+// 100 BPM: a beat every 0.6s
+const grid = (count, start = 1) => Array.from({ length: count }, (_, i) => start + i * 0.6);
+
+describe("matchOnsetsToBeats", () => {
+  test("measures each strum against its nearest beat, + = late", () => {
+    const { beats, extras } = matchOnsetsToBeats(grid(3), [1.012, 1.585, 2.2]);
+    expect(beats.map((b) => Math.round(b.deviation))).toEqual([12, -15, 0]);
+    expect(extras).toBe(0);
+  });
+
+  test("leaves a beat with no strum as missed", () => {
+    const { beats } = matchOnsetsToBeats(grid(3), [1.01, 2.19]);
+    expect(beats[1].deviation).toBeNull();
+    expect(Math.round(beats[2].deviation)).toBe(-10);
+  });
+
+  test("keeps the closest of two strums on one beat and counts the other as extra", () => {
+    const { beats, extras } = matchOnsetsToBeats(grid(2), [1.04, 1.005]);
+    expect(Math.round(beats[0].deviation)).toBe(5);
+    expect(beats[1].deviation).toBeNull();
+    expect(extras).toBe(1);
+  });
+
+  test("ignores strums more than half a beat outside the grid", () => {
+    // A strum during the count-in, and one long after the last beat
+    const { beats, extras } = matchOnsetsToBeats(grid(2), [0.3, 1.0, 1.6, 2.3]);
+    expect(beats.map((b) => b.deviation)).toEqual([0, 0]);
+    expect(extras).toBe(0);
+  });
+
+  test("handles an empty grid", () => {
+    expect(matchOnsetsToBeats([], [1])).toEqual({ beats: [], extras: 0 });
+  });
+});
+
+describe("tightnessScore", () => {
+  test("is 100 on the grid and falls with the RMS deviation", () => {
+    expect(tightnessScore([0, 0, 0])).toBe(100);
+    expect(tightnessScore([10, -10])).toBe(82);
+    expect(tightnessScore([50, -50])).toBe(37);
+    expect(tightnessScore([])).toBeNull();
+  });
+
+  test("a steady lag costs as much as scattered timing", () => {
+    expect(tightnessScore([20, 20, 20])).toBe(tightnessScore([20, -20, 20]));
+  });
+});
+
+describe("deviationHistogram", () => {
+  test("bins 10ms wide across ±100ms", () => {
+    const bins = deviationHistogram([-3, 4, 9, 15, -55]);
+    expect(bins).toHaveLength(20);
+    expect(bins[0]).toEqual({ from: -100, to: -90, count: 0 });
+    expect(bins.find((b) => b.from === -10).count).toBe(1);
+    expect(bins.find((b) => b.from === 0).count).toBe(2);
+    expect(bins.find((b) => b.from === 10).count).toBe(1);
+    expect(bins.find((b) => b.from === -60).count).toBe(1);
+  });
+
+  test("puts outliers in the end bins", () => {
+    const bins = deviationHistogram([-250, 100, 180], { binMs: 25, rangeMs: 100 });
+    expect(bins).toHaveLength(8);
+    expect(bins[0].count).toBe(1);
+    expect(bins[7].count).toBe(2);
+  });
+});
+
+describe("summarizeRhythm", () => {
+  test("reports hits, misses, extras, mean and spread", () => {
+    const summary = summarizeRhythm(grid(4), [1.02, 1.61, 1.64, 2.83]);
+    expect(summary.hits).toBe(3);
+    expect(summary.misses).toBe(1);
+    expect(summary.extras).toBe(1);
+    // +20, +10 (the +40 is the extra), +30
+    expect(summary.meanMs).toBe(20);
+    expect(summary.spreadMs).toBe(8);
+    expect(summary.tightness).toBe(tightnessScore([20, 10, 30]));
+    expect(summary.histogram.reduce((n, b) => n + b.count, 0)).toBe(3);
+  });
+
+  test("has no numbers before the first strum", () => {
+    const summary = summarizeRhythm(grid(2), []);
+    expect(summary).toMatchObject({ hits: 0, misses: 2, meanMs: null, spreadMs: null, tightness: null });
+  });
+
+  test("scores strums found by the onset detector", () => {
+    const SAMPLE_RATE = 44100;
+    const beats = grid(4, 0.5);
+    // Strums 15ms late on every beat: six strings 8ms apart
+    const late = 0.015;
+    const samples = new Float32Array(Math.round(3 * SAMPLE_RATE));
+    const strings = [82.41, 123.47, 164.81, 207.65, 246.94, 329.63];
+    for (const beat of beats) {
+      strings.forEach((freq, s) => {
+        const start = Math.round((beat + late + s * 0.008) * SAMPLE_RATE);
+        for (let i = start; i < samples.length; i++) {
+          const t = (i - start) / SAMPLE_RATE;
+          let v = 0;
+          for (let n = 1; n <= 8; n++) v += (1 / n) * Math.exp(-t * 2 * n) * Math.sin(2 * Math.PI * freq * n * t);
+          samples[i] += 0.1 * v * Math.min(1, t / 0.002);
+        }
+      });
+    }
+
+    const onsets = detectOnsets(samples, SAMPLE_RATE).map((e) => e.time);
+    const summary = summarizeRhythm(beats, onsets);
+    expect(summary.hits).toBe(4);
+    expect(summary.extras).toBe(0);
+    for (const beat of summary.beats) {
+      expect(beat.deviation).toBeGreaterThan(-10);
+      expect(beat.deviation).toBeLessThan(45);
+    }
+  });
+});
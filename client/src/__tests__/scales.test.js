@@ -0,0 +1,85 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Scale Data & Fretboard Utility Tests
+//  Validates the scale library against the fretboard note math:
+//  every position must be a scale degree, every root the key
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import { SCALE_LIBRARY, SCALE_TIERS } from "../data/scales";
+import { fretNote, intervalLabel, scaleSequence } from "../utils/fretboard";
+
+const scaleEntries = Object.entries(SCALE_LIBRARY);
+
+// ─── fretNote ────────────────────────────────────────────────
+describe("fretNote", () => {
+  test("open low E is E2", () => {
+    const n = fretNote(6, 0);
+    expect(n.note).toBe("E");
+    expect(n.octave).toBe(2);
+  });
+
+  test("5th fret on the low E is A2 (110 Hz)", () => {
+    const n = fretNote(6, 5);
+    expect(n.note).toBe("A");
+    expect(n.octave).toBe(2);
+    expect(n.freq).toBeCloseTo(110, 0);
+  });
+
+  test("12th fret is one octave above open", () => {
+    expect(fretNote(1, 12).midi - fretNote(1, 0).midi).toBe(12);
+  });
+
+  test("returns null for unknown strings or muted frets", () => {
+    expect(fretNote(7, 0)).toBeNull();
+    expect(fretNote(1, -1)).toBeNull();
+  });
+});
+
+// ─── intervalLabel ───────────────────────────────────────────
+describe("intervalLabel", () => {
+  test("labels the minor third of A as b3", () => {
+    expect(intervalLabel("C", "A", ["1", "b3", "4", "5", "b7"])).toBe("b3");
+  });
+
+  test("returns null for notes outside the scale", () => {
+    expect(intervalLabel("C#", "A", ["1", "b3", "4", "5", "b7"])).toBeNull();
+  });
+});
+
+// ─── scaleSequence ───────────────────────────────────────────
+describe("scaleSequence", () => {
+  test("ascending order rises in pitch", () => {
+    const seq = scaleSequence(SCALE_LIBRARY.am_pentatonic_box1, "ascending");
+    for (let i = 1; i < seq.length; i++) {
+      expect(seq[i].midi).toBeGreaterThan(seq[i - 1].midi);
+    }
+  });
+
+  test("descending is the ascending sequence reversed", () => {
+    const scale = SCALE_LIBRARY.c_major_open;
+    const up = scaleSequence(scale, "ascending").map((p) => p.midi);
+    const down = scaleSequence(scale, "descending").map((p) => p.midi);
+    expect(down).toEqual([...up].reverse());
+  });
+});
+
+// ─── SCALE_LIBRARY structural integrity ──────────────────────
+describe("SCALE_LIBRARY", () => {
+  test.each(scaleEntries)("%s belongs to a known tier", (key, scale) => {
+    expect(SCALE_TIERS[scale.tier]).toBeDefined();
+  });
+
+  test.each(scaleEntries)("%s positions are all scale degrees", (key, scale) => {
+    scale.positions.forEach(([string, fret]) => {
+      const { note } = fretNote(string, fret);
+      expect(intervalLabel(note, scale.key, scale.intervals)).not.toBeNull();
+    });
+  });
+
+  test.each(scaleEntries)("%s roots are positions that sound the key", (key, scale) => {
+    scale.roots.forEach(([string, fret]) => {
+      expect(scale.positions).toContainEqual([string, fret]);
+      expect(fretNote(string, fret).note).toBe(scale.key);
+    });
+  });
+});
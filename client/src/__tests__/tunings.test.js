@@ -0,0 +1,105 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Tuning Unit Tests
+//  Tests the tuning registry, custom tuning parsing, and how
+//  chord notes and scale positions follow a retuned guitar
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import { STANDARD_TUNING, CHORD_LIBRARY } from "../data/chords";
+import { SCALE_LIBRARY } from "../data/scales";
+import { TUNINGS, buildTuning, parseTuning } from "../data/tunings";
+import { fretNote, retuneChord, retuneScale, scaleSequence } from "../utils/fretboard";
+
+// ─── Registry ────────────────────────────────────────────────
+describe("TUNINGS", () => {
+  test("every tuning has six strings from 6 down to 1", () => {
+    for (const t of Object.values(TUNINGS)) {
+      expect(t.strings.map((s) => s.string)).toEqual([6, 5, 4, 3, 2, 1]);
+    }
+  });
+
+  test("standard is the STANDARD_TUNING reference", () => {
+    expect(TUNINGS.standard.strings).toBe(STANDARD_TUNING);
+  });
+
+  test("buildTuning reproduces standard frequencies", () => {
+    const built = buildTuning(["E2", "A2", "D3", "G3", "B3", "E4"]);
+    built.forEach((s, i) => {
+      expect(s.note).toBe(STANDARD_TUNING[i].note);
+      expect(s.freq).toBeCloseTo(STANDARD_TUNING[i].freq, 1);
+      expect(s.name).toBe(STANDARD_TUNING[i].name);
+    });
+  });
+
+  test("Drop D only changes the 6th string", () => {
+    const drop = TUNINGS.drop_d.strings;
+    expect(drop[0]).toMatchObject({ note: "D", name: "Low D" });
+    expect(drop[0].freq).toBeCloseTo(73.42, 1);
+    expect(drop.slice(1).map((s) => s.freq)).toEqual(STANDARD_TUNING.slice(1).map((s) => s.freq));
+  });
+
+  test("Eb standard sits a semitone under standard", () => {
+    TUNINGS.eb_standard.strings.forEach((s, i) => {
+      expect(1200 * Math.log2(STANDARD_TUNING[i].freq / s.freq)).toBeCloseTo(100, 0);
+    });
+  });
+});
+
+// ─── Custom tunings ──────────────────────────────────────────
+describe("parseTuning", () => {
+  test("infers octaves from the nearest standard string", () => {
+    const t = parseTuning("C G C F A D");
+    expect(t.map((s) => `${s.note}${s.octave}`)).toEqual(["C2", "G2", "C3", "F3", "A3", "D4"]);
+  });
+
+  test("accepts explicit octaves and flats", () => {
+    const t = parseTuning("Db2, Ab2, Db3, Gb3, Bb3, Eb4");
+    expect(t[0]).toMatchObject({ note: "C#", octave: 2, name: "Low Db" });
+  });
+
+  test("rejects the wrong number of strings or unknown notes", () => {
+    expect(() => parseTuning("D A D G")).toThrow("six notes");
+    expect(() => parseTuning("D A D G H E")).toThrow("Unknown note: H");
+  });
+});
+
+// ─── Chords in another tuning ────────────────────────────────
+describe("retuneChord", () => {
+  test("keeps the shape and re-spells the notes", () => {
+    const e = retuneChord(CHORD_LIBRARY.E, TUNINGS.drop_d.strings);
+    expect(e.strings).toEqual(CHORD_LIBRARY.E.strings);
+    expect(e.notes).toEqual(["D", "B", "E", "G#", "B", "E"]);
+  });
+
+  test("returns the library chord untouched in standard tuning", () => {
+    expect(retuneChord(CHORD_LIBRARY.G)).toBe(CHORD_LIBRARY.G);
+  });
+});
+
+// ─── Scales in another tuning ────────────────────────────────
+describe("retuneScale", () => {
+  test("keeps every pitch of the scale", () => {
+    for (const key of Object.keys(TUNINGS)) {
+      const tuning = TUNINGS[key].strings;
+      const scale = SCALE_LIBRARY.em_pentatonic_open;
+      const moved = retuneScale(scale, tuning);
+      const before = scale.positions.map(([s, f]) => fretNote(s, f).note).sort();
+      const after = moved.positions.map(([s, f]) => fretNote(s, f, tuning).note).sort();
+      expect(after).toEqual(before);
+      expect(moved.positions.every(([, f]) => f >= 0)).toBe(true);
+    }
+  });
+
+  test("Drop D moves 6th-string notes up two frets", () => {
+    const moved = retuneScale(SCALE_LIBRARY.em_pentatonic_open, TUNINGS.drop_d.strings);
+    expect(moved.roots).toContainEqual([6, 2]);
+    const seq = scaleSequence(moved, "ascending", TUNINGS.drop_d.strings);
+    expect(seq[0]).toMatchObject({ string: 6, fret: 2, note: "E", interval: "1" });
+  });
+
+  test("moves notes behind the nut up an octave", () => {
+    const sharpE = parseTuning("F A# D# G# C F");
+    const moved = retuneScale(SCALE_LIBRARY.em_pentatonic_open, sharpE);
+    expect(moved.positions).toContainEqual([6, 11]);
+  });
+});
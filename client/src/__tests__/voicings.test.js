@@ -0,0 +1,95 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Voicing Finder Unit Tests
+//  Every voicing must sound the chord with the root in the bass,
+//  fit the span and finger limits, and the ranking must put the
+//  familiar open shapes first
+// ═══════════════════════════════════════════════════════════════
+
+import { describe, test, expect } from "vitest";
+import { CHORD_LIBRARY, NOTE_NAMES } from "../data/chords";
+import { findVoicings } from "../utils/voicings";
+
+const tab = (v) => v.strings.map((f) => (f < 0 ? "x" : f)).join(" ");
+
+describe("findVoicings", () => {
+  test("returns nothing for an unknown chord", () => {
+    expect(findVoicings("Hmaj13")).toEqual([]);
+  });
+
+  test.each(["C", "Am", "F#m7", "A#dim", "Eadd9", "G5"])(
+    "every %s voicing obeys the playability rules",
+    (key) => {
+      const voicings = findVoicings(key);
+      expect(voicings.length).toBeGreaterThan(0);
+      for (const v of voicings) {
+        const fretted = v.strings.filter((f) => f > 0);
+        if (fretted.length) {
+          expect(Math.max(...fretted) - Math.min(...fretted)).toBeLessThanOrEqual(3);
+          expect(Math.max(...fretted)).toBeLessThanOrEqual(15);
+        }
+        // Four fingers, a barre counting once
+        const fingersUsed = new Set(v.fingers.filter((f) => f > 0));
+        expect(fingersUsed.size).toBeLessThanOrEqual(4);
+        expect(v.fingers.every((f) => f <= 4)).toBe(true);
+        expect(v.strings.filter((f) => f >= 0).length).toBeGreaterThanOrEqual(3);
+      }
+    }
+  );
+
+  test("the root is always the lowest note", () => {
+    for (const v of findVoicings("D")) {
+      expect(v.notes.find((n) => n !== "X")).toBe("D");
+    }
+  });
+
+  test("voicings only contain chord tones", () => {
+    for (const v of findVoicings("Em7")) {
+      v.notes.filter((n) => n !== "X").forEach((n) => expect(["E", "G", "B", "D"]).toContain(n));
+    }
+  });
+
+  test("every sounding chord tone is present", () => {
+    for (const v of findVoicings("G")) {
+      expect(new Set(v.notes.filter((n) => n !== "X"))).toEqual(new Set(["G", "B", "D"]));
+    }
+  });
+
+  test.each(["Em", "G", "C", "A", "D"])("ranks the open %s shape first", (key) => {
+    expect(tab(findVoicings(key)[0])).toBe(tab(CHORD_LIBRARY[key]));
+  });
+
+  test("finds the barre F with the index across fret 1", () => {
+    const barre = findVoicings("F").find((v) => tab(v) === "1 3 3 2 1 1");
+    expect(barre).toBeTruthy();
+    expect(barre.barreAt).toBe(1);
+    expect(barre.fingers).toEqual([1, 3, 4, 2, 1, 1]);
+  });
+
+  test("offers higher-position voicings", () => {
+    expect(findVoicings("A").some((v) => v.position >= 5)).toBe(true);
+  });
+
+  test("results are sorted by ease and honor the limit", () => {
+    const voicings = findVoicings("C", { limit: 5 });
+    expect(voicings).toHaveLength(5);
+    for (let i = 1; i < voicings.length; i++) {
+      expect(voicings[i].ease).toBeGreaterThanOrEqual(voicings[i - 1].ease);
+    }
+  });
+
+  test("a tighter span limit removes wide voicings", () => {
+    for (const v of findVoicings("C", { maxSpan: 2 })) {
+      const fretted = v.strings.filter((f) => f > 0);
+      if (fretted.length) expect(Math.max(...fretted) - Math.min(...fretted)).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test("notes follow the tuning", () => {
+    const v = findVoicings("E")[0];
+    v.strings.forEach((f, i) => {
+      if (f < 0) return;
+      const open = NOTE_NAMES.indexOf(["E", "A", "D", "G", "B", "E"][i]);
+      expect(v.notes[i]).toBe(NOTE_NAMES[(open + f) % 12]);
+    });
+  });
+});
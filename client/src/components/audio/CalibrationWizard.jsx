@@ -0,0 +1,189 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — CalibrationWizard
+//  Walks the player through useAudio's microphone calibration:
+//  stay quiet while the room is measured, then pluck a string.
+//  Stateless — the caller passes useAudio's `calibration` and
+//  `thresholds` plus its start/cancel/reset callbacks
+// ═══════════════════════════════════════════════════════════════
+
+const STEPS = {
+  noise: "Stay quiet — measuring the room's noise floor…",
+  signal: "Now pluck any open string and let it ring",
+};
+
+export default function CalibrationWizard({
+  isListening,
+  calibration,
+  thresholds,
+  onStart,
+  onCancel,
+  onReset,
+}) {
+  const { status, progress, error } = calibration;
+  const running = status === "noise" || status === "signal";
+  const isCalibrated = Boolean(thresholds.calibratedAt);
+
+  const gate = `Gate ${thresholds.volumeThreshold} dBFS · clarity ${Math.round(thresholds.clarityThreshold * 100)}%`;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <span style={styles.title}>MIC CALIBRATION</span>
+        <span style={{ ...styles.badge, color: isCalibrated ? "#00ff9f" : "#475569" }}>
+          {isCalibrated ? "calibrated for this mic" : "default"}
+        </span>
+      </div>
+
+      {running ? (
+        <>
+          <p style={styles.step}>
+            <span style={styles.stepNumber}>{status === "noise" ? 1 : 2}</span>
+            {STEPS[status]}
+          </p>
+          <div
+            style={styles.progressTrack}
+            role="progressbar"
+            aria-valuenow={Math.round(progress * 100)}
+            aria-valuemin={0}
+            aria-valuemax={100}
+          >
+            <div style={{ ...styles.progressFill, width: `${progress * 100}%` }} />
+          </div>
+          <button onClick={onCancel} style={styles.linkBtn}>Cancel</button>
+        </>
+      ) : (
+        <>
+          {status === "done" && thresholds.signalLevel != null && (
+            <p style={styles.result}>
+              Room {thresholds.noiseFloor ?? "—"} dBFS · string {thresholds.signalLevel} dBFS
+            </p>
+          )}
+          {status === "error" && <p style={styles.error}>{error}</p>}
+          <p style={styles.gate}>{gate}</p>
+          <div style={styles.actions}>
+            <button onClick={onStart} disabled={!isListening} style={styles.startBtn}>
+              {isCalibrated || status === "error" ? "Recalibrate" : "Calibrate mic"}
+            </button>
+            {isCalibrated && (
+              <button onClick={onReset} style={styles.linkBtn}>Reset to defaults</button>
+            )}
+            {!isListening && <span style={styles.hint}>Start listening first</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "10px",
+    width: "100%",
+    padding: "14px 18px",
+    background: "#111827",
+    border: "1px solid #1a233266",
+    borderRadius: "8px",
+    boxSizing: "border-box",
+  },
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  title: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  badge: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  step: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    margin: 0,
+    fontSize: "13px",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  stepNumber: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    minWidth: "22px",
+    height: "22px",
+    borderRadius: "50%",
+    background: "#ff6b2b22",
+    color: "#ff6b2b",
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "700",
+  },
+  progressTrack: {
+    height: "6px",
+    background: "#0d1220",
+    borderRadius: "3px",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    background: "linear-gradient(90deg, #ff6b2b, #ffb000)",
+    transition: "width 0.05s linear",
+  },
+  result: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+  gate: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ffb000",
+  },
+  actions: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    flexWrap: "wrap",
+  },
+  startBtn: {
+    padding: "6px 14px",
+    background: "none",
+    border: "1px solid #ff6b2b44",
+    borderRadius: "6px",
+    color: "#ff6b2b",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  linkBtn: {
+    alignSelf: "flex-start",
+    background: "none",
+    border: "none",
+    color: "#475569",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    cursor: "pointer",
+    textDecoration: "underline",
+  },
+  hint: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+  error: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ff2d6b",
+  },
+};
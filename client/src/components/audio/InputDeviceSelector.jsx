@@ -0,0 +1,58 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — InputDeviceSelector
+//  Picks the microphone or audio interface useAudio listens to.
+//  Stateless — pass useAudio's `devices`, `inputDeviceId` and
+//  `setInputDevice`. "" means the browser's default input
+// ═══════════════════════════════════════════════════════════════
+
+export default function InputDeviceSelector({ devices, value, onChange }) {
+  // A remembered device that isn't plugged in still shows, so the
+  // player can see why the default is in use
+  const missing = value && !devices.some((d) => d.deviceId === value);
+
+  return (
+    <div style={styles.row}>
+      <label style={styles.label} htmlFor="input-device-select">INPUT</label>
+      <select
+        id="input-device-select"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        style={styles.select}
+      >
+        <option value="">Default input</option>
+        {devices
+          .filter((d) => d.deviceId && d.deviceId !== "default")
+          .map((d) => (
+            <option key={d.deviceId} value={d.deviceId}>{d.label}</option>
+          ))}
+        {missing && <option value={value}>Saved input (not connected)</option>}
+      </select>
+    </div>
+  );
+}
+
+const styles = {
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+  },
+  label: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  select: {
+    maxWidth: "260px",
+    padding: "6px 10px",
+    background: "#0d1220",
+    border: "1px solid #1a233288",
+    borderRadius: "6px",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    cursor: "pointer",
+  },
+};
@@ -0,0 +1,115 @@
+import { useState, useEffect } from "react";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — InputLevelMeter
+//  Live RMS bar with a falling peak-hold marker, read from
+//  useAudio's getInputLevel(). Shows whether the guitar is
+//  reaching the mic at all and warns before the input clips
+// ═══════════════════════════════════════════════════════════════
+
+// Scale of the bar, in dBFS
+const FLOOR_DB = -60;
+// Peaks at or above this are about to clip
+const CLIP_DB = -1;
+// Peak-hold marker falls this many dB per second
+const PEAK_FALL_DB_PER_SEC = 20;
+// Meters don't need 60fps of React updates
+const UPDATE_INTERVAL_MS = 50;
+
+const SILENT = { rmsDb: -Infinity, peakDb: -Infinity };
+
+const toPercent = (db) => Math.max(0, Math.min(100, ((db - FLOOR_DB) / -FLOOR_DB) * 100));
+const formatDb = (db) => (Number.isFinite(db) && db > FLOOR_DB ? `${Math.round(db)} dB` : "—");
+
+export default function InputLevelMeter({ getInputLevel, isActive }) {
+  const [level, setLevel] = useState(SILENT);
+  const [peakHold, setPeakHold] = useState(-Infinity);
+
+  useEffect(() => {
+    if (!isActive) {
+      setLevel(SILENT);
+      setPeakHold(-Infinity);
+      return;
+    }
+
+    const timer = setInterval(() => {
+      const current = getInputLevel() || SILENT;
+      setLevel(current);
+      setPeakHold((held) => {
+        const fallen = held - (PEAK_FALL_DB_PER_SEC * UPDATE_INTERVAL_MS) / 1000;
+        return Math.max(current.peakDb, fallen);
+      });
+    }, UPDATE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isActive, getInputLevel]);
+
+  const clipping = peakHold >= CLIP_DB;
+
+  return (
+    <div style={styles.container}>
+      <span style={styles.label}>LEVEL</span>
+      <div
+        style={styles.track}
+        role="meter"
+        aria-label="Input level"
+        aria-valuemin={FLOOR_DB}
+        aria-valuemax={0}
+        aria-valuenow={Number.isFinite(level.rmsDb) ? Math.round(level.rmsDb) : FLOOR_DB}
+      >
+        <div
+          style={{
+            ...styles.fill,
+            width: `${toPercent(level.rmsDb)}%`,
+            background: clipping ? "#ff2d6b" : "linear-gradient(90deg, #00ff9f, #ffb000)",
+          }}
+        />
+        {Number.isFinite(peakHold) && (
+          <div style={{ ...styles.peak, left: `${toPercent(peakHold)}%` }} />
+        )}
+      </div>
+      <span style={{ ...styles.readout, color: clipping ? "#ff2d6b" : "#94a3b8" }}>
+        {clipping ? "CLIP" : `${formatDb(level.rmsDb)} · pk ${formatDb(peakHold)}`}
+      </span>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+  },
+  label: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  track: {
+    position: "relative",
+    width: "140px",
+    height: "8px",
+    background: "#0d1220",
+    border: "1px solid #1a233288",
+    borderRadius: "4px",
+    overflow: "hidden",
+  },
+  fill: {
+    height: "100%",
+    transition: "width 0.05s linear",
+  },
+  peak: {
+    position: "absolute",
+    top: 0,
+    width: "2px",
+    height: "100%",
+    background: "#e2e8f0",
+  },
+  readout: {
+    minWidth: "110px",
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+};
@@ -0,0 +1,366 @@
+import { SCALE_LENGTHS, INTONATION_TOLERANCE, formatReport } from "../../utils/intonation";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — IntonationCheck
+//  Walks the player through useIntonation's check: for each
+//  string, the 12th-fret harmonic and then the fretted 12th, with
+//  a table of how far each string is off and which way to move its
+//  saddle. Finished checks can be saved (kept on this device) or
+//  downloaded as text. Stateless — the caller passes the hook's
+//  state and callbacks
+// ═══════════════════════════════════════════════════════════════
+
+const PHASES = {
+  harmonic: "Touch the string right over the 12th fret and pluck the harmonic",
+  fretted: "Now fret it at the 12th and pluck it",
+};
+
+// Colors by distance from the harmonic
+const offsetColor = (cents) => {
+  if (Math.abs(cents) <= INTONATION_TOLERANCE) return "#00ff9f";
+  if (Math.abs(cents) <= 5) return "#ffb000";
+  return "#ff2d6b";
+};
+
+const formatCents = (cents) => `${cents > 0 ? "+" : ""}${cents.toFixed(1)}¢`;
+
+// Hands the report over as a .txt file
+function downloadReport(report) {
+  const blob = new Blob([formatReport(report)], { type: "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `intonation-${report.createdAt.slice(0, 10)}.txt`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function IntonationCheck({
+  isListening,
+  check,
+  results,
+  scaleLength,
+  reports,
+  saved,
+  onStart,
+  onCancel,
+  onRedo,
+  onSkip,
+  onScaleLengthChange,
+  onSave,
+  onDelete,
+}) {
+  const { status, stringIndex, string, phase, waiting, progress } = check;
+  const running = status === "running";
+  const measured = results.filter((row) => row.cents !== null);
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <span style={styles.title}>INTONATION CHECK</span>
+        {running && (
+          <span style={styles.badge}>string {stringIndex + 1} of {results.length}</span>
+        )}
+      </div>
+
+      {status === "idle" && (
+        <>
+          <p style={styles.text}>
+            Compares each string's 12th-fret harmonic with the note fretted at the
+            12th. Tune the open strings first, and put fresh strings on if you can.
+          </p>
+          <div style={styles.row}>
+            <span style={styles.label}>SCALE</span>
+            <div style={styles.tabs}>
+              {SCALE_LENGTHS.map((s) => (
+                <button
+                  key={s.key}
+                  onClick={() => onScaleLengthChange(s.key)}
+                  aria-pressed={scaleLength === s.key}
+                  style={{ ...styles.tab, ...(scaleLength === s.key ? styles.tabActive : {}) }}
+                >
+                  {s.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div style={styles.actions}>
+            <button onClick={onStart} disabled={!isListening} style={styles.startBtn}>
+              Check intonation
+            </button>
+            {!isListening && <span style={styles.hint}>The tuner has to be listening</span>}
+          </div>
+        </>
+      )}
+
+      {running && (
+        <>
+          <p style={styles.step}>
+            <span style={styles.stepNumber}>{string.string}</span>
+            {waiting
+              ? "Mute the strings…"
+              : `${results[stringIndex].note}: ${PHASES[phase]}`}
+          </p>
+          <div
+            style={styles.progressTrack}
+            role="progressbar"
+            aria-valuenow={Math.round(progress * 100)}
+            aria-valuemin={0}
+            aria-valuemax={100}
+          >
+            <div style={{ ...styles.progressFill, width: `${progress * 100}%` }} />
+          </div>
+          <div style={styles.actions}>
+            <button onClick={onRedo} style={styles.linkBtn}>Redo string</button>
+            <button onClick={onSkip} style={styles.linkBtn}>Skip string</button>
+            <button onClick={onCancel} style={styles.linkBtn}>Cancel</button>
+          </div>
+        </>
+      )}
+
+      {/* Results so far */}
+      {status !== "idle" && measured.length > 0 && (
+        <table style={styles.table}>
+          <tbody>
+            {results.map((row) => (
+              <tr key={row.string}>
+                <td style={styles.cellString}>{row.string} · {row.note}</td>
+                {row.cents === null ? (
+                  <td style={styles.cellMuted} colSpan={2}>—</td>
+                ) : (
+                  <>
+                    <td style={{ ...styles.cellCents, color: offsetColor(row.cents) }}>
+                      {formatCents(row.cents)}
+                    </td>
+                    <td style={styles.cellAdvice}>{row.advice.text}</td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {status === "done" && (
+        <div style={styles.actions}>
+          <button onClick={() => onSave()} disabled={saved || measured.length === 0} style={styles.startBtn}>
+            {saved ? "Saved" : "Save report"}
+          </button>
+          <button onClick={onStart} disabled={!isListening} style={styles.linkBtn}>Check again</button>
+          <button onClick={onCancel} style={styles.linkBtn}>Close</button>
+        </div>
+      )}
+
+      {/* Saved reports */}
+      {reports.length > 0 && (
+        <div style={styles.reports}>
+          <span style={styles.label}>SAVED REPORTS</span>
+          {reports.map((report) => {
+            const worst = report.strings
+              .filter((row) => row.cents !== null)
+              .reduce((max, row) => Math.max(max, Math.abs(row.cents)), 0);
+            return (
+              <div key={report.id} style={styles.reportRow}>
+                <span style={styles.reportText}>
+                  {new Date(report.createdAt).toLocaleDateString()} · {report.tuningName} · worst ±{worst.toFixed(1)}¢
+                </span>
+                <button onClick={() => downloadReport(report)} style={styles.linkBtn}>Download</button>
+                <button
+                  onClick={() => onDelete(report.id)}
+                  aria-label={`Delete report from ${new Date(report.createdAt).toLocaleString()}`}
+                  style={styles.linkBtn}
+                >
+                  Delete
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "10px",
+    width: "100%",
+    padding: "14px 18px",
+    background: "#111827",
+    border: "1px solid #1a233266",
+    borderRadius: "8px",
+    boxSizing: "border-box",
+  },
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  title: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  badge: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ffb000",
+  },
+  text: {
+    margin: 0,
+    fontSize: "13px",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#94a3b8",
+    lineHeight: 1.5,
+  },
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    flexWrap: "wrap",
+  },
+  label: {
+    minWidth: "64px",
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  tabs: {
+    display: "flex",
+    gap: "6px",
+    flexWrap: "wrap",
+  },
+  tab: {
+    padding: "6px 12px",
+    background: "#0d1220",
+    borderWidth: "1px",
+    borderStyle: "solid",
+    borderColor: "#1a233266",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    fontWeight: "600",
+    color: "#94a3b8",
+    transition: "all 0.2s ease",
+  },
+  tabActive: {
+    background: "#ff6b2b15",
+    color: "#ff6b2b",
+    borderColor: "#ff6b2b44",
+  },
+  step: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    margin: 0,
+    fontSize: "13px",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  stepNumber: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    minWidth: "22px",
+    height: "22px",
+    borderRadius: "50%",
+    background: "#ff6b2b22",
+    color: "#ff6b2b",
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "700",
+  },
+  progressTrack: {
+    height: "6px",
+    background: "#0d1220",
+    borderRadius: "3px",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    background: "linear-gradient(90deg, #ff6b2b, #ffb000)",
+    transition: "width 0.05s linear",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+  },
+  cellString: {
+    padding: "4px 8px 4px 0",
+    color: "#94a3b8",
+    whiteSpace: "nowrap",
+  },
+  cellCents: {
+    padding: "4px 8px",
+    fontWeight: "600",
+    textAlign: "right",
+    whiteSpace: "nowrap",
+  },
+  cellAdvice: {
+    padding: "4px 0 4px 8px",
+    color: "#e2e8f0",
+  },
+  cellMuted: {
+    padding: "4px 8px",
+    color: "#475569",
+  },
+  actions: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    flexWrap: "wrap",
+  },
+  startBtn: {
+    padding: "6px 14px",
+    background: "none",
+    border: "1px solid #ff6b2b44",
+    borderRadius: "6px",
+    color: "#ff6b2b",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  linkBtn: {
+    background: "none",
+    border: "none",
+    color: "#475569",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    cursor: "pointer",
+    textDecoration: "underline",
+  },
+  hint: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+  reports: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "6px",
+    paddingTop: "10px",
+    borderTop: "1px solid #1a2332",
+  },
+  reportRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    flexWrap: "wrap",
+  },
+  reportText: {
+    flex: 1,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+};
@@ -0,0 +1,155 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — LatencyCalibration
+//  Runs useLatency's loopback test: a few clicks through the
+//  speakers, caught on the mic. The result is how far the
+//  metronome sounds ahead so strums played on the click score on
+//  time. Stateless — the caller passes useLatency's `latency` and
+//  `measurement` plus its measure/cancel/reset callbacks
+// ═══════════════════════════════════════════════════════════════
+
+export default function LatencyCalibration({
+  isListening,
+  latency,
+  measurement,
+  onMeasure,
+  onCancel,
+  onReset,
+}) {
+  const { status, progress, error } = measurement;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <span style={styles.title}>LATENCY</span>
+        <span style={{ ...styles.badge, color: latency ? "#00ff9f" : "#475569" }}>
+          {latency ? "measured for this mic" : "not measured"}
+        </span>
+      </div>
+
+      {status === "measuring" ? (
+        <>
+          <p style={styles.step}>Listening for clicks — keep the room quiet…</p>
+          <div
+            style={styles.progressTrack}
+            role="progressbar"
+            aria-valuenow={Math.round(progress * 100)}
+            aria-valuemin={0}
+            aria-valuemax={100}
+          >
+            <div style={{ ...styles.progressFill, width: `${progress * 100}%` }} />
+          </div>
+          <button onClick={onCancel} style={styles.linkBtn}>Cancel</button>
+        </>
+      ) : (
+        <>
+          {status === "error" && <p style={styles.error}>{error}</p>}
+          <p style={styles.result}>
+            {latency
+              ? `Round trip ${latency.latencyMs} ms ± ${latency.jitterMs} ms`
+              : "Timing is scored without compensation"}
+          </p>
+          <div style={styles.actions}>
+            <button onClick={onMeasure} disabled={!isListening} style={styles.startBtn}>
+              {latency || status === "error" ? "Remeasure" : "Measure latency"}
+            </button>
+            {latency && (
+              <button onClick={onReset} style={styles.linkBtn}>Reset</button>
+            )}
+            <span style={styles.hint}>Use speakers, not headphones — the mic has to hear the clicks</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "10px",
+    width: "100%",
+    padding: "14px 18px",
+    background: "#111827",
+    border: "1px solid #1a233266",
+    borderRadius: "8px",
+    boxSizing: "border-box",
+  },
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  title: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  badge: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  step: {
+    margin: 0,
+    fontSize: "13px",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  progressTrack: {
+    height: "6px",
+    background: "#0d1220",
+    borderRadius: "3px",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    background: "linear-gradient(90deg, #ff6b2b, #ffb000)",
+    transition: "width 0.05s linear",
+  },
+  result: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ffb000",
+  },
+  actions: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    flexWrap: "wrap",
+  },
+  startBtn: {
+    padding: "6px 14px",
+    background: "none",
+    border: "1px solid #ff6b2b44",
+    borderRadius: "6px",
+    color: "#ff6b2b",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  linkBtn: {
+    alignSelf: "flex-start",
+    background: "none",
+    border: "none",
+    color: "#475569",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    cursor: "pointer",
+    textDecoration: "underline",
+  },
+  hint: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+  error: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ff2d6b",
+  },
+};
@@ -0,0 +1,88 @@
+import { usePreferences } from "../../hooks/usePreferences";
+import {
+  DEFAULT_REFERENCE_PITCH,
+  MIN_REFERENCE_PITCH,
+  MAX_REFERENCE_PITCH,
+} from "../../data/chords";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — ReferencePitchControl
+//  Stepper for the A4 reference pitch (432–446Hz). Everything
+//  that names a note — tuner, string targets, chord and scale
+//  detection — follows the value saved in PreferencesProvider
+// ═══════════════════════════════════════════════════════════════
+
+export default function ReferencePitchControl() {
+  const { referencePitch, setReferencePitch } = usePreferences();
+
+  return (
+    <div style={styles.container}>
+      <span style={styles.label}>A4</span>
+      <button
+        onClick={() => setReferencePitch(referencePitch - 1)}
+        disabled={referencePitch <= MIN_REFERENCE_PITCH}
+        aria-label="Lower reference pitch"
+        style={styles.stepBtn}
+      >
+        −
+      </button>
+      <span style={styles.value}>{referencePitch} Hz</span>
+      <button
+        onClick={() => setReferencePitch(referencePitch + 1)}
+        disabled={referencePitch >= MAX_REFERENCE_PITCH}
+        aria-label="Raise reference pitch"
+        style={styles.stepBtn}
+      >
+        +
+      </button>
+      {referencePitch !== DEFAULT_REFERENCE_PITCH && (
+        <button onClick={() => setReferencePitch(DEFAULT_REFERENCE_PITCH)} style={styles.resetBtn}>
+          Reset to 440
+        </button>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+  },
+  label: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  stepBtn: {
+    width: "28px",
+    height: "28px",
+    background: "#0d1220",
+    border: "1px solid #1a233288",
+    borderRadius: "6px",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "14px",
+    cursor: "pointer",
+  },
+  value: {
+    minWidth: "64px",
+    textAlign: "center",
+    fontSize: "13px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "700",
+    color: "#ffb000",
+  },
+  resetBtn: {
+    background: "none",
+    border: "none",
+    color: "#475569",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    cursor: "pointer",
+    textDecoration: "underline",
+  },
+};
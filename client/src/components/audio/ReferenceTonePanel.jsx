@@ -0,0 +1,273 @@
+import { useState } from "react";
+import {
+  STANDARD_TUNING,
+  NOTE_NAMES,
+  DEFAULT_REFERENCE_PITCH,
+  noteFrequency,
+  frequencyToNote,
+} from "../../data/chords";
+import { spellNote } from "../../utils/chordSymbols";
+import { TONE_TIMBRES } from "../../utils/synth";
+import { SUSTAIN_OPTIONS } from "../../hooks/useReferenceTone";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — ReferenceTonePanel
+//  Tune by ear: a button per string of the selected tuning plays
+//  its target pitch, and any other note can be picked by name and
+//  octave. Timbre, sustain and volume sit underneath. Stateless
+//  apart from the chromatic picker — the caller passes
+//  useReferenceTone's state and setters
+// ═══════════════════════════════════════════════════════════════
+
+const OCTAVES = [1, 2, 3, 4, 5];
+const TIMBRE_NAMES = { pluck: "Pluck", sine: "Sine" };
+const sustainLabel = (s) => (Number.isFinite(s) ? `${s}s` : "Hold");
+
+export default function ReferenceTonePanel({
+  tuning = STANDARD_TUNING,
+  prefer = "sharp",
+  referencePitch = DEFAULT_REFERENCE_PITCH, // tunings are stored at 440
+  playing,
+  timbre,
+  sustain,
+  volume,
+  onToggle,
+  onStop,
+  onTimbreChange,
+  onSustainChange,
+  onVolumeChange,
+}) {
+  const [note, setNote] = useState("A");
+  const [octave, setOctave] = useState(4);
+
+  const ratio = referencePitch / DEFAULT_REFERENCE_PITCH;
+  const chromaticFreq = noteFrequency(note, octave, referencePitch);
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <span style={styles.title}>REFERENCE TONE</span>
+        {playing && (
+          <button onClick={onStop} style={styles.linkBtn}>Stop</button>
+        )}
+      </div>
+
+      <div style={styles.strings}>
+        {tuning.map((s) => {
+          const id = `string-${s.string}`;
+          const active = playing?.id === id;
+          return (
+            <button
+              key={s.string}
+              onClick={() => onToggle(s.freq * ratio, id)}
+              aria-pressed={active}
+              aria-label={`Play string ${s.string}`}
+              style={{ ...styles.stringBtn, ...(active ? styles.active : {}) }}
+            >
+              <span style={styles.stringNumber}>{s.string}</span>
+              {spellNote(s.note, prefer)}{frequencyToNote(s.freq).octave}
+            </button>
+          );
+        })}
+      </div>
+
+      <div style={styles.row}>
+        <span style={styles.label}>NOTE</span>
+        <select
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          aria-label="Reference note"
+          style={styles.select}
+        >
+          {NOTE_NAMES.map((n) => (
+            <option key={n} value={n}>{spellNote(n, prefer)}</option>
+          ))}
+        </select>
+        <select
+          value={octave}
+          onChange={(e) => setOctave(Number(e.target.value))}
+          aria-label="Reference octave"
+          style={styles.select}
+        >
+          {OCTAVES.map((o) => (
+            <option key={o} value={o}>{o}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onToggle(chromaticFreq, "chromatic")}
+          aria-pressed={playing?.id === "chromatic"}
+          style={{ ...styles.stringBtn, ...(playing?.id === "chromatic" ? styles.active : {}) }}
+        >
+          ▶ {chromaticFreq.toFixed(1)} Hz
+        </button>
+      </div>
+
+      <div style={styles.row}>
+        <span style={styles.label}>SOUND</span>
+        <div style={styles.tabs}>
+          {TONE_TIMBRES.map((t) => (
+            <button
+              key={t}
+              onClick={() => onTimbreChange(t)}
+              aria-pressed={timbre === t}
+              style={{ ...styles.tab, ...(timbre === t ? styles.tabActive : {}) }}
+            >
+              {TIMBRE_NAMES[t]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.row}>
+        <span style={styles.label}>SUSTAIN</span>
+        <div style={styles.tabs}>
+          {SUSTAIN_OPTIONS.map((s) => (
+            <button
+              key={s}
+              onClick={() => onSustainChange(s)}
+              aria-pressed={sustain === s}
+              style={{ ...styles.tab, ...(sustain === s ? styles.tabActive : {}) }}
+            >
+              {sustainLabel(s)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.row}>
+        <label htmlFor="reference-volume" style={styles.label}>VOLUME</label>
+        <input
+          id="reference-volume"
+          type="range"
+          min={0}
+          max={100}
+          value={Math.round(volume * 100)}
+          onChange={(e) => onVolumeChange(Number(e.target.value) / 100)}
+          style={styles.slider}
+        />
+        <span style={styles.value}>{Math.round(volume * 100)}%</span>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "12px",
+    width: "100%",
+    padding: "14px 18px",
+    background: "#111827",
+    border: "1px solid #1a233266",
+    borderRadius: "8px",
+    boxSizing: "border-box",
+  },
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  title: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  strings: {
+    display: "flex",
+    gap: "6px",
+    flexWrap: "wrap",
+  },
+  stringBtn: {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    padding: "6px 12px",
+    background: "#0d1220",
+    border: "1px solid #1a233266",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "600",
+    color: "#94a3b8",
+    transition: "all 0.2s ease",
+  },
+  active: {
+    background: "#00ff9f15",
+    color: "#00ff9f",
+    borderColor: "#00ff9f44",
+  },
+  stringNumber: {
+    fontSize: "10px",
+    color: "#475569",
+  },
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    flexWrap: "wrap",
+  },
+  label: {
+    minWidth: "64px",
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  select: {
+    padding: "6px 10px",
+    background: "#0d1220",
+    border: "1px solid #1a2332",
+    borderRadius: "6px",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+  },
+  tabs: {
+    display: "flex",
+    gap: "6px",
+    flexWrap: "wrap",
+  },
+  tab: {
+    padding: "6px 12px",
+    background: "#0d1220",
+    border: "1px solid #1a233266",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    fontWeight: "600",
+    color: "#94a3b8",
+    transition: "all 0.2s ease",
+  },
+  tabActive: {
+    background: "#ff6b2b15",
+    color: "#ff6b2b",
+    borderColor: "#ff6b2b44",
+  },
+  slider: {
+    flex: 1,
+    minWidth: "120px",
+    accentColor: "#ff6b2b",
+  },
+  value: {
+    minWidth: "40px",
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ffb000",
+    textAlign: "right",
+  },
+  linkBtn: {
+    background: "none",
+    border: "none",
+    color: "#475569",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    cursor: "pointer",
+    textDecoration: "underline",
+  },
+};
@@ -1,9 +1,10 @@
 import { useMemo } from "react";
-import { STANDARD_TUNING } from "../../data/chords";
+import { STANDARD_TUNING, DEFAULT_REFERENCE_PITCH } from "../../data/chords";
+import { spellNote } from "../../utils/chordSymbols";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — StringDisplay
-//  Shows all 6 guitar strings in standard tuning
+//  Shows all 6 guitar strings in the selected tuning
 //  Highlights the string closest to the detected frequency
 //  Color-coded by the FretForge string identity system
 // ═══════════════════════════════════════════════════════════════
@@ -30,7 +31,19 @@ const COLOR_MAP = [
   STRING_COLORS["E-high"],// string 1 — High E
 ];
 
-export default function StringDisplay({ detectedFreq = null, isActive = false }) {
+export default function StringDisplay({
+  detectedFreq = null,
+  isActive = false,
+  tuning = STANDARD_TUNING, // any tuning from data/tunings.js
+  prefer = "sharp",         // accidental for note names ("flat" for Eb tunings)
+  referencePitch = DEFAULT_REFERENCE_PITCH, // A4 in Hz — tunings are stored at 440
+}) {
+  // ─── String targets at the current reference pitch ────────
+  const targets = useMemo(() => {
+    const ratio = referencePitch / DEFAULT_REFERENCE_PITCH;
+    return tuning.map((s) => ({ ...s, freq: s.freq * ratio }));
+  }, [tuning, referencePitch]);
+
   // ─── Find the nearest string to the detected frequency ────
   const nearestString = useMemo(() => {
     if (!isActive || !detectedFreq || detectedFreq <= 0) return null;
@@ -38,7 +51,7 @@ export default function StringDisplay({ detectedFreq = null, isActive = false })
     let closest = null;
     let minCents = Infinity;
 
-    STANDARD_TUNING.forEach((s, index) => {
+    targets.forEach((s, index) => {
       // Calculate cents difference between detected freq and this string's target
       const cents = 1200 * Math.log2(detectedFreq / s.freq);
       const absCents = Math.abs(cents);
@@ -50,7 +63,7 @@ export default function StringDisplay({ detectedFreq = null, isActive = false })
     });
 
     return closest;
-  }, [detectedFreq, isActive]);
+  }, [detectedFreq, isActive, targets]);
 
   return (
     <div style={styles.container}>
@@ -66,7 +79,7 @@ export default function StringDisplay({ detectedFreq = null, isActive = false })
       </div>
 
       <div style={styles.stringsRow}>
-        {STANDARD_TUNING.map((string, index) => {
+        {targets.map((string, index) => {
           const isMatched = nearestString?.index === index;
           const color = COLOR_MAP[index];
           const centsOff = isMatched ? nearestString.cents : null;
@@ -114,7 +127,7 @@ export default function StringDisplay({ detectedFreq = null, isActive = false })
                   color: isMatched ? color : "#94a3b8",
                 }}
               >
-                {string.note}
+                {spellNote(string.note, prefer)}
               </div>
 
               {/* String label */}
@@ -148,7 +161,7 @@ export default function StringDisplay({ detectedFreq = null, isActive = false })
 
       {/* Visual string lines (decorative) */}
       <div style={styles.stringLines}>
-        {STANDARD_TUNING.map((string, index) => {
+        {targets.map((string, index) => {
           const isMatched = nearestString?.index === index;
           const color = COLOR_MAP[index];
           // String thickness: low E is thickest, high E is thinnest
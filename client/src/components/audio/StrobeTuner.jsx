@@ -0,0 +1,235 @@
+import { useEffect, useRef } from "react";
+import { DEFAULT_REFERENCE_PITCH, noteFrequency } from "../../data/chords";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — StrobeTuner
+//  Strobe view of the tuner: three striped bands that drift while
+//  the string is off and stand still when it's in tune. They
+//  drift right when sharp and left when flat, faster the further
+//  off it is, so a tenth of a cent shows as a slow creep that the
+//  needle's ±50 cent arc can't resolve — the view for setting
+//  intonation. The lower bands move 2× and 4× as fast, like the
+//  octave rings of a mechanical strobe, to make small errors
+//  visible sooner
+//
+//  `cents` should be the unrounded offset. The bands are moved by
+//  a requestAnimationFrame loop writing their transforms directly,
+//  so the page doesn't re-render every frame
+// ═══════════════════════════════════════════════════════════════
+
+// Tolerances for the color and label (in cents) — tighter than the
+// needle's, since this view is for fine work
+const IN_TUNE_THRESHOLD = 1;
+const CLOSE_THRESHOLD = 5;
+
+// The top band moves a quarter of a stripe per second per cent off
+const STRIPES_PER_CENT_SECOND = 0.25;
+const BAND_SPEEDS = [1, 2, 4];
+const MAX_CENTS = 50; // beyond this it's a blur anyway
+const MAX_FRAME = 0.1; // seconds; a stalled tab shouldn't jump the bands
+
+// ─── Band geometry ───────────────────────────────────────────
+const WIDTH = 400;
+const BAND_LEFT = 20;
+const BAND_WIDTH = WIDTH - BAND_LEFT * 2;
+const BAND_TOP = 36;
+const BAND_HEIGHT = 34;
+const BAND_GAP = 8;
+const STRIPE_PERIOD = 24; // px, one dark + one light stripe
+const STRIPE_COUNT = Math.ceil(BAND_WIDTH / STRIPE_PERIOD) + 2;
+
+const statusColors = {
+  inactive: "#475569",
+  "in-tune": "#00ff9f",
+  close: "#ffb000",
+  off: "#ff2d6b",
+};
+
+export default function StrobeTuner({
+  cents = null,
+  isActive = false,
+  note = null,
+  referencePitch = DEFAULT_REFERENCE_PITCH, // A4 in Hz
+}) {
+  const hasNote = isActive && note !== null && cents !== null;
+  const bandRefs = useRef([]);
+  const phases = useRef(BAND_SPEEDS.map(() => 0)); // 0–1, in stripes
+  const centsRef = useRef(0);
+  centsRef.current = hasNote ? Math.max(-MAX_CENTS, Math.min(MAX_CENTS, cents)) : 0;
+
+  // ─── Animate while a note is heard ─────────────────────────
+  useEffect(() => {
+    if (!hasNote) return;
+    let rafId = null;
+    let last = null;
+
+    const loop = (now) => {
+      const dt = last === null ? 0 : Math.min(MAX_FRAME, (now - last) / 1000);
+      last = now;
+      BAND_SPEEDS.forEach((speed, i) => {
+        const step = centsRef.current * STRIPES_PER_CENT_SECOND * speed * dt;
+        phases.current[i] = (((phases.current[i] + step) % 1) + 1) % 1;
+        bandRefs.current[i]?.setAttribute("transform", bandTransform(phases.current[i]));
+      });
+      rafId = requestAnimationFrame(loop);
+    };
+    rafId = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(rafId);
+  }, [hasNote]);
+
+  // ─── Color and label ───────────────────────────────────────
+  let status = "inactive";
+  if (hasNote) {
+    const absCents = Math.abs(cents);
+    if (absCents <= IN_TUNE_THRESHOLD) status = "in-tune";
+    else if (absCents <= CLOSE_THRESHOLD) status = "close";
+    else status = "off";
+  }
+  const color = statusColors[status];
+
+  let statusLabel = "Play a string";
+  if (status === "in-tune") statusLabel = "In Tune!";
+  else if (hasNote) statusLabel = cents < 0 ? "Tune Up ↑" : "Tune Down ↓";
+
+  const centsLabel = hasNote ? `${cents > 0 ? "+" : ""}${cents.toFixed(1)} cents` : "";
+  const cy = BAND_TOP + BAND_SPEEDS.length * (BAND_HEIGHT + BAND_GAP);
+
+  return (
+    <div className="strobe-tuner" style={styles.container}>
+      <svg viewBox="0 0 400 350" style={styles.svg}>
+        <defs>
+          <clipPath id="strobeWindow">
+            <rect x={BAND_LEFT} y={0} width={BAND_WIDTH} height={350} />
+          </clipPath>
+        </defs>
+
+        {/* Direction hint */}
+        <text
+          x={WIDTH / 2}
+          y={20}
+          textAnchor="middle"
+          fill="#475569"
+          fontSize="10"
+          fontFamily="'JetBrains Mono', monospace"
+        >
+          ← flat · still = in tune · sharp →
+        </text>
+
+        {/* The bands */}
+        {BAND_SPEEDS.map((speed, i) => {
+          const y = BAND_TOP + i * (BAND_HEIGHT + BAND_GAP);
+          return (
+            <g key={speed}>
+              <rect
+                x={BAND_LEFT}
+                y={y}
+                width={BAND_WIDTH}
+                height={BAND_HEIGHT}
+                rx="4"
+                fill="#0d1220"
+                stroke="#1a2332"
+              />
+              <g clipPath="url(#strobeWindow)">
+                <g
+                  ref={(el) => { bandRefs.current[i] = el; }}
+                  data-band={speed}
+                  transform={bandTransform(phases.current[i])}
+                  opacity={hasNote ? 0.9 : 0.25}
+                  style={{ transition: "opacity 0.2s ease" }}
+                >
+                  {Array.from({ length: STRIPE_COUNT }, (_, n) => (
+                    <rect
+                      key={n}
+                      x={BAND_LEFT + (n - 1) * STRIPE_PERIOD}
+                      y={y + 3}
+                      width={STRIPE_PERIOD / 2}
+                      height={BAND_HEIGHT - 6}
+                      fill={color}
+                      style={{ transition: "fill 0.2s ease" }}
+                    />
+                  ))}
+                </g>
+              </g>
+            </g>
+          );
+        })}
+
+        {/* Note display */}
+        <text
+          x={WIDTH / 2}
+          y={cy + 40}
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fill={hasNote ? color : "#475569"}
+          fontSize="44"
+          fontFamily="'Space Grotesk', sans-serif"
+          fontWeight="700"
+          style={{ transition: "fill 0.2s ease" }}
+        >
+          {note ? `${note.note}${note.octave}` : "—"}
+        </text>
+
+        {/* Cents, to a tenth */}
+        <text
+          x={WIDTH / 2}
+          y={cy + 80}
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fill={hasNote ? color : "#475569"}
+          fontSize="14"
+          fontFamily="'JetBrains Mono', monospace"
+          fontWeight="500"
+          opacity="0.8"
+        >
+          {centsLabel}
+        </text>
+
+        {/* Status label */}
+        <text
+          x={WIDTH / 2}
+          y={cy + 103}
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fill={color}
+          fontSize="13"
+          fontFamily="'JetBrains Mono', monospace"
+          fontWeight="600"
+          letterSpacing="0.5"
+        >
+          {statusLabel}
+        </text>
+
+        {/* Reference pitch + target frequency */}
+        <text
+          x={WIDTH / 2}
+          y={cy + 125}
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fill="#475569"
+          fontSize="10"
+          fontFamily="'JetBrains Mono', monospace"
+        >
+          {`A4 = ${referencePitch} Hz`}
+          {note ? ` · target ${noteFrequency(note.note, note.octave, referencePitch).toFixed(2)} Hz` : ""}
+        </text>
+      </svg>
+    </div>
+  );
+}
+
+// Shift a band's stripes by `phase` of a stripe period
+function bandTransform(phase) {
+  return `translate(${(phase * STRIPE_PERIOD).toFixed(2)} 0)`;
+}
+
+const styles = {
+  container: {
+    width: "100%",
+    maxWidth: "420px",
+    margin: "0 auto",
+  },
+  svg: {
+    width: "100%",
+    height: "auto",
+  },
+};
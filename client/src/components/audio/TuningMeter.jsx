@@ -1,10 +1,13 @@
 import { useMemo } from "react";
+import { DEFAULT_REFERENCE_PITCH, noteFrequency } from "../../data/chords";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — TuningMeter
 //  SVG arc gauge with an animated needle showing cents offset
 //  Green = in tune (±5 cents), amber = close, red = way off
 //  The visual centerpiece of the tuner page
+//  Shows the A4 reference pitch and the target frequency for the
+//  detected note, so a 432Hz or 442Hz setup is never a surprise
 // ═══════════════════════════════════════════════════════════════
 
 // Tuning tolerance thresholds (in cents)
@@ -12,7 +15,12 @@ const IN_TUNE_THRESHOLD = 5; // ±5 cents = "in tune" (green zone)
 const CLOSE_THRESHOLD = 15; // ±15 cents = "close" (amber zone)
 // Beyond ±15 cents = "off" (red zone)
 
-export default function TuningMeter({ cents = 0, isActive = false, note = null }) {
+export default function TuningMeter({
+  cents = 0,
+  isActive = false,
+  note = null,
+  referencePitch = DEFAULT_REFERENCE_PITCH, // A4 in Hz
+}) {
   // ─── Gauge geometry ─────────────────────────────────────────
   // The arc spans from -50 to +50 cents mapped to a 240° arc
   // Center of SVG = (200, 200), radius = 160
@@ -254,6 +262,20 @@ export default function TuningMeter({ cents = 0, isActive = false, note = null }
         >
           {statusLabel}
         </text>
+
+        {/* Reference pitch + target frequency */}
+        <text
+          x={cx}
+          y={cy + 140}
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fill="#475569"
+          fontSize="10"
+          fontFamily="'JetBrains Mono', monospace"
+        >
+          {`A4 = ${referencePitch} Hz`}
+          {note ? ` · target ${noteFrequency(note.note, note.octave, referencePitch).toFixed(2)} Hz` : ""}
+        </text>
       </svg>
     </div>
   );
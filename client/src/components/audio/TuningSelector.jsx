@@ -0,0 +1,173 @@
+import { useState, useCallback } from "react";
+import { usePreferences } from "../../hooks/usePreferences";
+import { spellNote } from "../../utils/chordSymbols";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — TuningSelector
+//  Picks the guitar's tuning from the registry, or saves a
+//  user-defined one ("C G C F A D"). The choice lives in
+//  PreferencesProvider, so the tuner, chord library and scale
+//  explorer all follow it
+// ═══════════════════════════════════════════════════════════════
+
+const CUSTOM_OPTION = "__custom__";
+
+export default function TuningSelector({ compact = false }) {
+  const { tuningKey, tuning, tuningPrefer, tunings, setTuning, addCustomTuning, removeCustomTuning } = usePreferences();
+  const [isAdding, setIsAdding] = useState(false);
+  const [name, setName] = useState("");
+  const [notes, setNotes] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleChange = useCallback((e) => {
+    if (e.target.value === CUSTOM_OPTION) {
+      setIsAdding(true);
+      return;
+    }
+    setIsAdding(false);
+    setTuning(e.target.value);
+  }, [setTuning]);
+
+  const handleSave = useCallback(() => {
+    try {
+      addCustomTuning(name, notes);
+      setIsAdding(false);
+      setName("");
+      setNotes("");
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [addCustomTuning, name, notes]);
+
+  const builtIn = Object.entries(tunings).filter(([, t]) => !t.custom);
+  const custom = Object.entries(tunings).filter(([, t]) => t.custom);
+  const strings = tuning.map((s) => spellNote(s.note, tuningPrefer)).join(" ");
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.row}>
+        <label style={styles.label} htmlFor="tuning-select">TUNING</label>
+        <select
+          id="tuning-select"
+          value={isAdding ? CUSTOM_OPTION : tuningKey}
+          onChange={handleChange}
+          style={styles.select}
+        >
+          {builtIn.map(([key, t]) => (
+            <option key={key} value={key}>{t.name}</option>
+          ))}
+          {custom.length > 0 && (
+            <optgroup label="Your tunings">
+              {custom.map(([key, t]) => (
+                <option key={key} value={key}>{t.name}</option>
+              ))}
+            </optgroup>
+          )}
+          <option value={CUSTOM_OPTION}>+ Custom tuning…</option>
+        </select>
+        {!compact && <span style={styles.strings}>{strings}</span>}
+        {tunings[tuningKey]?.custom && !isAdding && (
+          <button onClick={() => removeCustomTuning(tuningKey)} style={styles.linkBtn}>
+            Delete
+          </button>
+        )}
+      </div>
+
+      {isAdding && (
+        <div style={styles.row}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name (optional)"
+            style={{ ...styles.input, maxWidth: "140px" }}
+          />
+          <input
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            placeholder="Notes low → high: C G C F A D"
+            style={styles.input}
+          />
+          <button onClick={handleSave} style={styles.saveBtn}>Save</button>
+        </div>
+      )}
+      {isAdding && error && <p style={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "8px",
+  },
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    flexWrap: "wrap",
+  },
+  label: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  select: {
+    padding: "6px 10px",
+    background: "#0d1220",
+    border: "1px solid #1a233288",
+    borderRadius: "6px",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    cursor: "pointer",
+  },
+  strings: {
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ffb000",
+    letterSpacing: "1px",
+  },
+  input: {
+    flex: 1,
+    minWidth: "160px",
+    padding: "6px 10px",
+    background: "#0d1220",
+    border: "1px solid #1a233288",
+    borderRadius: "6px",
+    outline: "none",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+  },
+  saveBtn: {
+    padding: "6px 14px",
+    background: "none",
+    border: "1px solid #ff6b2b44",
+    borderRadius: "6px",
+    color: "#ff6b2b",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  linkBtn: {
+    background: "none",
+    border: "none",
+    color: "#475569",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    cursor: "pointer",
+    textDecoration: "underline",
+  },
+  error: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ff2d6b",
+  },
+};
@@ -13,6 +13,11 @@ const TYPE_COLORS = {
   minor: "#02d7f2",
   dominant7: "#ff6b2b",
   minor7: "#a855f7",
+  major7: "#f5d90a",
+  suspended: "#02f2b4",
+  diminished: "#64748b",
+  augmented: "#f472b6",
+  add9: "#38bdf8",
   power: "#ff2d6b",
 };
 
@@ -1,16 +1,18 @@
-import { useMemo } from "react";
+import { useState, useMemo } from "react";
 import FretboardDiagram from "./FretboardDiagram";
-import { PROGRESSIONS } from "../../data/chords";
+import { PROGRESSIONS, STANDARD_TUNING } from "../../data/chords";
+import { findVoicings } from "../../utils/voicings";
+import { retuneChord } from "../../utils/fretboard";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — ChordDetail
 //  Expanded detail panel for a selected chord
 //  Shows: large diagram, finger guide, note names, playing tips,
-//  and progressions that include this chord
+//  alternative voicings up the neck, and progressions that
+//  include this chord
+//  Notes and voicings follow `tuning`; the shape itself doesn't move
 // ═══════════════════════════════════════════════════════════════
 
-const STRING_NAMES = ["Low E", "A", "D", "G", "B", "High E"];
-
 const STRING_COLORS = [
   "#ff2d6b", "#ff6b2b", "#ffb000", "#00ff9f", "#02d7f2", "#a855f7",
 ];
@@ -20,6 +22,11 @@ const TYPE_COLORS = {
   minor: "#02d7f2",
   dominant7: "#ff6b2b",
   minor7: "#a855f7",
+  major7: "#f5d90a",
+  suspended: "#02f2b4",
+  diminished: "#64748b",
+  augmented: "#f472b6",
+  add9: "#38bdf8",
   power: "#ff2d6b",
 };
 
@@ -32,7 +39,13 @@ const TIER_INFO = {
 
 const FINGER_NAMES = { 0: "—", 1: "Index", 2: "Middle", 3: "Ring", 4: "Pinky" };
 
-export default function ChordDetail({ chord, chordKey, onClose }) {
+// Voicings carousel: how many ranked voicings to offer, how many show at once
+const MAX_VOICINGS = 12;
+const VISIBLE_VOICINGS = 3;
+
+export default function ChordDetail({ chord: shape, chordKey, tuning = STANDARD_TUNING, onClose }) {
+  const chord = useMemo(() => retuneChord(shape, tuning), [shape, tuning]);
+  const stringNames = tuning.map((s) => s.name);
   const typeColor = TYPE_COLORS[chord.type] || "#94a3b8";
   const tierInfo = TIER_INFO[chord.tier] || { label: "?", desc: "", color: "#94a3b8" };
 
@@ -51,12 +64,20 @@ export default function ChordDetail({ chord, chordKey, onClose }) {
     return results;
   }, [chordKey]);
 
+  // ─── Alternative voicings, easiest first ───────────────────
+  const voicings = useMemo(() => findVoicings(chordKey, { tuning, limit: MAX_VOICINGS }), [chordKey, tuning]);
+  const [pagedTo, setPagedTo] = useState(0);
+  const lastStart = Math.max(0, voicings.length - VISIBLE_VOICINGS);
+  // Clamped, so a shorter list never leaves the row paged past its end
+  const voicingStart = Math.min(pagedTo, lastStart);
+  const visibleVoicings = voicings.slice(voicingStart, voicingStart + VISIBLE_VOICINGS);
+
   // ─── Build the finger-per-string guide ─────────────────────
   const fingerGuide = chord.strings.map((fret, i) => {
-    if (fret === -1) return { string: STRING_NAMES[i], action: "Muted", fret: "✕", finger: "—", color: "#475569" };
-    if (fret === 0) return { string: STRING_NAMES[i], action: "Open", fret: "0", finger: "—", color: STRING_COLORS[i] };
+    if (fret === -1) return { string: stringNames[i], action: "Muted", fret: "✕", finger: "—", color: "#475569" };
+    if (fret === 0) return { string: stringNames[i], action: "Open", fret: "0", finger: "—", color: STRING_COLORS[i] };
     return {
-      string: STRING_NAMES[i],
+      string: stringNames[i],
       action: `Fret ${fret}`,
       fret: String(fret),
       finger: FINGER_NAMES[chord.fingers[i]] || "—",
@@ -165,6 +186,58 @@ export default function ChordDetail({ chord, chordKey, onClose }) {
         </div>
       </div>
 
+      {/* ─── Voicings carousel ───────────────────────────── */}
+      {voicings.length > 0 && (
+        <div style={styles.voicingsSection}>
+          <div style={styles.voicingsHeader}>
+            <span style={{ ...styles.guideTitle, marginBottom: 0 }}>
+              Voicings · {voicings.length} ways to play {chord.short}
+            </span>
+            <div style={styles.carouselNav}>
+              <button
+                onClick={() => setPagedTo(Math.max(0, voicingStart - 1))}
+                disabled={voicingStart === 0}
+                style={{ ...styles.navBtn, opacity: voicingStart === 0 ? 0.3 : 1 }}
+                aria-label="Previous voicing"
+              >
+                ◀
+              </button>
+              <button
+                onClick={() => setPagedTo(Math.min(lastStart, voicingStart + 1))}
+                disabled={voicingStart >= lastStart}
+                style={{ ...styles.navBtn, opacity: voicingStart >= lastStart ? 0.3 : 1 }}
+                aria-label="Next voicing"
+              >
+                ▶
+              </button>
+            </div>
+          </div>
+          <div style={styles.voicingsRow}>
+            {visibleVoicings.map((v, i) => {
+              const isCurrent = v.strings.every((f, s) => f === chord.strings[s]);
+              // Open strings with everything inside the first 4 frets = open position
+              const isOpen = v.strings.includes(0) && v.position + v.span <= 4;
+              return (
+                <div
+                  key={v.strings.join(",")}
+                  style={{
+                    ...styles.voicingCard,
+                    borderColor: isCurrent ? `${typeColor}44` : "#1a233244",
+                  }}
+                >
+                  <FretboardDiagram chord={v} width={120} compact />
+                  <span style={styles.voicingLabel}>
+                    #{voicingStart + i + 1} · {isOpen ? "Open" : `Fret ${v.position}`}
+                    {v.barreAt > 0 && " · barre"}
+                  </span>
+                  {isCurrent && <span style={{ ...styles.voicingLabel, color: typeColor }}>shown above</span>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* ─── Related Progressions ────────────────────────── */}
       {relatedProgressions.length > 0 && (
         <div style={styles.progressionsSection}>
@@ -411,6 +484,49 @@ const styles = {
   },
 
   // Progressions
+  voicingsSection: {
+    padding: "16px 24px 20px",
+    borderTop: "1px solid #1a233244",
+  },
+  voicingsHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: "10px",
+  },
+  carouselNav: {
+    display: "flex",
+    gap: "6px",
+  },
+  navBtn: {
+    background: "#111827",
+    border: "1px solid #1a233266",
+    borderRadius: "6px",
+    color: "#94a3b8",
+    fontSize: "11px",
+    cursor: "pointer",
+    padding: "4px 10px",
+  },
+  voicingsRow: {
+    display: "flex",
+    gap: "10px",
+    overflowX: "auto",
+  },
+  voicingCard: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: "4px",
+    padding: "8px 10px",
+    background: "#111827",
+    border: "1px solid",
+    borderRadius: "8px",
+  },
+  voicingLabel: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
   progressionsSection: {
     padding: "16px 24px 20px",
     borderTop: "1px solid #1a233244",
@@ -0,0 +1,163 @@
+import { useMemo } from "react";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — FullNeckFretboard (SVG)
+//  Horizontal fretboard from the nut to fret 15 for scale shapes
+//  Supports: root highlighting, interval or note labels, and an
+//  "active" note that glows during playback or drills
+//
+//  COORD SYSTEM:
+//  Strings run horizontally (top = high E, bottom = low E) —
+//  the same orientation as guitar tab
+//  Frets run left to right; open strings sit left of the nut
+// ═══════════════════════════════════════════════════════════════
+
+// FretForge string color identity system (index 0 = string 6, low E)
+const STRING_COLORS = [
+  "#ff2d6b", // Low E (string 6)
+  "#ff6b2b", // A (string 5)
+  "#ffb000", // D (string 4)
+  "#00ff9f", // G (string 3)
+  "#02d7f2", // B (string 2)
+  "#a855f7", // High E (string 1)
+];
+
+const ROOT_COLOR = "#ff6b2b";
+
+// Fret inlay dots, as on a real neck (12 gets a double dot)
+const INLAYS = [3, 5, 7, 9, 12, 15];
+
+export default function FullNeckFretboard({
+  positions = [],       // [{ string, fret, note, interval }]
+  roots = [],           // [[string, fret], ...] from SCALE_LIBRARY
+  activePosition = null, // { string, fret } currently sounding/expected
+  labelMode = "interval", // "interval" | "note"
+  frets = 15,
+  width = 880,
+}) {
+  // ─── Geometry ──────────────────────────────────────────────
+  const padding = { top: 22, bottom: 26, left: 36, right: 12 };
+  const height = 190;
+  const neckWidth = width - padding.left - padding.right;
+  const neckHeight = height - padding.top - padding.bottom;
+  const fretSpacing = neckWidth / frets;
+  const stringSpacing = neckHeight / 5;
+
+  // String 1 (high E) on top, string 6 (low E) at the bottom
+  const stringY = (stringNumber) => padding.top + (stringNumber - 1) * stringSpacing;
+  // Dots sit in the middle of their fret space; open notes sit left of the nut
+  const fretX = (fret) =>
+    fret === 0 ? padding.left - 16 : padding.left + (fret - 0.5) * fretSpacing;
+
+  const rootSet = useMemo(
+    () => new Set(roots.map(([s, f]) => `${s}-${f}`)),
+    [roots]
+  );
+
+  const dotRadius = Math.min(11, fretSpacing * 0.32);
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      width="100%"
+      style={{ display: "block", maxWidth: width }}
+    >
+      {/* ─── Inlay markers ─────────────────────────────── */}
+      {INLAYS.filter((f) => f <= frets).map((f) => {
+        const x = padding.left + (f - 0.5) * fretSpacing;
+        const midY = padding.top + neckHeight / 2;
+        return f === 12 ? (
+          <g key={`inlay-${f}`}>
+            <circle cx={x} cy={midY - stringSpacing} r="4" fill="#1a2332" />
+            <circle cx={x} cy={midY + stringSpacing} r="4" fill="#1a2332" />
+          </g>
+        ) : (
+          <circle key={`inlay-${f}`} cx={x} cy={midY} r="4" fill="#1a2332" />
+        );
+      })}
+
+      {/* ─── Nut ───────────────────────────────────────── */}
+      <line
+        x1={padding.left}
+        y1={padding.top - 2}
+        x2={padding.left}
+        y2={padding.top + neckHeight + 2}
+        stroke="#e2e8f0"
+        strokeWidth="4"
+        strokeLinecap="round"
+      />
+
+      {/* ─── Fret wires + numbers ──────────────────────── */}
+      {Array.from({ length: frets }, (_, i) => {
+        const x = padding.left + (i + 1) * fretSpacing;
+        return (
+          <g key={`fret-${i + 1}`}>
+            <line x1={x} y1={padding.top} x2={x} y2={padding.top + neckHeight} stroke="#1a2332" strokeWidth="1.5" />
+            <text
+              x={x - fretSpacing / 2}
+              y={height - 8}
+              textAnchor="middle"
+              fill={INLAYS.includes(i + 1) ? "#94a3b8" : "#475569"}
+              fontSize="10"
+              fontFamily="'JetBrains Mono', monospace"
+            >
+              {i + 1}
+            </text>
+          </g>
+        );
+      })}
+
+      {/* ─── Strings ───────────────────────────────────── */}
+      {[1, 2, 3, 4, 5, 6].map((s) => (
+        <line
+          key={`string-${s}`}
+          x1={padding.left}
+          y1={stringY(s)}
+          x2={padding.left + neckWidth}
+          y2={stringY(s)}
+          stroke={STRING_COLORS[6 - s]}
+          strokeWidth={0.6 + (s - 1) * 0.3}
+          opacity="0.4"
+        />
+      ))}
+
+      {/* ─── Scale notes ───────────────────────────────── */}
+      {positions.map((p) => {
+        if (p.fret > frets) return null;
+        const key = `${p.string}-${p.fret}`;
+        const isRoot = rootSet.has(key);
+        const isActive = activePosition?.string === p.string && activePosition?.fret === p.fret;
+        const color = isRoot ? ROOT_COLOR : STRING_COLORS[6 - p.string];
+        const cx = fretX(p.fret);
+        const cy = stringY(p.string);
+        const label = labelMode === "note" ? p.note : p.interval;
+
+        return (
+          <g key={`note-${key}`}>
+            {isActive && <circle cx={cx} cy={cy} r={dotRadius + 6} fill={color} opacity="0.3" />}
+            <circle
+              cx={cx}
+              cy={cy}
+              r={dotRadius}
+              fill={isRoot || isActive ? color : "#0a0e17"}
+              stroke={color}
+              strokeWidth="2"
+            />
+            <text
+              x={cx}
+              y={cy}
+              textAnchor="middle"
+              dominantBaseline="central"
+              fill={isRoot || isActive ? "#0a0e17" : color}
+              fontSize="9"
+              fontFamily="'JetBrains Mono', monospace"
+              fontWeight="700"
+            >
+              {label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,169 @@
+import { METERS, SUBDIVISIONS } from "../../data/meters";
+import { subdivisionsFor } from "../../utils/meter";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — MetronomeControls
+//  Meter, subdivision and accent pattern for useMetronome. Each
+//  beat is a button that cycles accent → normal → mute; uneven
+//  beats (the "3" of 7/8 as 2+2+3) are drawn wider
+// ═══════════════════════════════════════════════════════════════
+
+const ACCENT_MARKS = {
+  accent: ">",
+  normal: "•",
+  mute: "×",
+};
+
+const ACCENT_COLORS = {
+  accent: "#ff6b2b",
+  normal: "#ffb000",
+  mute: "#475569",
+};
+
+export default function MetronomeControls({
+  meter,
+  subdivision,
+  accents,
+  onMeterChange,
+  onSubdivisionChange,
+  onAccentToggle,
+}) {
+  const { groups } = METERS[meter];
+
+  return (
+    <div style={styles.wrapper}>
+      <div style={styles.row}>
+        <label htmlFor="meter-select" style={styles.label}>METER</label>
+        <select
+          id="meter-select"
+          value={meter}
+          onChange={(e) => onMeterChange(e.target.value)}
+          style={styles.select}
+        >
+          {Object.entries(METERS).map(([id, m]) => (
+            <option key={id} value={id}>{m.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={styles.row}>
+        <span style={styles.label}>CLICKS</span>
+        <div style={styles.tabs}>
+          {subdivisionsFor(meter).map((id) => (
+            <button
+              key={id}
+              onClick={() => onSubdivisionChange(id)}
+              aria-pressed={subdivision === id}
+              style={{ ...styles.tab, ...(subdivision === id ? styles.tabActive : {}) }}
+            >
+              {SUBDIVISIONS[id].name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.row}>
+        <span style={styles.label}>ACCENTS</span>
+        <div style={styles.accents}>
+          {groups.map((length, beat) => {
+            const level = accents[beat] || "normal";
+            return (
+              <button
+                key={beat}
+                onClick={() => onAccentToggle(beat)}
+                aria-label={`Beat ${beat + 1}: ${level}`}
+                style={{
+                  ...styles.accent,
+                  flexGrow: length,
+                  color: ACCENT_COLORS[level],
+                  borderColor: `${ACCENT_COLORS[level]}44`,
+                }}
+              >
+                <span style={styles.beatNumber}>{beat + 1}</span>
+                {ACCENT_MARKS[level]}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrapper: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "10px",
+  },
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    flexWrap: "wrap",
+  },
+  label: {
+    minWidth: "64px",
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  select: {
+    padding: "6px 10px",
+    background: "#0d1220",
+    border: "1px solid #1a2332",
+    borderRadius: "6px",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+  },
+  tabs: {
+    display: "flex",
+    gap: "6px",
+    flexWrap: "wrap",
+  },
+  tab: {
+    padding: "6px 12px",
+    background: "#0d1220",
+    border: "1px solid #1a233266",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    fontWeight: "600",
+    color: "#94a3b8",
+    transition: "all 0.2s ease",
+  },
+  tabActive: {
+    background: "#ff6b2b15",
+    color: "#ff6b2b",
+    borderColor: "#ff6b2b44",
+  },
+  accents: {
+    display: "flex",
+    flex: 1,
+    gap: "4px",
+    minWidth: "200px",
+  },
+  accent: {
+    flexBasis: 0,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: "6px",
+    padding: "6px 0",
+    background: "#0d1220",
+    border: "1px solid",
+    borderRadius: "6px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "14px",
+    fontWeight: "700",
+    cursor: "pointer",
+  },
+  beatNumber: {
+    fontSize: "10px",
+    color: "#475569",
+  },
+};
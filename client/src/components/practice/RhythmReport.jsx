@@ -0,0 +1,181 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — RhythmReport
+//  Shows summarizeRhythm's output: the tightness score, how early
+//  or late each beat's strum landed, and (when not `compact`) a
+//  histogram of those deviations. Compact mode is the live view
+//  during a run — only the most recent beats
+// ═══════════════════════════════════════════════════════════════
+
+const LIVE_BEATS = 8;
+
+// Within this many ms reads as on the beat
+const ON_BEAT_MS = 20;
+const LOOSE_MS = 50;
+
+function deviationColor(ms) {
+  const off = Math.abs(ms);
+  if (off <= ON_BEAT_MS) return "#00ff9f";
+  if (off <= LOOSE_MS) return "#ffb000";
+  return "#ff2d6b";
+}
+
+function tightnessColor(score) {
+  if (score === null) return "#475569";
+  return score >= 70 ? "#00ff9f" : score >= 40 ? "#ffb000" : "#ff2d6b";
+}
+
+const formatMs = (ms) => `${ms > 0 ? "+" : ""}${Math.round(ms)}`;
+
+function describeMean(meanMs) {
+  if (Math.abs(meanMs) <= 5) return "right on the beat";
+  return `${Math.abs(meanMs)}ms ${meanMs < 0 ? "early (rushing)" : "late (dragging)"}`;
+}
+
+export default function RhythmReport({ rhythm, compact = false }) {
+  const { beats, hits, misses, extras, meanMs, spreadMs, tightness, histogram } = rhythm;
+  const shownBeats = compact ? beats.slice(-LIVE_BEATS) : beats;
+  const tallest = Math.max(1, ...histogram.map((bin) => bin.count));
+
+  return (
+    <div style={compact ? styles.compact : styles.full}>
+      <div style={styles.header}>
+        <span style={styles.label}>TIMING</span>
+        <span style={{ ...(compact ? styles.scoreSmall : styles.scoreBig), color: tightnessColor(tightness) }}>
+          {tightness ?? "—"}
+        </span>
+        <span style={styles.label}>TIGHTNESS</span>
+      </div>
+
+      {!compact && meanMs !== null && (
+        <p style={styles.detail}>
+          Average {describeMean(meanMs)} · spread ±{spreadMs}ms · {hits} strummed, {misses} missed
+          {extras > 0 ? `, ${extras} extra` : ""}
+        </p>
+      )}
+      {!compact && meanMs === null && (
+        <p style={styles.detail}>No strums were heard on the beat.</p>
+      )}
+
+      {/* Per-beat deviation, ms (+ = late) */}
+      <div style={styles.beatRow} aria-label="Beat deviations">
+        {shownBeats.map((beat, i) => (
+          <span
+            key={beats.length - shownBeats.length + i}
+            style={{
+              ...styles.beatChip,
+              color: beat.deviation === null ? "#475569" : deviationColor(beat.deviation),
+            }}
+          >
+            {beat.deviation === null ? "—" : formatMs(beat.deviation)}
+          </span>
+        ))}
+      </div>
+
+      {!compact && (
+        <div style={styles.histogram}>
+          <div style={styles.bars} role="img" aria-label="Timing histogram">
+            {histogram.map((bin) => (
+              <div
+                key={bin.from}
+                title={`${bin.from} to ${bin.to}ms: ${bin.count}`}
+                style={{
+                  ...styles.bar,
+                  height: `${(bin.count / tallest) * 100}%`,
+                  background: deviationColor((bin.from + bin.to) / 2),
+                }}
+              />
+            ))}
+          </div>
+          <div style={styles.axis}>
+            <span>{histogram[0].from}ms early</span>
+            <span>on the beat</span>
+            <span>+{histogram[histogram.length - 1].to}ms late</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  full: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "10px",
+  },
+  compact: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: "6px",
+  },
+  header: {
+    display: "flex",
+    alignItems: "baseline",
+    gap: "10px",
+  },
+  label: {
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  scoreBig: {
+    fontSize: "32px",
+    fontWeight: "700",
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  scoreSmall: {
+    fontSize: "18px",
+    fontWeight: "700",
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  detail: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+  beatRow: {
+    display: "flex",
+    gap: "4px",
+    flexWrap: "wrap",
+  },
+  beatChip: {
+    minWidth: "34px",
+    padding: "2px 4px",
+    background: "#0d1220",
+    border: "1px solid #1a233266",
+    borderRadius: "4px",
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    textAlign: "center",
+  },
+  histogram: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+  },
+  bars: {
+    display: "flex",
+    alignItems: "flex-end",
+    gap: "2px",
+    height: "80px",
+    padding: "0 2px",
+    background: "#0d1220",
+    borderRadius: "6px",
+  },
+  bar: {
+    flex: 1,
+    minHeight: "1px",
+    borderRadius: "2px 2px 0 0",
+  },
+  axis: {
+    display: "flex",
+    justifyContent: "space-between",
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+};
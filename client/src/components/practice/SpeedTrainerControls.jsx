@@ -0,0 +1,145 @@
+import { DEFAULT_RAMP } from "../../utils/meter";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — SpeedTrainerControls
+//  Turns useMetronome's tempo ramp on and off and edits it: start
+//  and target tempo, how much to add every how many bars, and how
+//  far to drop back after a missed chord. Stateless — the caller
+//  passes the metronome's `ramp` and `setRamp`
+// ═══════════════════════════════════════════════════════════════
+
+const MIN_BPM = 30;
+const MAX_BPM = 240;
+
+const FIELDS = [
+  { key: "startBpm", label: "Start", min: MIN_BPM, max: MAX_BPM, unit: "BPM" },
+  { key: "targetBpm", label: "Target", min: MIN_BPM, max: MAX_BPM, unit: "BPM" },
+  { key: "stepBpm", label: "Add", min: 1, max: 20, unit: "BPM" },
+  { key: "everyBars", label: "Every", min: 1, max: 16, unit: "bars" },
+  { key: "dropBpm", label: "Drop after a miss", min: 0, max: 40, unit: "BPM" },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export default function SpeedTrainerControls({ ramp, onChange }) {
+  const enabled = Boolean(ramp);
+
+  // Typed values pass straight through so "120" can be typed a
+  // digit at a time; they're clamped when the field loses focus
+  const update = (key, raw) => {
+    if (raw === "" || !Number.isFinite(Number(raw))) return;
+    onChange({ ...ramp, [key]: Number(raw) });
+  };
+
+  const settle = (key, { min, max }) => {
+    const next = { ...ramp, [key]: clamp(Math.round(ramp[key]), min, max) };
+    // Keep the target at or above the start
+    if (key === "startBpm") next.targetBpm = Math.max(next.targetBpm, next.startBpm);
+    if (key === "targetBpm") next.startBpm = Math.min(next.startBpm, next.targetBpm);
+    onChange(next);
+  };
+
+  return (
+    <div style={styles.wrapper}>
+      <label style={styles.toggle}>
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onChange(e.target.checked ? { ...DEFAULT_RAMP } : null)}
+        />
+        Speed trainer
+      </label>
+
+      {enabled && (
+        <>
+          <div style={styles.fields}>
+            {FIELDS.map((field) => (
+              <label key={field.key} style={styles.field}>
+                <span style={styles.fieldLabel}>{field.label}</span>
+                <span style={styles.inputRow}>
+                  <input
+                    type="number"
+                    min={field.min}
+                    max={field.max}
+                    value={ramp[field.key]}
+                    onChange={(e) => update(field.key, e.target.value)}
+                    onBlur={() => settle(field.key, field)}
+                    style={styles.input}
+                  />
+                  <span style={styles.unit}>{field.unit}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <p style={styles.summary}>
+            {ramp.startBpm} → {ramp.targetBpm} BPM, +{ramp.stepBpm} every {ramp.everyBars}{" "}
+            {ramp.everyBars === 1 ? "bar" : "bars"}
+            {ramp.dropBpm > 0 ? ` · −${ramp.dropBpm} after a missed chord` : ""}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrapper: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "10px",
+  },
+  toggle: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#94a3b8",
+    cursor: "pointer",
+  },
+  fields: {
+    display: "flex",
+    gap: "10px",
+    flexWrap: "wrap",
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+  },
+  fieldLabel: {
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1px",
+    textTransform: "uppercase",
+  },
+  inputRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: "4px",
+  },
+  input: {
+    width: "56px",
+    padding: "6px 8px",
+    background: "#0d1220",
+    border: "1px solid #1a2332",
+    borderRadius: "6px",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+  },
+  unit: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+  summary: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ffb000",
+  },
+};
@@ -0,0 +1,327 @@
+import { useState, useRef, useCallback, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useAudio } from "../../hooks/useAudio";
+import { usePitch, HOP_SIZE } from "../../hooks/usePitch";
+import { useAuth } from "../../hooks/useAuth";
+import { usePreferences } from "../../hooks/usePreferences";
+import api from "../../utils/api";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — ScaleDrill
+//  Walks the player through a scale pattern one note at a time
+//  Composes: useAudio → usePitch, and reports the expected note
+//  to the parent so the fretboard can highlight it
+//
+//  A note is confirmed once usePitch has heard the right pitch
+//  class AND octave for HOLD_TIME — counted in detections, which
+//  the pitch worklet posts every HOP_SIZE samples. A wrong note
+//  held just as long counts as a mistake. Runs are posted to
+//  /api/progress/scales/:key when signed in.
+// ═══════════════════════════════════════════════════════════════
+
+const HOLD_TIME = 0.08; // seconds — same settle time as the tuner display
+
+// Detections in a row that cover HOLD_TIME: 4 (~93ms) at 44.1kHz
+function holdFrames(sampleRate = 44100) {
+  return Math.max(1, Math.ceil((HOLD_TIME * sampleRate) / HOP_SIZE));
+}
+
+export default function ScaleDrill({
+  scaleKey,
+  sequence,          // scaleSequence() output, in the order to be played
+  onTargetChange,    // (position | null) => void
+  onStart,           // called before listening starts (e.g. stop playback)
+}) {
+  const { isAuthenticated, refreshUser } = useAuth();
+  const { referencePitch } = usePreferences();
+
+  const [phase, setPhase] = useState("idle"); // "idle" | "listening" | "finished"
+  const [index, setIndex] = useState(0);
+  const [mistakes, setMistakes] = useState(0);
+  const [lastWrong, setLastWrong] = useState(null); // "F#3" — shown until the next confirmed note
+  const [saveState, setSaveState] = useState({ status: "idle" }); // idle | saving | saved | error
+
+  // Detections arrive ~43 times a second — refs keep the
+  // per-detection bookkeeping out of React state
+  const holdRef = useRef({ key: null, frames: 0 });
+  const ringingRef = useRef(null); // last confirmed note, still sustaining
+  const mistakesRef = useRef(0);
+
+  // ─── Audio pipeline ─────────────────────────────────────────
+  const {
+    error: audioError,
+    startListening,
+    stopListening,
+    audioContext,
+    analyser,
+    thresholds,
+  } = useAudio();
+
+  // Gates calibrated for this mic on the tuner page, if any
+  const {
+    detectedNote,
+    start: startPitch,
+    stop: stopPitch,
+  } = usePitch(audioContext, analyser, {
+    referencePitch,
+    volumeThreshold: thresholds.volumeThreshold,
+    clarityThreshold: thresholds.clarityThreshold,
+  });
+
+  const target = phase === "listening" ? sequence[index] : null;
+
+  // ─── Keep the parent's highlight on the expected note ───────
+  useEffect(() => {
+    onTargetChange?.(target || null);
+    return () => onTargetChange?.(null);
+  }, [target, onTargetChange]);
+
+  // ─── Save the run ───────────────────────────────────────────
+  const saveRun = useCallback(async (success) => {
+    if (!isAuthenticated) return;
+    setSaveState({ status: "saving" });
+    try {
+      const data = await api.post(`/api/progress/scales/${scaleKey}`, { success });
+      setSaveState({ status: "saved", masteryPct: data.progress.masteryPct });
+      refreshUser();
+    } catch (err) {
+      setSaveState({ status: "error", message: err.message });
+    }
+  }, [isAuthenticated, scaleKey, refreshUser]);
+
+  const finish = useCallback(() => {
+    stopPitch();
+    stopListening();
+    setPhase("finished");
+    saveRun(mistakesRef.current === 0);
+  }, [stopPitch, stopListening, saveRun]);
+
+  // ─── Judge each detection against the expected note ─────────
+  useEffect(() => {
+    if (phase !== "listening") return;
+    if (!detectedNote) {
+      holdRef.current = { key: null, frames: 0 };
+      return;
+    }
+
+    const key = `${detectedNote.note}${detectedNote.octave}`;
+    const hold = holdRef.current;
+    hold.frames = hold.key === key ? hold.frames + 1 : 1;
+    hold.key = key;
+    if (hold.frames !== holdFrames(audioContext.current?.sampleRate)) return; // Not settled yet, or already judged
+
+    const expected = sequence[index];
+    if (key === `${expected.note}${expected.octave}`) {
+      ringingRef.current = key;
+      setLastWrong(null);
+      if (index + 1 >= sequence.length) {
+        finish();
+      } else {
+        setIndex(index + 1);
+      }
+    } else if (key !== ringingRef.current) {
+      // The previous note still ringing out isn't a mistake
+      mistakesRef.current += 1;
+      setMistakes(mistakesRef.current);
+      setLastWrong(key);
+    }
+  }, [detectedNote, phase, index, sequence, finish, audioContext]);
+
+  // ─── Start / stop ───────────────────────────────────────────
+  const startDrill = useCallback(async () => {
+    onStart?.();
+    holdRef.current = { key: null, frames: 0 };
+    ringingRef.current = null;
+    mistakesRef.current = 0;
+    setIndex(0);
+    setMistakes(0);
+    setLastWrong(null);
+    setSaveState({ status: "idle" });
+
+    await startListening();
+    if (!audioContext.current) return; // Mic failed — useAudio holds the error
+    startPitch();
+    setPhase("listening");
+  }, [onStart, startListening, audioContext, startPitch]);
+
+  const stopDrill = useCallback(() => {
+    stopPitch();
+    stopListening();
+    setPhase("idle");
+  }, [stopPitch, stopListening]);
+
+  const heard = detectedNote ? `${detectedNote.note}${detectedNote.octave}` : "—";
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <span style={styles.label}>🎯 SCALE DRILL</span>
+        {phase === "listening" ? (
+          <button onClick={stopDrill} style={styles.secondaryBtn}>⏹ Stop Drill</button>
+        ) : (
+          <button onClick={startDrill} style={styles.startBtn}>
+            {phase === "finished" ? "↻ Drill Again" : "🎤 Start Drill"}
+          </button>
+        )}
+      </div>
+
+      {phase === "idle" && (
+        <p style={styles.hint}>
+          Play each highlighted note in order. The drill moves on once it hears
+          the right note in the right octave.
+        </p>
+      )}
+
+      {phase === "listening" && target && (
+        <div style={styles.status}>
+          <div style={styles.stat}>
+            <span style={styles.statLabel}>PLAY</span>
+            <span style={styles.target}>{target.note}{target.octave}</span>
+            <span style={styles.statDetail}>
+              string {target.string} · {target.fret === 0 ? "open" : `fret ${target.fret}`}
+            </span>
+          </div>
+          <div style={styles.stat}>
+            <span style={styles.statLabel}>HEARD</span>
+            <span style={{ ...styles.heard, color: lastWrong ? "#ff2d6b" : "#94a3b8" }}>{heard}</span>
+          </div>
+          <div style={styles.stat}>
+            <span style={styles.statLabel}>NOTE</span>
+            <span style={styles.heard}>{index + 1} / {sequence.length}</span>
+          </div>
+          <div style={styles.stat}>
+            <span style={styles.statLabel}>MISTAKES</span>
+            <span style={{ ...styles.heard, color: mistakes > 0 ? "#ff2d6b" : "#00ff9f" }}>{mistakes}</span>
+          </div>
+        </div>
+      )}
+
+      {phase === "finished" && (
+        <div>
+          <p style={{ ...styles.result, color: mistakes === 0 ? "#00ff9f" : "#ffb000" }}>
+            {mistakes === 0
+              ? `✓ Clean run — all ${sequence.length} notes, no mistakes`
+              : `Finished with ${mistakes} wrong ${mistakes === 1 ? "note" : "notes"} — go for a clean run`}
+          </p>
+          {saveState.status === "saving" && <p style={styles.hint}>Saving progress…</p>}
+          {saveState.status === "saved" && (
+            <p style={{ ...styles.hint, color: "#ffb000" }}>
+              Mastery: {Math.round(saveState.masteryPct * 100)}%
+            </p>
+          )}
+          {saveState.status === "error" && (
+            <p style={styles.error}>Couldn't save progress: {saveState.message}</p>
+          )}
+          {!isAuthenticated && (
+            <p style={styles.hint}>
+              <Link to="/auth">Sign in</Link> to track your scale mastery.
+            </p>
+          )}
+        </div>
+      )}
+
+      {audioError && <p style={styles.error}>{audioError}</p>}
+    </div>
+  );
+}
+
+// ─── Styles ──────────────────────────────────────────────────
+const styles = {
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "12px",
+    padding: "14px 16px",
+    background: "#111827",
+    border: "1px solid #1a233244",
+    borderRadius: "10px",
+  },
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: "12px",
+  },
+  label: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1px",
+  },
+  startBtn: {
+    padding: "8px 16px",
+    borderRadius: "8px",
+    border: "1px solid #00ff9f44",
+    background: "#00ff9f15",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "700",
+    color: "#00ff9f",
+    cursor: "pointer",
+  },
+  secondaryBtn: {
+    padding: "8px 16px",
+    borderRadius: "8px",
+    border: "1px solid #1a233266",
+    background: "transparent",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "600",
+    color: "#94a3b8",
+    cursor: "pointer",
+  },
+  status: {
+    display: "flex",
+    gap: "24px",
+    flexWrap: "wrap",
+  },
+  stat: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "2px",
+  },
+  statLabel: {
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+    letterSpacing: "1px",
+  },
+  statDetail: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+  target: {
+    fontSize: "28px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#ff6b2b",
+    lineHeight: "1.1",
+  },
+  heard: {
+    fontSize: "18px",
+    fontWeight: "600",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+  result: {
+    margin: "0 0 4px",
+    fontSize: "14px",
+    fontWeight: "600",
+    fontFamily: "'Space Grotesk', sans-serif",
+  },
+  hint: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+    lineHeight: "1.5",
+  },
+  error: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ff2d6b",
+  },
+};
@@ -254,19 +254,28 @@ export const STANDARD_TUNING = [
 // ─── Note Frequencies (for pitch detection matching) ──────
 export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
 
-// Calculate the frequency of any note: A4 = 440Hz standard
-export function noteFrequency(noteName, octave) {
+// ─── Reference pitch (A4) ─────────────────────────────────
+// 440Hz is the standard; orchestras and old recordings sit anywhere
+// from 432Hz up to about 446Hz. Frequencies in STANDARD_TUNING and
+// data/tunings.js are at 440 — scale them by referencePitch / 440
+export const DEFAULT_REFERENCE_PITCH = 440;
+export const MIN_REFERENCE_PITCH = 432;
+export const MAX_REFERENCE_PITCH = 446;
+
+// Calculate the frequency of any note relative to A4 (440Hz by default)
+export function noteFrequency(noteName, octave, referencePitch = DEFAULT_REFERENCE_PITCH) {
   const noteIndex = NOTE_NAMES.indexOf(noteName);
   if (noteIndex === -1) return null;
   // A4 = index 9, octave 4
   const semitonesFromA4 = (octave - 4) * 12 + (noteIndex - 9);
-  return 440 * Math.pow(2, semitonesFromA4 / 12);
+  return referencePitch * Math.pow(2, semitonesFromA4 / 12);
 }
 
 // Convert a frequency to the nearest note name + cents offset
-export function frequencyToNote(freq) {
+// relative to A4 = referencePitch
+export function frequencyToNote(freq, referencePitch = DEFAULT_REFERENCE_PITCH) {
   if (!freq || freq <= 0) return null;
-  const semitones = 12 * Math.log2(freq / 440);
+  const semitones = 12 * Math.log2(freq / referencePitch);
   const roundedSemitones = Math.round(semitones);
   const cents = Math.round((semitones - roundedSemitones) * 100);
   const noteIndex = ((roundedSemitones % 12) + 12 + 9) % 12; // A=9 in our array
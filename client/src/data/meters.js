@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Meters & Subdivisions
+//  Time signatures the metronome can count, as beat groups on a
+//  grid of the signature's note value (`unit`): 4/4 is four
+//  quarter-note beats of one tick each, 6/8 is two beats of three
+//  eighths, 7/8 (2+2+3) is three beats of uneven length
+//
+//  `tempoTicks` is how many ticks the BPM counts — 1 in simple
+//  meters (♩ = BPM), 3 in compound meters (♩. = BPM) and 2 in odd
+//  eighth-note meters, where the BPM counts quarters and the
+//  three-eighth group lasts a beat and a half
+// ═══════════════════════════════════════════════════════════════
+
+// ─── Meters ──────────────────────────────────────────────────
+export const METERS = {
+  "2/4": { name: "2/4", unit: 4, groups: [1, 1], tempoTicks: 1 },
+  "3/4": { name: "3/4", unit: 4, groups: [1, 1, 1], tempoTicks: 1 },
+  "4/4": { name: "4/4", unit: 4, groups: [1, 1, 1, 1], tempoTicks: 1 },
+  "5/4": { name: "5/4", unit: 4, groups: [1, 1, 1, 1, 1], tempoTicks: 1 },
+  "6/8": { name: "6/8", unit: 8, groups: [3, 3], tempoTicks: 3 },
+  "9/8": { name: "9/8", unit: 8, groups: [3, 3, 3], tempoTicks: 3 },
+  "12/8": { name: "12/8", unit: 8, groups: [3, 3, 3, 3], tempoTicks: 3 },
+  "5/8": { name: "5/8 (3+2)", unit: 8, groups: [3, 2], tempoTicks: 2 },
+  "7/8": { name: "7/8 (2+2+3)", unit: 8, groups: [2, 2, 3], tempoTicks: 2 },
+  "7/8_322": { name: "7/8 (3+2+2)", unit: 8, groups: [3, 2, 2], tempoTicks: 2 },
+};
+
+export const DEFAULT_METER = "4/4";
+
+// ─── Subdivisions ────────────────────────────────────────────
+// Extra clicks between beats, as notes per whole note. `play`
+// picks which of each tick's clicks sound — the shuffle is a
+// triplet with the middle note left out
+export const SUBDIVISIONS = {
+  none: { name: "Beats", perWhole: null },
+  eighths: { name: "Eighths", perWhole: 8 },
+  triplets: { name: "Triplets", perWhole: 12 },
+  shuffle: { name: "Shuffle", perWhole: 12, play: [0, 2] },
+  sixteenths: { name: "Sixteenths", perWhole: 16 },
+};
+
+export const DEFAULT_SUBDIVISION = "none";
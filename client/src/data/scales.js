@@ -3,6 +3,8 @@
 //  Scale patterns defined as fret positions per string
 //  Position format: array of [string, fret] pairs
 //  string: 6=low E, 1=high E
+//  Keys are mirrored in SCALE_KEYS (server/src/routes/progress.js)
+//  — add new scales there too or their progress can't be saved
 // ═══════════════════════════════════════════════════════════════
 
 export const SCALE_LIBRARY = {
@@ -57,7 +59,7 @@ export const SCALE_LIBRARY = {
       [6, 5], [6, 8],
       [5, 5], [5, 6], [5, 7],   // b5 (Eb) added on A string fret 6
       [4, 5], [4, 7],
-      [3, 5], [3, 6], [3, 7],   // b5 added on G string fret 6
+      [3, 5], [3, 7], [3, 8],   // b5 added on G string fret 8
       [2, 5], [2, 8],
       [1, 5], [1, 8],
     ],
@@ -99,7 +101,7 @@ export const SCALE_LIBRARY = {
       [2, 0], [2, 1], [2, 3],
       [1, 0], [1, 1], [1, 3],
     ],
-    roots: [[6, 0] /* technically A is on 5th string open */, [5, 0], [3, 2]],
+    roots: [[5, 0], [3, 2]], // A on the open 5th string and G string 2nd fret
     tips: "Contains the exact same notes as C major but starting from A. This 'relative minor' concept is one of the most powerful ideas in music theory.",
   },
 
@@ -111,12 +113,12 @@ export const SCALE_LIBRARY = {
     tier: 2,
     intervals: ["1", "2", "3", "5", "6"],
     positions: [
-      [6, 0], [6, 2], [6, 3],
+      [6, 0], [6, 3],
       [5, 0], [5, 2],
       [4, 0], [4, 2],
       [3, 0], [3, 2],
       [2, 0], [2, 3],
-      [1, 0], [1, 2], [1, 3],
+      [1, 0], [1, 3],
     ],
     roots: [[6, 3], [3, 0], [1, 3]],
     tips: "Bright, happy sound. Great for country and pop melodies. Same shape as E minor pentatonic — because G major and E minor are relatives!",
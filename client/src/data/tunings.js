@@ -0,0 +1,114 @@
+import { STANDARD_TUNING, NOTE_NAMES, noteFrequency } from "./chords";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Tuning Registry
+//  Alternate tunings in the same shape as STANDARD_TUNING:
+//  [{ string, note, freq, name, color }] from string 6 (low) to
+//  string 1 (high), so anything that takes a `tuning` argument
+//  (fretNote, findVoicings, StringDisplay…) accepts them as-is
+//
+//  `prefer` picks the accidental used for display — Eb tunings
+//  read "Eb Ab Db Gb Bb Eb", not "D# G# C# F# A# D#". Notes are
+//  still stored sharp-spelled so they index NOTE_NAMES
+// ═══════════════════════════════════════════════════════════════
+
+// String colors follow the string, not the note — the 6th string is
+// pink whether it's tuned to E or D
+const STRING_COLORS = STANDARD_TUNING.map((s) => s.color);
+
+// ─── Build a tuning from pitches, low → high ─────────────────
+// buildTuning(["D2", "A2", "D3", "G3", "B3", "E4"]) → tuning array
+export function buildTuning(pitches) {
+  return pitches.map((pitch, i) => {
+    const [, letter, accidental, octave] = /^([A-G])([#b]?)(\d)$/.exec(pitch);
+    const natural = NOTE_NAMES.indexOf(letter);
+    const shift = accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+    const index = (natural + shift + 12) % 12;
+    // Cb/B# cross the octave boundary
+    const oct = Number(octave) + Math.floor((natural + shift) / 12);
+    const note = NOTE_NAMES[index];
+    const string = 6 - i;
+    // Names keep the spelling they were given: "Low Eb", not "Low D#"
+    const spelled = `${letter}${accidental}`;
+    const name = string === 6 ? `Low ${spelled}` : string === 1 ? `High ${spelled}` : spelled;
+    return {
+      string,
+      note,
+      octave: oct,
+      freq: Math.round(noteFrequency(note, oct) * 100) / 100,
+      name,
+      color: STRING_COLORS[i],
+    };
+  });
+}
+
+// ─── Built-in tunings ────────────────────────────────────────
+export const TUNINGS = {
+  standard: {
+    name: "Standard",
+    description: "The everyday tuning",
+    strings: STANDARD_TUNING,
+  },
+  drop_d: {
+    name: "Drop D",
+    description: "Low E down a whole step — one-finger power chords",
+    strings: buildTuning(["D2", "A2", "D3", "G3", "B3", "E4"]),
+  },
+  eb_standard: {
+    name: "Eb Standard (Half-Step Down)",
+    description: "Every string down a semitone",
+    strings: buildTuning(["Eb2", "Ab2", "Db3", "Gb3", "Bb3", "Eb4"]),
+    prefer: "flat",
+  },
+  dadgad: {
+    name: "DADGAD",
+    description: "Celtic and folk modal tuning",
+    strings: buildTuning(["D2", "A2", "D3", "G3", "A3", "D4"]),
+  },
+  open_g: {
+    name: "Open G",
+    description: "Strums a G major chord open — slide and Keith Richards",
+    strings: buildTuning(["D2", "G2", "D3", "G3", "B3", "D4"]),
+  },
+  open_d: {
+    name: "Open D",
+    description: "Strums a D major chord open — slide and folk",
+    strings: buildTuning(["D2", "A2", "D3", "F#3", "A3", "D4"]),
+  },
+};
+
+export const DEFAULT_TUNING = "standard";
+
+// ─── Parse a user-defined tuning ─────────────────────────────
+// Accepts six notes low → high, with or without octaves:
+// "D A D G B E", "C# G# C# F# A# D#", "D2 G2 D3 G3 B3 D4"
+// Notes without an octave take the one closest to the standard string,
+// so "D" on the 6th string is D2, not D3. Throws on bad input
+export function parseTuning(text) {
+  const tokens = (text || "").trim().replace(/♯/g, "#").replace(/♭/g, "b").split(/[\s,]+/).filter(Boolean);
+  if (tokens.length !== 6) {
+    throw new Error("Enter six notes, low string to high");
+  }
+
+  const pitches = tokens.map((token, i) => {
+    const match = /^([A-Ga-g])([#b]?)(\d)?$/.exec(token);
+    if (!match) throw new Error(`Unknown note: ${token}`);
+    const letter = match[1].toUpperCase();
+    if (match[3]) return `${letter}${match[2]}${match[3]}`;
+
+    const standardMidi = Math.round(69 + 12 * Math.log2(STANDARD_TUNING[i].freq / 440));
+    const natural = NOTE_NAMES.indexOf(letter);
+    const shift = match[2] === "#" ? 1 : match[2] === "b" ? -1 : 0;
+    // Pick the octave that lands within a tritone of the standard string
+    let best = null;
+    for (let octave = 1; octave <= 5; octave++) {
+      const midi = (octave + 1) * 12 + natural + shift;
+      if (best === null || Math.abs(midi - standardMidi) < Math.abs(best.midi - standardMidi)) {
+        best = { midi, octave };
+      }
+    }
+    return `${letter}${match[2]}${best.octave}`;
+  });
+
+  return buildTuning(pitches);
+}
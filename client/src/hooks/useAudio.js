@@ -1,15 +1,89 @@
 import { useState, useRef, useCallback, useEffect } from "react";
+import {
+  DEFAULT_THRESHOLDS,
+  measureFrame,
+  measureLevel,
+  computeThresholds,
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+} from "../utils/calibration";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — useAudio Hook
 //  Manages microphone access, AudioContext, and AnalyserNode
 //  This is the foundation layer that other audio hooks build on
+//
+//  Also owns microphone calibration: startCalibration() listens
+//  to the room for a few seconds, then to a plucked string, and
+//  derives the noise/clarity gates usePitch should use. Thresholds
+//  are saved per input device and restored when that device is
+//  opened again
+//
+//  Input selection: lists audio inputs (enumerateDevices), opens
+//  the one the player picked — remembered in localStorage — and
+//  follows devicechange so an unplugged interface falls back to
+//  the default input. getInputLevel() reads RMS/peak for meters
 // ═══════════════════════════════════════════════════════════════
 
+// Calibration timing: quiet room first, then the pluck
+const CALIBRATION_FRAME_MS = 50;
+const NOISE_PHASE_MS = 3000;
+const SIGNAL_PHASE_MS = 4000;
+
+const IDLE_CALIBRATION = { status: "idle", progress: 0, error: null };
+
+// The player's chosen input, shared by every page's useAudio
+const DEVICE_STORAGE_KEY = "fretforge_input_device";
+
+function loadInputDevice() {
+  return localStorage.getItem(DEVICE_STORAGE_KEY) || "";
+}
+
+function saveInputDevice(id) {
+  if (id) localStorage.setItem(DEVICE_STORAGE_KEY, id);
+  else localStorage.removeItem(DEVICE_STORAGE_KEY);
+}
+
+// Raw microphone settings
+// CRITICAL: disable all browser audio processing
+// — echo cancellation and noise suppression destroy pitch accuracy
+function audioConstraints(deviceId) {
+  return {
+    audio: {
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false,
+      // 44100Hz is standard and gives us good frequency resolution
+      sampleRate: 44100,
+      // A chosen interface is required exactly — quietly recording
+      // the laptop mic instead would be worse than an error
+      ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+    },
+  };
+}
+
+function describeAudioError(err) {
+  // Common failure: user denies microphone permission
+  if (err.name === "NotAllowedError") {
+    return "Microphone access denied. FretForge needs your mic to hear your guitar.";
+  }
+  if (err.name === "NotFoundError") {
+    return "No microphone found. Connect a mic or use your device's built-in mic.";
+  }
+  return `Audio error: ${err.message}`;
+}
+
 export function useAudio() {
   const [isListening, setIsListening] = useState(false);
   const [error, setError] = useState(null);
   const [hasPermission, setHasPermission] = useState(false);
+  const [deviceId, setDeviceId] = useState(null);
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  // status: "idle" | "noise" | "signal" | "done" | "error"
+  const [calibration, setCalibration] = useState(IDLE_CALIBRATION);
+  const [devices, setDevices] = useState([]); // [{ deviceId, label }]
+  const [inputDeviceId, setInputDeviceId] = useState(loadInputDevice); // "" = browser default
 
   // Refs persist across renders without triggering re-renders
   // — important because audio processing runs at 60fps+
@@ -17,65 +91,157 @@ export function useAudio() {
   const analyserRef = useRef(null);
   const sourceRef = useRef(null);
   const streamRef = useRef(null);
+  const calibrationTimerRef = useRef(null);
+  const inputDeviceRef = useRef(inputDeviceId);
+
+  // ─── Input devices ─────────────────────────────────────────
+  // Labels stay blank until mic permission is granted, so the list
+  // is refreshed again once listening starts
+  const refreshDevices = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const all = await navigator.mediaDevices.enumerateDevices();
+    const inputs = all
+      .filter((d) => d.kind === "audioinput")
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Microphone ${i + 1}` }));
+    setDevices(inputs);
+    return inputs;
+  }, []);
+
+  // getUserMedia for the chosen input; a remembered device that's
+  // no longer plugged in is forgotten in favour of the default
+  const openStream = useCallback(async (id) => {
+    try {
+      return await navigator.mediaDevices.getUserMedia(audioConstraints(id));
+    } catch (err) {
+      if (!id || (err.name !== "OverconstrainedError" && err.name !== "NotFoundError")) throw err;
+      saveInputDevice("");
+      inputDeviceRef.current = "";
+      setInputDeviceId("");
+      setError("Your selected input isn't connected — using the default input.");
+      return navigator.mediaDevices.getUserMedia(audioConstraints(""));
+    }
+  }, []);
+
+  // Swap the stream feeding the analyser. The AudioContext and
+  // analyser stay put, so usePitch's worklet keeps running across
+  // device changes
+  const attachStream = useCallback((stream) => {
+    sourceRef.current?.disconnect();
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = stream;
+
+    // Restore this microphone's calibration, if it has one
+    const track = stream.getAudioTracks?.()[0];
+    const id = track?.getSettings?.().deviceId || "default";
+    setDeviceId(id);
+    setThresholds(loadCalibration(id) || DEFAULT_THRESHOLDS);
+
+    // Connect the pipeline: microphone → analyser (no output to speakers)
+    const source = audioContextRef.current.createMediaStreamSource(stream);
+    source.connect(analyserRef.current);
+    sourceRef.current = source;
+    // NOTE: We deliberately do NOT connect analyser to audioContext.destination
+    // — that would play the mic input through the speakers and create feedback
+  }, []);
+
+  // ─── Create the AudioContext ──────────────────────────────
+  // The central hub for all audio processing — every node
+  // (analyser, source, worklet, metronome clicks) connects through
+  // this. startListening calls it; call it yourself from a click
+  // handler to use the context before the mic is up, as the
+  // metronome does during the count-in. Returns the context
+  const openContext = useCallback(() => {
+    if (audioContextRef.current) return audioContextRef.current;
+
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)({
+      sampleRate: 44100,
+    });
+    audioContextRef.current = audioContext;
+
+    // AnalyserNode provides real-time frequency and waveform data
+    // fftSize of 4096 gives us 2048 frequency bins — enough resolution
+    // to distinguish individual guitar notes (lowest E2 = 82Hz)
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 4096;
+    analyser.smoothingTimeConstant = 0.8; // Slight smoothing reduces noise
+    analyserRef.current = analyser;
+    return audioContext;
+  }, []);
 
   // ─── Request microphone access and set up audio pipeline ──
+  // Resolves true once listening, false on failure (see `error`)
   const startListening = useCallback(async () => {
     try {
       setError(null);
 
-      // Request microphone with raw audio settings
-      // CRITICAL: disable all browser audio processing
-      // — echo cancellation and noise suppression destroy pitch accuracy
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false,
-          // 44100Hz is standard and gives us good frequency resolution
-          sampleRate: 44100,
-        },
-      });
-      streamRef.current = stream;
+      // Request microphone with raw audio settings — see audioConstraints
+      const stream = await openStream(inputDeviceRef.current);
       setHasPermission(true);
 
-      // Create the AudioContext — the central hub for all audio processing
-      // Every node (analyser, source, worklet) connects through this
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)({
-        sampleRate: 44100,
-      });
-      audioContextRef.current = audioContext;
-
-      // AnalyserNode provides real-time frequency and waveform data
-      // fftSize of 4096 gives us 2048 frequency bins — enough resolution
-      // to distinguish individual guitar notes (lowest E2 = 82Hz)
-      const analyser = audioContext.createAnalyser();
-      analyser.fftSize = 4096;
-      analyser.smoothingTimeConstant = 0.8; // Slight smoothing reduces noise
-      analyserRef.current = analyser;
-
-      // Connect the pipeline: microphone → analyser (no output to speakers)
-      const source = audioContext.createMediaStreamSource(stream);
-      source.connect(analyser);
-      sourceRef.current = source;
-      // NOTE: We deliberately do NOT connect analyser to audioContext.destination
-      // — that would play the mic input through the speakers and create feedback
-
+      openContext();
+      attachStream(stream);
       setIsListening(true);
+      refreshDevices();
+      return true;
     } catch (err) {
-      // Common failure: user denies microphone permission
-      if (err.name === "NotAllowedError") {
-        setError("Microphone access denied. FretForge needs your mic to hear your guitar.");
-      } else if (err.name === "NotFoundError") {
-        setError("No microphone found. Connect a mic or use your device's built-in mic.");
-      } else {
-        setError(`Audio error: ${err.message}`);
-      }
+      setError(describeAudioError(err));
       setIsListening(false);
+      return false;
     }
-  }, []);
+  }, [openStream, openContext, attachStream, refreshDevices]);
+
+  // ─── Pick an input — remembered, and applied live ─────────
+  const setInputDevice = useCallback(async (id) => {
+    saveInputDevice(id);
+    inputDeviceRef.current = id;
+    setInputDeviceId(id);
+    // Not listening: startListening picks it up next time
+    if (!streamRef.current) return;
+    try {
+      setError(null);
+      attachStream(await openStream(id));
+    } catch (err) {
+      setError(describeAudioError(err));
+    }
+  }, [openStream, attachStream]);
+
+  // ─── Follow devices being plugged in and out ──────────────
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return;
+
+    const handleDeviceChange = async () => {
+      const inputs = await refreshDevices();
+      const track = streamRef.current?.getAudioTracks?.()[0];
+      if (!track) return;
+
+      // The input we were listening to was unplugged — carry on
+      // with the default rather than going silent
+      const id = track.getSettings?.().deviceId;
+      const lost = track.readyState === "ended"
+        || (id && inputs.length > 0 && !inputs.some((d) => d.deviceId === id));
+      if (lost) {
+        try {
+          attachStream(await navigator.mediaDevices.getUserMedia(audioConstraints("")));
+          setError("Input disconnected — switched to the default input.");
+        } catch (err) {
+          setError(describeAudioError(err));
+        }
+      }
+    };
+
+    refreshDevices();
+    mediaDevices.addEventListener("devicechange", handleDeviceChange);
+    return () => mediaDevices.removeEventListener("devicechange", handleDeviceChange);
+  }, [refreshDevices, attachStream]);
 
   // ─── Clean up: stop mic, close AudioContext ───────────────
   const stopListening = useCallback(() => {
+    if (calibrationTimerRef.current) {
+      clearInterval(calibrationTimerRef.current);
+      calibrationTimerRef.current = null;
+      setCalibration(IDLE_CALIBRATION);
+    }
     // Stop all microphone tracks
     if (streamRef.current) {
       streamRef.current.getTracks().forEach((track) => track.stop());
@@ -97,6 +263,7 @@ export function useAudio() {
   // ─── Clean up on component unmount ────────────────────────
   useEffect(() => {
     return () => {
+      clearInterval(calibrationTimerRef.current);
       if (streamRef.current) {
         streamRef.current.getTracks().forEach((track) => track.stop());
       }
@@ -125,14 +292,95 @@ export function useAudio() {
     return data;
   }, []);
 
+  // ─── Helper: input level for meters ───────────────────────
+  // { rms, peak, rmsDb, peakDb } of the analyser's current window
+  const getInputLevel = useCallback(() => {
+    const data = getTimeDomainData();
+    return data ? measureLevel(data) : null;
+  }, [getTimeDomainData]);
+
+  // ─── Calibration ──────────────────────────────────────────
+  // Samples the analyser every 50ms: NOISE_PHASE_MS of silence,
+  // then SIGNAL_PHASE_MS while the player plucks a string. Needs
+  // the mic to be open already
+  const startCalibration = useCallback(() => {
+    if (!analyserRef.current || !audioContextRef.current) return;
+    clearInterval(calibrationTimerRef.current);
+
+    const run = { phase: "noise", elapsed: 0, noise: [], signal: [] };
+    setCalibration({ status: "noise", progress: 0, error: null });
+
+    calibrationTimerRef.current = setInterval(() => {
+      const data = getTimeDomainData();
+      if (!data) return;
+      const frame = measureFrame(data, audioContextRef.current.sampleRate);
+      run.elapsed += CALIBRATION_FRAME_MS;
+
+      if (run.phase === "noise") {
+        run.noise.push(frame);
+        if (run.elapsed < NOISE_PHASE_MS) {
+          setCalibration({ status: "noise", progress: run.elapsed / NOISE_PHASE_MS, error: null });
+        } else {
+          run.phase = "signal";
+          run.elapsed = 0;
+          setCalibration({ status: "signal", progress: 0, error: null });
+        }
+        return;
+      }
+
+      run.signal.push(frame);
+      if (run.elapsed < SIGNAL_PHASE_MS) {
+        setCalibration({ status: "signal", progress: run.elapsed / SIGNAL_PHASE_MS, error: null });
+        return;
+      }
+
+      clearInterval(calibrationTimerRef.current);
+      calibrationTimerRef.current = null;
+      try {
+        const measured = computeThresholds(run.noise, run.signal);
+        setThresholds(saveCalibration(deviceId || "default", measured));
+        setCalibration({ status: "done", progress: 1, error: null });
+      } catch (err) {
+        setCalibration({ status: "error", progress: 0, error: err.message });
+      }
+    }, CALIBRATION_FRAME_MS);
+  }, [deviceId, getTimeDomainData]);
+
+  const cancelCalibration = useCallback(() => {
+    clearInterval(calibrationTimerRef.current);
+    calibrationTimerRef.current = null;
+    setCalibration(IDLE_CALIBRATION);
+  }, []);
+
+  // Forget this device's calibration and go back to the defaults
+  const resetCalibration = useCallback(() => {
+    cancelCalibration();
+    if (deviceId) clearCalibration(deviceId);
+    setThresholds(DEFAULT_THRESHOLDS);
+  }, [deviceId, cancelCalibration]);
+
   return {
     isListening,
     error,
     hasPermission,
     startListening,
     stopListening,
+    openContext,
     getFrequencyData,
     getTimeDomainData,
+    getInputLevel,
+    // Input selection
+    devices,
+    inputDeviceId,
+    setInputDevice,
+    refreshDevices,
+    // Calibration — feed `thresholds` to usePitch
+    deviceId,
+    thresholds, // { volumeThreshold, clarityThreshold, noiseFloor?, signalLevel?, calibratedAt? }
+    calibration, // { status, progress, error }
+    startCalibration,
+    cancelCalibration,
+    resetCalibration,
     // Expose refs for advanced usage by other hooks
     audioContext: audioContextRef,
     analyser: analyserRef,
@@ -0,0 +1,111 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from "react";
+import { CHORD_LIBRARY, DEFAULT_REFERENCE_PITCH } from "../data/chords";
+import { computeChroma, buildChordTemplates, matchChord } from "../utils/chroma";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — useChordDetection Hook
+//  Polyphonic chord recognition via chromagram template matching
+//  Consumes useAudio's getFrequencyData() → 12-bin chroma vector
+//  → best-matching chord from the chord library
+//  (Practice engine, chord flash cards)
+// ═══════════════════════════════════════════════════════════════
+
+// Below this similarity we don't claim to know what's being played
+export const MIN_CONFIDENCE = 0.6;
+
+// How often to re-run matching — chords don't change at 60fps,
+// and fewer state updates keeps the practice UI responsive
+const DETECTION_INTERVAL_MS = 100;
+
+export function useChordDetection(audioContext, getFrequencyData, {
+  library = CHORD_LIBRARY,
+  referencePitch = DEFAULT_REFERENCE_PITCH, // A4 in Hz
+} = {}) {
+  const [detectedChord, setDetectedChord] = useState(null);
+  const [confidence, setConfidence] = useState(0);
+  const [runnerUp, setRunnerUp] = useState(null);
+  const [chroma, setChroma] = useState(null);
+  const [isActive, setIsActive] = useState(false);
+
+  const rafRef = useRef(null);
+  const lastRunRef = useRef(0);
+
+  // Templates only change when the library does
+  const templates = useMemo(() => buildChordTemplates(library), [library]);
+
+  // ─── One detection pass ───────────────────────────────────
+  const detectChord = useCallback(() => {
+    const frequencyData = getFrequencyData?.();
+    if (!frequencyData) return;
+
+    const sampleRate = audioContext?.current?.sampleRate || 44100;
+    const vector = computeChroma(frequencyData, sampleRate, referencePitch);
+    setChroma(vector);
+
+    // Silence — nothing to match
+    if (!vector) {
+      setDetectedChord(null);
+      setConfidence(0);
+      setRunnerUp(null);
+      return;
+    }
+
+    const { best, runnerUp: second } = matchChord(vector, templates);
+    setConfidence(best?.score || 0);
+
+    if (best && best.score >= MIN_CONFIDENCE) {
+      setDetectedChord({ key: best.key, chord: best.chord });
+      setRunnerUp(second ? { key: second.key, chord: second.chord, score: second.score } : null);
+    } else {
+      setDetectedChord(null);
+      setRunnerUp(null);
+    }
+  }, [audioContext, getFrequencyData, templates, referencePitch]);
+
+  // ─── Start/stop the detection loop ────────────────────────
+  const start = useCallback(() => {
+    setIsActive(true);
+  }, []);
+
+  const stop = useCallback(() => {
+    setIsActive(false);
+    if (rafRef.current) {
+      cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+    }
+    setDetectedChord(null);
+    setConfidence(0);
+    setRunnerUp(null);
+    setChroma(null);
+  }, []);
+
+  // ─── Animation frame loop, throttled to DETECTION_INTERVAL_MS ──
+  useEffect(() => {
+    if (!isActive) return;
+
+    const loop = (now) => {
+      if (now - lastRunRef.current >= DETECTION_INTERVAL_MS) {
+        lastRunRef.current = now;
+        detectChord();
+      }
+      rafRef.current = requestAnimationFrame(loop);
+    };
+    rafRef.current = requestAnimationFrame(loop);
+
+    return () => {
+      if (rafRef.current) {
+        cancelAnimationFrame(rafRef.current);
+      }
+    };
+  }, [isActive, detectChord]);
+
+  return {
+    detectedChord, // { key: "Am", chord: {...} } or null
+    confidence, // 0-1 cosine similarity of the best match
+    runnerUp, // { key, chord, score } — second-best candidate, or null
+    chroma, // 12-bin pitch class energy (C..B), normalized to max 1
+    isActive,
+    start,
+    stop,
+  };
+}
@@ -0,0 +1,179 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from "react";
+import { DEFAULT_REFERENCE_PITCH, STANDARD_TUNING } from "../data/chords";
+import {
+  SCALE_LENGTHS,
+  DEFAULT_SCALE_LENGTH,
+  CAPTURE_FRAMES,
+  intonationTarget,
+  isNearTarget,
+  captureReading,
+  measureString,
+  buildReport,
+  loadReports,
+  saveReport as storeReport,
+  deleteReport as removeReport,
+} from "../utils/intonation";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — useIntonation Hook
+//  Guided intonation check, low string to high: for each string
+//  the player sounds the 12th-fret harmonic, mutes it, then frets
+//  the 12th and plays it. Each is captured once the pitch from
+//  usePitch holds steady near the string's octave, and the two
+//  give the cents sharp or flat and the saddle advice (see
+//  utils/intonation.js). Finished checks can be saved as reports
+//
+//  Feed it usePitch's raw `detectedFreq`. After every capture it
+//  waits for the string to go quiet, so the ringing harmonic isn't
+//  taken for the fretted note
+// ═══════════════════════════════════════════════════════════════
+
+const IDLE = { status: "idle", stringIndex: 0, phase: "harmonic", waiting: false };
+
+export function useIntonation(detectedFreq, {
+  tuning = STANDARD_TUNING,
+  tuningName = "Standard",
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+} = {}) {
+  // status: idle | running | done; phase: harmonic | fretted
+  const [step, setStep] = useState(IDLE);
+  const [readings, setReadings] = useState([]); // per string: { harmonicFreq, frettedFreq }
+  const [progress, setProgress] = useState(0); // 0–1 through the current capture
+  const [scaleLength, setScaleLength] = useState(DEFAULT_SCALE_LENGTH);
+  const [reports, setReports] = useState(loadReports);
+  const [savedId, setSavedId] = useState(null); // of this check's report, once saved
+
+  const freqsRef = useRef([]);
+
+  const scaleLengthMm = SCALE_LENGTHS.find((s) => s.key === scaleLength)?.mm;
+
+  // ─── Rows so far, in tuning order ──────────────────────────
+  const results = useMemo(() => tuning.map((string, i) => measureString(
+    string,
+    readings[i]?.harmonicFreq ?? null,
+    readings[i]?.frettedFreq ?? null,
+    { referencePitch, scaleLengthMm },
+  )), [tuning, readings, referencePitch, scaleLengthMm]);
+
+  // ─── Move on to the next phase or string ───────────────────
+  const advance = useCallback((current) => {
+    freqsRef.current = [];
+    setProgress(0);
+    if (current.phase === "harmonic") {
+      setStep({ ...current, phase: "fretted", waiting: true });
+    } else if (current.stringIndex + 1 < tuning.length) {
+      setStep({ ...current, stringIndex: current.stringIndex + 1, phase: "harmonic", waiting: true });
+    } else {
+      setStep({ ...current, status: "done", waiting: false });
+    }
+  }, [tuning.length]);
+
+  // ─── Capture from the pitch stream ─────────────────────────
+  useEffect(() => {
+    if (step.status !== "running") return;
+
+    // Silence ends the wait, and restarts a capture cut short
+    if (detectedFreq === null) {
+      freqsRef.current = [];
+      setProgress(0);
+      if (step.waiting) setStep((s) => ({ ...s, waiting: false }));
+      return;
+    }
+    if (step.waiting) return;
+
+    const target = intonationTarget(tuning[step.stringIndex].freq, referencePitch);
+    if (!isNearTarget(detectedFreq, target)) return;
+
+    freqsRef.current = [...freqsRef.current, detectedFreq].slice(-CAPTURE_FRAMES);
+    setProgress(freqsRef.current.length / CAPTURE_FRAMES);
+
+    const reading = captureReading(freqsRef.current);
+    if (reading === null) return;
+    const key = step.phase === "harmonic" ? "harmonicFreq" : "frettedFreq";
+    setReadings((r) => {
+      const next = [...r];
+      next[step.stringIndex] = { ...next[step.stringIndex], [key]: reading };
+      return next;
+    });
+    advance(step);
+  }, [detectedFreq, step, tuning, referencePitch, advance]);
+
+  // ─── Controls ──────────────────────────────────────────────
+  const start = useCallback(() => {
+    freqsRef.current = [];
+    setReadings([]);
+    setProgress(0);
+    setSavedId(null);
+    setStep({ ...IDLE, status: "running", waiting: true });
+  }, []);
+
+  const cancel = useCallback(() => {
+    freqsRef.current = [];
+    setReadings([]);
+    setProgress(0);
+    setStep(IDLE);
+  }, []);
+
+  // Start the current string over from its harmonic
+  const redo = useCallback(() => {
+    freqsRef.current = [];
+    setProgress(0);
+    setReadings((r) => {
+      const next = [...r];
+      next[step.stringIndex] = undefined;
+      return next;
+    });
+    setStep((s) => ({ ...s, phase: "harmonic", waiting: true }));
+  }, [step.stringIndex]);
+
+  // Leave the current string unmeasured
+  const skip = useCallback(() => {
+    setReadings((r) => {
+      const next = [...r];
+      next[step.stringIndex] = undefined;
+      return next;
+    });
+    advance({ ...step, phase: "fretted" });
+  }, [step, advance]);
+
+  // A different tuning means different targets: start over
+  useEffect(() => {
+    cancel();
+  }, [tuning, cancel]);
+
+  // ─── Reports ───────────────────────────────────────────────
+  // Once per check — saving again would only duplicate it
+  const saveReport = useCallback(() => {
+    if (step.status !== "done" || savedId) return null;
+    const report = buildReport(results, { tuningName, referencePitch, scaleLength });
+    setReports(storeReport(report));
+    setSavedId(report.id);
+    return report;
+  }, [step.status, savedId, results, tuningName, referencePitch, scaleLength]);
+
+  const deleteReport = useCallback((id) => {
+    setReports(removeReport(id));
+  }, []);
+
+  return {
+    check: {
+      status: step.status, // idle | running | done
+      stringIndex: step.stringIndex,
+      string: tuning[step.stringIndex],
+      phase: step.phase, // harmonic | fretted
+      waiting: step.waiting, // true until the last note has died away
+      progress,
+    },
+    results, // one measureString row per string
+    start,
+    cancel,
+    redo,
+    skip,
+    scaleLength, // key into SCALE_LENGTHS
+    setScaleLength,
+    reports, // saved reports, newest first
+    saved: savedId !== null,
+    saveReport,
+    deleteReport,
+  };
+}
@@ -0,0 +1,199 @@
+import { useState, useRef, useCallback, useEffect } from "react";
+import {
+  createClickDetector,
+  measureLatency,
+  loadLatency,
+  saveLatency,
+  clearLatency,
+  LATENCY_CLICK_COUNT,
+  LATENCY_CLICK_INTERVAL,
+  LATENCY_CLICK_SOUND,
+  MAX_LATENCY,
+} from "../utils/latency";
+import { supportsAudioWorklet, loadWorkletModule } from "../utils/audioWorklet";
+import latencyProcessorUrl from "../worklets/latencyProcessor.js?worker&url";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — useLatency Hook
+//  Measures the round trip from speakers to mic on useAudio's
+//  context: measure() plays a short run of clicks and listens for
+//  them, then stores the median delay for the input device. Any
+//  page can read the stored `latency` without measuring — the
+//  practice page hands it to useMetronome
+//
+//  Listening runs in an AudioWorklet (worklets/latencyProcessor.js)
+//  for sample-accurate times; without AudioWorklet the same
+//  detector reads the analyser via requestAnimationFrame, which is
+//  coarser but still close
+// ═══════════════════════════════════════════════════════════════
+
+const IDLE_MEASUREMENT = { status: "idle", progress: 0, error: null };
+const PROGRESS_INTERVAL_MS = 50;
+const FIRST_CLICK_DELAY = 0.3; // seconds — let the listener settle
+
+// `deviceKey` is the chosen input: useAudio's inputDeviceId, or
+// "default" for the browser's
+export function useLatency(audioContext, analyser, deviceKey = "default") {
+  const [latency, setLatency] = useState(() => loadLatency(deviceKey));
+  const [measurement, setMeasurement] = useState(IDLE_MEASUREMENT);
+
+  const runRef = useRef(null); // { teardown } of the measurement in progress
+  const deviceKeyRef = useRef(deviceKey);
+  deviceKeyRef.current = deviceKey;
+
+  // ─── Follow the input device ───────────────────────────────
+  useEffect(() => {
+    setLatency(loadLatency(deviceKey));
+  }, [deviceKey]);
+
+  const cancel = useCallback(() => {
+    runRef.current?.teardown();
+    runRef.current = null;
+    setMeasurement(IDLE_MEASUREMENT);
+  }, []);
+
+  // ─── Run the loopback test ─────────────────────────────────
+  const measure = useCallback(() => {
+    const ctx = audioContext?.current;
+    const source = analyser?.current;
+    if (!ctx || !source) return;
+
+    runRef.current?.teardown();
+    setMeasurement({ status: "measuring", progress: 0, error: null });
+
+    const detected = [];
+    const clickTimes = [];
+    const oscillators = [];
+    let node = null;
+    let rafId = null;
+    let timer = null;
+    let cancelled = false;
+
+    const teardown = () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (rafId) cancelAnimationFrame(rafId);
+      if (node) {
+        node.port.onmessage = null;
+        try {
+          source.disconnect(node);
+        } catch {
+          // Already torn down with the AudioContext
+        }
+      }
+      oscillators.forEach((osc) => {
+        try {
+          osc.stop();
+        } catch {
+          // Already played
+        }
+      });
+    };
+    runRef.current = { teardown };
+
+    const playClick = (time) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.type = LATENCY_CLICK_SOUND.wave;
+      osc.frequency.value = LATENCY_CLICK_SOUND.freq;
+      gain.gain.setValueAtTime(LATENCY_CLICK_SOUND.gain, time);
+      gain.gain.exponentialRampToValueAtTime(0.001, time + LATENCY_CLICK_SOUND.decay);
+      osc.start(time);
+      osc.stop(time + LATENCY_CLICK_SOUND.decay);
+      oscillators.push(osc);
+    };
+
+    const finish = () => {
+      teardown();
+      runRef.current = null;
+      try {
+        const measured = measureLatency(clickTimes, detected);
+        setLatency(saveLatency(deviceKeyRef.current, measured));
+        setMeasurement({ status: "done", progress: 1, error: null });
+      } catch (err) {
+        setMeasurement({ status: "error", progress: 0, error: err.message });
+      }
+    };
+
+    // Clicks only start once something is listening for them
+    const startClicks = () => {
+      const first = ctx.currentTime + FIRST_CLICK_DELAY;
+      for (let i = 0; i < LATENCY_CLICK_COUNT; i++) {
+        clickTimes.push(first + i * LATENCY_CLICK_INTERVAL);
+        playClick(clickTimes[i]);
+      }
+      // The last click gets the longest delay we accept to come back
+      const end = clickTimes[clickTimes.length - 1] + MAX_LATENCY;
+      const startedAt = ctx.currentTime;
+      timer = setInterval(() => {
+        const now = ctx.currentTime;
+        if (now >= end) {
+          finish();
+          return;
+        }
+        setMeasurement({ status: "measuring", progress: (now - startedAt) / (end - startedAt), error: null });
+      }, PROGRESS_INTERVAL_MS);
+    };
+
+    // Main-thread fallback: each display frame, run the detector
+    // over the samples that arrived since the last one
+    const startFallback = () => {
+      const buffer = new Float32Array(source.fftSize);
+      const detector = createClickDetector({ sampleRate: ctx.sampleRate });
+      let last = ctx.currentTime;
+      const loop = () => {
+        source.getFloatTimeDomainData(buffer);
+        const now = ctx.currentTime;
+        const fresh = Math.min(buffer.length, Math.round((now - last) * ctx.sampleRate));
+        last = now;
+        detected.push(...detector.process(buffer.subarray(buffer.length - fresh), now - fresh / ctx.sampleRate));
+        rafId = requestAnimationFrame(loop);
+      };
+      rafId = requestAnimationFrame(loop);
+      startClicks();
+    };
+
+    if (supportsAudioWorklet(ctx)) {
+      loadWorkletModule(ctx, latencyProcessorUrl)
+        .then(() => {
+          if (cancelled) return;
+          node = new AudioWorkletNode(ctx, "latency-processor", {
+            numberOfInputs: 1,
+            numberOfOutputs: 0, // analysis only
+          });
+          node.port.onmessage = (event) => detected.push(event.data.time);
+          source.connect(node);
+          startClicks();
+        })
+        .catch((err) => {
+          console.error("Latency worklet failed to load, listening on the main thread:", err);
+          if (!cancelled) startFallback();
+        });
+    } else {
+      startFallback();
+    }
+  }, [audioContext, analyser]);
+
+  // Forget this device's measurement
+  const reset = useCallback(() => {
+    cancel();
+    clearLatency(deviceKeyRef.current);
+    setLatency(null);
+  }, [cancel]);
+
+  // ─── Clean up on unmount ──────────────────────────────────
+  useEffect(() => {
+    return () => runRef.current?.teardown();
+  }, []);
+
+  return {
+    latency, // { latencyMs, jitterMs, heard, measuredAt } for this device, or null
+    latencySeconds: latency ? latency.latencyMs / 1000 : 0, // for useMetronome
+    measurement, // { status: "idle" | "measuring" | "done" | "error", progress, error }
+    measure,
+    cancel,
+    reset,
+  };
+}
@@ -1,4 +1,14 @@
 import { useState, useRef, useCallback, useEffect } from "react";
+import { METERS, DEFAULT_METER, DEFAULT_SUBDIVISION } from "../data/meters";
+import {
+  buildMeasure,
+  clickSound,
+  defaultAccents,
+  nextAccent,
+  nextRampTempo,
+  subdivisionFits,
+  tickSeconds,
+} from "../utils/meter";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — useMetronome Hook
@@ -6,21 +16,83 @@ import { useState, useRef, useCallback, useEffect } from "react";
 //  Why not just setInterval? JavaScript timers drift ~10-50ms,
 //  which is unacceptable for musical timing. We use the
 //  AudioContext's clock which is sample-accurate.
+//
+//  Measures come from utils/meter.js: any meter in data/meters.js,
+//  an optional subdivision, and a per-beat accent/normal/mute
+//  pattern, each kind of click with its own timbre
+//
+//  Nothing restarts while playing. The scheduler lays out one beat
+//  at a time and reads the tempo, meter and subdivision as it
+//  reaches each new beat, so a change lands on the next beat that
+//  hasn't been scheduled yet — a new meter starts a fresh bar
+//  there. The speed trainer ramp steps the tempo at bar lines and
+//  can drop it back when the practice engine calls reportMistake()
+//
+//  Pass `getAudioContext` (useAudio's openContext) to click on the
+//  mic's AudioContext: beat times and onset timestamps then share
+//  one clock. Without it the metronome makes, and closes, its own
+//
+//  Pass `latency` (seconds, from useLatency) and each click sounds
+//  that much before its beat. The player hears it late by the
+//  output delay and their strum reaches the mic's timestamps late
+//  by the input delay; sounding early cancels the round trip, so a
+//  strum played on the click is stamped at the beat's `time`
 // ═══════════════════════════════════════════════════════════════
 
-export function useMetronome() {
-  const [bpm, setBpm] = useState(80); // Default 80 BPM — good for beginners
+// Scheduling window: every 25ms, schedule clicks due in the next 100ms
+const LOOKAHEAD = 0.1;
+const SCHEDULE_INTERVAL_MS = 25;
+
+// Options:
+//   onBeat({ beat, bar, count, time, bpm }) — called as each beat is shown,
+//   where beat is the position in the bar, bar and count are the bar and
+//   beat numbers since start(), time is the scheduled AudioContext time of
+//   the click and bpm the tempo of that beat. Subdivision clicks don't call it
+//   getAudioContext() — returns the AudioContext to schedule on
+//   latency — round trip in seconds to sound clicks ahead by; beat
+//   times stay on the grid. Read at start()
+export function useMetronome({ onBeat, getAudioContext, latency = 0 } = {}) {
+  const [bpm, setBpmState] = useState(80); // Default 80 BPM — good for beginners
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentBeat, setCurrentBeat] = useState(0);
-  const [beatsPerMeasure, setBeatsPerMeasure] = useState(4); // 4/4 time
+  const [meter, setMeterId] = useState(DEFAULT_METER);
+  const [subdivision, setSubdivisionId] = useState(DEFAULT_SUBDIVISION);
+  const [accents, setAccents] = useState(() => defaultAccents(DEFAULT_METER));
+  const [ramp, setRampState] = useState(null); // null, or a DEFAULT_RAMP-shaped config
 
   const audioContextRef = useRef(null);
+  const ownsContextRef = useRef(false); // Close it on stop() only if we made it
   const timerRef = useRef(null);
-  const beatRef = useRef(0);
+  const pendingBeatsRef = useRef(new Set()); // Visual beat timeouts not yet fired
+  const oscillatorsRef = useRef(new Set()); // Clicks scheduled but not yet played
+
+  // The scheduler reads these as it reaches each beat, so changes
+  // are heard without a restart
+  const bpmRef = useRef(bpm);
+  const meterRef = useRef(meter);
+  const subdivisionRef = useRef(subdivision);
+  subdivisionRef.current = subdivision;
+  const accentsRef = useRef(accents);
+  accentsRef.current = accents;
+
+  // Speed trainer state, advanced at bar lines
+  const rampRef = useRef(null);
+  const barsAtTempoRef = useRef(0);
+  const mistakeRef = useRef(false); // Drop back at the next bar line
+
+  // Keep the latest callbacks in refs so the scheduler never calls a stale closure
+  const onBeatRef = useRef(onBeat);
+  onBeatRef.current = onBeat;
+  const getAudioContextRef = useRef(getAudioContext);
+  getAudioContextRef.current = getAudioContext;
+  const latencyRef = useRef(latency);
+  latencyRef.current = latency;
 
   // ─── Create click sound using oscillator ──────────────────
-  // Much better than loading an audio file — zero latency
-  const playClick = useCallback((time, isDownbeat) => {
+  // Much better than loading an audio file — zero latency.
+  // `sound` is one of CLICK_SOUNDS: accents are a bright square
+  // wave, beats a plain sine, subdivisions a short quiet triangle
+  const playClick = useCallback((time, sound) => {
     if (!audioContextRef.current) return;
     const ctx = audioContextRef.current;
 
@@ -30,53 +102,135 @@ export function useMetronome() {
     osc.connect(gain);
     gain.connect(ctx.destination);
 
-    // Downbeat (beat 1) is higher pitched and louder
-    // This helps you feel the start of each measure
-    osc.frequency.value = isDownbeat ? 1000 : 700;
-    gain.gain.value = isDownbeat ? 0.5 : 0.3;
+    osc.type = sound.wave;
+    osc.frequency.value = sound.freq;
+    gain.gain.setValueAtTime(sound.gain, time);
 
-    // Very short click: ramp down over 30ms for a crisp sound
-    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
+    // Very short click: ramp down for a crisp sound
+    gain.gain.exponentialRampToValueAtTime(0.001, time + sound.decay);
+
+    // A shared context isn't closed on stop(), so clicks still
+    // waiting to play are tracked and cancelled there instead
+    oscillatorsRef.current.add(osc);
+    osc.onended = () => oscillatorsRef.current.delete(osc);
 
     osc.start(time);
-    osc.stop(time + 0.03);
+    osc.stop(time + sound.decay);
   }, []);
 
   // ─── Start the metronome ──────────────────────────────────
   const start = useCallback(() => {
-    // Create a fresh AudioContext (browser requires user gesture first)
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    if (timerRef.current) return;
+
+    // Schedule on the shared context when there is one; otherwise
+    // create one (browser requires user gesture first)
+    let ctx = getAudioContextRef.current?.() || null;
+    ownsContextRef.current = !ctx;
+    if (!ctx) ctx = new (window.AudioContext || window.webkitAudioContext)();
     audioContextRef.current = ctx;
-    beatRef.current = 0;
 
-    const secondsPerBeat = 60.0 / bpm;
+    // A ramp always begins from its start tempo
+    if (rampRef.current) {
+      bpmRef.current = rampRef.current.startBpm;
+      setBpmState(rampRef.current.startBpm);
+    }
+    barsAtTempoRef.current = 0;
+    mistakeRef.current = false;
+
+    // Where the scheduler is: the bar being laid out, the click
+    // within it, and the beat that click belongs to — its start
+    // time, its offset into the bar in ticks, and its tempo
+    let barMeter = meterRef.current;
+    let bar = buildMeasure(barMeter, subdivisionRef.current);
+    let barNumber = 0;
+    let clickIndex = 0;
+    let beatCount = 0;
+    // A run keeps the latency it started with, so a new measurement
+    // can't shift clicks against beats mid-bar
+    const lead = latencyRef.current;
+    let beatStart = ctx.currentTime + 0.1 + lead; // Small initial delay
+    let beatAt = 0;
+    let beatBpm = bpmRef.current;
+    let secondsPerTick = tickSeconds(barMeter, beatBpm);
+    // The next beat's start is known as soon as the last one is laid
+    // out; what it is (a downbeat in a new meter? subdivided?) is
+    // settled only when it's scheduled, so changes made in between
+    // still land on it
+    let beatPending = false;
 
-    // Schedule beats using AudioContext timing for accuracy
-    // We look ahead 100ms and schedule any beats in that window
-    let nextBeatTime = ctx.currentTime + 0.1; // Small initial delay
+    // Finish the current beat: the next one starts where it ends
+    const endBeat = () => {
+      const nextAt = clickIndex < bar.clicks.length ? bar.clicks[clickIndex].at : bar.ticks;
+      beatStart += (nextAt - beatAt) * secondsPerTick;
+      beatPending = true;
+    };
+
+    // Settle the beat about to be scheduled, picking up tempo, meter
+    // and subdivision changes made since the last one
+    const startBeat = () => {
+      const barLine = clickIndex === bar.clicks.length || meterRef.current !== barMeter;
+      if (barLine) {
+        if (rampRef.current) {
+          const next = nextRampTempo(rampRef.current, bpmRef.current, barsAtTempoRef.current, {
+            mistake: mistakeRef.current,
+          });
+          bpmRef.current = next.bpm;
+          barsAtTempoRef.current = next.barsAtTempo;
+        }
+        mistakeRef.current = false;
+        barMeter = meterRef.current;
+        barNumber++;
+      }
+
+      // Re-lay the bar so a new subdivision is heard from this beat on
+      const beat = barLine ? 0 : bar.clicks[clickIndex].beat;
+      bar = buildMeasure(barMeter, subdivisionRef.current);
+      clickIndex = bar.clicks.findIndex((c) => c.isBeat && c.beat === beat);
+      beatAt = bar.clicks[clickIndex].at;
+      beatBpm = bpmRef.current;
+      secondsPerTick = tickSeconds(barMeter, beatBpm);
+      beatPending = false;
+    };
 
     const scheduler = () => {
-      // Schedule all beats within the next 100ms lookahead window
-      while (nextBeatTime < ctx.currentTime + 0.1) {
-        const isDownbeat = beatRef.current % beatsPerMeasure === 0;
-        playClick(nextBeatTime, isDownbeat);
-
-        // Update the visual beat indicator
-        // We use setTimeout here because the UI doesn't need sample-accurate timing
-        const beatToShow = beatRef.current % beatsPerMeasure;
-        const delay = (nextBeatTime - ctx.currentTime) * 1000;
-        setTimeout(() => setCurrentBeat(beatToShow), Math.max(0, delay));
-
-        nextBeatTime += secondsPerBeat;
-        beatRef.current++;
+      // Schedule all clicks within the lookahead window
+      const nextClickTime = () =>
+        beatPending ? beatStart : beatStart + (bar.clicks[clickIndex].at - beatAt) * secondsPerTick;
+
+      while (nextClickTime() - lead < ctx.currentTime + LOOKAHEAD) {
+        if (beatPending) startBeat();
+        const click = bar.clicks[clickIndex];
+        const clickTime = nextClickTime();
+
+        const sound = clickSound(click, accentsRef.current);
+        if (sound) playClick(clickTime - lead, sound);
+
+        if (click.isBeat) {
+          // Update the visual beat indicator
+          // We use setTimeout here because the UI doesn't need sample-accurate timing
+          const event = { beat: click.beat, bar: barNumber, count: beatCount, time: clickTime, bpm: beatBpm };
+          const delay = (clickTime - ctx.currentTime) * 1000;
+          const pending = setTimeout(() => {
+            pendingBeatsRef.current.delete(pending);
+            setCurrentBeat(event.beat);
+            // The ramp's tempo shows when its bar starts
+            if (event.beat === 0 && rampRef.current) setBpmState(event.bpm);
+            onBeatRef.current?.(event);
+          }, Math.max(0, delay));
+          pendingBeatsRef.current.add(pending);
+          beatCount++;
+        }
+
+        clickIndex++;
+        if (clickIndex === bar.clicks.length || bar.clicks[clickIndex].isBeat) endBeat();
       }
 
-      timerRef.current = setTimeout(scheduler, 25); // Check every 25ms
+      timerRef.current = setTimeout(scheduler, SCHEDULE_INTERVAL_MS);
     };
 
     scheduler();
     setIsPlaying(true);
-  }, [bpm, beatsPerMeasure, playClick]);
+  }, [playClick]);
 
   // ─── Stop the metronome ───────────────────────────────────
   const stop = useCallback(() => {
@@ -84,11 +238,19 @@ export function useMetronome() {
       clearTimeout(timerRef.current);
       timerRef.current = null;
     }
-    if (audioContextRef.current) {
-      audioContextRef.current.close();
-      audioContextRef.current = null;
-    }
-    beatRef.current = 0;
+    // Drop beats that were scheduled but not yet shown — no callbacks after stop()
+    pendingBeatsRef.current.forEach(clearTimeout);
+    pendingBeatsRef.current.clear();
+    oscillatorsRef.current.forEach((osc) => {
+      try {
+        osc.stop();
+      } catch {
+        // Already played, or its context is closed
+      }
+    });
+    oscillatorsRef.current.clear();
+    if (audioContextRef.current && ownsContextRef.current) audioContextRef.current.close();
+    audioContextRef.current = null;
     setCurrentBeat(0);
     setIsPlaying(false);
   }, []);
@@ -97,28 +259,75 @@ export function useMetronome() {
   useEffect(() => {
     return () => {
       if (timerRef.current) clearTimeout(timerRef.current);
-      if (audioContextRef.current) audioContextRef.current.close();
+      pendingBeatsRef.current.forEach(clearTimeout);
+      if (audioContextRef.current && ownsContextRef.current) audioContextRef.current.close();
     };
   }, []);
 
-  // ─── Restart if BPM changes while playing ─────────────────
-  useEffect(() => {
-    if (isPlaying) {
-      stop();
-      // Small delay to let cleanup finish before restarting
-      setTimeout(start, 50);
+  // ─── Meter, subdivision and accents ───────────────────────
+  // A new meter brings its own accent pattern, and drops a
+  // subdivision that doesn't fit it (triplets in 6/8)
+  const setMeter = useCallback((id) => {
+    if (!METERS[id]) return;
+    meterRef.current = id;
+    setMeterId(id);
+    setAccents(defaultAccents(id));
+    setSubdivisionId((current) => (subdivisionFits(id, current) ? current : DEFAULT_SUBDIVISION));
+  }, []);
+
+  const setSubdivision = useCallback((id) => {
+    if (subdivisionFits(meterRef.current, id)) setSubdivisionId(id);
+  }, []);
+
+  // Accent → normal → mute → accent
+  const cycleAccent = useCallback((beat) => {
+    setAccents((current) => current.map((level, i) => (i === beat ? nextAccent(level) : level)));
+  }, []);
+
+  // ─── Tempo ────────────────────────────────────────────────
+  const setBpm = useCallback((value) => {
+    bpmRef.current = value;
+    barsAtTempoRef.current = 0;
+    setBpmState(value);
+  }, []);
+
+  // Speed trainer: pass a ramp config to enable, null to disable.
+  // Enabling while stopped shows the ramp's start tempo
+  const setRamp = useCallback((config) => {
+    rampRef.current = config;
+    setRampState(config);
+    if (config && !timerRef.current) {
+      bpmRef.current = config.startBpm;
+      setBpmState(config.startBpm);
     }
-  }, [bpm]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, []);
+
+  // The player slipped — with a ramp running, the tempo drops back
+  // at the next bar line
+  const reportMistake = useCallback(() => {
+    if (rampRef.current) mistakeRef.current = true;
+  }, []);
 
   return {
     bpm,
     setBpm,
     isPlaying,
     currentBeat, // 0 to beatsPerMeasure-1
-    beatsPerMeasure,
-    setBeatsPerMeasure,
+    beatsPerMeasure: METERS[meter].groups.length,
+    meter, // id in METERS
+    setMeter,
+    subdivision, // id in SUBDIVISIONS
+    setSubdivision,
+    accents, // "accent" | "normal" | "mute" per beat
+    setAccents,
+    cycleAccent,
+    ramp, // speed trainer config, or null
+    setRamp,
+    reportMistake,
     start,
     stop,
     toggle: isPlaying ? stop : start,
+    // The clock beat times are scheduled on (null while stopped)
+    audioContext: audioContextRef,
   };
 }
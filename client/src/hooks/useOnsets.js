@@ -0,0 +1,137 @@
+import { useState, useRef, useCallback, useEffect } from "react";
+import { createOnsetDetector, ONSET_FRAME_SIZE, ONSET_HOP_SIZE } from "../utils/onsetDetection";
+import { supportsAudioWorklet, loadWorkletModule } from "../utils/audioWorklet";
+import onsetProcessorUrl from "../worklets/onsetProcessor.js?worker&url";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — useOnsets Hook
+//  Strum and pluck detection on top of useAudio's analyser.
+//  Each attack arrives as { type: "strum" | "pluck", time,
+//  strength } with `time` in AudioContext seconds — the same
+//  clock the metronome schedules on — so scoring can tell repeated
+//  strums of one chord apart and measure how early or late each
+//  landed. usePitch's detectedNote can't: it only says what's
+//  sounding
+//
+//  Detection runs in an AudioWorklet (worklets/onsetProcessor.js);
+//  without AudioWorklet the same detector runs on the main thread
+//  via requestAnimationFrame, with coarser timestamps
+// ═══════════════════════════════════════════════════════════════
+
+// Keep this many recent onsets in state for displays
+const MAX_RECENT_ONSETS = 16;
+
+export function useOnsets(audioContext, analyser, {
+  sensitivity = 1, // >1 catches softer attacks
+  minRms = 0, // ignore attacks quieter than this (linear RMS)
+  onOnset, // called with each event as it arrives
+} = {}) {
+  const [onsets, setOnsets] = useState([]);
+  const [isActive, setIsActive] = useState(false);
+
+  // Latest callback without re-wiring the worklet
+  const onOnsetRef = useRef(onOnset);
+  onOnsetRef.current = onOnset;
+  const optionsRef = useRef({ sensitivity, minRms });
+  optionsRef.current = { sensitivity, minRms };
+  const nodeRef = useRef(null);
+
+  const handleOnset = useCallback((event) => {
+    setOnsets((prev) => [...prev, event].slice(-MAX_RECENT_ONSETS));
+    onOnsetRef.current?.(event);
+  }, []);
+
+  // ─── Start/stop detection ──────────────────────────────────
+  const start = useCallback(() => {
+    setIsActive(true);
+  }, []);
+
+  const stop = useCallback(() => {
+    setIsActive(false);
+  }, []);
+
+  const clear = useCallback(() => setOnsets([]), []);
+
+  // ─── Wire the analyser into the worklet (or the fallback) ──
+  useEffect(() => {
+    if (!isActive) return;
+    const context = audioContext?.current;
+    const source = analyser?.current;
+    if (!context || !source) return;
+
+    let cancelled = false;
+    let node = null;
+    let rafId = null;
+
+    // Main-thread fallback: one frame per display refresh, stamped
+    // with the context time the analyser window ends at
+    const startFallback = () => {
+      const buffer = new Float32Array(source.fftSize);
+      const detector = createOnsetDetector({
+        sampleRate: context.sampleRate,
+        hopSize: Math.round(context.sampleRate / 60),
+        ...optionsRef.current,
+      });
+      const loop = () => {
+        source.getFloatTimeDomainData(buffer);
+        const event = detector.process(buffer.subarray(buffer.length - ONSET_FRAME_SIZE), context.currentTime);
+        if (event) handleOnset(event);
+        rafId = requestAnimationFrame(loop);
+      };
+      rafId = requestAnimationFrame(loop);
+    };
+
+    if (supportsAudioWorklet(context)) {
+      loadWorkletModule(context, onsetProcessorUrl)
+        .then(() => {
+          if (cancelled) return;
+          node = new AudioWorkletNode(context, "onset-processor", {
+            numberOfInputs: 1,
+            numberOfOutputs: 0, // analysis only
+            processorOptions: {
+              frameSize: ONSET_FRAME_SIZE,
+              hopSize: ONSET_HOP_SIZE,
+              ...optionsRef.current,
+            },
+          });
+          node.port.onmessage = (event) => handleOnset(event.data);
+          nodeRef.current = node;
+          source.connect(node);
+        })
+        .catch((err) => {
+          console.error("Onset worklet failed to load, detecting on the main thread:", err);
+          if (!cancelled) startFallback();
+        });
+    } else {
+      startFallback();
+    }
+
+    return () => {
+      cancelled = true;
+      if (rafId) cancelAnimationFrame(rafId);
+      if (node) {
+        nodeRef.current = null;
+        node.port.onmessage = null;
+        try {
+          source.disconnect(node);
+        } catch {
+          // Already torn down with the AudioContext
+        }
+      }
+    };
+  }, [isActive, audioContext, analyser, handleOnset]);
+
+  // ─── Pass option changes to a running worklet ─────────────
+  useEffect(() => {
+    nodeRef.current?.port.postMessage({ sensitivity, minRms });
+  }, [sensitivity, minRms]);
+
+  return {
+    onsets, // oldest → newest, up to 16
+    lastOnset: onsets[onsets.length - 1] || null,
+    isActive,
+    start,
+    stop,
+    clear,
+  };
+}
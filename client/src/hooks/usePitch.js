@@ -1,154 +1,163 @@
 import { useState, useRef, useCallback, useEffect } from "react";
-import { frequencyToNote } from "../data/chords";
+import { frequencyToNote, DEFAULT_REFERENCE_PITCH } from "../data/chords";
+import { detectPitch, DEFAULT_PITCH_METHOD } from "../utils/pitchDetection";
+import {
+  DEFAULT_VOLUME_THRESHOLD,
+  DEFAULT_CLARITY_THRESHOLD,
+  dbfsToRms,
+} from "../utils/calibration";
+import { supportsAudioWorklet, loadWorkletModule } from "../utils/audioWorklet";
+import pitchProcessorUrl from "../worklets/pitchProcessor.js?worker&url";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — usePitch Hook
 //  Real-time pitch detection from microphone audio
-//  Uses autocorrelation for single-note identification
+//  Uses the McLeod Pitch Method (or YIN, via `method`) from
+//  utils/pitchDetection for single-note identification
 //  (Tuner mode, scale practice, single note validation)
+//  Notes and cents are relative to A4 = referencePitch
+//  The volume gate (dBFS) and clarity gate (0–1) default to fixed
+//  values; pass useAudio's calibrated `thresholds` to adapt them
+//  to the room and the microphone
+//
+//  Detection runs in an AudioWorklet (worklets/pitchProcessor.js)
+//  fed from useAudio's analyser, which posts { freq, clarity, rms }
+//  about 43 times a second regardless of how fast the page renders.
+//  Browsers without AudioWorklet fall back to the same detector on
+//  the main thread, driven by requestAnimationFrame
 // ═══════════════════════════════════════════════════════════════
 
-// Minimum volume threshold to start detecting
-// — prevents false detections from background noise
-const CLARITY_THRESHOLD = 0.85; // 0-1, higher = more strict
-const VOLUME_THRESHOLD = -40; // dBFS, adjust based on mic sensitivity
-
-export function usePitch(audioContext, analyser) {
+// Analysis window and hop, in samples: 2048 covers more than two
+// periods of the lowest string; a 1024 hop is ~23ms at 44.1kHz
+export const WINDOW_SIZE = 2048;
+export const HOP_SIZE = 1024;
+
+export function usePitch(audioContext, analyser, {
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+  method = DEFAULT_PITCH_METHOD,
+  // Minimum volume to start detecting — keeps background noise out
+  volumeThreshold = DEFAULT_VOLUME_THRESHOLD, // dBFS
+  clarityThreshold = DEFAULT_CLARITY_THRESHOLD, // 0-1, higher = more strict
+} = {}) {
   const [detectedNote, setDetectedNote] = useState(null);
   const [detectedFreq, setDetectedFreq] = useState(null);
   const [clarity, setClarity] = useState(0);
   const [isActive, setIsActive] = useState(false);
 
-  const rafRef = useRef(null);
-
-  // ─── Autocorrelation-based pitch detection ────────────────
-  // This is a simplified version of the McLeod Pitch Method
-  // The pitchy library uses a more sophisticated version
-  // For now, we use the AnalyserNode's built-in FFT approach
-  const detectPitch = useCallback(() => {
-    if (!analyser?.current) return;
-
-    const analyserNode = analyser.current;
-    const bufferLength = analyserNode.fftSize;
-    const buffer = new Float32Array(bufferLength);
-    analyserNode.getFloatTimeDomainData(buffer);
-
-    // ─── Step 1: Check if signal is loud enough ───────────
-    // Calculate RMS (root mean square) as a volume indicator
-    let rms = 0;
-    for (let i = 0; i < bufferLength; i++) {
-      rms += buffer[i] * buffer[i];
-    }
-    rms = Math.sqrt(rms / bufferLength);
+  // Read through refs so changing A4 or the gates doesn't rebuild
+  // the worklet node
+  const referencePitchRef = useRef(referencePitch);
+  referencePitchRef.current = referencePitch;
+  const thresholdsRef = useRef({ volumeThreshold, clarityThreshold });
+  thresholdsRef.current = { volumeThreshold, clarityThreshold };
+  const nodeRef = useRef(null);
+
+  // ─── Turn a { freq, clarity, rms } result into note state ──
+  const handleResult = useCallback(({ freq, clarity: peak, rms }) => {
     const dbFS = 20 * Math.log10(rms);
+    const { volumeThreshold: minDb, clarityThreshold: minClarity } = thresholdsRef.current;
 
-    // If the signal is too quiet, don't try to detect pitch
-    if (dbFS < VOLUME_THRESHOLD) {
+    // If the signal is too quiet, don't trust the pitch
+    if (dbFS < minDb) {
       setDetectedNote(null);
       setDetectedFreq(null);
       setClarity(0);
       return;
     }
 
-    // ─── Step 2: Autocorrelation ──────────────────────────
-    // Compare the signal with time-shifted versions of itself
-    // The lag where correlation peaks = the fundamental period
-    const sampleRate = audioContext.current?.sampleRate || 44100;
-    const correlations = new Float32Array(bufferLength);
-
-    // Only search for frequencies in the guitar range:
-    // Low E2 = 82Hz → period ~537 samples at 44100Hz
-    // High E6 = 1319Hz → period ~33 samples
-    const minPeriod = Math.floor(sampleRate / 1400); // ~31 samples
-    const maxPeriod = Math.floor(sampleRate / 70); // ~630 samples
-
-    let bestCorrelation = -1;
-    let bestPeriod = 0;
-
-    for (let lag = minPeriod; lag < maxPeriod && lag < bufferLength; lag++) {
-      let correlation = 0;
-      let norm1 = 0;
-      let norm2 = 0;
-
-      // Normalized cross-correlation for this lag value
-      for (let i = 0; i < bufferLength - lag; i++) {
-        correlation += buffer[i] * buffer[i + lag];
-        norm1 += buffer[i] * buffer[i];
-        norm2 += buffer[i + lag] * buffer[i + lag];
-      }
-
-      // Normalize to get a value between -1 and 1
-      const normFactor = Math.sqrt(norm1 * norm2);
-      if (normFactor > 0) {
-        correlation /= normFactor;
-      }
-      correlations[lag] = correlation;
-
-      if (correlation > bestCorrelation) {
-        bestCorrelation = correlation;
-        bestPeriod = lag;
-      }
-    }
-
-    // ─── Step 3: Refine with parabolic interpolation ──────
-    // The true peak is usually between integer sample positions
-    // Use the three points around the peak for sub-sample accuracy
-    let refinedPeriod = bestPeriod;
-    if (bestPeriod > 0 && bestPeriod < bufferLength - 1) {
-      const y0 = correlations[bestPeriod - 1] || 0;
-      const y1 = correlations[bestPeriod];
-      const y2 = correlations[bestPeriod + 1] || 0;
-      const shift = (y0 - y2) / (2 * (y0 - 2 * y1 + y2));
-      if (isFinite(shift)) {
-        refinedPeriod = bestPeriod + shift;
-      }
-    }
-
-    // ─── Step 4: Convert period to frequency and note ─────
-    const frequency = sampleRate / refinedPeriod;
-
-    setClarity(bestCorrelation);
+    setClarity(peak);
 
     // Only report if we're confident in the detection
-    if (bestCorrelation > CLARITY_THRESHOLD && frequency > 70 && frequency < 1400) {
-      const noteInfo = frequencyToNote(frequency);
-      setDetectedFreq(frequency);
-      setDetectedNote(noteInfo);
+    if (freq && peak > minClarity) {
+      setDetectedFreq(freq);
+      setDetectedNote(frequencyToNote(freq, referencePitchRef.current));
     } else {
       setDetectedNote(null);
       setDetectedFreq(null);
     }
-  }, [audioContext, analyser]);
+  }, []);
 
-  // ─── Start/stop the detection loop ────────────────────────
+  // ─── Start/stop detection ──────────────────────────────────
   const start = useCallback(() => {
     setIsActive(true);
   }, []);
 
   const stop = useCallback(() => {
     setIsActive(false);
-    if (rafRef.current) {
-      cancelAnimationFrame(rafRef.current);
-      rafRef.current = null;
-    }
   }, []);
 
-  // ─── Animation frame loop for continuous detection ────────
+  // ─── Wire the analyser into the worklet (or the fallback) ──
   useEffect(() => {
     if (!isActive) return;
-
-    const loop = () => {
-      detectPitch();
-      rafRef.current = requestAnimationFrame(loop);
+    const context = audioContext?.current;
+    const source = analyser?.current;
+    if (!context || !source) return;
+
+    let cancelled = false;
+    let node = null;
+    let rafId = null;
+
+    // Main-thread fallback: same detector, paced by the display
+    const startFallback = () => {
+      const buffer = new Float32Array(source.fftSize);
+      const loop = () => {
+        source.getFloatTimeDomainData(buffer);
+        handleResult(detectPitch(buffer.subarray(buffer.length - WINDOW_SIZE), context.sampleRate, { method }));
+        rafId = requestAnimationFrame(loop);
+      };
+      rafId = requestAnimationFrame(loop);
     };
-    rafRef.current = requestAnimationFrame(loop);
+
+    if (supportsAudioWorklet(context)) {
+      loadWorkletModule(context, pitchProcessorUrl)
+        .then(() => {
+          if (cancelled) return;
+          node = new AudioWorkletNode(context, "pitch-processor", {
+            numberOfInputs: 1,
+            numberOfOutputs: 0, // analysis only — nothing to play
+            processorOptions: {
+              bufferSize: WINDOW_SIZE,
+              hopSize: HOP_SIZE,
+              minRms: dbfsToRms(thresholdsRef.current.volumeThreshold),
+              method,
+            },
+          });
+          node.port.onmessage = (event) => handleResult(event.data);
+          nodeRef.current = node;
+          // AnalyserNode passes its input through, so the worklet
+          // hears exactly what the analyser sees
+          source.connect(node);
+        })
+        .catch((err) => {
+          console.error("Pitch worklet failed to load, detecting on the main thread:", err);
+          if (!cancelled) startFallback();
+        });
+    } else {
+      startFallback();
+    }
 
     return () => {
-      if (rafRef.current) {
-        cancelAnimationFrame(rafRef.current);
+      cancelled = true;
+      if (rafId) cancelAnimationFrame(rafId);
+      if (node) {
+        nodeRef.current = null;
+        node.port.onmessage = null;
+        try {
+          source.disconnect(node);
+        } catch {
+          // Already torn down with the AudioContext
+        }
       }
+      setDetectedNote(null);
+      setDetectedFreq(null);
+      setClarity(0);
     };
-  }, [isActive, detectPitch]);
+  }, [isActive, audioContext, analyser, handleResult, method]);
+
+  // ─── Keep the worklet's gate in step with calibration ──────
+  useEffect(() => {
+    nodeRef.current?.port.postMessage({ minRms: dbfsToRms(volumeThreshold) });
+  }, [volumeThreshold]);
 
   return {
     detectedNote, // { note: "E", octave: 2, cents: -3, freq: 82.1 } or null
@@ -0,0 +1,166 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from "react";
+import { TUNINGS, DEFAULT_TUNING, parseTuning } from "../data/tunings";
+import { DEFAULT_REFERENCE_PITCH, MIN_REFERENCE_PITCH, MAX_REFERENCE_PITCH } from "../data/chords";
+import { useAuth } from "./useAuth";
+import api from "../utils/api";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Preferences Context
+//  Player settings that shape every page: which tuning the
+//  guitar is in (built-in or user-defined) and the A4 reference
+//  pitch. Saved to localStorage so the choice survives reloads and
+//  works without an account; the reference pitch also syncs to the
+//  signed-in user's profile so it follows them between devices.
+//  The tuner's needle/strobe view is remembered locally too
+//
+//  Consumers get the resolved tuning array (`tuning`) ready to
+//  hand to StringDisplay, retuneChord, retuneScale, findVoicings…
+// ═══════════════════════════════════════════════════════════════
+
+const STORAGE_KEY = "fretforge_preferences";
+export const TUNER_VIEWS = ["needle", "strobe"];
+
+const PreferencesContext = createContext(null);
+
+// ─── Load saved preferences, tolerating missing/corrupt data ──
+function loadPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      tuningKey: saved?.tuningKey || DEFAULT_TUNING,
+      customTunings: Array.isArray(saved?.customTunings) ? saved.customTunings : [],
+      referencePitch: clampReferencePitch(saved?.referencePitch),
+      tunerView: TUNER_VIEWS.includes(saved?.tunerView) ? saved.tunerView : TUNER_VIEWS[0],
+    };
+  } catch {
+    return {
+      tuningKey: DEFAULT_TUNING,
+      customTunings: [],
+      referencePitch: DEFAULT_REFERENCE_PITCH,
+      tunerView: TUNER_VIEWS[0],
+    };
+  }
+}
+
+// ─── Keep A4 a whole number of Hz inside the supported range ──
+function clampReferencePitch(hz) {
+  const value = Math.round(Number(hz));
+  if (!Number.isFinite(value)) return DEFAULT_REFERENCE_PITCH;
+  return Math.min(MAX_REFERENCE_PITCH, Math.max(MIN_REFERENCE_PITCH, value));
+}
+
+export function PreferencesProvider({ children }) {
+  const { user, isAuthenticated } = useAuth();
+  const [prefs, setPrefs] = useState(loadPreferences);
+
+  // ─── Persist on every change ───────────────────────────────
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  }, [prefs]);
+
+  // ─── Adopt the profile's reference pitch on sign-in ────────
+  const profilePitch = user?.referencePitch;
+  useEffect(() => {
+    if (profilePitch) {
+      setPrefs((p) => ({ ...p, referencePitch: clampReferencePitch(profilePitch) }));
+    }
+  }, [profilePitch]);
+
+  // ─── Built-in + custom tunings, keyed for lookup ───────────
+  // Custom tunings are stored as the text the player typed and
+  // re-parsed here, so a change to parseTuning applies to old entries
+  const tunings = useMemo(() => {
+    const all = { ...TUNINGS };
+    for (const custom of prefs.customTunings) {
+      try {
+        all[custom.key] = {
+          name: custom.name,
+          description: custom.notes,
+          strings: parseTuning(custom.notes),
+          prefer: /[A-Ga-g][b♭]/.test(custom.notes) ? "flat" : "sharp",
+          custom: true,
+        };
+      } catch {
+        // Skip entries that no longer parse
+      }
+    }
+    return all;
+  }, [prefs.customTunings]);
+
+  const tuningKey = tunings[prefs.tuningKey] ? prefs.tuningKey : DEFAULT_TUNING;
+  const currentTuning = tunings[tuningKey];
+
+  // ─── Select a tuning by key ────────────────────────────────
+  const setTuning = useCallback((key) => {
+    setPrefs((p) => ({ ...p, tuningKey: key }));
+  }, []);
+
+  // ─── Save a user-defined tuning and switch to it ───────────
+  // Throws parseTuning's error for bad input so the form can show it
+  const addCustomTuning = useCallback((name, notes) => {
+    parseTuning(notes);
+    const key = `custom_${Date.now()}`;
+    setPrefs((p) => ({
+      ...p,
+      tuningKey: key,
+      customTunings: [...p.customTunings, { key, name: name.trim() || notes.trim(), notes: notes.trim() }],
+    }));
+    return key;
+  }, []);
+
+  const removeCustomTuning = useCallback((key) => {
+    setPrefs((p) => ({
+      ...p,
+      tuningKey: p.tuningKey === key ? DEFAULT_TUNING : p.tuningKey,
+      customTunings: p.customTunings.filter((t) => t.key !== key),
+    }));
+  }, []);
+
+  // ─── Set A4, saving it to the profile when signed in ───────
+  // A failed save only costs the cross-device sync — the local
+  // value still applies, so it's logged rather than surfaced
+  const setReferencePitch = useCallback((hz) => {
+    const referencePitch = clampReferencePitch(hz);
+    setPrefs((p) => ({ ...p, referencePitch }));
+    if (isAuthenticated) {
+      api.patch("/api/auth/me/preferences", { referencePitch }).catch((err) => {
+        console.error("Failed to save reference pitch:", err);
+      });
+    }
+  }, [isAuthenticated]);
+
+  const setTunerView = useCallback((view) => {
+    if (TUNER_VIEWS.includes(view)) setPrefs((p) => ({ ...p, tunerView: view }));
+  }, []);
+
+  const value = {
+    tuningKey,
+    tuning: currentTuning.strings,
+    tuningName: currentTuning.name,
+    tuningPrefer: currentTuning.prefer || "sharp",
+    tunings,
+    setTuning,
+    addCustomTuning,
+    removeCustomTuning,
+    referencePitch: prefs.referencePitch,
+    setReferencePitch,
+    tunerView: prefs.tunerView,
+    setTunerView,
+  };
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+}
+
+// ─── Hook for consuming preferences ──────────────────────────
+// Usage: const { tuning, referencePitch, setTuning } = usePreferences();
+export function usePreferences() {
+  const context = useContext(PreferencesContext);
+  if (!context) {
+    throw new Error("usePreferences must be used within a PreferencesProvider");
+  }
+  return context;
+}
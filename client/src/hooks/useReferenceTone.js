@@ -0,0 +1,94 @@
+import { useState, useRef, useCallback, useEffect } from "react";
+import { startTone } from "../utils/synth";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — useReferenceTone Hook
+//  Plays one note at a time to tune against by ear: a plucked
+//  string or a sine, for a few seconds or held until stopped.
+//  Starting a note cuts off the one before, like plucking a
+//  different string. Volume changes apply to a sounding note
+//
+//  Makes its own AudioContext on the first play() (browsers need a
+//  user gesture first), separate from the mic's — the tuner's
+//  Start/Stop button closes that one, and shouldn't silence this
+// ═══════════════════════════════════════════════════════════════
+
+export const SUSTAIN_OPTIONS = [2, 4, 8, Infinity]; // seconds; Infinity holds
+const DEFAULT_SUSTAIN = 4;
+const DEFAULT_VOLUME = 0.6;
+
+export function useReferenceTone() {
+  const [playing, setPlaying] = useState(null); // { id, freq } of the sounding note
+  const [timbre, setTimbre] = useState("pluck");
+  const [sustain, setSustain] = useState(DEFAULT_SUSTAIN);
+  const [volume, setVolumeState] = useState(DEFAULT_VOLUME);
+
+  const audioContextRef = useRef(null);
+  const masterRef = useRef(null); // volume gain every note plays through
+  const voiceRef = useRef(null);
+
+  // ─── Stop the sounding note ───────────────────────────────
+  const stop = useCallback(() => {
+    voiceRef.current?.stop();
+    voiceRef.current = null;
+    setPlaying(null);
+  }, []);
+
+  // ─── Play a note: `id` says which button it came from ─────
+  const play = useCallback((freq, id = null) => {
+    voiceRef.current?.stop();
+
+    if (!audioContextRef.current) {
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const master = ctx.createGain();
+      master.gain.value = volume;
+      master.connect(ctx.destination);
+      audioContextRef.current = ctx;
+      masterRef.current = master;
+    }
+    const ctx = audioContextRef.current;
+    if (ctx.state === "suspended") ctx.resume();
+
+    const voice = startTone(ctx, masterRef.current, freq, { timbre, sustain });
+    voiceRef.current = voice;
+    setPlaying({ id, freq });
+
+    // Clear the highlight when the note dies away on its own
+    voice.ended.then(() => {
+      if (voiceRef.current !== voice) return;
+      voiceRef.current = null;
+      setPlaying(null);
+    });
+  }, [timbre, sustain, volume]);
+
+  // Same button again stops it
+  const toggle = useCallback((freq, id = null) => {
+    if (playing && playing.id === id) stop();
+    else play(freq, id);
+  }, [playing, play, stop]);
+
+  const setVolume = useCallback((value) => {
+    setVolumeState(value);
+    if (masterRef.current) masterRef.current.gain.value = value;
+  }, []);
+
+  // ─── Clean up on unmount ──────────────────────────────────
+  useEffect(() => {
+    return () => {
+      if (audioContextRef.current) audioContextRef.current.close();
+    };
+  }, []);
+
+  return {
+    playing, // { id, freq } or null
+    play,
+    toggle,
+    stop,
+    timbre, // one of TONE_TIMBRES
+    setTimbre,
+    sustain, // seconds, Infinity = until stopped
+    setSustain,
+    volume, // 0–1
+    setVolume,
+  };
+}
@@ -0,0 +1,74 @@
+import { useState, useRef, useCallback, useEffect } from "react";
+import { playPluck } from "../utils/synth";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — useScalePlayer Hook
+//  Plays a sequence of notes (e.g. a scale, ascending or
+//  descending) at a given tempo and reports which note is
+//  sounding so the fretboard can highlight it in sync
+//  Notes are scheduled on the AudioContext clock up front;
+//  only the visual highlight uses setTimeout
+// ═══════════════════════════════════════════════════════════════
+
+export function useScalePlayer() {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentIndex, setCurrentIndex] = useState(-1); // -1 = nothing sounding
+
+  const audioContextRef = useRef(null);
+  const timersRef = useRef([]);
+
+  // ─── Stop playback and clear the highlight ────────────────
+  const stop = useCallback(() => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    if (audioContextRef.current) {
+      audioContextRef.current.close();
+      audioContextRef.current = null;
+    }
+    setCurrentIndex(-1);
+    setIsPlaying(false);
+  }, []);
+
+  // ─── Play notes: [{ freq }, ...] at `bpm` (one note per beat) ──
+  const play = useCallback((notes, bpm = 100) => {
+    stop();
+    if (!notes || notes.length === 0) return;
+
+    // Fresh context per run (browser requires a user gesture — play() is
+    // always called from a click) and closing it cancels anything scheduled
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    audioContextRef.current = ctx;
+
+    const secondsPerNote = 60 / bpm;
+    const startTime = ctx.currentTime + 0.1;
+
+    notes.forEach((n, i) => {
+      const time = startTime + i * secondsPerNote;
+      playPluck(ctx, n.freq, time, { duration: Math.min(1.2, secondsPerNote * 1.5) });
+
+      const delay = (time - ctx.currentTime) * 1000;
+      timersRef.current.push(setTimeout(() => setCurrentIndex(i), Math.max(0, delay)));
+    });
+
+    // Clear the highlight once the last note has rung for a beat
+    const totalMs = (0.1 + notes.length * secondsPerNote) * 1000;
+    timersRef.current.push(setTimeout(stop, totalMs));
+
+    setIsPlaying(true);
+  }, [stop]);
+
+  // ─── Clean up on unmount ──────────────────────────────────
+  useEffect(() => {
+    return () => {
+      timersRef.current.forEach(clearTimeout);
+      if (audioContextRef.current) audioContextRef.current.close();
+    };
+  }, []);
+
+  return {
+    isPlaying,
+    currentIndex, // index into the notes passed to play()
+    play,
+    stop,
+  };
+}
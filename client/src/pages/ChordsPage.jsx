@@ -1,21 +1,27 @@
 import { useState, useMemo, useCallback } from "react";
-import { CHORD_LIBRARY, PROGRESSIONS } from "../data/chords";
+import { PROGRESSIONS } from "../data/chords";
+import { FULL_CHORD_LIBRARY, parseChordKey } from "../utils/chordGenerator";
+import { parseChordSymbol, formatChordSymbol, toLibraryKey } from "../utils/chordSymbols";
+import { usePreferences } from "../hooks/usePreferences";
 import ChordCard from "../components/chords/ChordCard";
 import ChordDetail from "../components/chords/ChordDetail";
+import TuningSelector from "../components/audio/TuningSelector";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — ChordsPage
 //  Full chord library browser with:
 //  - Tier filtering (1-4 difficulty progression)
-//  - Type filtering (major, minor, dom7, min7, power)
-//  - Search by name
+//  - Type filtering (major, minor, 7ths, sus, dim/aug, add9, power)
+//  - Search by chord symbol ("Bb", "c#m7", "F/A") or by name
 //  - Grid of interactive ChordCard components
-//  - Expandable ChordDetail panel for selected chord
+//  - Expandable ChordDetail panel for selected chord, with notes
+//    and voicings for the selected tuning
 //  - Curated progressions section organized by difficulty
 // ═══════════════════════════════════════════════════════════════
 
-// All chord entries as [key, chord] pairs for easy filtering
-const ALL_CHORDS = Object.entries(CHORD_LIBRARY);
+// All chord entries as [key, chord] pairs for easy filtering —
+// hand-typed open chords first, then generated shapes for all 12 keys
+const ALL_CHORDS = Object.entries(FULL_CHORD_LIBRARY);
 
 // Filter option definitions
 const TIER_FILTERS = [
@@ -32,6 +38,11 @@ const TYPE_FILTERS = [
   { value: "minor", label: "Minor", color: "#02d7f2" },
   { value: "dominant7", label: "Dom 7", color: "#ff6b2b" },
   { value: "minor7", label: "Min 7", color: "#a855f7" },
+  { value: "major7", label: "Maj 7", color: "#f5d90a" },
+  { value: "suspended", label: "Sus", color: "#02f2b4" },
+  { value: "diminished", label: "Dim", color: "#64748b" },
+  { value: "augmented", label: "Aug", color: "#f472b6" },
+  { value: "add9", label: "Add 9", color: "#38bdf8" },
   { value: "power", label: "Power", color: "#ff2d6b" },
 ];
 
@@ -47,15 +58,27 @@ export default function ChordsPage() {
   const [search, setSearch] = useState("");
   const [selectedChord, setSelectedChord] = useState(null);
   const [activeProgLevel, setActiveProgLevel] = useState("beginner");
+  const { tuning } = usePreferences();
+
+  // ─── Search text as a chord symbol ─────────────────────────
+  // A search that parses ("Bb", "c#m7", "F/A") finds that chord; a bare
+  // root lists every chord on it. Anything else is a plain text search
+  const searchChord = useMemo(() => parseChordSymbol(search), [search]);
+  const searchIsRoot = /^[A-Ga-g][#b♯♭]?$/.test(search.trim());
 
   // ─── Filter the chord library ──────────────────────────────
   const filteredChords = useMemo(() => {
+    const searchKey = toLibraryKey(searchChord);
     return ALL_CHORDS.filter(([key, chord]) => {
       // Tier filter
       if (selectedTier > 0 && chord.tier !== selectedTier) return false;
       // Type filter
       if (selectedType !== "all" && chord.type !== selectedType) return false;
-      // Search filter (matches short name, full name, or type)
+      // Search filter: chord symbol match, else short name, full name, or type
+      if (searchChord) {
+        if (searchIsRoot) return parseChordKey(key)?.root === searchChord.root;
+        return key === searchKey;
+      }
       if (search.trim()) {
         const q = search.toLowerCase().trim();
         const searchable = `${key} ${chord.name} ${chord.short} ${chord.type}`.toLowerCase();
@@ -63,7 +86,7 @@ export default function ChordsPage() {
       }
       return true;
     });
-  }, [selectedTier, selectedType, search]);
+  }, [selectedTier, selectedType, search, searchChord, searchIsRoot]);
 
   // ─── Handle chord selection ────────────────────────────────
   const handleChordClick = useCallback((key) => {
@@ -92,7 +115,7 @@ export default function ChordsPage() {
         <div style={styles.header}>
           <h1 style={styles.title}>🤘 Chord Library</h1>
           <p style={styles.subtitle}>
-            {chordCounts.total} chords across 4 difficulty tiers — from your first Em to barre chords and power chords.
+            {chordCounts.total} chords across 4 difficulty tiers — from your first Em to movable barre shapes in all 12 keys.
             Click any chord to see the full finger guide, notes, and related progressions.
           </p>
         </div>
@@ -165,6 +188,9 @@ export default function ChordsPage() {
               ))}
             </div>
           </div>
+
+          {/* Tuning — changes the notes each shape sounds */}
+          <TuningSelector />
         </div>
 
         {/* ─── Results count ────────────────────────────── */}
@@ -172,6 +198,12 @@ export default function ChordsPage() {
           <span style={styles.resultsCount}>
             {filteredChords.length} chord{filteredChords.length !== 1 ? "s" : ""}
             {(selectedTier > 0 || selectedType !== "all" || search) && " matching"}
+            {searchChord && !searchIsRoot && (
+              <span style={styles.parsedChord}>
+                {" "}· {formatChordSymbol(searchChord, { prefer: /^.[b♭]/.test(search.trim()) ? "flat" : "sharp" })}
+                {!toLibraryKey(searchChord) && " — no shape in the library yet"}
+              </span>
+            )}
           </span>
           {(selectedTier > 0 || selectedType !== "all" || search) && (
             <button
@@ -184,11 +216,13 @@ export default function ChordsPage() {
         </div>
 
         {/* ─── Selected Chord Detail Panel ──────────────── */}
-        {selectedChord && CHORD_LIBRARY[selectedChord] && (
+        {selectedChord && FULL_CHORD_LIBRARY[selectedChord] && (
           <div style={styles.detailWrapper}>
             <ChordDetail
-              chord={CHORD_LIBRARY[selectedChord]}
+              key={selectedChord}
+              chord={FULL_CHORD_LIBRARY[selectedChord]}
               chordKey={selectedChord}
+              tuning={tuning}
               onClose={handleCloseDetail}
             />
           </div>
@@ -281,7 +315,7 @@ export default function ChordsPage() {
                               ...styles.progSeqChord,
                               color: selectedChord === c
                                 ? "#ffb000"
-                                : CHORD_LIBRARY[c]
+                                : FULL_CHORD_LIBRARY[c]
                                   ? "#e2e8f0"
                                   : "#475569",
                             }}
@@ -422,6 +456,9 @@ const styles = {
     fontFamily: "'JetBrains Mono', monospace",
     color: "#475569",
   },
+  parsedChord: {
+    color: "#ffb000",
+  },
   clearFilters: {
     background: "none",
     border: "none",
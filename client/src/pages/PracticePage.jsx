@@ -0,0 +1,910 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { CHORD_LIBRARY, PROGRESSIONS } from "../data/chords";
+import { FULL_CHORD_LIBRARY } from "../utils/chordGenerator";
+import { parseChordSymbol, toLibraryKey } from "../utils/chordSymbols";
+import { retuneChord } from "../utils/fretboard";
+import { useAudio } from "../hooks/useAudio";
+import { useChordDetection } from "../hooks/useChordDetection";
+import { useMetronome } from "../hooks/useMetronome";
+import { useOnsets } from "../hooks/useOnsets";
+import { useLatency } from "../hooks/useLatency";
+import { useAuth } from "../hooks/useAuth";
+import { usePreferences } from "../hooks/usePreferences";
+import { summarizeRhythm } from "../utils/rhythm";
+import { tempoNote } from "../utils/meter";
+import api from "../utils/api";
+import FretboardDiagram from "../components/chords/FretboardDiagram";
+import RhythmReport from "../components/practice/RhythmReport";
+import MetronomeControls from "../components/practice/MetronomeControls";
+import SpeedTrainerControls from "../components/practice/SpeedTrainerControls";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Practice Page
+//  The practice engine: pick a progression, play along with the
+//  metronome, and get scored on every chord via audio detection
+//  Composes: useMetronome (timing) + useAudio → useChordDetection
+//  and useOnsets (listening) + /api/sessions (XP, streaks) when
+//  signed in
+//
+//  FLOW: one count-in measure, then one chord per measure.
+//  A chord counts as correct if the detector heard it for at
+//  least MIN_MATCH_FRAMES passes during its measure; stopping
+//  early scores the chord in progress on what was heard. Every strum
+//  is also timed against the beat grid (utils/rhythm.js), with
+//  the mic's measured latency taken out by the metronome.
+// ═══════════════════════════════════════════════════════════════
+
+const COUNT_IN_MEASURES = 1;
+const MIN_MATCH_FRAMES = 3; // ~300ms of agreement at the detector's 100ms interval
+
+const LEVEL_COLORS = {
+  beginner: "#00ff9f",
+  intermediate: "#ffb000",
+  advanced: "#ff2d6b",
+};
+
+// ─── Parse a custom progression like "G C D Em" or "Am, Bb/F, C, G" ──
+// Each symbol is parsed and mapped to its library key ("Bb" → "A#");
+// slash basses are dropped since the shape is the same. Returns
+// { chords } on success or { error } naming the first bad symbol
+function parseCustomProgression(text) {
+  // A lone "-" separates chords ("G - C - D"); attached it means minor ("C-7")
+  const tokens = text.split(/[\s,|→]+/).filter((t) => t && t !== "-");
+  if (tokens.length < 2) return { error: "Enter at least 2 chords" };
+
+  const chords = [];
+  for (const token of tokens) {
+    const parsed = parseChordSymbol(token);
+    if (!parsed) return { error: `Unknown chord: ${token}` };
+    const key = toLibraryKey(parsed);
+    if (!key || !FULL_CHORD_LIBRARY[key]) return { error: `No shape for ${token} in the library yet` };
+    chords.push(key);
+  }
+  return { chords };
+}
+
+export default function PracticePage() {
+  const { isAuthenticated, refreshUser } = useAuth();
+  const { tuning, referencePitch } = usePreferences();
+
+  // ─── Setup state ──────────────────────────────────────────
+  const [level, setLevel] = useState("beginner");
+  const [progression, setProgression] = useState(PROGRESSIONS.beginner[0]);
+  const [customText, setCustomText] = useState("");
+  const [customError, setCustomError] = useState(null);
+
+  // ─── Run state ────────────────────────────────────────────
+  const [phase, setPhase] = useState("setup"); // "setup" | "playing" | "finished"
+  const [chordIndex, setChordIndex] = useState(-1); // -1 during the count-in
+  const [results, setResults] = useState([]); // [{ chord, correct }]
+  const [saveState, setSaveState] = useState({ status: "idle" }); // idle | saving | saved | empty | error
+  const [rhythm, setRhythm] = useState(() => summarizeRhythm([], []));
+
+  // Refs mirror state the beat callback needs — it fires from a timer,
+  // outside React's render cycle
+  const phaseRef = useRef("setup");
+  const resultsRef = useRef([]);
+  const matchFramesRef = useRef(0);
+  const sessionIdRef = useRef(null);
+  // Beat and strum times in seconds on the mic's AudioContext clock
+  const beatTimesRef = useRef([]);
+  const onsetTimesRef = useRef([]);
+
+  // ─── Audio pipeline ─────────────────────────────────────────
+  const {
+    error: audioError,
+    startListening,
+    stopListening,
+    openContext,
+    getFrequencyData,
+    audioContext,
+    analyser,
+    inputDeviceId,
+  } = useAudio();
+
+  // This mic's measured round trip, if any — the metronome sounds
+  // that far ahead so on-time strums are stamped on the beat
+  const { latencySeconds } = useLatency(audioContext, analyser, inputDeviceId || "default");
+
+  const chords = progression.chords;
+
+  // Detect against the open-chord library plus this progression's chords.
+  // Matching all ~130 generated chords would let look-alikes win (Csus2
+  // and Gsus4 share every note), so only the chords in play are added.
+  // Notes are re-spelled for the selected tuning — the same shape in
+  // Drop D rings a different bass note
+  const detectionLibrary = useMemo(() => {
+    const library = { ...CHORD_LIBRARY };
+    for (const key of chords) library[key] = FULL_CHORD_LIBRARY[key];
+    for (const key of Object.keys(library)) library[key] = retuneChord(library[key], tuning);
+    return library;
+  }, [chords, tuning]);
+
+  const {
+    detectedChord,
+    confidence,
+    start: startDetection,
+    stop: stopDetection,
+  } = useChordDetection(audioContext, getFrequencyData, { library: detectionLibrary, referencePitch });
+
+  // ─── Strum timing ───────────────────────────────────────────
+  const updateRhythm = useCallback(() => {
+    setRhythm(summarizeRhythm(beatTimesRef.current, onsetTimesRef.current));
+  }, []);
+
+  const handleOnset = useCallback(({ time }) => {
+    if (phaseRef.current !== "playing") return;
+    onsetTimesRef.current = [...onsetTimesRef.current, time];
+    updateRhythm();
+  }, [updateRhythm]);
+
+  const {
+    start: startOnsets,
+    stop: stopOnsets,
+  } = useOnsets(audioContext, analyser, { onOnset: handleOnset });
+
+  // ─── Save the session when practice ends ────────────────────
+  const saveSession = useCallback(async (finalResults) => {
+    const sessionId = sessionIdRef.current;
+    sessionIdRef.current = null;
+    if (!sessionId) return;
+
+    // Stopped in the count-in: no chord was played, and ending the
+    // session would still count the day toward the streak
+    if (finalResults.length === 0) {
+      setSaveState({ status: "empty" });
+      return;
+    }
+
+    setSaveState({ status: "saving" });
+    try {
+      const data = await api.patch(`/api/sessions/${sessionId}/end`, {
+        totalChords: finalResults.length,
+        correctChords: finalResults.filter((r) => r.correct).length,
+      });
+      setSaveState({ status: "saved", xpEarned: data.xpEarned, newStreak: data.newStreak });
+      refreshUser();
+    } catch (err) {
+      setSaveState({ status: "error", message: err.message });
+    }
+  }, [refreshUser]);
+
+  // ─── Beat handler: advance chords and score each measure ────
+  // The handler must exist before useMetronome is called, so it reaches
+  // the metronome's stop() and reportMistake() through a ref filled in below
+  const metronomeRef = useRef(null);
+
+  // Judge a chord on the detector passes that agreed with it
+  const scoreChord = useCallback((chord) => {
+    const result = { chord, correct: matchFramesRef.current >= MIN_MATCH_FRAMES };
+    resultsRef.current = [...resultsRef.current, result];
+    setResults(resultsRef.current);
+    return result;
+  }, []);
+
+  const finish = useCallback(() => {
+    if (phaseRef.current !== "playing") return;
+    phaseRef.current = "finished";
+    metronomeRef.current?.stop();
+    stopDetection();
+    stopOnsets();
+    stopListening();
+    setPhase("finished");
+    saveSession(resultsRef.current);
+  }, [stopDetection, stopOnsets, stopListening, saveSession]);
+
+  // Clicks and onsets share useAudio's AudioContext, so beat times
+  // compare with onset times directly
+  const recordBeatTime = useCallback((time) => {
+    beatTimesRef.current = [...beatTimesRef.current, time];
+    updateRhythm();
+  }, [updateRhythm]);
+
+  const handleBeat = useCallback(({ beat, bar, time }) => {
+    if (phaseRef.current !== "playing") return;
+
+    const index = bar - COUNT_IN_MEASURES;
+    if (index < 0) return; // Still counting in
+
+    // Every beat of a chord's measure is a strum to time; the
+    // downbeat after the last chord only ends the run
+    if (index < chords.length) recordBeatTime(time);
+    if (beat !== 0) return;
+
+    // A new measure started — score the chord that just ended
+    if (index > 0) {
+      const result = scoreChord(chords[index - 1]);
+      // The speed trainer backs off after a missed chord
+      if (!result.correct) metronomeRef.current?.reportMistake();
+    }
+    matchFramesRef.current = 0;
+
+    if (index >= chords.length) {
+      finish();
+    } else {
+      setChordIndex(index);
+    }
+  }, [chords, finish, recordBeatTime, scoreChord]);
+
+  const metronome = useMetronome({
+    onBeat: handleBeat,
+    getAudioContext: openContext,
+    latency: latencySeconds,
+  });
+  metronomeRef.current = metronome;
+
+  // ─── Count detector passes that agree with the current chord ──
+  // detectedChord is a fresh object on every detection pass, so this
+  // effect runs once per pass while a chord is being heard
+  useEffect(() => {
+    if (phase !== "playing" || chordIndex < 0) return;
+    if (detectedChord?.key === chords[chordIndex]) {
+      matchFramesRef.current += 1;
+    }
+  }, [detectedChord, phase, chordIndex, chords]);
+
+  // ─── Start a run ────────────────────────────────────────────
+  const startPractice = useCallback(async () => {
+    resultsRef.current = [];
+    matchFramesRef.current = 0;
+    sessionIdRef.current = null;
+    beatTimesRef.current = [];
+    onsetTimesRef.current = [];
+    setResults([]);
+    setRhythm(summarizeRhythm([], []));
+    setChordIndex(-1);
+    setSaveState({ status: "idle" });
+
+    // Metronome first — it needs the click's user gesture to create the
+    // shared AudioContext, and the count-in measure covers the mic
+    // permission prompt
+    phaseRef.current = "playing";
+    setPhase("playing");
+    metronome.start();
+
+    if (!(await startListening())) {
+      // Mic failed — useAudio already holds the error message
+      phaseRef.current = "setup";
+      metronome.stop();
+      stopListening(); // Close the context the metronome opened
+      setPhase("setup");
+      return;
+    }
+    startDetection();
+    startOnsets();
+
+    // Logged-in users get the session recorded for XP and streaks
+    if (isAuthenticated) {
+      try {
+        const data = await api.post("/api/sessions", {
+          type: "chord_practice",
+          bpm: metronome.ramp?.startBpm ?? metronome.bpm,
+          progression: chords,
+        });
+        sessionIdRef.current = data.session.id;
+        // Stopped before the server answered — close the session right away
+        if (phaseRef.current !== "playing") saveSession(resultsRef.current);
+      } catch (err) {
+        setSaveState({ status: "error", message: err.message });
+      }
+    }
+  }, [metronome, startListening, stopListening, startDetection, startOnsets, isAuthenticated, chords, saveSession]);
+
+  // ─── Stop early: score what was played so far ───────────────
+  // The chord being played counts too, on what was heard of it —
+  // otherwise its strums would be timed but the chord never scored
+  const stopPractice = useCallback(() => {
+    if (phaseRef.current === "playing" && chordIndex >= 0 && resultsRef.current.length === chordIndex) {
+      scoreChord(chords[chordIndex]);
+    }
+    finish();
+  }, [finish, scoreChord, chords, chordIndex]);
+
+  const backToSetup = useCallback(() => {
+    phaseRef.current = "setup";
+    setPhase("setup");
+    setChordIndex(-1);
+  }, []);
+
+  // ─── Custom progression input ───────────────────────────────
+  const applyCustom = useCallback(() => {
+    const parsed = parseCustomProgression(customText);
+    if (parsed.error) {
+      setCustomError(parsed.error);
+      return;
+    }
+    setCustomError(null);
+    setProgression({ name: "Custom", chords: parsed.chords, description: "Your own progression" });
+  }, [customText]);
+
+  // ─── Derived display values ─────────────────────────────────
+  const correctCount = results.filter((r) => r.correct).length;
+  const accuracy = results.length > 0 ? Math.round((correctCount / results.length) * 100) : 0;
+  const currentKey = chordIndex >= 0 ? chords[chordIndex] : chords[0];
+  const nextKey = chordIndex + 1 < chords.length ? chords[chordIndex + 1] : null;
+  const isHearingTarget = detectedChord?.key === currentKey && chordIndex >= 0;
+
+  const uniqueChords = useMemo(() => [...new Set(chords)], [chords]);
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.container}>
+        {/* ─── Page Header ──────────────────────────────── */}
+        <div style={styles.header}>
+          <h1 style={styles.title}>🔥 Practice Engine</h1>
+          <p style={styles.subtitle}>
+            Pick a progression, play along with the metronome, and FretForge listens to
+            score every chord change. One count-in bar, then one chord per bar.
+          </p>
+        </div>
+
+        {audioError && (
+          <div style={styles.errorCard}>
+            <span>⚠</span>
+            <span>{audioError}</span>
+          </div>
+        )}
+
+        {/* ─── Setup ────────────────────────────────────── */}
+        {phase === "setup" && (
+          <>
+            <div style={styles.card}>
+              <span style={styles.cardLabel}>PROGRESSION</span>
+              <div style={styles.tabs}>
+                {Object.keys(PROGRESSIONS).map((lvl) => (
+                  <button
+                    key={lvl}
+                    onClick={() => setLevel(lvl)}
+                    style={{
+                      ...styles.tab,
+                      ...(level === lvl ? {
+                        background: `${LEVEL_COLORS[lvl]}15`,
+                        color: LEVEL_COLORS[lvl],
+                        borderColor: `${LEVEL_COLORS[lvl]}44`,
+                      } : {}),
+                    }}
+                  >
+                    {lvl.charAt(0).toUpperCase() + lvl.slice(1)}
+                  </button>
+                ))}
+              </div>
+
+              <div style={styles.progGrid}>
+                {PROGRESSIONS[level].map((prog) => {
+                  const isSelected = progression.name === prog.name;
+                  return (
+                    <button
+                      key={prog.name}
+                      onClick={() => setProgression(prog)}
+                      style={{
+                        ...styles.progCard,
+                        borderColor: isSelected ? "#ff6b2b66" : "#1a233244",
+                        background: isSelected ? "#ff6b2b0d" : "#0d1220",
+                      }}
+                    >
+                      <span style={styles.progName}>{prog.name}</span>
+                      <span style={styles.progChords}>{prog.chords.join(" → ")}</span>
+                    </button>
+                  );
+                })}
+              </div>
+
+              {/* Custom progression */}
+              <div style={styles.customRow}>
+                <input
+                  type="text"
+                  value={customText}
+                  onChange={(e) => setCustomText(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && applyCustom()}
+                  placeholder="Custom: e.g. G D Em C"
+                  style={styles.customInput}
+                />
+                <button onClick={applyCustom} style={styles.secondaryBtn}>Use</button>
+              </div>
+              {customError && <p style={styles.inlineError}>{customError}</p>}
+            </div>
+
+            <div style={styles.card}>
+              <span style={styles.cardLabel}>TEMPO</span>
+              {!metronome.ramp && (
+                <div style={styles.tempoRow}>
+                  <input
+                    type="range"
+                    min={40}
+                    max={160}
+                    value={metronome.bpm}
+                    onChange={(e) => metronome.setBpm(Number(e.target.value))}
+                    style={styles.slider}
+                  />
+                  <span style={styles.bpmValue}>{tempoNote(metronome.meter)} {metronome.bpm} BPM</span>
+                </div>
+              )}
+              <SpeedTrainerControls ramp={metronome.ramp} onChange={metronome.setRamp} />
+              <MetronomeControls
+                meter={metronome.meter}
+                subdivision={metronome.subdivision}
+                accents={metronome.accents}
+                onMeterChange={metronome.setMeter}
+                onSubdivisionChange={metronome.setSubdivision}
+                onAccentToggle={metronome.cycleAccent}
+              />
+              <p style={styles.hint}>One chord per measure.</p>
+            </div>
+
+            {/* Preview of the chords in this progression */}
+            <div style={styles.previewRow}>
+              {uniqueChords.map((key) => (
+                <div key={key} style={styles.previewChord}>
+                  <FretboardDiagram chord={FULL_CHORD_LIBRARY[key]} width={100} compact showFingers={false} />
+                  <span style={styles.previewName}>{key}</span>
+                </div>
+              ))}
+            </div>
+
+            <button onClick={startPractice} style={styles.startBtn}>
+              🎸 Start Practice
+            </button>
+            {!isAuthenticated && (
+              <p style={styles.hint}>
+                <Link to="/auth">Sign in</Link> to earn XP and keep your streak.
+              </p>
+            )}
+          </>
+        )}
+
+        {/* ─── Playing ──────────────────────────────────── */}
+        {phase === "playing" && (
+          <div style={styles.playArea}>
+            {/* Beat indicator */}
+            <div style={styles.beats}>
+              {Array.from({ length: metronome.beatsPerMeasure }, (_, i) => (
+                <div
+                  key={i}
+                  style={{
+                    ...styles.beatDot,
+                    background: metronome.currentBeat === i
+                      ? (metronome.accents[i] === "accent" ? "#ff6b2b" : "#ffb000")
+                      : "#1a2332",
+                  }}
+                />
+              ))}
+            </div>
+
+            <p style={styles.status}>
+              {chordIndex < 0
+                ? "Count-in — get ready…"
+                : `Chord ${chordIndex + 1} of ${chords.length} · ${correctCount}/${results.length} correct`}
+              {metronome.ramp && ` · ${metronome.bpm} BPM`}
+            </p>
+
+            <div style={styles.chordStage}>
+              {/* Current chord */}
+              <div
+                style={{
+                  ...styles.currentChord,
+                  borderColor: isHearingTarget ? "#00ff9f66" : "#1a233266",
+                  boxShadow: isHearingTarget ? "0 0 24px #00ff9f22" : "none",
+                }}
+              >
+                <span style={styles.stageLabel}>{chordIndex < 0 ? "FIRST" : "NOW"}</span>
+                <span style={styles.currentName}>{currentKey}</span>
+                <FretboardDiagram chord={FULL_CHORD_LIBRARY[currentKey]} width={200} showFingers />
+              </div>
+
+              {/* Next chord */}
+              <div style={styles.nextChord}>
+                <span style={styles.stageLabel}>NEXT</span>
+                {nextKey ? (
+                  <>
+                    <span style={styles.nextName}>{nextKey}</span>
+                    <FretboardDiagram chord={FULL_CHORD_LIBRARY[nextKey]} width={120} compact showFingers={false} />
+                  </>
+                ) : (
+                  <span style={styles.nextName}>🏁</span>
+                )}
+              </div>
+            </div>
+
+            {/* What the detector hears */}
+            <div style={styles.hearing}>
+              <span style={styles.cardLabel}>HEARING</span>
+              <span style={{ ...styles.hearingValue, color: isHearingTarget ? "#00ff9f" : "#94a3b8" }}>
+                {detectedChord ? `${detectedChord.key} · ${Math.round(confidence * 100)}%` : "—"}
+              </span>
+            </div>
+
+            <RhythmReport rhythm={rhythm} compact />
+
+            <button onClick={stopPractice} style={styles.stopBtn}>⏹ Stop</button>
+          </div>
+        )}
+
+        {/* ─── Finished ─────────────────────────────────── */}
+        {phase === "finished" && (
+          <div style={styles.card}>
+            <span style={styles.cardLabel}>RESULTS · {progression.name.toUpperCase()}</span>
+            <div style={styles.scoreRow}>
+              <span style={{ ...styles.scoreBig, color: accuracy >= 80 ? "#00ff9f" : accuracy >= 50 ? "#ffb000" : "#ff2d6b" }}>
+                {accuracy}%
+              </span>
+              <span style={styles.scoreDetail}>
+                {correctCount} of {results.length} chords correct
+              </span>
+            </div>
+
+            <div style={styles.resultChips}>
+              {results.map((r, i) => (
+                <span
+                  key={i}
+                  style={{
+                    ...styles.resultChip,
+                    color: r.correct ? "#00ff9f" : "#ff2d6b",
+                    borderColor: r.correct ? "#00ff9f44" : "#ff2d6b44",
+                  }}
+                >
+                  {r.correct ? "✓" : "✕"} {r.chord}
+                </span>
+              ))}
+            </div>
+
+            <RhythmReport rhythm={rhythm} />
+
+            {saveState.status === "saving" && <p style={styles.hint}>Saving session…</p>}
+            {saveState.status === "empty" && (
+              <p style={styles.hint}>Stopped before the first chord — nothing to save.</p>
+            )}
+            {saveState.status === "saved" && (
+              <p style={{ ...styles.hint, color: "#ffb000" }}>
+                ⚡ +{saveState.xpEarned} XP · 🔥 {saveState.newStreak} day streak
+              </p>
+            )}
+            {saveState.status === "error" && (
+              <p style={styles.inlineError}>Couldn't save session: {saveState.message}</p>
+            )}
+            {!isAuthenticated && (
+              <p style={styles.hint}>
+                <Link to="/auth">Sign in</Link> to save sessions and earn XP.
+              </p>
+            )}
+
+            <div style={styles.actions}>
+              <button onClick={startPractice} style={styles.startBtn}>↻ Play Again</button>
+              <button onClick={backToSetup} style={styles.secondaryBtn}>Choose Another</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Styles ──────────────────────────────────────────────────
+const styles = {
+  page: {
+    padding: "24px 16px 60px",
+    maxWidth: "820px",
+    margin: "0 auto",
+  },
+  container: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "16px",
+  },
+  header: {},
+  title: {
+    fontSize: "28px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+    margin: "0 0 8px",
+  },
+  subtitle: {
+    fontSize: "14px",
+    color: "#94a3b8",
+    lineHeight: "1.6",
+    margin: 0,
+    maxWidth: "620px",
+  },
+  errorCard: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    padding: "14px 18px",
+    background: "#ff2d6b11",
+    border: "1px solid #ff2d6b44",
+    borderRadius: "8px",
+    color: "#ff2d6b",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "13px",
+  },
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "12px",
+    padding: "18px 20px",
+    background: "#111827",
+    border: "1px solid #1a233244",
+    borderRadius: "12px",
+  },
+  cardLabel: {
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  tabs: {
+    display: "flex",
+    gap: "6px",
+    flexWrap: "wrap",
+  },
+  tab: {
+    padding: "6px 12px",
+    background: "#0d1220",
+    border: "1px solid #1a233266",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    fontWeight: "600",
+    color: "#94a3b8",
+    transition: "all 0.2s ease",
+  },
+  progGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))",
+    gap: "8px",
+  },
+  progCard: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "flex-start",
+    gap: "4px",
+    padding: "10px 12px",
+    border: "1px solid",
+    borderRadius: "8px",
+    cursor: "pointer",
+    textAlign: "left",
+    fontFamily: "inherit",
+    color: "inherit",
+    transition: "all 0.2s ease",
+  },
+  progName: {
+    fontSize: "13px",
+    fontWeight: "600",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  progChords: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+  customRow: {
+    display: "flex",
+    gap: "8px",
+  },
+  customInput: {
+    flex: 1,
+    padding: "8px 12px",
+    background: "#0d1220",
+    border: "1px solid #1a233288",
+    borderRadius: "8px",
+    outline: "none",
+    color: "#e2e8f0",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "13px",
+  },
+  inlineError: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#ff2d6b",
+  },
+  tempoRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+  },
+  slider: {
+    flex: 1,
+    accentColor: "#ff6b2b",
+  },
+  bpmValue: {
+    minWidth: "96px",
+    fontSize: "14px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "700",
+    color: "#ffb000",
+    textAlign: "right",
+  },
+  previewRow: {
+    display: "flex",
+    gap: "10px",
+    flexWrap: "wrap",
+    justifyContent: "center",
+  },
+  previewChord: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: "2px",
+    padding: "8px",
+    background: "#111827",
+    border: "1px solid #1a233244",
+    borderRadius: "8px",
+  },
+  previewName: {
+    fontSize: "14px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  startBtn: {
+    alignSelf: "center",
+    padding: "14px 32px",
+    borderRadius: "8px",
+    border: "none",
+    background: "linear-gradient(135deg, #ff6b2b, #ffb000)",
+    boxShadow: "0 4px 20px #ff6b2b33",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "15px",
+    fontWeight: "700",
+    color: "#0a0e17",
+    cursor: "pointer",
+  },
+  secondaryBtn: {
+    padding: "8px 16px",
+    background: "none",
+    border: "1px solid #ff6b2b44",
+    borderRadius: "6px",
+    color: "#ff6b2b",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "12px",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  hint: {
+    margin: 0,
+    textAlign: "center",
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+
+  // Playing
+  playArea: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: "16px",
+  },
+  beats: {
+    display: "flex",
+    gap: "10px",
+  },
+  beatDot: {
+    width: "14px",
+    height: "14px",
+    borderRadius: "50%",
+    transition: "background 0.08s ease",
+  },
+  status: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+  chordStage: {
+    display: "flex",
+    alignItems: "center",
+    gap: "20px",
+    flexWrap: "wrap",
+    justifyContent: "center",
+  },
+  currentChord: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: "6px",
+    padding: "16px 24px",
+    background: "#111827",
+    border: "1px solid",
+    borderRadius: "14px",
+    transition: "all 0.2s ease",
+  },
+  nextChord: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: "4px",
+    padding: "12px 16px",
+    background: "#0d1220",
+    border: "1px solid #1a233244",
+    borderRadius: "10px",
+    opacity: 0.7,
+  },
+  stageLabel: {
+    fontSize: "9px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#475569",
+    letterSpacing: "1.5px",
+  },
+  currentName: {
+    fontSize: "40px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#ffb000",
+    lineHeight: "1",
+  },
+  nextName: {
+    fontSize: "22px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  hearing: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    padding: "10px 20px",
+    background: "#111827",
+    border: "1px solid #1a233266",
+    borderRadius: "8px",
+  },
+  hearingValue: {
+    fontSize: "14px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+  },
+  stopBtn: {
+    padding: "10px 24px",
+    borderRadius: "8px",
+    border: "none",
+    background: "linear-gradient(135deg, #ff2d6b, #ff6b2b)",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "13px",
+    fontWeight: "700",
+    color: "#0a0e17",
+    cursor: "pointer",
+  },
+
+  // Results
+  scoreRow: {
+    display: "flex",
+    alignItems: "baseline",
+    gap: "14px",
+  },
+  scoreBig: {
+    fontSize: "48px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    lineHeight: "1",
+  },
+  scoreDetail: {
+    fontSize: "13px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#94a3b8",
+  },
+  resultChips: {
+    display: "flex",
+    gap: "6px",
+    flexWrap: "wrap",
+  },
+  resultChip: {
+    padding: "3px 10px",
+    border: "1px solid",
+    borderRadius: "4px",
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+  },
+  actions: {
+    display: "flex",
+    gap: "10px",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+};
@@ -0,0 +1,440 @@
+import { useState, useMemo, useCallback } from "react";
+import { SCALE_LIBRARY, SCALE_TIERS } from "../data/scales";
+import { scaleSequence, retuneScale } from "../utils/fretboard";
+import { useScalePlayer } from "../hooks/useScalePlayer";
+import { usePreferences } from "../hooks/usePreferences";
+import FullNeckFretboard from "../components/fretboard/FullNeckFretboard";
+import ScaleDrill from "../components/scales/ScaleDrill";
+import TuningSelector from "../components/audio/TuningSelector";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — ScalesPage
+//  Interactive scale explorer:
+//  - Scale library grouped by difficulty tier
+//  - Full-neck fretboard with roots and intervals highlighted
+//  - Ascending / descending playback with a synced highlight
+//  - Note-by-note drill checked against the microphone
+//  - Positions follow the selected tuning (same pitches, moved
+//    along any retuned string)
+// ═══════════════════════════════════════════════════════════════
+
+const ALL_SCALES = Object.entries(SCALE_LIBRARY);
+
+const TIER_COLORS = {
+  1: "#00ff9f",
+  2: "#ffb000",
+  3: "#ff6b2b",
+  4: "#ff2d6b",
+};
+
+export default function ScalesPage() {
+  const [selectedKey, setSelectedKey] = useState(ALL_SCALES[0][0]);
+  const [labelMode, setLabelMode] = useState("interval"); // "interval" | "note"
+  const [direction, setDirection] = useState("ascending");
+  const [bpm, setBpm] = useState(100);
+  const [drillTarget, setDrillTarget] = useState(null); // expected note while drilling
+
+  const player = useScalePlayer();
+  const { tuningKey, tuning, referencePitch } = usePreferences();
+  const scale = useMemo(() => retuneScale(SCALE_LIBRARY[selectedKey], tuning), [selectedKey, tuning]);
+
+  // ─── Group scales under their tier headings ────────────────
+  const scalesByTier = useMemo(() => {
+    const groups = {};
+    for (const tier of Object.keys(SCALE_TIERS)) groups[tier] = [];
+    for (const [key, s] of ALL_SCALES) groups[s.tier].push([key, s]);
+    return groups;
+  }, []);
+
+  // ─── Positions in the order they'll be played ──────────────
+  const sequence = useMemo(
+    () => scaleSequence(scale, direction, tuning, referencePitch),
+    [scale, direction, tuning, referencePitch]
+  );
+  const activePosition = drillTarget
+    || (player.currentIndex >= 0 ? sequence[player.currentIndex] : null);
+
+  const handleSelect = useCallback((key) => {
+    player.stop();
+    setSelectedKey(key);
+  }, [player]);
+
+  const handlePlay = useCallback(() => {
+    if (player.isPlaying) {
+      player.stop();
+    } else {
+      player.play(sequence, bpm);
+    }
+  }, [player, sequence, bpm]);
+
+  const handleDirection = useCallback((dir) => {
+    player.stop();
+    setDirection(dir);
+  }, [player]);
+
+  return (
+    <div style={styles.page}>
+      {/* ─── Page Header ──────────────────────────────── */}
+      <div style={styles.header}>
+        <h1 style={styles.title}>🎼 Scale Patterns</h1>
+        <p style={styles.subtitle}>
+          {ALL_SCALES.length} scale shapes from your first pentatonic to full major and minor scales.
+          Roots are highlighted in orange — press play to hear the pattern and follow it on the neck.
+        </p>
+      </div>
+
+      {/* ─── Selected scale ───────────────────────────── */}
+      <div style={styles.detail}>
+        <div style={styles.detailHeader}>
+          <div>
+            <h2 style={styles.scaleName}>{scale.name}</h2>
+            <div style={styles.intervals}>
+              {scale.intervals.map((interval) => (
+                <span
+                  key={interval}
+                  style={{
+                    ...styles.intervalChip,
+                    ...(interval === "1" ? styles.intervalRoot : {}),
+                  }}
+                >
+                  {interval}
+                </span>
+              ))}
+            </div>
+          </div>
+          <span style={{ ...styles.tierBadge, color: TIER_COLORS[scale.tier], background: `${TIER_COLORS[scale.tier]}15` }}>
+            Tier {scale.tier} · {SCALE_TIERS[scale.tier].name}
+          </span>
+        </div>
+
+        <div style={styles.fretboardWrapper}>
+          <FullNeckFretboard
+            positions={sequence}
+            roots={scale.roots}
+            activePosition={activePosition}
+            labelMode={labelMode}
+          />
+        </div>
+
+        {/* Controls */}
+        <div style={styles.controls}>
+          <button onClick={handlePlay} disabled={!!drillTarget} style={styles.playBtn}>
+            {player.isPlaying ? "⏹ Stop" : "▶ Play"}
+          </button>
+
+          <div style={styles.pills}>
+            {["ascending", "descending"].map((dir) => (
+              <button
+                key={dir}
+                onClick={() => handleDirection(dir)}
+                style={{ ...styles.pill, ...(direction === dir ? styles.pillActive : {}) }}
+              >
+                {dir === "ascending" ? "↑ Ascending" : "↓ Descending"}
+              </button>
+            ))}
+          </div>
+
+          <div style={styles.pills}>
+            {[["interval", "Intervals"], ["note", "Notes"]].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setLabelMode(mode)}
+                style={{ ...styles.pill, ...(labelMode === mode ? styles.pillActive : {}) }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <label style={styles.tempo}>
+            <input
+              type="range"
+              min={40}
+              max={200}
+              value={bpm}
+              onChange={(e) => setBpm(Number(e.target.value))}
+              disabled={player.isPlaying}
+              style={styles.slider}
+            />
+            <span style={styles.bpmValue}>{bpm} BPM</span>
+          </label>
+
+          <TuningSelector compact />
+        </div>
+
+        {/* Remount per scale/direction/tuning so a running drill never
+            carries over into a different pattern */}
+        <ScaleDrill
+          key={`${selectedKey}-${direction}-${tuningKey}`}
+          scaleKey={selectedKey}
+          sequence={sequence}
+          onTargetChange={setDrillTarget}
+          onStart={player.stop}
+        />
+
+        <div style={styles.tipCard}>
+          <span style={styles.tipIcon}>💡</span>
+          <p style={styles.tipText}>{scale.tips}</p>
+        </div>
+      </div>
+
+      {/* ─── Library grouped by tier ──────────────────── */}
+      {Object.entries(SCALE_TIERS).map(([tier, info]) => (
+        <section key={tier} style={styles.tierSection}>
+          <div style={styles.tierHeader}>
+            <span style={{ ...styles.tierDot, background: TIER_COLORS[tier] }} />
+            <h3 style={styles.tierName}>Tier {tier} · {info.name}</h3>
+          </div>
+          <p style={styles.tierDesc}>{info.description}</p>
+
+          {scalesByTier[tier].length > 0 ? (
+            <div style={styles.scaleGrid}>
+              {scalesByTier[tier].map(([key, s]) => {
+                const isSelected = key === selectedKey;
+                return (
+                  <button
+                    key={key}
+                    onClick={() => handleSelect(key)}
+                    style={{
+                      ...styles.scaleCard,
+                      borderColor: isSelected ? `${TIER_COLORS[tier]}66` : "#1a233244",
+                      background: isSelected ? `${TIER_COLORS[tier]}0d` : "#111827",
+                    }}
+                  >
+                    <span style={styles.scaleCardName}>{s.name}</span>
+                    <span style={styles.scaleCardMeta}>
+                      {s.key} · {s.type.replace(/_/g, " ")} · {s.intervals.length} notes
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          ) : (
+            <p style={styles.emptyTier}>No scales in this tier yet.</p>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+// ─── Styles ──────────────────────────────────────────────────
+const styles = {
+  page: {
+    padding: "24px 16px 60px",
+    maxWidth: "960px",
+    margin: "0 auto",
+  },
+
+  // Header
+  header: {
+    marginBottom: "24px",
+  },
+  title: {
+    fontSize: "28px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+    margin: "0 0 8px",
+  },
+  subtitle: {
+    fontSize: "14px",
+    color: "#94a3b8",
+    lineHeight: "1.6",
+    margin: 0,
+    maxWidth: "620px",
+  },
+
+  // Detail panel
+  detail: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "16px",
+    padding: "20px 24px",
+    background: "#0d1220",
+    border: "1px solid #1a233266",
+    borderRadius: "14px",
+    marginBottom: "32px",
+  },
+  detailHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    gap: "12px",
+    flexWrap: "wrap",
+  },
+  scaleName: {
+    margin: "0 0 8px",
+    fontSize: "22px",
+    fontWeight: "700",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  intervals: {
+    display: "flex",
+    gap: "6px",
+  },
+  intervalChip: {
+    padding: "2px 8px",
+    borderRadius: "4px",
+    background: "#1a2332",
+    color: "#94a3b8",
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+  },
+  intervalRoot: {
+    background: "#ff6b2b22",
+    color: "#ff6b2b",
+  },
+  tierBadge: {
+    fontSize: "10px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    padding: "3px 10px",
+    borderRadius: "4px",
+    letterSpacing: "0.3px",
+  },
+  fretboardWrapper: {
+    padding: "8px 4px",
+    background: "#111827",
+    border: "1px solid #1a233244",
+    borderRadius: "10px",
+    overflowX: "auto",
+  },
+  controls: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    flexWrap: "wrap",
+  },
+  playBtn: {
+    padding: "8px 20px",
+    borderRadius: "8px",
+    border: "none",
+    background: "linear-gradient(135deg, #ff6b2b, #ffb000)",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "13px",
+    fontWeight: "700",
+    color: "#0a0e17",
+    cursor: "pointer",
+  },
+  pills: {
+    display: "flex",
+    gap: "6px",
+  },
+  pill: {
+    padding: "6px 12px",
+    background: "#111827",
+    border: "1px solid #1a233266",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    fontWeight: "500",
+    color: "#94a3b8",
+    transition: "all 0.2s ease",
+  },
+  pillActive: {
+    background: "#ff6b2b15",
+    color: "#ff6b2b",
+    borderColor: "#ff6b2b44",
+  },
+  tempo: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    marginLeft: "auto",
+  },
+  slider: {
+    width: "120px",
+    accentColor: "#ff6b2b",
+  },
+  bpmValue: {
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontWeight: "600",
+    color: "#ffb000",
+    minWidth: "64px",
+  },
+  tipCard: {
+    display: "flex",
+    gap: "12px",
+    padding: "12px 16px",
+    background: "#111827",
+    borderRadius: "8px",
+    border: "1px solid #1a233244",
+  },
+  tipIcon: { fontSize: "18px", flexShrink: 0 },
+  tipText: {
+    margin: 0,
+    fontSize: "13px",
+    color: "#e2e8f0",
+    lineHeight: "1.5",
+  },
+
+  // Tier sections
+  tierSection: {
+    marginBottom: "24px",
+  },
+  tierHeader: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+  },
+  tierDot: {
+    width: "8px",
+    height: "8px",
+    borderRadius: "50%",
+  },
+  tierName: {
+    margin: 0,
+    fontSize: "16px",
+    fontWeight: "600",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  tierDesc: {
+    margin: "4px 0 12px",
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+  scaleGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))",
+    gap: "10px",
+  },
+  scaleCard: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "flex-start",
+    gap: "4px",
+    padding: "12px 14px",
+    border: "1px solid",
+    borderRadius: "10px",
+    cursor: "pointer",
+    textAlign: "left",
+    fontFamily: "inherit",
+    color: "inherit",
+    transition: "all 0.2s ease",
+  },
+  scaleCardName: {
+    fontSize: "14px",
+    fontWeight: "600",
+    fontFamily: "'Space Grotesk', sans-serif",
+    color: "#e2e8f0",
+  },
+  scaleCardMeta: {
+    fontSize: "11px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+  },
+  emptyTier: {
+    margin: 0,
+    fontSize: "12px",
+    fontFamily: "'JetBrains Mono', monospace",
+    color: "#475569",
+    fontStyle: "italic",
+  },
+};
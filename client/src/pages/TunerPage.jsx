@@ -1,17 +1,54 @@
 import { useCallback, useState, useEffect, useRef } from "react";
 import { useAudio } from "../hooks/useAudio";
 import { usePitch } from "../hooks/usePitch";
+import { usePreferences, TUNER_VIEWS } from "../hooks/usePreferences";
+import { useLatency } from "../hooks/useLatency";
+import { useReferenceTone } from "../hooks/useReferenceTone";
+import { useIntonation } from "../hooks/useIntonation";
+import { STANDARD_TUNING, DEFAULT_REFERENCE_PITCH, frequencyToNote, noteFrequency } from "../data/chords";
+import { spellNote } from "../utils/chordSymbols";
 import TuningMeter from "../components/audio/TuningMeter";
+import StrobeTuner from "../components/audio/StrobeTuner";
 import StringDisplay from "../components/audio/StringDisplay";
+import TuningSelector from "../components/audio/TuningSelector";
+import ReferencePitchControl from "../components/audio/ReferencePitchControl";
+import CalibrationWizard from "../components/audio/CalibrationWizard";
+import LatencyCalibration from "../components/audio/LatencyCalibration";
+import ReferenceTonePanel from "../components/audio/ReferenceTonePanel";
+import IntonationCheck from "../components/audio/IntonationCheck";
+import InputDeviceSelector from "../components/audio/InputDeviceSelector";
+import InputLevelMeter from "../components/audio/InputLevelMeter";
 
 // ═══════════════════════════════════════════════════════════════
 //  FretForge — Tuner Page
 //  Full chromatic guitar tuner using the Web Audio API
 //  Composes: useAudio → usePitch → TuningMeter + StringDisplay
+//  The needle can be swapped for StrobeTuner, which reads the
+//  unrounded cents, for intonation work (the choice is remembered)
+//  String targets follow the tuning chosen in TuningSelector and
+//  the A4 reference pitch from ReferencePitchControl; the noise
+//  gate follows this mic's CalibrationWizard results, and the
+//  input comes from InputDeviceSelector (remembered for all pages)
+//  LatencyCalibration measures the speaker-to-mic round trip the
+//  practice page's metronome compensates for. ReferenceTonePanel
+//  plays the target pitches for tuning by ear instead, and
+//  IntonationCheck runs useIntonation's 12th-fret check for setups
 //  This is the first feature that proves the audio pipeline works
 // ═══════════════════════════════════════════════════════════════
 
+const ORDINALS = { 6: "6th", 5: "5th", 4: "4th", 3: "3rd", 2: "2nd", 1: "1st" };
+const VIEW_NAMES = { needle: "Needle", strobe: "Strobe" };
+
 export default function TunerPage() {
+  const {
+    tuning,
+    tuningName,
+    tuningPrefer,
+    referencePitch,
+    tunerView,
+    setTunerView,
+  } = usePreferences();
+
   // ─── Audio pipeline ─────────────────────────────────────────
   const {
     isListening,
@@ -20,8 +57,27 @@ export default function TunerPage() {
     stopListening,
     audioContext,
     analyser,
+    getInputLevel,
+    devices,
+    inputDeviceId,
+    setInputDevice,
+    thresholds,
+    calibration,
+    startCalibration,
+    cancelCalibration,
+    resetCalibration,
   } = useAudio();
 
+  const {
+    latency,
+    measurement: latencyMeasurement,
+    measure: measureLatency,
+    cancel: cancelLatency,
+    reset: resetLatency,
+  } = useLatency(audioContext, analyser, inputDeviceId || "default");
+
+  const reference = useReferenceTone();
+
   const {
     detectedNote,
     detectedFreq,
@@ -29,7 +85,13 @@ export default function TunerPage() {
     isActive: pitchActive,
     start: startPitch,
     stop: stopPitch,
-  } = usePitch(audioContext, analyser);
+  } = usePitch(audioContext, analyser, {
+    referencePitch,
+    volumeThreshold: thresholds.volumeThreshold,
+    clarityThreshold: thresholds.clarityThreshold,
+  });
+
+  const intonation = useIntonation(detectedFreq, { tuning, tuningName, referencePitch });
 
   // ─── Smoothed values for display (reduces jitter) ──────────
   const [displayNote, setDisplayNote] = useState(null);
@@ -90,6 +152,11 @@ export default function TunerPage() {
   // ─── Frequency display formatter ───────────────────────────
   const freqDisplay = displayFreq ? `${displayFreq.toFixed(1)} Hz` : "— Hz";
 
+  // The strobe needs finer than the note's whole cents
+  const preciseCents = displayNote && displayFreq
+    ? 1200 * Math.log2(displayFreq / noteFrequency(displayNote.note, displayNote.octave, referencePitch))
+    : null;
+
   return (
     <div style={styles.page}>
       <div style={styles.container}>
@@ -113,12 +180,36 @@ export default function TunerPage() {
 
         {/* Main tuner area */}
         <div style={styles.tunerArea}>
+          {/* Needle or strobe */}
+          <div style={styles.viewTabs}>
+            {TUNER_VIEWS.map((view) => (
+              <button
+                key={view}
+                onClick={() => setTunerView(view)}
+                aria-pressed={tunerView === view}
+                style={{ ...styles.viewTab, ...(tunerView === view ? styles.viewTabActive : {}) }}
+              >
+                {VIEW_NAMES[view]}
+              </button>
+            ))}
+          </div>
+
           {/* The SVG gauge */}
-          <TuningMeter
-            cents={displayCents}
-            isActive={isListening}
-            note={displayNote}
-          />
+          {tunerView === "strobe" ? (
+            <StrobeTuner
+              cents={preciseCents}
+              isActive={isListening}
+              note={displayNote}
+              referencePitch={referencePitch}
+            />
+          ) : (
+            <TuningMeter
+              cents={displayCents}
+              isActive={isListening}
+              note={displayNote}
+              referencePitch={referencePitch}
+            />
+          )}
 
           {/* Frequency and clarity readout */}
           <div style={styles.readout}>
@@ -166,13 +257,83 @@ export default function TunerPage() {
           >
             {isListening ? "⏹ Stop Listening" : "🎵 Start Tuning"}
           </button>
+
+          {/* Input device and level */}
+          <div style={styles.inputRow}>
+            <InputDeviceSelector devices={devices} value={inputDeviceId} onChange={setInputDevice} />
+            <InputLevelMeter getInputLevel={getInputLevel} isActive={isListening} />
+          </div>
+
+          {/* Noise gate calibration for this microphone */}
+          <CalibrationWizard
+            isListening={isListening}
+            calibration={calibration}
+            thresholds={thresholds}
+            onStart={startCalibration}
+            onCancel={cancelCalibration}
+            onReset={resetCalibration}
+          />
+
+          {/* Speaker-to-mic round trip, for practice timing */}
+          <LatencyCalibration
+            isListening={isListening}
+            latency={latency}
+            measurement={latencyMeasurement}
+            onMeasure={measureLatency}
+            onCancel={cancelLatency}
+            onReset={resetLatency}
+          />
         </div>
 
         {/* String display */}
         <div style={styles.stringsSection}>
+          <div style={styles.tuningRow}>
+            <TuningSelector />
+            <ReferencePitchControl />
+          </div>
           <StringDisplay
             detectedFreq={displayFreq}
             isActive={isListening}
+            tuning={tuning}
+            prefer={tuningPrefer}
+            referencePitch={referencePitch}
+          />
+        </div>
+
+        {/* Tune by ear */}
+        <div style={styles.stringsSection}>
+          <ReferenceTonePanel
+            tuning={tuning}
+            prefer={tuningPrefer}
+            referencePitch={referencePitch}
+            playing={reference.playing}
+            timbre={reference.timbre}
+            sustain={reference.sustain}
+            volume={reference.volume}
+            onToggle={reference.toggle}
+            onStop={reference.stop}
+            onTimbreChange={reference.setTimbre}
+            onSustainChange={reference.setSustain}
+            onVolumeChange={reference.setVolume}
+          />
+        </div>
+
+        {/* Guitar setup */}
+        <div style={styles.stringsSection}>
+          <IntonationCheck
+            isListening={isListening}
+            check={intonation.check}
+            results={intonation.results}
+            scaleLength={intonation.scaleLength}
+            reports={intonation.reports}
+            saved={intonation.saved}
+            onStart={intonation.start}
+            onCancel={intonation.cancel}
+            onRedo={intonation.redo}
+            onSkip={intonation.skip}
+            onScaleLengthChange={intonation.setScaleLength}
+            onSave={intonation.saveReport}
+            onDelete={intonation.deleteReport}
           />
         </div>
 
@@ -186,19 +347,36 @@ export default function TunerPage() {
             </p>
             <p style={styles.tip}>
               <span style={styles.tipNumber}>2</span>
-              Play a single open string and let it ring. The tuner will detect
+              Noisy room or quiet acoustic? Run "Calibrate mic" once — it
+              measures your room and your guitar and remembers them for this mic.
+              Then play a single open string and let it ring. The tuner will detect
               the note and show you how far off you are in cents.
             </p>
             <p style={styles.tip}>
               <span style={styles.tipNumber}>3</span>
               Adjust the tuning peg until the needle centers and turns
               {" "}<span style={{ color: "#00ff9f", fontWeight: 600 }}>green</span>.
-              Within ±5 cents is considered in tune.
+              Within ±5 cents is considered in tune. Setting intonation? Switch to
+              Strobe and turn until the bands stand still.
             </p>
             <p style={styles.tip}>
               <span style={styles.tipNumber}>4</span>
-              Work from the thickest string (6th, Low E) to the thinnest (1st, High E).
-              Remember: Easter Bunnies Get Drunk After Easter!
+              Work from the thickest string (6th) to the thinnest (1st).
+              {tuning === STANDARD_TUNING
+                ? " Remember: Easter Bunnies Get Drunk After Easter!"
+                : " Tuning down? Go a little below the target and come back up so the string holds."}
+            </p>
+            <p style={styles.tip}>
+              <span style={styles.tipNumber}>5</span>
+              Rather tune by ear? Play a string's reference tone and turn the peg
+              until the wobble between the two notes slows and disappears. The sine
+              makes that wobble easiest to hear.
+            </p>
+            <p style={styles.tip}>
+              <span style={styles.tipNumber}>6</span>
+              Chords still sound off higher up the neck? Run the intonation check:
+              it compares each string's 12th-fret harmonic with the fretted 12th and
+              says which way to move that string's saddle.
             </p>
           </div>
         </div>
@@ -206,13 +384,16 @@ export default function TunerPage() {
         {/* Reference pitches */}
         <div style={styles.referenceCard}>
           <div style={styles.referenceHeader}>
-            <span style={styles.referenceTitle}>Standard Tuning Reference (A440)</span>
+            <span style={styles.referenceTitle}>{tuningName} Tuning Reference (A{referencePitch})</span>
           </div>
           <div style={styles.referenceContent}>
             <span style={styles.referenceNote}>
-              6th → E2 (82.41 Hz) &nbsp;·&nbsp; 5th → A2 (110.0 Hz) &nbsp;·&nbsp;
-              4th → D3 (146.8 Hz) &nbsp;·&nbsp; 3rd → G3 (196.0 Hz) &nbsp;·&nbsp;
-              2nd → B3 (247.0 Hz) &nbsp;·&nbsp; 1st → E4 (329.6 Hz)
+              {tuning.map((s, i) => (
+                <span key={s.string}>
+                  {i > 0 && " · "}
+                  {ORDINALS[s.string]} → {spellNote(s.note, tuningPrefer)}{frequencyToNote(s.freq).octave} ({(s.freq * referencePitch / DEFAULT_REFERENCE_PITCH).toFixed(2)} Hz)
+                </span>
+              ))}
             </span>
           </div>
         </div>
@@ -272,6 +453,29 @@ const styles = {
     gap: "16px",
     marginBottom: "32px",
   },
+  viewTabs: {
+    display: "flex",
+    gap: "6px",
+  },
+  viewTab: {
+    padding: "6px 14px",
+    background: "#0d1220",
+    borderWidth: "1px",
+    borderStyle: "solid",
+    borderColor: "#1a233266",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: "11px",
+    fontWeight: "600",
+    color: "#94a3b8",
+    transition: "all 0.2s ease",
+  },
+  viewTabActive: {
+    background: "#ff6b2b15",
+    color: "#ff6b2b",
+    borderColor: "#ff6b2b44",
+  },
   readout: {
     display: "flex",
     alignItems: "center",
@@ -318,9 +522,25 @@ const styles = {
     transition: "all 0.2s ease",
     letterSpacing: "0.3px",
   },
+  inputRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: "12px",
+    width: "100%",
+  },
   stringsSection: {
     marginBottom: "32px",
   },
+  tuningRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    flexWrap: "wrap",
+    gap: "12px",
+    marginBottom: "16px",
+  },
   tipsCard: {
     background: "#111827",
     border: "1px solid #1a233266",
@@ -0,0 +1,22 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — AudioWorklet Loading
+//  addModule() may only run once per AudioContext and module, and
+//  several hooks share useAudio's context — so module loads are
+//  cached per context. Processors live in src/worklets/ and are
+//  imported with Vite's `?worker&url` so their own imports are
+//  bundled in
+// ═══════════════════════════════════════════════════════════════
+
+// AudioContext → Map(module URL → addModule promise)
+const loadedModules = new WeakMap();
+
+export function supportsAudioWorklet(audioContext) {
+  return Boolean(audioContext?.audioWorklet) && typeof AudioWorkletNode !== "undefined";
+}
+
+export function loadWorkletModule(audioContext, url) {
+  if (!loadedModules.has(audioContext)) loadedModules.set(audioContext, new Map());
+  const modules = loadedModules.get(audioContext);
+  if (!modules.has(url)) modules.set(url, audioContext.audioWorklet.addModule(url));
+  return modules.get(url);
+}
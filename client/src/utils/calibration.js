@@ -0,0 +1,140 @@
+import { detectPitch, computeRms } from "./pitchDetection";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Microphone Calibration
+//  Turns a few seconds of room noise and a plucked string into
+//  the two gates usePitch applies: a volume threshold (dBFS) and a
+//  clarity threshold (0–1). Results are stored per input device,
+//  since a laptop mic and a USB interface sit at very different
+//  levels. useAudio runs the measurement; this module is the math
+//  and the storage
+// ═══════════════════════════════════════════════════════════════
+
+// Fixed gates used until a device has been calibrated
+export const DEFAULT_VOLUME_THRESHOLD = -40; // dBFS
+export const DEFAULT_CLARITY_THRESHOLD = 0.85;
+export const DEFAULT_THRESHOLDS = {
+  volumeThreshold: DEFAULT_VOLUME_THRESHOLD,
+  clarityThreshold: DEFAULT_CLARITY_THRESHOLD,
+};
+
+// A pluck has to clear the room noise by this much to count
+export const MIN_SIGNAL_MARGIN_DB = 6;
+
+// Never let a calibration produce a gate that's unusable
+const VOLUME_THRESHOLD_RANGE = [-70, -20];
+const CLARITY_THRESHOLD_RANGE = [0.7, 0.95];
+
+// Frames above the noise needed before we trust the pluck
+const MIN_SIGNAL_FRAMES = 3;
+
+const STORAGE_KEY = "fretforge_calibration";
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+// ─── Levels ──────────────────────────────────────────────────
+export function toDbfs(rms) {
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+export function dbfsToRms(db) {
+  return Math.pow(10, db / 20);
+}
+
+// Largest absolute sample — 1.0 means the input is clipping
+export function computePeak(buffer) {
+  let peak = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const v = Math.abs(buffer[i]);
+    if (v > peak) peak = v;
+  }
+  return peak;
+}
+
+// Everything an input meter shows, from one block of samples
+export function measureLevel(buffer) {
+  const rms = computeRms(buffer);
+  const peak = computePeak(buffer);
+  return { rms, peak, rmsDb: toDbfs(rms), peakDb: toDbfs(peak) };
+}
+
+// Value at fraction `p` (0–1) of the sorted list
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// One analyser frame → { db, clarity }, measured the same way
+// usePitch will judge it
+export function measureFrame(buffer, sampleRate) {
+  const { clarity, rms } = detectPitch(buffer, sampleRate);
+  return { db: toDbfs(rms), clarity };
+}
+
+// ─── Thresholds from measurements ────────────────────────────
+// `noiseFrames` come from the quiet phase, `signalFrames` from the
+// pluck phase. The volume gate sits a third of the way from the
+// noise floor to the string's level — low enough that a decaying
+// note keeps registering, above anything the room produced. The
+// clarity gate sits midway between how periodic the room noise
+// was (fans and hum can be) and how periodic the string was.
+// Throws when the pluck never rose clear of the noise
+export function computeThresholds(noiseFrames, signalFrames) {
+  const noiseFloor = percentile(noiseFrames.map((f) => f.db).filter(Number.isFinite), 0.9) ?? -Infinity;
+  const noiseClarity = percentile(noiseFrames.map((f) => f.clarity), 0.9) ?? 0;
+
+  const heard = signalFrames.filter(
+    (f) => Number.isFinite(f.db) && f.db >= noiseFloor + MIN_SIGNAL_MARGIN_DB,
+  );
+  if (heard.length < MIN_SIGNAL_FRAMES) {
+    throw new Error("Couldn't hear the string over the room noise — pluck harder or move closer to the mic");
+  }
+
+  const signalLevel = percentile(heard.map((f) => f.db), 0.5);
+  const signalClarity = percentile(heard.map((f) => f.clarity), 0.5);
+
+  // A silent room (digital zero) leaves only the signal to go on
+  const floor = Number.isFinite(noiseFloor) ? noiseFloor : VOLUME_THRESHOLD_RANGE[0];
+  const gap = Math.max(0, signalLevel - floor);
+  const volumeThreshold = clamp(floor + Math.max(MIN_SIGNAL_MARGIN_DB / 2, gap / 3), VOLUME_THRESHOLD_RANGE);
+  const clarityThreshold = clamp((noiseClarity + signalClarity) / 2, CLARITY_THRESHOLD_RANGE);
+
+  return {
+    volumeThreshold: Math.round(volumeThreshold * 10) / 10,
+    clarityThreshold: Math.round(clarityThreshold * 100) / 100,
+    noiseFloor: Number.isFinite(noiseFloor) ? Math.round(noiseFloor * 10) / 10 : null,
+    signalLevel: Math.round(signalLevel * 10) / 10,
+  };
+}
+
+// ─── Per-device storage ──────────────────────────────────────
+// localStorage["fretforge_calibration"] = { [deviceId]: { ... } }
+function loadAll() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadCalibration(deviceId) {
+  const saved = loadAll()[deviceId];
+  if (!saved || typeof saved.volumeThreshold !== "number" || typeof saved.clarityThreshold !== "number") {
+    return null;
+  }
+  return saved;
+}
+
+export function saveCalibration(deviceId, thresholds) {
+  const entry = { ...thresholds, calibratedAt: new Date().toISOString() };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadAll(), [deviceId]: entry }));
+  return entry;
+}
+
+export function clearCalibration(deviceId) {
+  const all = loadAll();
+  delete all[deviceId];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
@@ -0,0 +1,172 @@
+import { CHORD_LIBRARY, NOTE_NAMES, STANDARD_TUNING } from "../data/chords";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Movable Chord Generator
+//  Builds fingerings for any root + quality from CAGED-style
+//  movable shapes, so the library covers all 12 keys instead of
+//  only the hand-typed open chords
+//  Output matches CHORD_LIBRARY entries (strings, fingers,
+//  barreAt, notes, ...) so FretboardDiagram, ChordCard and the
+//  chord detector take generated chords unchanged
+//
+//  TEMPLATES: `offsets` are frets relative to the root fret on
+//  the shape's root string (null = muted). `fingers` are for the
+//  barre position; the index finger always holds the root fret.
+//  At the open position (root fret 0) the index finger's notes
+//  become open strings and every other finger moves down one —
+//  which turns the E-shape into open E, the A-shape into open A…
+// ═══════════════════════════════════════════════════════════════
+
+// ─── Chord qualities ─────────────────────────────────────────
+// suffix builds the chord key ("C#" + "m7"), type matches the
+// CHORD_LIBRARY type field used for filtering and badge colors,
+// intervals are semitones above the root
+export const CHORD_QUALITIES = {
+  major: { suffix: "", label: "major", type: "major", intervals: [0, 4, 7] },
+  minor: { suffix: "m", label: "minor", type: "minor", intervals: [0, 3, 7] },
+  "7": { suffix: "7", label: "dominant 7", type: "dominant7", intervals: [0, 4, 7, 10] },
+  m7: { suffix: "m7", label: "minor 7", type: "minor7", intervals: [0, 3, 7, 10] },
+  maj7: { suffix: "maj7", label: "major 7", type: "major7", intervals: [0, 4, 7, 11] },
+  sus2: { suffix: "sus2", label: "suspended 2nd", type: "suspended", intervals: [0, 2, 7] },
+  sus4: { suffix: "sus4", label: "suspended 4th", type: "suspended", intervals: [0, 5, 7] },
+  dim: { suffix: "dim", label: "diminished", type: "diminished", intervals: [0, 3, 6] },
+  aug: { suffix: "aug", label: "augmented", type: "augmented", intervals: [0, 4, 8] },
+  add9: { suffix: "add9", label: "add 9", type: "add9", intervals: [0, 2, 4, 7] },
+  "5": { suffix: "5", label: "power chord", type: "power", intervals: [0, 7] },
+};
+
+// ─── Split a chord key into root + quality ───────────────────
+// "C#m7" → { root: "C#", quality: "m7" }; null for unknown keys
+export function parseChordKey(key) {
+  const match = /^([A-G]#?)(.*)$/.exec(key || "");
+  if (!match) return null;
+  const quality = Object.keys(CHORD_QUALITIES).find((q) => CHORD_QUALITIES[q].suffix === match[2]);
+  return quality ? { root: match[1], quality } : null;
+}
+
+// ─── Movable shape templates ─────────────────────────────────
+// rootString: index into [lowE, A, D, G, B, highE]
+// Every shape fits a 4-fret window (max offset 3) so it renders in
+// FretboardDiagram without clipping
+export const CHORD_SHAPES = {
+  E: {
+    rootString: 0,
+    templates: {
+      major: { offsets: [0, 2, 2, 1, 0, 0], fingers: [1, 3, 4, 2, 1, 1], barre: true },
+      minor: { offsets: [0, 2, 2, 0, 0, 0], fingers: [1, 3, 4, 1, 1, 1], barre: true },
+      "7": { offsets: [0, 2, 0, 1, 0, 0], fingers: [1, 3, 1, 2, 1, 1], barre: true },
+      m7: { offsets: [0, 2, 0, 0, 0, 0], fingers: [1, 3, 1, 1, 1, 1], barre: true },
+      maj7: { offsets: [0, 2, 1, 1, 0, 0], fingers: [1, 4, 2, 3, 1, 1], barre: true },
+      sus4: { offsets: [0, 2, 2, 2, 0, 0], fingers: [1, 2, 3, 4, 1, 1], barre: true },
+      dim: { offsets: [0, 1, 2, 0, null, null], fingers: [1, 2, 3, 1, 0, 0], barre: true },
+      aug: { offsets: [0, null, 2, 1, 1, null], fingers: [1, 0, 4, 2, 3, 0], barre: false },
+      add9: { offsets: [0, null, 2, 1, 0, 2], fingers: [1, 0, 3, 2, 1, 4], barre: true },
+      "5": { offsets: [0, 2, 2, null, null, null], fingers: [1, 3, 4, 0, 0, 0], barre: false },
+    },
+  },
+  A: {
+    rootString: 1,
+    templates: {
+      major: { offsets: [null, 0, 2, 2, 2, 0], fingers: [0, 1, 2, 3, 4, 1], barre: true },
+      minor: { offsets: [null, 0, 2, 2, 1, 0], fingers: [0, 1, 3, 4, 2, 1], barre: true },
+      "7": { offsets: [null, 0, 2, 0, 2, 0], fingers: [0, 1, 3, 1, 4, 1], barre: true },
+      m7: { offsets: [null, 0, 2, 0, 1, 0], fingers: [0, 1, 3, 1, 2, 1], barre: true },
+      maj7: { offsets: [null, 0, 2, 1, 2, 0], fingers: [0, 1, 3, 2, 4, 1], barre: true },
+      sus2: { offsets: [null, 0, 2, 2, 0, 0], fingers: [0, 1, 3, 4, 1, 1], barre: true },
+      sus4: { offsets: [null, 0, 2, 2, 3, 0], fingers: [0, 1, 2, 3, 4, 1], barre: true },
+      dim: { offsets: [null, 0, 1, 2, 1, null], fingers: [0, 1, 2, 4, 3, 0], barre: false },
+      aug: { offsets: [null, 0, 3, 2, 2, null], fingers: [0, 1, 4, 2, 3, 0], barre: false },
+      "5": { offsets: [null, 0, 2, 2, null, null], fingers: [0, 1, 3, 4, 0, 0], barre: false },
+    },
+  },
+  D: {
+    rootString: 2,
+    templates: {
+      major: { offsets: [null, null, 0, 2, 3, 2], fingers: [0, 0, 1, 2, 4, 3], barre: false },
+      minor: { offsets: [null, null, 0, 2, 3, 1], fingers: [0, 0, 1, 3, 4, 2], barre: false },
+      "7": { offsets: [null, null, 0, 2, 1, 2], fingers: [0, 0, 1, 3, 2, 4], barre: false },
+      m7: { offsets: [null, null, 0, 2, 1, 1], fingers: [0, 0, 1, 3, 2, 2], barre: false },
+      maj7: { offsets: [null, null, 0, 2, 2, 2], fingers: [0, 0, 1, 2, 3, 4], barre: false },
+      sus2: { offsets: [null, null, 0, 2, 3, 0], fingers: [0, 0, 1, 3, 4, 1], barre: true },
+      sus4: { offsets: [null, null, 0, 2, 3, 3], fingers: [0, 0, 1, 2, 3, 4], barre: false },
+      "5": { offsets: [null, null, 0, 2, 3, null], fingers: [0, 0, 1, 3, 4, 0], barre: false },
+    },
+  },
+};
+
+// Open-string pitch classes, low E → high E
+const OPEN_NOTES = [...STANDARD_TUNING]
+  .sort((a, b) => b.string - a.string)
+  .map((s) => NOTE_NAMES.indexOf(s.note));
+
+// ─── Realize one shape at the fret that puts `root` on its root string ──
+// Returns a CHORD_LIBRARY-style object, or null if the shape has no
+// template for this quality
+export function shapeChord(root, quality, shapeName) {
+  const shape = CHORD_SHAPES[shapeName];
+  const template = shape?.templates[quality];
+  const q = CHORD_QUALITIES[quality];
+  const rootIndex = NOTE_NAMES.indexOf(root);
+  if (!template || !q || rootIndex === -1) return null;
+
+  const rootFret = (rootIndex - OPEN_NOTES[shape.rootString] + 12) % 12;
+  const isOpen = rootFret === 0;
+
+  const strings = template.offsets.map((o) => (o === null ? -1 : rootFret + o));
+  const fingers = template.offsets.map((o, i) => {
+    if (o === null) return 0;
+    if (isOpen) return o === 0 ? 0 : template.fingers[i] - 1;
+    return template.fingers[i];
+  });
+  const notes = strings.map((fret, i) =>
+    fret === -1 ? "X" : NOTE_NAMES[(OPEN_NOTES[i] + fret) % 12]
+  );
+
+  const rootStringName = shape.rootString === 0 ? "low E" : NOTE_NAMES[OPEN_NOTES[shape.rootString]];
+  return {
+    name: `${root} ${q.label}`,
+    short: `${root}${q.suffix}`,
+    type: q.type,
+    tier: isOpen ? 3 : 4,
+    strings,
+    fingers,
+    barreAt: template.barre && !isOpen ? rootFret : 0,
+    notes,
+    shape: shapeName,
+    rootFret,
+    tips: isOpen
+      ? `Open-position ${shapeName}-shape — root on the open ${rootStringName} string.`
+      : `${shapeName}-shape ${template.barre ? "barre" : "shape"} at fret ${rootFret} — root on the ${rootStringName} string.`,
+  };
+}
+
+// ─── Every shape that can play root + quality, lowest first ──
+export function generateVoicings(root, quality) {
+  return Object.keys(CHORD_SHAPES)
+    .map((shapeName) => shapeChord(root, quality, shapeName))
+    .filter(Boolean)
+    .sort((a, b) => a.rootFret - b.rootFret);
+}
+
+// ─── The most playable shape: the one closest to the nut ─────
+export function generateChord(root, quality) {
+  return generateVoicings(root, quality)[0] || null;
+}
+
+// ─── Full library: every root × quality ──────────────────────
+// Hand-typed CHORD_LIBRARY entries come first and win over generated
+// ones with the same key — they carry curated tiers, tips and voicings
+export function buildChordLibrary() {
+  const library = { ...CHORD_LIBRARY };
+  for (const root of NOTE_NAMES) {
+    for (const [quality, q] of Object.entries(CHORD_QUALITIES)) {
+      const key = `${root}${q.suffix}`;
+      if (library[key]) continue;
+      const chord = generateChord(root, quality);
+      if (chord) library[key] = chord;
+    }
+  }
+  return library;
+}
+
+export const FULL_CHORD_LIBRARY = buildChordLibrary();
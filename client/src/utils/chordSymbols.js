@@ -0,0 +1,150 @@
+import { NOTE_NAMES } from "../data/chords";
+import { CHORD_QUALITIES } from "./chordGenerator";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Chord Symbol Parser & Formatter
+//  Turns free-text symbols ("C#m7b5", "Bb/D", "Gsus4", "F#5")
+//  into { root, quality, extensions, bass } and back
+//
+//  root/bass: always sharp-spelled NOTE_NAMES ("A#", not "Bb")
+//  so they line up with library keys; the formatter re-spells
+//  them with sharps or flats on the way out
+//  quality:   a CHORD_QUALITIES key ("major", "m7", "sus4", …)
+//  extensions: everything the base quality doesn't cover, in
+//  order — "9", "b5", "#9", "6", "add11"
+// ═══════════════════════════════════════════════════════════════
+
+const FLAT_NAMES = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+// ─── Quality spellings ───────────────────────────────────────
+// Tried longest-first at the start of the suffix, so "maj" wins
+// over "m" and "min7" over "m". Matching is case-sensitive: "M"
+// is major, "m" minor. `extensions` are implied by the spelling
+// itself (C9 = dominant 7 + 9)
+const QUALITY_TOKENS = [
+  ["maj13", "maj7", ["13"]], ["maj11", "maj7", ["11"]], ["maj9", "maj7", ["9"]],
+  ["maj7", "maj7", []], ["Maj7", "maj7", []], ["ma7", "maj7", []], ["Δ7", "maj7", []], ["Δ", "maj7", []],
+  ["M13", "maj7", ["13"]], ["M11", "maj7", ["11"]], ["M9", "maj7", ["9"]], ["M7", "maj7", []],
+  ["min7", "m7", []], ["m13", "m7", ["13"]], ["m11", "m7", ["11"]], ["m9", "m7", ["9"]],
+  ["m7", "m7", []], ["-7", "m7", []], ["ø7", "m7", ["b5"]], ["ø", "m7", ["b5"]],
+  ["min", "minor", []], ["m", "minor", []], ["-", "minor", []],
+  ["dim7", "dim", ["7"]], ["°7", "dim", ["7"]], ["dim", "dim", []], ["°", "dim", []],
+  ["aug", "aug", []], ["+", "aug", []],
+  ["sus2", "sus2", []], ["sus4", "sus4", []], ["sus", "sus4", []],
+  ["add9", "add9", []], ["add2", "add9", []],
+  ["13", "7", ["13"]], ["11", "7", ["11"]], ["9", "7", ["9"]], ["7", "7", []],
+  ["5", "5", []],
+  ["major", "major", []], ["maj", "major", []], ["Maj", "major", []], ["M", "major", []],
+].sort((a, b) => b[0].length - a[0].length);
+
+// Extensions after the quality: "b5", "#9", "6", "add11", "sus4"…
+// optionally wrapped in parentheses or separated by commas
+const EXTENSION_RE = /^[(,\s]*((?:add|sus)\d{1,2}|[#b]?(?:2|4|5|6|7|9|11|13))\)?/;
+
+// ─── Note name → sharp-spelled NOTE_NAMES entry ──────────────
+function normalizeNote(letter, accidental) {
+  const natural = NOTE_NAMES.indexOf(letter.toUpperCase());
+  if (natural === -1) return null;
+  const shift = accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+  return NOTE_NAMES[(natural + shift + 12) % 12];
+}
+
+// ─── Spell a sharp-named note with the preferred accidental ──
+export function spellNote(note, prefer = "sharp") {
+  const index = NOTE_NAMES.indexOf(note);
+  if (index === -1) return note;
+  return prefer === "flat" ? FLAT_NAMES[index] : NOTE_NAMES[index];
+}
+
+// ─── Parse a chord symbol ────────────────────────────────────
+// Returns { root, quality, extensions, bass } or null if the text
+// isn't a chord symbol we understand
+export function parseChordSymbol(text) {
+  if (typeof text !== "string") return null;
+  const symbol = text.trim().replace(/♯/g, "#").replace(/♭/g, "b");
+
+  // Root: a letter plus an optional accidental. A lowercase first letter
+  // is allowed ("am", "bb") — but "b" after it is always a flat
+  const rootMatch = /^([A-Ga-g])([#b]?)/.exec(symbol);
+  if (!rootMatch) return null;
+  const root = normalizeNote(rootMatch[1], rootMatch[2]);
+  let rest = symbol.slice(rootMatch[0].length);
+
+  // Slash bass comes last — but "6/9" is an extension, not a bass note
+  let bass = null;
+  const bassMatch = /\/([A-Ga-g])([#b]?)$/.exec(rest);
+  if (bassMatch) {
+    bass = normalizeNote(bassMatch[1], bassMatch[2]);
+    rest = rest.slice(0, -bassMatch[0].length);
+  }
+
+  let quality = "major";
+  const extensions = [];
+  const token = QUALITY_TOKENS.find(([spelling]) => rest.startsWith(spelling));
+  if (token) {
+    quality = token[1];
+    extensions.push(...token[2]);
+    rest = rest.slice(token[0].length);
+  }
+
+  // "6/9" as one unit, then any number of extensions
+  if (rest.startsWith("6/9")) {
+    extensions.push("6", "9");
+    rest = rest.slice(3);
+  }
+  while (rest.length > 0) {
+    const match = EXTENSION_RE.exec(rest);
+    if (!match) return null;
+    extensions.push(match[1]);
+    rest = rest.slice(match[0].length).replace(/^[)\s]+/, "");
+  }
+
+  // "Csus4" parsed as quality, but "C7sus4" leaves sus4 as an extension —
+  // normalize so the suspension is the quality and the 7th is the extension
+  const susIndex = extensions.findIndex((e) => e === "sus2" || e === "sus4");
+  if (susIndex !== -1 && (quality === "major" || quality === "7")) {
+    const sus = extensions.splice(susIndex, 1)[0];
+    if (quality === "7") extensions.unshift("7");
+    quality = sus;
+  }
+
+  return { root, quality, extensions, bass };
+}
+
+// ─── Format back to text ─────────────────────────────────────
+// formatChordSymbol(parseChordSymbol("A#m7b5"), { prefer: "flat" }) → "Bbm7b5"
+export function formatChordSymbol(chord, { prefer = "sharp" } = {}) {
+  if (!chord) return "";
+  const { root, quality, extensions = [], bass } = chord;
+  let suffix = CHORD_QUALITIES[quality]?.suffix ?? "";
+  let rest = [...extensions];
+
+  // Upper extensions replace the 7 they imply: C7 + 9 → C9, Cmaj7 + 9 → Cmaj9
+  const upper = rest.find((e) => e === "9" || e === "11" || e === "13");
+  if (upper && ["7", "m7", "maj7"].includes(quality)) {
+    suffix = suffix.replace(/7$/, upper);
+    rest = rest.filter((e) => e !== upper);
+  }
+  // A 7th on a suspended chord goes in front: C7sus4, not Csus47
+  if ((quality === "sus2" || quality === "sus4") && rest[0] === "7") {
+    suffix = `7${suffix}`;
+    rest = rest.slice(1);
+  }
+  // 6/9 reads as one unit
+  if (rest.includes("6") && rest.includes("9")) {
+    rest = rest.filter((e) => e !== "6" && e !== "9");
+    rest.unshift("6/9");
+  }
+
+  const text = `${spellNote(root, prefer)}${suffix}${rest.join("")}`;
+  return bass ? `${text}/${spellNote(bass, prefer)}` : text;
+}
+
+// ─── Library key for a parsed chord ──────────────────────────
+// Plain root + quality chords map onto FULL_CHORD_LIBRARY keys;
+// a slash bass doesn't change the shape you learn. Returns null
+// when extensions make it a chord the library has no shape for
+export function toLibraryKey(chord) {
+  if (!chord || chord.extensions.length > 0) return null;
+  return `${chord.root}${CHORD_QUALITIES[chord.quality].suffix}`;
+}
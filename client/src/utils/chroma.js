@@ -0,0 +1,120 @@
+import { NOTE_NAMES, DEFAULT_REFERENCE_PITCH } from "../data/chords";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Chromagram Utilities
+//  Folds an FFT spectrum into 12 pitch-class bins (a "chroma"
+//  vector) and matches it against chord templates built from the
+//  chord library. Pure functions — no Web Audio, fully testable.
+// ═══════════════════════════════════════════════════════════════
+
+// Only fold bins inside the useful guitar range into the chroma
+// Below ~70Hz is rumble, above ~2kHz is mostly pick noise and high harmonics
+const MIN_CHROMA_FREQ = 70;
+const MAX_CHROMA_FREQ = 2000;
+
+// Spectrum peaks quieter than this are treated as silence (dBFS)
+const SILENCE_DB = -70;
+
+// ─── Spectrum → chroma ───────────────────────────────────────
+// frequencyData: Float32Array of dB magnitudes from AnalyserNode
+// Returns a 12-element array (C..B) normalized to a max of 1,
+// or null if the spectrum is effectively silent. Pitch classes are
+// relative to A4 = referencePitch
+//
+// Low guitar notes are closer together than one FFT bin (~10.8Hz at
+// fftSize 4096), so mapping raw bins to pitch classes misfiles E2 as F.
+// Instead we pick spectral peaks and refine each one's frequency with
+// parabolic interpolation before folding it into the chroma.
+export function computeChroma(frequencyData, sampleRate = 44100, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  if (!frequencyData || frequencyData.length === 0) return null;
+
+  // frequencyBinCount = fftSize / 2, so each bin spans sampleRate / fftSize Hz
+  const binHz = sampleRate / (frequencyData.length * 2);
+  const chroma = new Array(12).fill(0);
+
+  const firstBin = Math.max(1, Math.floor(MIN_CHROMA_FREQ / binHz));
+  const lastBin = Math.min(frequencyData.length - 2, Math.ceil(MAX_CHROMA_FREQ / binHz));
+
+  for (let k = firstBin; k <= lastBin; k++) {
+    const a = frequencyData[k - 1];
+    const b = frequencyData[k];
+    const c = frequencyData[k + 1];
+
+    // Local maxima above the silence floor only
+    if (!isFinite(b) || b < SILENCE_DB || b <= a || b < c) continue;
+
+    // Parabolic interpolation on the dB values → fractional bin offset
+    const denom = a - 2 * b + c;
+    const shift = denom !== 0 && isFinite(denom) ? (0.5 * (a - c)) / denom : 0;
+    const peakDb = b - 0.25 * (a - c) * shift;
+    const freq = (k + shift) * binHz;
+    if (freq < MIN_CHROMA_FREQ || freq > MAX_CHROMA_FREQ) continue;
+
+    // dB → linear magnitude, then energy so strong partials dominate
+    const magnitude = Math.pow(10, peakDb / 20);
+
+    // Nearest pitch class for this peak (A4 = referencePitch, A = index 9)
+    const semitones = 12 * Math.log2(freq / referencePitch);
+    const pitchClass = ((Math.round(semitones) % 12) + 12 + 9) % 12;
+    chroma[pitchClass] += magnitude * magnitude;
+  }
+
+  const max = Math.max(...chroma);
+  if (max <= 0) return null;
+  return chroma.map((v) => v / max);
+}
+
+// ─── Chord library → templates ───────────────────────────────
+// Each template is a 12-bin vector counting how many strings sound each
+// pitch class in the chord's `notes` array ("X" = muted string, ignored).
+// Counting (rather than 0/1) mirrors how energy piles up in the chroma:
+// open Em rings three E strings, so E should dominate its template too —
+// otherwise E5 (E + B only) out-scores Em on a real Em strum.
+export function buildChordTemplates(library) {
+  return Object.entries(library).map(([key, chord]) => {
+    const vector = new Array(12).fill(0);
+    chord.notes.forEach((note) => {
+      const index = NOTE_NAMES.indexOf(note);
+      if (index !== -1) vector[index] += 1;
+    });
+    return { key, chord, vector };
+  });
+}
+
+// Cosine similarity between two 12-bin vectors (0 = unrelated, 1 = identical)
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < 12; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+// ─── Template matching ───────────────────────────────────────
+// Returns { best, runnerUp } where each is { key, chord, score } or null
+// Scores are cosine similarities — the caller decides what's "confident"
+export function matchChord(chroma, templates) {
+  if (!chroma || templates.length === 0) return { best: null, runnerUp: null };
+
+  let best = null;
+  let runnerUp = null;
+
+  for (const template of templates) {
+    const score = cosineSimilarity(chroma, template.vector);
+    const candidate = { key: template.key, chord: template.chord, score };
+
+    if (!best || score > best.score) {
+      runnerUp = best;
+      best = candidate;
+    } else if (!runnerUp || score > runnerUp.score) {
+      runnerUp = candidate;
+    }
+  }
+
+  return { best, runnerUp };
+}
@@ -0,0 +1,84 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — FFT
+//  In-place iterative radix-2 Cooley–Tukey transform on separate
+//  real/imaginary arrays. Small and dependency-free so it can be
+//  bundled into AudioWorklets; used by pitch detection to turn
+//  O(N·lags) correlation loops into O(N log N)
+// ═══════════════════════════════════════════════════════════════
+
+// Smallest power of two ≥ n
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+// Twiddle factors per transform size — detection runs the same
+// sizes every frame, so these are computed once
+const twiddleCache = new Map();
+
+function twiddles(size) {
+  if (!twiddleCache.has(size)) {
+    const half = size / 2;
+    const cos = new Float64Array(half);
+    const sin = new Float64Array(half);
+    for (let k = 0; k < half; k++) {
+      cos[k] = Math.cos((2 * Math.PI * k) / size);
+      sin[k] = -Math.sin((2 * Math.PI * k) / size);
+    }
+    twiddleCache.set(size, { cos, sin });
+  }
+  return twiddleCache.get(size);
+}
+
+// ─── Forward transform ───────────────────────────────────────
+// Transforms `real`/`imag` in place. Length must be a power of two
+export function fft(real, imag) {
+  const size = real.length;
+  if (size !== imag.length) throw new Error("FFT real and imaginary parts differ in length");
+  if (size & (size - 1)) throw new Error(`FFT size must be a power of two, got ${size}`);
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  // Butterflies, doubling the span each pass
+  const { cos, sin } = twiddles(size);
+  for (let span = 2; span <= size; span <<= 1) {
+    const half = span >> 1;
+    const step = size / span;
+    for (let start = 0; start < size; start += span) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tr = real[b] * wr - imag[b] * wi;
+        const ti = real[b] * wi + imag[b] * wr;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
+// ─── Inverse transform ───────────────────────────────────────
+// Conjugate, forward transform, conjugate and scale by 1/N
+export function ifft(real, imag) {
+  const size = real.length;
+  for (let i = 0; i < size; i++) imag[i] = -imag[i];
+  fft(real, imag);
+  for (let i = 0; i < size; i++) {
+    real[i] /= size;
+    imag[i] = -imag[i] / size;
+  }
+}
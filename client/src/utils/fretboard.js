@@ -0,0 +1,104 @@
+import { STANDARD_TUNING, NOTE_NAMES, DEFAULT_REFERENCE_PITCH, frequencyToNote } from "../data/chords";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Fretboard Utilities
+//  Note math for [string, fret] positions: which note sounds,
+//  at what pitch, and what interval it is relative to a key
+//  Strings use guitar numbering: 6 = low E, 1 = high E
+// ═══════════════════════════════════════════════════════════════
+
+// Interval names used in SCALE_LIBRARY → semitones above the root
+export const INTERVAL_SEMITONES = {
+  "1": 0, b2: 1, "2": 2, b3: 3, "3": 4, "4": 5,
+  b5: 6, "5": 7, b6: 8, "6": 9, b7: 10, "7": 11,
+};
+
+// ─── Note at a [string, fret] position ───────────────────────
+// Returns { note, octave, freq, midi } — midi is handy for sorting by pitch.
+// Tunings are stored at A440; `freq` is scaled to the reference pitch
+export function fretNote(stringNumber, fret, tuning = STANDARD_TUNING, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  const openString = tuning.find((s) => s.string === stringNumber);
+  if (!openString || fret < 0) return null;
+
+  const freq = openString.freq * (referencePitch / DEFAULT_REFERENCE_PITCH) * Math.pow(2, fret / 12);
+  const { note, octave } = frequencyToNote(freq, referencePitch);
+  const midi = (octave + 1) * 12 + NOTE_NAMES.indexOf(note);
+  return { note, octave, freq, midi };
+}
+
+// ─── Interval of a note relative to a key ────────────────────
+// Returns the matching label from `intervals` (e.g. "b3"), or null
+// if the note isn't one of the scale's degrees
+export function intervalLabel(note, key, intervals) {
+  const semitones = (NOTE_NAMES.indexOf(note) - NOTE_NAMES.indexOf(key) + 12) % 12;
+  return intervals.find((i) => INTERVAL_SEMITONES[i] === semitones) || null;
+}
+
+// ─── Scale positions in playing order ────────────────────────
+// Sorts a scale's positions low → high by pitch (or high → low for
+// "descending"), annotating each with its note and interval. Positions
+// that repeat a pitch already covered on another string are dropped so
+// playback and drills never hit the same note twice in a row.
+export function scaleSequence(scale, direction = "ascending", tuning = STANDARD_TUNING, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  const seen = new Set();
+  const ascending = scale.positions
+    .map(([string, fret]) => {
+      const pitch = fretNote(string, fret, tuning, referencePitch);
+      return {
+        string,
+        fret,
+        ...pitch,
+        interval: intervalLabel(pitch.note, scale.key, scale.intervals),
+      };
+    })
+    .sort((a, b) => a.midi - b.midi || b.string - a.string)
+    .filter((p) => {
+      if (seen.has(p.midi)) return false;
+      seen.add(p.midi);
+      return true;
+    });
+
+  return direction === "descending" ? ascending.reverse() : ascending;
+}
+
+// ─── Open-string pitch classes, low → high ───────────────────
+function openNotes(tuning) {
+  return [...tuning]
+    .sort((a, b) => b.string - a.string)
+    .map((s) => NOTE_NAMES.indexOf(s.note));
+}
+
+// ─── Re-spell a chord shape's notes for another tuning ───────
+// Shapes are fingerings, so they stay put — only the notes they
+// sound change (an E shape in Drop D has a D in the bass)
+export function retuneChord(chord, tuning = STANDARD_TUNING) {
+  if (!chord || tuning === STANDARD_TUNING) return chord;
+  const open = openNotes(tuning);
+  return {
+    ...chord,
+    notes: chord.strings.map((fret, i) => (fret < 0 ? "X" : NOTE_NAMES[(open[i] + fret) % 12])),
+  };
+}
+
+// ─── Move a scale's positions into another tuning ────────────
+// Scales keep their pitches: each note moves along its string by
+// however far that string was retuned (Drop D: +2 on the 6th string).
+// A note pushed behind the nut by a string tuned up moves an octave
+// higher on the same string so the box keeps every degree
+export function retuneScale(scale, tuning = STANDARD_TUNING) {
+  if (tuning === STANDARD_TUNING) return scale;
+  const offsets = {};
+  for (const s of STANDARD_TUNING) {
+    const target = tuning.find((t) => t.string === s.string);
+    offsets[s.string] = Math.round(12 * Math.log2(s.freq / target.freq));
+  }
+  const move = ([string, fret]) => {
+    const moved = fret + offsets[string];
+    return [string, moved < 0 ? moved + 12 : moved];
+  };
+  return {
+    ...scale,
+    positions: scale.positions.map(move),
+    roots: scale.roots.map(move),
+  };
+}
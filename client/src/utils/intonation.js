@@ -0,0 +1,160 @@
+import { DEFAULT_REFERENCE_PITCH, frequencyToNote } from "../data/chords";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Intonation
+//  A guitar intonates when the note fretted at the 12th fret
+//  matches the harmonic there — both should be the open string an
+//  octave up. The harmonic only depends on the string's length, so
+//  the gap between the two is down to the saddle: fretted sharp
+//  means the string is effectively too short and the saddle goes
+//  back, away from the neck; flat means it comes forward
+//
+//  useIntonation runs the check string by string; this module is
+//  the capture math, the advice and the saved reports
+// ═══════════════════════════════════════════════════════════════
+
+// Within this many cents a string is left alone
+export const INTONATION_TOLERANCE = 2;
+
+// Scale lengths the advice can estimate a saddle move for (mm)
+export const SCALE_LENGTHS = [
+  { key: "24.75", label: "24.75″", mm: 628.65 },
+  { key: "25", label: "25″", mm: 635 },
+  { key: "25.5", label: "25.5″", mm: 647.7 },
+  { key: "650", label: "650 mm", mm: 650 },
+];
+export const DEFAULT_SCALE_LENGTH = "25.5";
+
+// A reading is this many detector frames in a row that agree to
+// within STABLE_CENTS — enough to ride out the pluck's attack
+export const CAPTURE_FRAMES = 12;
+const STABLE_CENTS = 5;
+
+// Readings further than this from the string's octave are another note
+const MAX_TARGET_CENTS = 60;
+
+const MAX_REPORTS = 20;
+const STORAGE_KEY = "fretforge_intonation";
+
+export const centsBetween = (freq, reference) => 1200 * Math.log2(freq / reference);
+
+// ─── Targets ─────────────────────────────────────────────────
+// Both the harmonic and the fretted note sound an octave above the
+// open string. `tuning` frequencies are stored at A4 = 440
+export function intonationTarget(openFreq, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  return openFreq * 2 * (referencePitch / DEFAULT_REFERENCE_PITCH);
+}
+
+export function isNearTarget(freq, target) {
+  return freq > 0 && Math.abs(centsBetween(freq, target)) <= MAX_TARGET_CENTS;
+}
+
+// ─── Capture ─────────────────────────────────────────────────
+// `freqs` are the latest readings, oldest first. Returns their
+// median once the last CAPTURE_FRAMES of them hold steady, else null
+export function captureReading(freqs, { frames = CAPTURE_FRAMES } = {}) {
+  if (freqs.length < frames) return null;
+  const recent = freqs.slice(-frames).sort((a, b) => a - b);
+  if (centsBetween(recent[recent.length - 1], recent[0]) > STABLE_CENTS) return null;
+  return recent[Math.floor(recent.length / 2)];
+}
+
+// ─── Advice ──────────────────────────────────────────────────
+// How far the fretted 12th is from the harmonic, in cents
+// (positive = sharp), rounded to a tenth
+export function intonationOffset(harmonicFreq, frettedFreq) {
+  return Math.round(centsBetween(frettedFreq, harmonicFreq) * 10) / 10;
+}
+
+// → { direction: "back" | "forward" | null, mm, text }. The move is
+// estimated from the 12th-fret-to-saddle half of the scale, which
+// has to stretch or shrink by the error's ratio; treat it as a
+// starting point, since string gauge and action shift it too
+export function saddleAdvice(cents, scaleLengthMm = SCALE_LENGTHS[2].mm) {
+  if (Math.abs(cents) <= INTONATION_TOLERANCE) {
+    return { direction: null, mm: 0, text: "In tune — leave the saddle" };
+  }
+  const mm = Math.round((scaleLengthMm / 2) * Math.abs(Math.pow(2, cents / 1200) - 1) * 10) / 10;
+  const move = mm >= 0.1 ? ` about ${mm} mm` : " a hair";
+  return cents > 0
+    ? { direction: "back", mm, text: `Sharp — move saddle back (away from the neck)${move}` }
+    : { direction: "forward", mm, text: `Flat — move saddle forward (toward the neck)${move}` };
+}
+
+// One string's row of the report, from its two readings (either
+// may be null if the string was skipped)
+export function measureString(string, harmonicFreq, frettedFreq, {
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+  scaleLengthMm,
+} = {}) {
+  const target = intonationTarget(string.freq, referencePitch);
+  const note = frequencyToNote(target, referencePitch);
+  const measured = Boolean(harmonicFreq && frettedFreq);
+  const cents = measured ? intonationOffset(harmonicFreq, frettedFreq) : null;
+  return {
+    string: string.string,
+    note: `${note.note}${note.octave}`,
+    harmonicFreq,
+    frettedFreq,
+    cents,
+    advice: measured ? saddleAdvice(cents, scaleLengthMm) : null,
+  };
+}
+
+// ─── Reports ─────────────────────────────────────────────────
+export function buildReport(rows, { tuningName, referencePitch, scaleLength }) {
+  return {
+    id: `intonation_${Date.now()}`,
+    createdAt: new Date().toISOString(),
+    tuningName,
+    referencePitch,
+    scaleLength,
+    strings: rows,
+  };
+}
+
+// Plain text, for downloading or pasting into a setup log
+export function formatReport(report) {
+  const scale = SCALE_LENGTHS.find((s) => s.key === report.scaleLength);
+  const lines = [
+    "FretForge intonation report",
+    new Date(report.createdAt).toLocaleString(),
+    `${report.tuningName} tuning · A4 = ${report.referencePitch} Hz${scale ? ` · ${scale.label} scale` : ""}`,
+    "",
+  ];
+  for (const row of report.strings) {
+    if (row.cents === null) {
+      lines.push(`String ${row.string} (${row.note}): not measured`);
+      continue;
+    }
+    const cents = `${row.cents > 0 ? "+" : ""}${row.cents.toFixed(1)} cents`;
+    lines.push(
+      `String ${row.string} (${row.note}): harmonic ${row.harmonicFreq.toFixed(2)} Hz, ` +
+      `fretted ${row.frettedFreq.toFixed(2)} Hz, ${cents} — ${row.advice.text}`,
+    );
+  }
+  return lines.join("\n");
+}
+
+// ─── Storage ─────────────────────────────────────────────────
+// localStorage["fretforge_intonation"] = [report, …], newest first
+export function loadReports() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter((r) => r && Array.isArray(r.strings)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveReport(report) {
+  const reports = [report, ...loadReports().filter((r) => r.id !== report.id)].slice(0, MAX_REPORTS);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(reports));
+  return reports;
+}
+
+export function deleteReport(id) {
+  const reports = loadReports().filter((r) => r.id !== id);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(reports));
+  return reports;
+}
@@ -0,0 +1,137 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Audio Latency
+//  A loopback test: play a few sharp clicks through the speakers,
+//  catch them on the mic, and the gap between when each click was
+//  scheduled and when it was heard is the round trip — output
+//  buffering, speaker-to-mic air, and input buffering together.
+//  useLatency runs the test; this module is the click detector,
+//  the math and the per-device storage
+//
+//  The round trip is exactly what timing judgments need removed:
+//  a strum played on a click the player heard late reaches the
+//  mic's timestamps late again. useMetronome takes it as its
+//  `latency` option and sounds each click that much early
+// ═══════════════════════════════════════════════════════════════
+
+// The test signal: short, loud, and far enough apart that even a
+// Bluetooth speaker's delay can't be mistaken for the next click
+export const LATENCY_CLICK_COUNT = 8;
+export const LATENCY_CLICK_INTERVAL = 0.6; // seconds
+export const MAX_LATENCY = 0.5; // seconds — later than this isn't our click
+export const LATENCY_CLICK_SOUND = { wave: "square", freq: 2000, gain: 0.8, decay: 0.008 };
+
+// Detection: a sample must stand this far above the running level
+const DEFAULT_RATIO = 8;
+const DEFAULT_MIN_LEVEL = 0.02; // linear amplitude
+const DEFAULT_HOLDOFF = 0.15; // seconds — one click, one detection
+const FLOOR_TIME_CONSTANT = 0.05; // seconds
+const WARMUP = 0.05; // seconds before the floor can be trusted
+
+// The matched delays may spread this much before we distrust them
+const MAX_JITTER_MS = 10;
+
+const STORAGE_KEY = "fretforge_latency";
+
+// ─── Click detection ─────────────────────────────────────────
+// Finds sudden peaks in a stream of samples. Each block passed to
+// process(samples, startTime) continues the last; it returns the
+// time of every click whose first loud sample fell in the block,
+// to the sample
+export function createClickDetector({
+  sampleRate,
+  ratio = DEFAULT_RATIO,
+  minLevel = DEFAULT_MIN_LEVEL,
+  holdoff = DEFAULT_HOLDOFF,
+} = {}) {
+  const alpha = 1 / (FLOOR_TIME_CONSTANT * sampleRate);
+  const holdoffSamples = Math.round(holdoff * sampleRate);
+  let floor = 0; // running mean of |x|
+  let seen = 0;
+  let quietFor = Infinity; // samples since the last detection
+
+  return {
+    process(samples, startTime) {
+      const times = [];
+      for (let i = 0; i < samples.length; i++) {
+        const level = Math.abs(samples[i]);
+        const armed = seen >= WARMUP * sampleRate && quietFor >= holdoffSamples;
+        if (armed && level > Math.max(minLevel, floor * ratio)) {
+          times.push(startTime + i / sampleRate);
+          quietFor = 0;
+        } else {
+          quietFor++;
+        }
+        floor += (level - floor) * alpha;
+        seen++;
+      }
+      return times;
+    },
+  };
+}
+
+// ─── Round trip from click and detection times ───────────────
+// Pairs each scheduled click with the first detection up to
+// `maxLatency` after it → { latencyMs, jitterMs, heard } with the
+// median delay and the median distance from it. Throws when too
+// few clicks came back, or came back too unevenly to trust
+export function measureLatency(clickTimes, detectedTimes, { maxLatency = MAX_LATENCY } = {}) {
+  const sorted = [...detectedTimes].sort((a, b) => a - b);
+  const delays = [];
+  for (const click of clickTimes) {
+    const heard = sorted.find((t) => t >= click && t - click <= maxLatency);
+    if (heard !== undefined) delays.push(heard - click);
+  }
+
+  if (delays.length < Math.ceil(clickTimes.length / 2)) {
+    throw new Error("Couldn't hear the clicks — turn your speakers up or move the mic closer to them");
+  }
+
+  const latency = median(delays);
+  const jitter = median(delays.map((d) => Math.abs(d - latency)));
+  if (jitter * 1000 > MAX_JITTER_MS) {
+    throw new Error("The clicks came back unevenly — try again somewhere quieter");
+  }
+
+  return {
+    latencyMs: Math.round(latency * 1000 * 10) / 10,
+    jitterMs: Math.round(jitter * 1000 * 10) / 10,
+    heard: delays.length,
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ─── Per-device storage ──────────────────────────────────────
+// localStorage["fretforge_latency"] = { [deviceKey]: { ... } }.
+// Keyed by the chosen input ("default" for the browser's), which
+// is known before the mic opens — the metronome needs it first
+function loadAll() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadLatency(deviceKey) {
+  const saved = loadAll()[deviceKey];
+  if (!saved || typeof saved.latencyMs !== "number") return null;
+  return saved;
+}
+
+export function saveLatency(deviceKey, measured) {
+  const entry = { ...measured, measuredAt: new Date().toISOString() };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadAll(), [deviceKey]: entry }));
+  return entry;
+}
+
+export function clearLatency(deviceKey) {
+  const all = loadAll();
+  delete all[deviceKey];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
@@ -0,0 +1,112 @@
+import { METERS, SUBDIVISIONS } from "../data/meters";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Metronome Patterns
+//  Turns a meter, a subdivision and a per-beat accent pattern into
+//  the clicks of one measure and the sound each one makes.
+//  useMetronome schedules whatever this returns, one measure at a
+//  time
+// ═══════════════════════════════════════════════════════════════
+
+// Per-beat accent levels, in the order a tap cycles through them
+export const ACCENT_LEVELS = ["accent", "normal", "mute"];
+
+// One timbre per kind of click, so accents, plain beats and
+// subdivisions are told apart by ear, not only by volume
+export const CLICK_SOUNDS = {
+  accent: { wave: "square", freq: 1600, gain: 0.45, decay: 0.04 },
+  beat: { wave: "sine", freq: 1000, gain: 0.35, decay: 0.03 },
+  subdivision: { wave: "triangle", freq: 2400, gain: 0.15, decay: 0.015 },
+};
+
+// ─── Subdivisions a meter allows ─────────────────────────────
+// A subdivision fits when it lands a whole number of clicks on
+// every tick: triplets fit 4/4 but not 6/8, which is already
+// counted in threes
+export function subdivisionFits(meterId, subdivisionId) {
+  const { unit } = METERS[meterId];
+  const { perWhole } = SUBDIVISIONS[subdivisionId];
+  return perWhole === null || (perWhole >= unit && perWhole % unit === 0);
+}
+
+export function subdivisionsFor(meterId) {
+  return Object.keys(SUBDIVISIONS).filter((id) => subdivisionFits(meterId, id));
+}
+
+// ─── Accents ─────────────────────────────────────────────────
+export function defaultAccents(meterId) {
+  return METERS[meterId].groups.map((_, i) => (i === 0 ? "accent" : "normal"));
+}
+
+export function nextAccent(level) {
+  return ACCENT_LEVELS[(ACCENT_LEVELS.indexOf(level) + 1) % ACCENT_LEVELS.length];
+}
+
+// ─── One measure of clicks ───────────────────────────────────
+// → { ticks, clicks: [{ at, beat, isBeat }] } where `at` is the
+// click's offset from the downbeat in ticks (fractional for
+// subdivisions) and `beat` the beat it belongs to
+export function buildMeasure(meterId, subdivisionId = "none") {
+  const { unit, groups } = METERS[meterId];
+  const { perWhole, play } = SUBDIVISIONS[subdivisionId];
+  const perTick = perWhole === null ? null : perWhole / unit;
+
+  const clicks = [];
+  let start = 0;
+  groups.forEach((length, beat) => {
+    clicks.push({ at: start, beat, isBeat: true });
+    if (perTick) {
+      for (let k = 1; k < length * perTick; k++) {
+        if (play && !play.includes(k % perTick)) continue;
+        clicks.push({ at: start + k / perTick, beat, isBeat: false });
+      }
+    }
+    start += length;
+  });
+  return { ticks: start, clicks };
+}
+
+// The sound for a click given the accent pattern, or null when its
+// beat is muted — a muted beat drops its subdivisions too
+export function clickSound(click, accents) {
+  const level = accents[click.beat] || "normal";
+  if (level === "mute") return null;
+  if (!click.isBeat) return CLICK_SOUNDS.subdivision;
+  return level === "accent" ? CLICK_SOUNDS.accent : CLICK_SOUNDS.beat;
+}
+
+// Seconds per tick at a BPM
+export function tickSeconds(meterId, bpm) {
+  return 60 / (bpm * METERS[meterId].tempoTicks);
+}
+
+// The note the BPM counts: "♩", or "♩." in compound meters
+export function tempoNote(meterId) {
+  const { unit, tempoTicks } = METERS[meterId];
+  return (4 / unit) * tempoTicks === 1.5 ? "♩." : "♩";
+}
+
+// ─── Speed trainer ───────────────────────────────────────────
+// A tempo ramp: start at `startBpm`, add `stepBpm` every
+// `everyBars` bars until `targetBpm`. After a mistake the tempo
+// drops back `dropBpm` (0 = never), but not below the start
+export const DEFAULT_RAMP = {
+  startBpm: 60,
+  stepBpm: 5,
+  everyBars: 4,
+  targetBpm: 100,
+  dropBpm: 10,
+};
+
+// Tempo for the next bar → { bpm, barsAtTempo }. Called at each
+// bar line with the bars already played at the current tempo
+export function nextRampTempo(ramp, bpm, barsAtTempo, { mistake = false } = {}) {
+  if (mistake && ramp.dropBpm > 0) {
+    return { bpm: Math.max(ramp.startBpm, bpm - ramp.dropBpm), barsAtTempo: 0 };
+  }
+  const played = barsAtTempo + 1;
+  if (played >= ramp.everyBars && bpm < ramp.targetBpm) {
+    return { bpm: Math.min(ramp.targetBpm, bpm + ramp.stepBpm), barsAtTempo: 0 };
+  }
+  return { bpm, barsAtTempo: played };
+}
@@ -0,0 +1,222 @@
+import { fft } from "./fft";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Onset Detection
+//  Finds the moment a string (or a whole chord) is struck, from
+//  overlapping frames of time-domain samples. Pure functions and
+//  a small stateful detector, so the same code runs in the onset
+//  AudioWorklet, on the main thread as a fallback, and in tests
+//
+//  Method: log-compressed spectral flux — the summed rise in
+//  magnitude across frequency bins from one frame to the next —
+//  against an adaptive threshold (recent mean × multiplier plus
+//  a floor). Events are classified as a "strum" when the attack
+//  lights up many spectral peaks (several strings, several
+//  harmonic series) and a "pluck" when it's one string's worth
+// ═══════════════════════════════════════════════════════════════
+
+export const ONSET_FRAME_SIZE = 2048; // ~46ms at 44.1kHz
+export const ONSET_HOP_SIZE = 512; // ~12ms between frames
+
+// Bins outside the guitar's useful range are ignored — below is
+// rumble and handling noise, above is pick scrape
+const MIN_FLUX_FREQ = 70;
+const MAX_FLUX_FREQ = 5000;
+
+// Log compression: flux on log1p(γ·|X|) responds to relative
+// change, so quiet and loud playing trigger alike
+const COMPRESSION = 10;
+
+// Adaptive threshold: onset when flux beats the recent mean by
+// this factor plus the floor (scaled by sensitivity)
+const THRESHOLD_MULTIPLIER = 1.5;
+const THRESHOLD_FLOOR = 12;
+const HISTORY_SECONDS = 0.5;
+
+// No two onsets closer than this — a chord's strings arrive over
+// 10–50ms and should report once
+const MIN_ONSET_INTERVAL = 0.06;
+
+// How far back an onset's timestamp may move to the start of the
+// climb, and how much of the threshold those frames must reach
+const BACKTRACK_SECONDS = 0.025;
+const BACKTRACK_RATIO = 0.4;
+
+// How long an attack is measured before it's reported
+const ONSET_WINDOW_SECONDS = 0.045;
+
+// Rising spectral peaks, totalled over the window, needed to call
+// it a strum
+const STRUM_MIN_RISING_PEAKS = 30;
+// A peak "rises" when it gains this much (in compressed units)
+const PEAK_RISE = 0.7;
+
+// ─── Spectrum ────────────────────────────────────────────────
+// Hann window, so the edges of the frame don't read as attacks
+const hannCache = new Map();
+
+function hann(size) {
+  if (!hannCache.has(size)) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    hannCache.set(size, window);
+  }
+  return hannCache.get(size);
+}
+
+// Compressed magnitude spectrum (bins 0..N/2−1) of one frame
+export function compressedSpectrum(frame) {
+  const size = frame.length;
+  const window = hann(size);
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  for (let i = 0; i < size; i++) real[i] = frame[i] * window[i];
+  fft(real, imag);
+
+  const bins = new Float32Array(size / 2);
+  for (let k = 0; k < bins.length; k++) {
+    bins[k] = Math.log1p(COMPRESSION * Math.hypot(real[k], imag[k]));
+  }
+  return bins;
+}
+
+// ─── Flux ────────────────────────────────────────────────────
+// Half-wave rectified: only rising bins count, decay never does.
+// Also counts rising spectral peaks for strum/pluck classification
+export function spectralFlux(previous, current, { fromBin = 1, toBin = current.length - 1 } = {}) {
+  let flux = 0;
+  let risingPeaks = 0;
+  for (let k = fromBin; k < toBin; k++) {
+    const rise = current[k] - previous[k];
+    if (rise > 0) flux += rise;
+    const isPeak = current[k] > current[k - 1] && current[k] >= current[k + 1];
+    if (isPeak && rise > PEAK_RISE) risingPeaks++;
+  }
+  return { flux, risingPeaks };
+}
+
+export function classifyOnset(risingPeaks) {
+  return risingPeaks >= STRUM_MIN_RISING_PEAKS ? "strum" : "pluck";
+}
+
+// ─── Detector ────────────────────────────────────────────────
+// Feed it consecutive frames with the AudioContext time of the
+// middle of each frame's newest hop. An onset starts on the first
+// frame whose flux clears the threshold — stamped back to where
+// the flux began climbing, since over a ringing chord the first
+// strings of the next strum may not clear it alone. Rising peaks
+// are totalled over ONSET_WINDOW_SECONDS (a strum's strings land
+// over 10–50ms), then the event is returned:
+//   { type: "strum" | "pluck", time, strength }
+//   sensitivity — >1 catches softer attacks, <1 ignores more
+//   minRms      — frames quieter than this never start an onset
+export function createOnsetDetector({
+  sampleRate,
+  frameSize = ONSET_FRAME_SIZE,
+  hopSize = ONSET_HOP_SIZE,
+  sensitivity = 1,
+  minRms = 0,
+  minInterval = MIN_ONSET_INTERVAL,
+} = {}) {
+  const framesFor = (seconds) => Math.max(1, Math.round((seconds * sampleRate) / hopSize));
+  const historyFrames = framesFor(HISTORY_SECONDS);
+  const backtrackFrames = framesFor(BACKTRACK_SECONDS);
+  const windowFrames = framesFor(ONSET_WINDOW_SECONDS);
+
+  const binHz = sampleRate / frameSize;
+  const fromBin = Math.max(1, Math.floor(MIN_FLUX_FREQ / binHz));
+  const toBin = Math.min(frameSize / 2 - 1, Math.ceil(MAX_FLUX_FREQ / binHz));
+
+  let previous = null;
+  let history = [];
+  let recent = []; // last few { time, flux, risingPeaks } for backtracking
+  let pending = null; // onset being measured: { time, threshold, peakFlux, risingPeaks, frames }
+  let lastOnsetTime = -Infinity;
+
+  function threshold() {
+    const mean = history.length ? history.reduce((a, b) => a + b, 0) / history.length : 0;
+    return (mean * THRESHOLD_MULTIPLIER + THRESHOLD_FLOOR) / sensitivity;
+  }
+
+  function process(frame, time) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    const loud = Math.sqrt(sum / frame.length) >= minRms;
+
+    const spectrum = compressedSpectrum(frame);
+    if (!previous) {
+      previous = spectrum;
+      return null;
+    }
+    const { flux, risingPeaks } = spectralFlux(previous, spectrum, { fromBin, toBin });
+    previous = spectrum;
+
+    let event = null;
+    if (pending) {
+      pending.peakFlux = Math.max(pending.peakFlux, flux);
+      pending.risingPeaks += risingPeaks;
+      pending.frames += 1;
+      if (pending.frames >= windowFrames) {
+        event = {
+          type: classifyOnset(pending.risingPeaks),
+          time: pending.time,
+          // 0 at the threshold, 1 at four times it
+          strength: Math.min(1, (pending.peakFlux / pending.threshold - 1) / 3),
+        };
+        pending = null;
+      }
+    } else {
+      const limit = threshold();
+      if (loud && flux > limit && time - lastOnsetTime >= minInterval) {
+        let start = time;
+        let climb = flux;
+        let peaks = risingPeaks;
+        for (let i = recent.length - 1; i >= 0; i--) {
+          const earlier = recent[i];
+          if (earlier.flux < BACKTRACK_RATIO * limit || earlier.flux >= climb) break;
+          if (earlier.time - lastOnsetTime < minInterval) break;
+          start = earlier.time;
+          climb = earlier.flux;
+          peaks += earlier.risingPeaks;
+        }
+        pending = { time: start, threshold: limit, peakFlux: flux, risingPeaks: peaks, frames: 1 };
+        lastOnsetTime = start;
+      }
+    }
+
+    recent.push({ time, flux, risingPeaks });
+    if (recent.length > backtrackFrames) recent.shift();
+
+    history.push(flux);
+    if (history.length > historyFrames) history.shift();
+    return event;
+  }
+
+  function reset() {
+    previous = null;
+    history = [];
+    recent = [];
+    pending = null;
+    lastOnsetTime = -Infinity;
+  }
+
+  return { process, reset };
+}
+
+// ─── Offline helper ──────────────────────────────────────────
+// Runs the detector over a whole recording (tests, analysis of
+// saved takes); times are seconds from the start of `samples`
+export function detectOnsets(samples, sampleRate, {
+  frameSize = ONSET_FRAME_SIZE,
+  hopSize = ONSET_HOP_SIZE,
+  ...options
+} = {}) {
+  const detector = createOnsetDetector({ sampleRate, frameSize, hopSize, ...options });
+  const events = [];
+  for (let end = frameSize; end <= samples.length; end += hopSize) {
+    // Stamp the middle of the frame's newest hop
+    const event = detector.process(samples.subarray(end - frameSize, end), (end - hopSize / 2) / sampleRate);
+    if (event) events.push(event);
+  }
+  return events;
+}
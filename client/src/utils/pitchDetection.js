@@ -0,0 +1,348 @@
+import { fft, ifft, nextPowerOfTwo } from "./fft";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Pitch Detection
+//  Single-note pitch estimate from a block of time-domain samples.
+//  Pure functions with no Web Audio dependency, so the same code
+//  runs inside the pitch AudioWorklet, on the main thread as a
+//  fallback, and in unit tests with synthesized signals
+//
+//  Two detectors, picked with the `method` option:
+//    "mpm" — McLeod Pitch Method: normalized square difference
+//            function (NSDF) with key-maximum peak picking. The
+//            default; steady on plucked strings
+//    "yin" — de Cheveigné & Kawahara's YIN: cumulative mean
+//            normalized difference with an absolute threshold
+//  Both finish with parabolic interpolation and an octave check,
+//  since a guitar's low E and A carry more energy in their second
+//  harmonic than in the fundamental
+//
+//  The correlation behind both curves is computed with an FFT
+//  (utils/fft.js), so a frame costs O(N log N) however wide the
+//  lag range is
+// ═══════════════════════════════════════════════════════════════
+
+// Guitar range with headroom: drop-tuned low strings to high frets
+export const MIN_PITCH_FREQ = 70;
+export const MAX_PITCH_FREQ = 1400;
+
+export const PITCH_METHODS = ["mpm", "yin"];
+export const DEFAULT_PITCH_METHOD = "mpm";
+
+// MPM takes the first key maximum within this fraction of the
+// highest one (McLeod & Wyvill suggest 0.8–1.0)
+const MPM_CUTOFF = 0.9;
+
+// YIN takes the first dip below this (the paper uses 0.10–0.15)
+const YIN_THRESHOLD = 0.15;
+
+// Octave check: how much better (in clarity) the period an octave
+// below must score before it replaces the pick, and how close the
+// period an octave above must come before it does
+const OCTAVE_DOWN_MARGIN = 0.08;
+const OCTAVE_UP_TOLERANCE = 0.02;
+
+// ─── Loudness ────────────────────────────────────────────────
+// Root mean square of the block — 0 for silence, ~0.707 for a
+// full-scale sine
+export function computeRms(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / buffer.length);
+}
+
+// ─── Correlation via FFT ─────────────────────────────────────
+// Wiener–Khinchin: autocorrelation is the inverse transform of the
+// power spectrum, so every lag costs one pair of FFTs instead of a
+// pass over the block each. Zero-padding to ≥ length + maxLag
+// keeps the circular result from wrapping into the lags we read.
+// Returns r(τ) = Σ x[i]·x[i+τ] for τ = 0..maxLag
+export function autocorrelation(buffer, maxLag) {
+  const size = nextPowerOfTwo(buffer.length + maxLag);
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  real.set(buffer);
+  fft(real, imag);
+  for (let k = 0; k < size; k++) {
+    real[k] = real[k] * real[k] + imag[k] * imag[k];
+    imag[k] = 0;
+  }
+  ifft(real, imag);
+  return real.subarray(0, maxLag + 1);
+}
+
+// c(τ) = Σ x[i]·x[i+τ] over the first `window` samples only —
+// YIN's fixed integration window — as conj(A)·B in the spectrum
+function windowedCorrelation(buffer, window, maxLag) {
+  const size = nextPowerOfTwo(buffer.length + maxLag);
+  const aReal = new Float64Array(size);
+  const aImag = new Float64Array(size);
+  const bReal = new Float64Array(size);
+  const bImag = new Float64Array(size);
+  aReal.set(buffer.subarray(0, window));
+  bReal.set(buffer);
+  fft(aReal, aImag);
+  fft(bReal, bImag);
+  for (let k = 0; k < size; k++) {
+    const re = aReal[k] * bReal[k] + aImag[k] * bImag[k];
+    const im = aReal[k] * bImag[k] - aImag[k] * bReal[k];
+    aReal[k] = re;
+    aImag[k] = im;
+  }
+  ifft(aReal, aImag);
+  return aReal.subarray(0, maxLag + 1);
+}
+
+// ─── Curves ──────────────────────────────────────────────────
+// NSDF: n(τ) = 2·Σ x[i]x[i+τ] / Σ (x[i]² + x[i+τ]²), in [-1, 1],
+// 1 where the signal lines up with itself exactly. The numerator
+// comes from the FFT; the denominator shrinks by two squares per
+// lag, so it's a running subtraction
+export function nsdf(buffer, maxLag) {
+  const size = buffer.length;
+  const lags = Math.min(maxLag, size - 1);
+  const acf = autocorrelation(buffer, lags);
+  const out = new Float32Array(maxLag + 1);
+
+  let energy = 0;
+  for (let i = 0; i < size; i++) energy += 2 * buffer[i] * buffer[i];
+  for (let lag = 0; lag <= lags; lag++) {
+    if (lag > 0) {
+      energy -= buffer[lag - 1] * buffer[lag - 1] + buffer[size - lag] * buffer[size - lag];
+    }
+    out[lag] = energy > 0 ? (2 * acf[lag]) / energy : 0;
+  }
+  return out;
+}
+
+// YIN's cumulative mean normalized difference: d'(0) = 1 and
+// d'(τ) = d(τ)·τ / Σ d(1..τ). Near 0 at the period, ~1 for noise.
+// The integration window stays fixed (size − maxLag) so every lag
+// compares the same number of samples. The difference expands to
+// two energies (prefix sums) minus twice the correlation (FFT)
+export function cumulativeMeanNormalizedDifference(buffer, maxLag) {
+  const window = buffer.length - maxLag;
+  const cross = windowedCorrelation(buffer, window, maxLag);
+
+  const squares = new Float64Array(buffer.length + 1);
+  for (let i = 0; i < buffer.length; i++) squares[i + 1] = squares[i] + buffer[i] * buffer[i];
+  const headEnergy = squares[window];
+
+  const out = new Float32Array(maxLag + 1);
+  out[0] = 1;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    const shiftedEnergy = squares[lag + window] - squares[lag];
+    // Rounding can leave a perfect match a hair below zero
+    const diff = Math.max(0, headEnergy + shiftedEnergy - 2 * cross[lag]);
+    runningSum += diff;
+    out[lag] = runningSum > 0 ? (diff * lag) / runningSum : 1;
+  }
+  return out;
+}
+
+// ─── Reference curves ────────────────────────────────────────
+// The direct O(N·lags) loops the FFT versions replace. Kept for
+// the equivalence tests and benchmarks, and selectable with
+// `useFft: false`
+export function nsdfDirect(buffer, maxLag) {
+  const size = buffer.length;
+  const out = new Float32Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag && lag < size; lag++) {
+    let acf = 0;
+    let energy = 0;
+    for (let i = 0; i < size - lag; i++) {
+      acf += buffer[i] * buffer[i + lag];
+      energy += buffer[i] * buffer[i] + buffer[i + lag] * buffer[i + lag];
+    }
+    out[lag] = energy > 0 ? (2 * acf) / energy : 0;
+  }
+  return out;
+}
+
+export function cumulativeMeanNormalizedDifferenceDirect(buffer, maxLag) {
+  const window = buffer.length - maxLag;
+  const out = new Float32Array(maxLag + 1);
+  out[0] = 1;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let diff = 0;
+    for (let i = 0; i < window; i++) {
+      const delta = buffer[i] - buffer[i + lag];
+      diff += delta * delta;
+    }
+    runningSum += diff;
+    out[lag] = runningSum > 0 ? (diff * lag) / runningSum : 1;
+  }
+  return out;
+}
+
+// ─── Peak helpers ────────────────────────────────────────────
+// Fit a parabola through the three points around `index` and
+// return its vertex { x, y } — the true extremum usually sits
+// between integer lags
+function parabolicPeak(curve, index) {
+  if (index <= 0 || index >= curve.length - 1) return { x: index, y: curve[index] };
+  const y0 = curve[index - 1];
+  const y1 = curve[index];
+  const y2 = curve[index + 1];
+  const denom = y0 - 2 * y1 + y2;
+  if (denom === 0) return { x: index, y: y1 };
+  const shift = (y0 - y2) / (2 * denom);
+  if (!isFinite(shift) || Math.abs(shift) >= 1) return { x: index, y: y1 };
+  return { x: index + shift, y: y1 - ((y0 - y2) * shift) / 4 };
+}
+
+// MPM key maxima: the highest point of each positive lobe, taken
+// between a positive-going and the next negative-going zero
+// crossing. The lobe around lag 0 is skipped
+export function findKeyMaxima(curve, minLag = 1) {
+  const maxima = [];
+  let lag = 1;
+  // Walk out of the lag-0 lobe
+  while (lag < curve.length && curve[lag] > 0) lag++;
+
+  let best = -1;
+  let bestLag = -1;
+  for (; lag < curve.length; lag++) {
+    const value = curve[lag];
+    if (value > 0 && curve[lag - 1] <= 0) {
+      best = -1;
+      bestLag = -1;
+    }
+    if (value > 0 && value > best) {
+      best = value;
+      bestLag = lag;
+    }
+    if (value <= 0 && curve[lag - 1] > 0 && bestLag >= 0) {
+      if (bestLag >= minLag) maxima.push(bestLag);
+      bestLag = -1;
+    }
+  }
+  // A lobe still open at the end of the range counts too
+  if (bestLag >= minLag) maxima.push(bestLag);
+  return maxima;
+}
+
+// Best score within ±radius lags of `center` on a curve where
+// higher is better
+function scoreNear(score, curve, center, radius = 2) {
+  const from = Math.max(1, Math.round(center) - radius);
+  const to = Math.min(curve.length - 2, Math.round(center) + radius);
+  let bestLag = -1;
+  let bestScore = -Infinity;
+  for (let lag = from; lag <= to; lag++) {
+    const s = score(curve[lag]);
+    if (s > bestScore) {
+      bestScore = s;
+      bestLag = lag;
+    }
+  }
+  return { lag: bestLag, score: bestScore };
+}
+
+// ─── Octave correction ───────────────────────────────────────
+// Compares the picked lag with the lags an octave either side:
+// double the period wins when it scores clearly higher (the pick
+// was the second harmonic of a weak fundamental); half the period
+// wins when it scores about as well (the pick was a sub-octave)
+export function correctOctave(curve, lag, { minLag, maxLag, score = (v) => v } = {}) {
+  let current = lag;
+  let currentScore = score(curve[current]);
+
+  const down = current * 2;
+  if (down <= (maxLag ?? curve.length - 2)) {
+    const candidate = scoreNear(score, curve, down);
+    if (candidate.lag > 0 && candidate.score > currentScore + OCTAVE_DOWN_MARGIN) {
+      current = candidate.lag;
+      currentScore = candidate.score;
+    }
+  }
+
+  const up = current / 2;
+  if (up >= (minLag ?? 1)) {
+    const candidate = scoreNear(score, curve, up);
+    if (candidate.lag > 0 && candidate.score >= currentScore - OCTAVE_UP_TOLERANCE) {
+      current = candidate.lag;
+    }
+  }
+  return current;
+}
+
+// ─── Detectors ───────────────────────────────────────────────
+// Each returns { period, clarity } in samples, or null
+
+function mpmPeriod(buffer, minLag, maxLag, { cutoff = MPM_CUTOFF, octaveCorrection = true, useFft = true }) {
+  const curve = (useFft ? nsdf : nsdfDirect)(buffer, maxLag + 1);
+  const maxima = findKeyMaxima(curve, minLag).filter((lag) => lag <= maxLag);
+  if (maxima.length === 0) return null;
+
+  const highest = Math.max(...maxima.map((lag) => curve[lag]));
+  if (highest <= 0) return null;
+  let lag = maxima.find((l) => curve[l] >= cutoff * highest);
+
+  if (octaveCorrection) lag = correctOctave(curve, lag, { minLag, maxLag });
+  const peak = parabolicPeak(curve, lag);
+  return { period: peak.x, clarity: Math.min(1, Math.max(0, peak.y)) };
+}
+
+function yinPeriod(buffer, minLag, maxLag, { threshold = YIN_THRESHOLD, octaveCorrection = true, useFft = true }) {
+  const curve = (useFft ? cumulativeMeanNormalizedDifference : cumulativeMeanNormalizedDifferenceDirect)(
+    buffer,
+    maxLag + 1,
+  );
+
+  // First dip under the threshold, then slide down to its bottom;
+  // with nothing under the threshold, fall back to the global dip
+  let lag = -1;
+  for (let l = minLag; l <= maxLag; l++) {
+    if (curve[l] < threshold) {
+      while (l + 1 <= maxLag && curve[l + 1] < curve[l]) l++;
+      lag = l;
+      break;
+    }
+  }
+  if (lag < 0) {
+    lag = minLag;
+    for (let l = minLag + 1; l <= maxLag; l++) {
+      if (curve[l] < curve[lag]) lag = l;
+    }
+  }
+
+  if (octaveCorrection) {
+    lag = correctOctave(curve, lag, { minLag, maxLag, score: (v) => 1 - v });
+  }
+  const dip = parabolicPeak(curve, lag);
+  return { period: dip.x, clarity: Math.min(1, Math.max(0, 1 - dip.y)) };
+}
+
+const DETECTORS = { mpm: mpmPeriod, yin: yinPeriod };
+
+// ─── Pitch estimate ──────────────────────────────────────────
+// Returns { freq, clarity, rms } — freq is null when no period in
+// the guitar range stands out; clarity (0–1) is how closely the
+// signal repeats at that period
+export function detectPitch(buffer, sampleRate, {
+  method = DEFAULT_PITCH_METHOD,
+  minFreq = MIN_PITCH_FREQ,
+  maxFreq = MAX_PITCH_FREQ,
+  ...options
+} = {}) {
+  const detector = DETECTORS[method];
+  if (!detector) throw new Error(`Unknown pitch method: ${method}`);
+
+  const rms = computeRms(buffer);
+  if (rms === 0) return { freq: null, clarity: 0, rms };
+
+  const minLag = Math.max(2, Math.floor(sampleRate / maxFreq));
+  // Leave at least half the block to compare against
+  const maxLag = Math.min(Math.ceil(sampleRate / minFreq), Math.floor(buffer.length / 2));
+  if (maxLag <= minLag) return { freq: null, clarity: 0, rms };
+
+  const result = detector(buffer, minLag, maxLag, options);
+  if (!result || !(result.period > 0)) return { freq: null, clarity: 0, rms };
+
+  const freq = sampleRate / result.period;
+  const inRange = freq >= minFreq && freq <= maxFreq;
+  return { freq: inRange ? freq : null, clarity: result.clarity, rms };
+}
@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Rhythm Scoring
+//  Lines detected strums up against the metronome's beat grid and
+//  measures how early or late each one landed. Pure functions:
+//  PracticePage feeds in useMetronome's beat times and useOnsets'
+//  onset times, both read off the one AudioContext they share
+//
+//  Each onset belongs to its nearest beat. A beat keeps the
+//  closest onset it was given; any others are extras (a double
+//  strum, a ghost note). Beats with no onset are misses — rests
+//  are allowed, so misses don't lower tightness
+// ═══════════════════════════════════════════════════════════════
+
+// Tightness is 100 with every strum on the grid and falls off
+// with the RMS deviation: ~82 at 10ms, ~67 at 20ms, ~37 at 50ms
+const TIGHTNESS_SCALE_MS = 50;
+
+// Histogram defaults: 10ms bins over ±100ms, outliers in the end bins
+export const HISTOGRAM_BIN_MS = 10;
+export const HISTOGRAM_RANGE_MS = 100;
+
+// ─── Matching ────────────────────────────────────────────────
+// `beatTimes` and `onsetTimes` in seconds on the same clock, both
+// ascending. Onsets more than half a beat outside the grid (the
+// count-in, a strum after the last beat) are ignored. Returns one
+// entry per beat — deviation in ms, + = late, null = missed — and
+// the number of extra onsets
+export function matchOnsetsToBeats(beatTimes, onsetTimes) {
+  const beats = beatTimes.map((time) => ({ time, deviation: null }));
+  if (beats.length === 0) return { beats, extras: 0 };
+
+  const half = beatPeriod(beatTimes) / 2;
+  const first = beatTimes[0] - half;
+  const last = beatTimes[beatTimes.length - 1] + half;
+
+  let extras = 0;
+  let b = 0;
+  for (const onset of onsetTimes) {
+    if (onset < first || onset > last) continue;
+    while (b + 1 < beatTimes.length && Math.abs(beatTimes[b + 1] - onset) <= Math.abs(beatTimes[b] - onset)) b++;
+
+    const deviation = (onset - beatTimes[b]) * 1000;
+    const beat = beats[b];
+    if (beat.deviation === null) {
+      beat.deviation = deviation;
+    } else {
+      extras++;
+      if (Math.abs(deviation) < Math.abs(beat.deviation)) beat.deviation = deviation;
+    }
+  }
+  return { beats, extras };
+}
+
+// Median spacing — robust to a beat dropped by a busy main thread
+function beatPeriod(beatTimes) {
+  if (beatTimes.length < 2) return 1;
+  const gaps = [];
+  for (let i = 1; i < beatTimes.length; i++) gaps.push(beatTimes[i] - beatTimes[i - 1]);
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+// ─── Scores ──────────────────────────────────────────────────
+export function tightnessScore(deviations) {
+  if (deviations.length === 0) return null;
+  const rms = Math.sqrt(deviations.reduce((sum, d) => sum + d * d, 0) / deviations.length);
+  return Math.round(100 * Math.exp(-rms / TIGHTNESS_SCALE_MS));
+}
+
+// Counts per bin → [{ from, to, count }], from −range to +range.
+// Deviations past the range land in the outermost bins
+export function deviationHistogram(deviations, {
+  binMs = HISTOGRAM_BIN_MS,
+  rangeMs = HISTOGRAM_RANGE_MS,
+} = {}) {
+  const binCount = Math.round((2 * rangeMs) / binMs);
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: -rangeMs + i * binMs,
+    to: -rangeMs + (i + 1) * binMs,
+    count: 0,
+  }));
+  for (const d of deviations) {
+    const i = Math.floor((d + rangeMs) / binMs);
+    bins[Math.min(binCount - 1, Math.max(0, i))].count++;
+  }
+  return bins;
+}
+
+// Everything the practice screens show:
+//   { beats, hits, misses, extras, meanMs, spreadMs, tightness, histogram }
+// meanMs < 0 means rushing, > 0 dragging; spreadMs is the standard
+// deviation. The numbers are null until a strum has been matched
+export function summarizeRhythm(beatTimes, onsetTimes, histogramOptions) {
+  const { beats, extras } = matchOnsetsToBeats(beatTimes, onsetTimes);
+  const deviations = beats.map((b) => b.deviation).filter((d) => d !== null);
+
+  let meanMs = null;
+  let spreadMs = null;
+  if (deviations.length > 0) {
+    const mean = deviations.reduce((a, b) => a + b, 0) / deviations.length;
+    const variance = deviations.reduce((sum, d) => sum + (d - mean) ** 2, 0) / deviations.length;
+    meanMs = Math.round(mean);
+    spreadMs = Math.round(Math.sqrt(variance));
+  }
+
+  return {
+    beats,
+    hits: deviations.length,
+    misses: beats.length - deviations.length,
+    extras,
+    meanMs,
+    spreadMs,
+    tightness: tightnessScore(deviations),
+    histogram: deviationHistogram(deviations, histogramOptions),
+  };
+}
@@ -0,0 +1,154 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Tiny Synth
+//  Oscillator-based note playback for scale demos, and the
+//  tuner's reference tones
+//  Like the metronome click, we synthesize instead of loading
+//  samples — zero latency and nothing to download
+// ═══════════════════════════════════════════════════════════════
+
+// ─── Plucked note ────────────────────────────────────────────
+// A triangle wave with a fast attack and exponential decay reads as
+// "plucked string" well enough to hear the scale's shape
+export function playPluck(ctx, freq, time, { duration = 0.8, volume = 0.3 } = {}) {
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  osc.type = "triangle";
+  osc.frequency.value = freq;
+
+  // 5ms attack avoids a click, then decay toward silence
+  gain.gain.setValueAtTime(0.0001, time);
+  gain.gain.exponentialRampToValueAtTime(volume, time + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+  osc.connect(gain);
+  gain.connect(ctx.destination);
+
+  osc.start(time);
+  osc.stop(time + duration);
+}
+
+// ─── Karplus–Strong ──────────────────────────────────────────
+// A plucked string: a delay line one period long, filled with a
+// noise burst and fed back through a two-point average (the
+// string's damping). An allpass stage supplies the fraction of a
+// sample the delay line can't, so the pitch is exact rather than
+// rounded to the nearest whole-sample period — close enough to
+// tune by ear against, and what the offline detector tests pluck
+export function renderPluck(freq, {
+  sampleRate = 44100,
+  duration = 1,
+  amplitude = 0.3,
+  decay = 0.996, // per trip round the loop; lower dies faster
+  brightness = 0, // 0–1, how much of the noise burst's top end is kept
+  seed = 1,
+} = {}) {
+  const period = sampleRate / freq;
+  // The average adds half a sample; the allpass 0.1–1.1 more
+  const length = Math.floor(period - 0.6);
+  const fraction = period - 0.5 - length;
+  const coefficient = (1 - fraction) / (1 + fraction);
+
+  // Seeded noise, smoothed for a darker pick, with no DC offset
+  const line = new Float32Array(length);
+  let state = seed;
+  let smoothed = 0;
+  for (let i = 0; i < length; i++) {
+    state = (state * 16807) % 2147483647;
+    smoothed += (state / 1073741823.5 - 1 - smoothed) * (0.1 + 0.9 * brightness);
+    line[i] = smoothed;
+  }
+  const mean = line.reduce((sum, v) => sum + v, 0) / length;
+  const peak = line.reduce((max, v) => Math.max(max, Math.abs(v - mean)), 0) || 1;
+  for (let i = 0; i < length; i++) line[i] = ((line[i] - mean) / peak) * amplitude;
+
+  const out = new Float32Array(Math.round(duration * sampleRate));
+  let index = 0;
+  let previous = 0;
+  let allpassIn = 0;
+  let allpassOut = 0;
+  for (let n = 0; n < out.length; n++) {
+    const x = line[index];
+    out[n] = x;
+    const averaged = decay * 0.5 * (x + previous);
+    previous = x;
+    allpassOut = coefficient * averaged + allpassIn - coefficient * allpassOut;
+    allpassIn = averaged;
+    line[index] = allpassOut;
+    index = (index + 1) % length;
+  }
+  return out;
+}
+
+// Per-trip decay that lets a pluck at `freq` fade by 60dB over
+// `seconds` — the loop runs `freq` times a second
+export function pluckDecay(freq, seconds) {
+  return Math.min(0.9999, Math.pow(10, -3 / (seconds * freq)));
+}
+
+// ─── Reference tone ──────────────────────────────────────────
+// A note to tune against, through `destination` (a volume gain):
+//   timbre "pluck" — a Karplus–Strong string that rings for
+//     `sustain` seconds; with sustain Infinity it's re-plucked
+//     every HOLD_REPLUCK seconds until stopped
+//   timbre "sine" — a pure tone held for `sustain` seconds (or
+//     until stopped), the easiest thing to hear beats against
+// Returns { stop(), ended } — stop() fades out in a few ms;
+// `ended` resolves when the note is over either way
+export const TONE_TIMBRES = ["pluck", "sine"];
+const HOLD_REPLUCK = 3; // seconds
+const TONE_FADE = 0.02; // seconds
+
+export function startTone(ctx, destination, freq, { timbre = "pluck", sustain = 4 } = {}) {
+  const time = ctx.currentTime;
+  const hold = !Number.isFinite(sustain);
+  const envelope = ctx.createGain();
+  envelope.connect(destination);
+
+  let source;
+  if (timbre === "sine") {
+    source = ctx.createOscillator();
+    source.type = "sine";
+    source.frequency.value = freq;
+    // Fade in and out so the tone starts and ends without a click
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.exponentialRampToValueAtTime(0.5, time + TONE_FADE);
+    if (!hold) {
+      envelope.gain.setValueAtTime(0.5, time + sustain * 0.7);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, time + sustain);
+    }
+  } else {
+    const length = hold ? HOLD_REPLUCK : sustain;
+    const buffer = ctx.createBuffer(1, Math.round(length * ctx.sampleRate), ctx.sampleRate);
+    buffer.getChannelData(0).set(renderPluck(freq, {
+      sampleRate: ctx.sampleRate,
+      duration: length,
+      amplitude: 0.5,
+      decay: pluckDecay(freq, hold ? HOLD_REPLUCK * 2 : sustain),
+    }));
+    source = ctx.createBufferSource();
+    source.buffer = buffer;
+    // Looping the pluck is re-plucking it
+    source.loop = hold;
+    envelope.gain.setValueAtTime(1, time);
+  }
+
+  source.connect(envelope);
+  const ended = new Promise((resolve) => { source.onended = resolve; });
+  source.start(time);
+  if (!hold) source.stop(time + sustain);
+
+  return {
+    ended,
+    stop() {
+      const now = ctx.currentTime;
+      envelope.gain.cancelScheduledValues(now);
+      envelope.gain.setTargetAtTime(0, now, TONE_FADE / 3);
+      try {
+        source.stop(now + TONE_FADE * 2);
+      } catch {
+        // Already stopped
+      }
+    },
+  };
+}
@@ -0,0 +1,166 @@
+import { NOTE_NAMES, STANDARD_TUNING } from "../data/chords";
+import { CHORD_QUALITIES, parseChordKey } from "./chordGenerator";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Voicing Finder
+//  Searches the whole neck for every playable fingering of a
+//  chord, then ranks them from easiest to hardest
+//
+//  A voicing is playable when:
+//  - the lowest sounding note is the root
+//  - every chord tone sounds (the 5th may be dropped from
+//    four-note chords, as guitarists usually do)
+//  - fretted notes fit inside MAX_SPAN frets
+//  - four fingers are enough, counting a barre as one finger
+//  - at most one muted string sits between sounding strings
+// ═══════════════════════════════════════════════════════════════
+
+const MAX_FRET = 15;
+const MAX_SPAN = 4; // frets covered by the hand, e.g. 5–8
+const MIN_SOUNDING = 3;
+
+// ─── Finger assignment ───────────────────────────────────────
+// Fingers go to fretted notes in fret order (index lowest). When more
+// than four notes are fretted, the index barres the lowest fret — only
+// possible if every string from the barre up to high E is fretted at or
+// above it (an open or muted string can't sit under a barre)
+function assignFingers(strings) {
+  const fretted = strings
+    .map((fret, i) => ({ fret, i }))
+    .filter((n) => n.fret > 0)
+    .sort((a, b) => a.fret - b.fret || a.i - b.i);
+
+  const fingers = strings.map(() => 0);
+  if (fretted.length <= 4) {
+    fretted.forEach((n, k) => { fingers[n.i] = k + 1; });
+    return { fingers, barreAt: 0, fingerCount: fretted.length };
+  }
+
+  const barreFret = fretted[0].fret;
+  const barreStart = strings.indexOf(barreFret);
+  for (let i = barreStart; i < strings.length; i++) {
+    if (strings[i] < barreFret) return null;
+  }
+
+  const above = fretted.filter((n) => n.fret > barreFret);
+  if (above.length > 3) return null;
+  fretted.forEach((n) => { if (n.fret === barreFret) fingers[n.i] = 1; });
+  above.forEach((n, k) => { fingers[n.i] = k + 2; });
+  return { fingers, barreAt: barreFret, fingerCount: above.length + 1 };
+}
+
+// ─── Ease score (lower is easier) ────────────────────────────
+// Fewer fingers, a tighter span, no barre, lower on the neck and
+// fuller strums all make a voicing easier to grab. Each silent string
+// costs more than a finger so a thin 3-string grip doesn't outrank
+// the full open chord
+function easeScore({ fingerCount, span, barreAt, position, innerMutes, sounding }) {
+  return fingerCount + span * 1.5 + (barreAt ? 2 : 0) + position * 0.5 + innerMutes * 3 + (6 - sounding) * 1.5;
+}
+
+// ─── Chord tones for a key ───────────────────────────────────
+// Returns { root, tones: [pitch classes], optional: [pitch classes] }
+function chordTones(symbol) {
+  const parsed = parseChordKey(symbol);
+  if (!parsed) return null;
+  const root = NOTE_NAMES.indexOf(parsed.root);
+  const intervals = CHORD_QUALITIES[parsed.quality].intervals;
+  const tones = intervals.map((i) => (root + i) % 12);
+  // The 5th adds little color in four-note chords — it may be left out
+  const optional = intervals.length >= 4 ? [(root + 7) % 12] : [];
+  return { root, tones, optional };
+}
+
+// ─── Find every playable voicing of a chord ──────────────────
+// Returns CHORD_LIBRARY-style { strings, fingers, barreAt, notes } objects
+// plus position/span/ease, sorted easiest first
+export function findVoicings(symbol, {
+  tuning = STANDARD_TUNING,
+  maxFret = MAX_FRET,
+  maxSpan = MAX_SPAN,
+  limit = Infinity,
+} = {}) {
+  const chord = chordTones(symbol);
+  if (!chord) return [];
+
+  // Open-string pitch classes, low E → high E
+  const open = [...tuning]
+    .sort((a, b) => b.string - a.string)
+    .map((s) => NOTE_NAMES.indexOf(s.note));
+
+  // Candidate frets per string: muted, or any fret that sounds a chord tone
+  const options = open.map((openNote) => {
+    const frets = [-1];
+    for (let f = 0; f <= maxFret; f++) {
+      if (chord.tones.includes((openNote + f) % 12)) frets.push(f);
+    }
+    return frets;
+  });
+
+  const required = chord.tones.filter((t) => !chord.optional.includes(t));
+  const results = [];
+  const strings = new Array(open.length);
+
+  // Depth-first over strings, pruning as soon as the span is too wide
+  const search = (i, minF, maxF) => {
+    if (i === open.length) {
+      const voicing = evaluate(strings.slice(), minF, maxF);
+      if (voicing) results.push(voicing);
+      return;
+    }
+    for (const fret of options[i]) {
+      let lo = minF;
+      let hi = maxF;
+      if (fret > 0) {
+        lo = Math.min(lo, fret);
+        hi = Math.max(hi, fret);
+        if (hi - lo > maxSpan - 1) continue;
+      }
+      strings[i] = fret;
+      search(i + 1, lo, hi);
+    }
+  };
+
+  const evaluate = (frets, minF, maxF) => {
+    const soundingIdx = frets.map((f, i) => (f >= 0 ? i : -1)).filter((i) => i >= 0);
+    if (soundingIdx.length < MIN_SOUNDING) return null;
+
+    // Root in the bass
+    const bass = soundingIdx[0];
+    if ((open[bass] + frets[bass]) % 12 !== chord.root) return null;
+
+    const pitchClasses = new Set(soundingIdx.map((i) => (open[i] + frets[i]) % 12));
+    if (!required.every((t) => pitchClasses.has(t))) return null;
+
+    const last = soundingIdx[soundingIdx.length - 1];
+    let innerMutes = 0;
+    for (let i = bass; i <= last; i++) if (frets[i] < 0) innerMutes++;
+    if (innerMutes > 1) return null;
+
+    const hand = assignFingers(frets);
+    if (!hand) return null;
+
+    const hasFretted = minF !== Infinity;
+    const voicing = {
+      strings: frets,
+      fingers: hand.fingers,
+      barreAt: hand.barreAt,
+      notes: frets.map((f, i) => (f < 0 ? "X" : NOTE_NAMES[(open[i] + f) % 12])),
+      position: hasFretted ? minF : 0,
+      span: hasFretted ? maxF - minF : 0,
+    };
+    voicing.ease = easeScore({
+      ...voicing,
+      fingerCount: hand.fingerCount,
+      innerMutes,
+      sounding: soundingIdx.length,
+    });
+    return voicing;
+  };
+
+  search(0, Infinity, -Infinity);
+
+  return results
+    .sort((a, b) => a.ease - b.ease || a.position - b.position)
+    .slice(0, limit);
+}
@@ -0,0 +1,30 @@
+import { createClickDetector } from "../utils/latency";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Latency AudioWorklet Processor
+//  Listens for the loopback test's clicks on the audio thread and
+//  posts { time } for each, on the AudioContext clock to the
+//  sample — the main thread only sees the analyser every frame,
+//  far too coarse to measure a few milliseconds against
+// ═══════════════════════════════════════════════════════════════
+
+class LatencyProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions = {} } = {}) {
+    super();
+    // `sampleRate` is a global in AudioWorkletGlobalScope
+    this.detector = createClickDetector({ sampleRate, ...processorOptions });
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    // `currentTime` is this quantum's first sample
+    for (const time of this.detector.process(channel, currentTime)) {
+      this.port.postMessage({ time });
+    }
+    return true;
+  }
+}
+
+registerProcessor("latency-processor", LatencyProcessor);
@@ -0,0 +1,78 @@
+import { createOnsetDetector, ONSET_FRAME_SIZE, ONSET_HOP_SIZE } from "../utils/onsetDetection";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Onset AudioWorklet Processor
+//  Runs the spectral-flux onset detector on the audio thread and
+//  posts { type, time, strength } for every strum or pluck, with
+//  `time` on the AudioContext clock (currentTime), so practice
+//  scoring can line attacks up against scheduled beats exactly
+//
+//  Frames of `frameSize` samples advance by `hopSize`; the hop is
+//  a multiple of the 128-sample render quantum, so a frame always
+//  completes at the end of a process() call. Options can be
+//  changed later by posting { sensitivity, minRms } to the port
+// ═══════════════════════════════════════════════════════════════
+
+class OnsetProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions = {} } = {}) {
+    super();
+    this.frameSize = processorOptions.frameSize || ONSET_FRAME_SIZE;
+    this.hopSize = processorOptions.hopSize || ONSET_HOP_SIZE;
+    this.options = {
+      sensitivity: processorOptions.sensitivity ?? 1,
+      minRms: processorOptions.minRms ?? 0,
+    };
+    this.detector = this.createDetector();
+
+    this.buffer = new Float32Array(this.frameSize);
+    this.frame = new Float32Array(this.frameSize);
+    this.writeIndex = 0;
+    this.sinceLastFrame = 0;
+    this.filled = 0;
+
+    this.port.onmessage = (event) => {
+      this.options = { ...this.options, ...event.data };
+      this.detector = this.createDetector();
+    };
+  }
+
+  createDetector() {
+    // `sampleRate` is a global in AudioWorkletGlobalScope
+    return createOnsetDetector({
+      sampleRate,
+      frameSize: this.frameSize,
+      hopSize: this.hopSize,
+      ...this.options,
+    });
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      this.buffer[this.writeIndex] = channel[i];
+      this.writeIndex = (this.writeIndex + 1) % this.frameSize;
+    }
+    this.filled = Math.min(this.frameSize, this.filled + channel.length);
+    this.sinceLastFrame += channel.length;
+
+    if (this.filled === this.frameSize && this.sinceLastFrame >= this.hopSize) {
+      this.sinceLastFrame = 0;
+
+      // Unroll the ring buffer oldest → newest
+      const tail = this.frameSize - this.writeIndex;
+      this.frame.set(this.buffer.subarray(this.writeIndex), 0);
+      this.frame.set(this.buffer.subarray(0, this.writeIndex), tail);
+
+      // `currentTime` is this quantum's first sample; stamp the
+      // middle of the frame's newest hop
+      const frameEnd = currentTime + channel.length / sampleRate;
+      const event = this.detector.process(this.frame, frameEnd - this.hopSize / 2 / sampleRate);
+      if (event) this.port.postMessage(event);
+    }
+    return true;
+  }
+}
+
+registerProcessor("onset-processor", OnsetProcessor);
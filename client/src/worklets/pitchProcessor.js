@@ -0,0 +1,77 @@
+import { detectPitch, computeRms, DEFAULT_PITCH_METHOD } from "../utils/pitchDetection";
+
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Pitch AudioWorklet Processor
+//  Runs on the audio rendering thread, so pitch detection never
+//  competes with React renders and its rate doesn't depend on the
+//  display's refresh rate
+//
+//  Collects the 128-sample render quanta into a sliding window of
+//  `bufferSize` samples and, every `hopSize` samples, posts
+//  { freq, clarity, rms } to the main thread (usePitch), using the
+//  detector named by `method` ("mpm" or "yin"). Blocks
+//  quieter than `minRms` skip the correlation entirely — no point
+//  burning the audio thread on room noise
+//
+//  Bundled by Vite (`?worker&url`) so the detector import above is
+//  inlined — AudioWorkletGlobalScope can't resolve bare imports
+// ═══════════════════════════════════════════════════════════════
+
+class PitchProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions = {} } = {}) {
+    super();
+    this.bufferSize = processorOptions.bufferSize || 2048;
+    this.hopSize = processorOptions.hopSize || 1024;
+    this.minRms = processorOptions.minRms || 0;
+    this.method = processorOptions.method || DEFAULT_PITCH_METHOD;
+
+    this.buffer = new Float32Array(this.bufferSize);
+    this.window = new Float32Array(this.bufferSize);
+    this.writeIndex = 0;      // next slot in the ring buffer
+    this.sinceLastPost = 0;   // samples received since the last analysis
+    this.filled = 0;          // samples received, capped at bufferSize
+
+    // The hook can retune the gate without rebuilding the node
+    this.port.onmessage = (event) => {
+      if (typeof event.data?.minRms === "number") this.minRms = event.data.minRms;
+    };
+  }
+
+  process(inputs) {
+    // First channel of the first input — the microphone is mono
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      this.buffer[this.writeIndex] = channel[i];
+      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+    }
+    this.filled = Math.min(this.bufferSize, this.filled + channel.length);
+    this.sinceLastPost += channel.length;
+
+    if (this.filled === this.bufferSize && this.sinceLastPost >= this.hopSize) {
+      this.sinceLastPost = 0;
+      this.analyze();
+    }
+
+    // Keep the processor alive for as long as the node exists
+    return true;
+  }
+
+  analyze() {
+    // Unroll the ring buffer oldest → newest
+    const tail = this.bufferSize - this.writeIndex;
+    this.window.set(this.buffer.subarray(this.writeIndex), 0);
+    this.window.set(this.buffer.subarray(0, this.writeIndex), tail);
+
+    const rms = computeRms(this.window);
+    if (rms < this.minRms) {
+      this.port.postMessage({ freq: null, clarity: 0, rms });
+      return;
+    }
+    // `sampleRate` is a global in AudioWorkletGlobalScope
+    this.port.postMessage(detectPitch(this.window, sampleRate, { method: this.method }));
+  }
+}
+
+registerProcessor("pitch-processor", PitchProcessor);
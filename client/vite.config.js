@@ -24,5 +24,9 @@ export default defineConfig({
     globals: true,
     setupFiles: ["./src/__tests__/setup.js"],
     include: ["src/__tests__/**/*.test.{js,jsx}"],
+    // `npm run bench` — per-frame cost of the audio analysis code
+    benchmark: {
+      include: ["src/__tests__/**/*.bench.js"],
+    },
   },
 });
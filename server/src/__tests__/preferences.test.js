@@ -0,0 +1,49 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Preferences Route Tests
+//  Tests: PATCH /api/auth/me/preferences
+//  Validates the A4 reference pitch range and auth
+// ═══════════════════════════════════════════════════════════════
+
+jest.mock("../utils/prisma");
+
+const request = require("supertest");
+const prisma = require("../utils/prisma");
+const { createTestApp, generateTestToken } = require("./helpers/app");
+
+const app = createTestApp();
+const token = generateTestToken("user-1");
+
+// ─── PATCH /api/auth/me/preferences ──────────────────────────
+describe("PATCH /api/auth/me/preferences", () => {
+  test("saves the reference pitch", async () => {
+    prisma.user.update.mockResolvedValue({ referencePitch: 442 });
+
+    const res = await request(app)
+      .patch("/api/auth/me/preferences")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ referencePitch: 442 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preferences).toEqual({ referencePitch: 442 });
+    expect(prisma.user.update).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "user-1" }, data: { referencePitch: 442 } })
+    );
+  });
+
+  test.each([431, 447, 440.5, "440"])("rejects %p", async (referencePitch) => {
+    const res = await request(app)
+      .patch("/api/auth/me/preferences")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ referencePitch });
+
+    expect(res.status).toBe(400);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test("requires authentication", async () => {
+    const res = await request(app)
+      .patch("/api/auth/me/preferences")
+      .send({ referencePitch: 432 });
+    expect(res.status).toBe(401);
+  });
+});
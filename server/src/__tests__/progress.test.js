@@ -0,0 +1,107 @@
+// ═══════════════════════════════════════════════════════════════
+//  FretForge — Progress Route Tests
+//  Tests: GET /progress/scales, POST /progress/scales/:key
+//  Validates scale key checks, mastery math, scale achievements
+// ═══════════════════════════════════════════════════════════════
+
+jest.mock("../utils/prisma");
+
+const request = require("supertest");
+const prisma = require("../utils/prisma");
+const { createTestApp, generateTestToken } = require("./helpers/app");
+
+const app = createTestApp();
+const token = generateTestToken("user-1");
+
+// checkAchievements runs after every update — give it an empty history
+function mockNoAchievements({ scaleProgress = [] } = {}) {
+  prisma.userAchievement.findMany.mockResolvedValue([]);
+  prisma.chordProgress.findMany.mockResolvedValue([]);
+  prisma.scaleProgress.findMany.mockResolvedValue(scaleProgress);
+  prisma.user.findUnique.mockResolvedValue({ id: "user-1", currentStreak: 0 });
+  prisma.practiceSession.count.mockResolvedValue(0);
+}
+
+// ─── GET /api/progress/scales ────────────────────────────────
+describe("GET /api/progress/scales", () => {
+  test("returns the user's scale progress", async () => {
+    prisma.scaleProgress.findMany.mockResolvedValue([
+      { scaleKey: "em_pentatonic_open", attempts: 4, successes: 3, masteryPct: 0.75 },
+    ]);
+
+    const res = await request(app)
+      .get("/api/progress/scales")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.progress).toHaveLength(1);
+    expect(prisma.scaleProgress.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { userId: "user-1" } })
+    );
+  });
+
+  test("requires authentication", async () => {
+    const res = await request(app).get("/api/progress/scales");
+    expect(res.status).toBe(401);
+  });
+});
+
+// ─── POST /api/progress/scales/:key ──────────────────────────
+describe("POST /api/progress/scales/:key", () => {
+  test("creates progress on the first run", async () => {
+    mockNoAchievements();
+    prisma.scaleProgress.findUnique.mockResolvedValue(null);
+    prisma.scaleProgress.create.mockImplementation(({ data }) => Promise.resolve({ id: "sp-1", ...data }));
+
+    const res = await request(app)
+      .post("/api/progress/scales/em_pentatonic_open")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ success: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.progress).toMatchObject({ attempts: 1, successes: 1, masteryPct: 1 });
+  });
+
+  test("updates attempts, successes and mastery on later runs", async () => {
+    mockNoAchievements();
+    prisma.scaleProgress.findUnique.mockResolvedValue({
+      id: "sp-1", userId: "user-1", scaleKey: "a_blues_box1", attempts: 3, successes: 2, masteryPct: 2 / 3,
+    });
+    prisma.scaleProgress.update.mockImplementation(({ data }) => Promise.resolve({ id: "sp-1", ...data }));
+
+    const res = await request(app)
+      .post("/api/progress/scales/a_blues_box1")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ success: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.progress).toMatchObject({ attempts: 4, successes: 2, masteryPct: 0.5 });
+  });
+
+  test("rejects an unknown scale key", async () => {
+    const res = await request(app)
+      .post("/api/progress/scales/not_a_scale")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ success: true });
+
+    expect(res.status).toBe(400);
+    expect(prisma.scaleProgress.create).not.toHaveBeenCalled();
+  });
+
+  test("unlocks scale achievements once a scale is mastered", async () => {
+    const mastered = { scaleKey: "a_blues_box1", attempts: 5, successes: 4, masteryPct: 0.8 };
+    mockNoAchievements({ scaleProgress: [mastered] });
+    prisma.scaleProgress.findUnique.mockResolvedValue({ id: "sp-1", ...mastered, attempts: 4, successes: 3 });
+    prisma.scaleProgress.update.mockResolvedValue({ id: "sp-1", ...mastered });
+    prisma.userAchievement.create.mockResolvedValue({});
+    prisma.user.update.mockResolvedValue({});
+
+    const res = await request(app)
+      .post("/api/progress/scales/a_blues_box1")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ success: true });
+
+    const keys = res.body.newAchievements.map((a) => a.key);
+    expect(keys).toEqual(["first_scale", "blues_scale"]);
+  });
+});
@@ -3,6 +3,7 @@
 //  POST /api/auth/register — Create account
 //  POST /api/auth/login — Get JWT token
 //  GET  /api/auth/me — Get current user profile (protected)
+//  PATCH /api/auth/me/preferences — Update player settings (protected)
 // ═══════════════════════════════════════════════════════════════
 
 const express = require("express");
@@ -26,6 +27,11 @@ const loginSchema = z.object({
   password: z.string().min(1),
 });
 
+// A4 reference pitch — mirrors MIN/MAX_REFERENCE_PITCH in client/src/data/chords.js
+const preferencesSchema = z.object({
+  referencePitch: z.number().int().min(432, "Reference pitch must be 432–446 Hz").max(446, "Reference pitch must be 432–446 Hz"),
+});
+
 // ─── POST /register ──────────────────────────────────────────
 router.post("/register", async (req, res) => {
   try {
@@ -104,7 +110,7 @@ router.get("/me", authenticate, async (req, res) => {
       select: {
         id: true, email: true, username: true,
         xp: true, level: true, currentStreak: true, longestStreak: true,
-        skillTier: true, preferredBpm: true, lastPractice: true,
+        skillTier: true, preferredBpm: true, referencePitch: true, lastPractice: true,
         createdAt: true,
         _count: { select: { sessions: true, achievements: true } },
       },
@@ -117,4 +123,23 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
+// ─── PATCH /me/preferences ───────────────────────────────────
+router.patch("/me/preferences", authenticate, async (req, res) => {
+  try {
+    const data = preferencesSchema.parse(req.body);
+    const user = await prisma.user.update({
+      where: { id: req.userId },
+      data,
+      select: { referencePitch: true },
+    });
+    res.json({ preferences: user });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: err.errors[0].message });
+    }
+    console.error("Preferences error:", err);
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
+});
+
 module.exports = router;
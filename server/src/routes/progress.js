@@ -2,6 +2,8 @@
 //  FretForge — Progress Routes
 //  GET /api/progress/chords — Get all chord mastery data
 //  POST /api/progress/chords/:name — Update chord attempt results
+//  GET /api/progress/scales — Get all scale mastery data
+//  POST /api/progress/scales/:key — Record a scale drill run
 //  GET /api/progress/achievements — Get unlocked achievements
 // ═══════════════════════════════════════════════════════════════
 
@@ -12,6 +14,18 @@ const { authenticate } = require("../middleware/auth");
 const router = express.Router();
 router.use(authenticate);
 
+// ─── Known Scales ────────────────────────────────────────────
+// Must match the keys of SCALE_LIBRARY in client/src/data/scales.js —
+// progress can only be recorded for scales the client can drill
+const SCALE_KEYS = [
+  "em_pentatonic_open",
+  "am_pentatonic_box1",
+  "a_blues_box1",
+  "c_major_open",
+  "a_minor_open",
+  "g_major_pentatonic_open",
+];
+
 // ─── Achievement Definitions ─────────────────────────────────
 // Keys match the UserAchievement.achievementKey field
 const ACHIEVEMENTS = {
@@ -24,6 +38,9 @@ const ACHIEVEMENTS = {
   perfect_session: { name: "Perfect Practice", description: "Get 100% accuracy in a session (10+ chords)", icon: "✨", xpReward: 200 },
   hundred_sessions: { name: "Centurion", description: "Complete 100 practice sessions", icon: "💯", xpReward: 500 },
   blues_master: { name: "Blues Brother", description: "Master all dominant 7th chords", icon: "🎵", xpReward: 250 },
+  first_scale: { name: "Scale Climber", description: "Master your first scale pattern", icon: "🪜", xpReward: 100 },
+  blues_scale: { name: "Blue Notes", description: "Master the blues scale", icon: "🎷", xpReward: 150 },
+  all_scales: { name: "Fretboard Navigator", description: "Master every scale pattern", icon: "🧭", xpReward: 500 },
 };
 
 // ─── GET /chords — All chord progress for this user ─────────
@@ -92,6 +109,73 @@ router.post("/chords/:name", async (req, res) => {
   }
 });
 
+// ─── GET /scales — All scale progress for this user ─────────
+router.get("/scales", async (req, res) => {
+  try {
+    const progress = await prisma.scaleProgress.findMany({
+      where: { userId: req.userId },
+      orderBy: { masteryPct: "desc" },
+    });
+    res.json({ progress });
+  } catch (err) {
+    console.error("Get scale progress error:", err);
+    res.status(500).json({ error: "Failed to fetch progress" });
+  }
+});
+
+// ─── POST /scales/:key — Record a scale drill run ───────────
+// Body: { success: boolean } — a run succeeds when every note was
+// played without a wrong note in between
+router.post("/scales/:key", async (req, res) => {
+  try {
+    const scaleKey = req.params.key;
+    const { success } = req.body;
+
+    // Reject unknown keys so arbitrary strings can't create rows
+    if (!SCALE_KEYS.includes(scaleKey)) {
+      return res.status(400).json({ error: "Unknown scale key" });
+    }
+
+    const existing = await prisma.scaleProgress.findUnique({
+      where: { userId_scaleKey: { userId: req.userId, scaleKey } },
+    });
+
+    let progress;
+    if (existing) {
+      const newAttempts = existing.attempts + 1;
+      const newSuccesses = existing.successes + (success ? 1 : 0);
+
+      progress = await prisma.scaleProgress.update({
+        where: { id: existing.id },
+        data: {
+          attempts: newAttempts,
+          successes: newSuccesses,
+          masteryPct: newSuccesses / newAttempts,
+          lastPracticed: new Date(),
+        },
+      });
+    } else {
+      progress = await prisma.scaleProgress.create({
+        data: {
+          userId: req.userId,
+          scaleKey,
+          attempts: 1,
+          successes: success ? 1 : 0,
+          masteryPct: success ? 1.0 : 0.0,
+          lastPracticed: new Date(),
+        },
+      });
+    }
+
+    const newAchievements = await checkAchievements(req.userId);
+
+    res.json({ progress, newAchievements });
+  } catch (err) {
+    console.error("Update scale progress error:", err);
+    res.status(500).json({ error: "Failed to update progress" });
+  }
+});
+
 // ─── GET /achievements — List all achievements ──────────────
 router.get("/achievements", async (req, res) => {
   try {
@@ -119,7 +203,7 @@ router.get("/achievements", async (req, res) => {
 });
 
 // ─── Achievement Checker ─────────────────────────────────────
-// Called after chord progress updates; returns newly unlocked achievements
+// Called after chord or scale progress updates; returns newly unlocked achievements
 async function checkAchievements(userId) {
   const newlyUnlocked = [];
   const existing = await prisma.userAchievement.findMany({ where: { userId } });
@@ -147,6 +231,15 @@ async function checkAchievements(userId) {
   if (mastered.length >= 1) await unlock("first_chord");
   if (mastered.length >= 10) await unlock("ten_chords");
 
+  // Check: scale mastery (same >70% with 5+ attempts bar as chords)
+  const scaleProgress = await prisma.scaleProgress.findMany({ where: { userId } });
+  const masteredScales = new Set(
+    scaleProgress.filter((s) => s.masteryPct >= 0.7 && s.attempts >= 5).map((s) => s.scaleKey)
+  );
+  if (masteredScales.size >= 1) await unlock("first_scale");
+  if (masteredScales.has("a_blues_box1")) await unlock("blues_scale");
+  if (SCALE_KEYS.every((key) => masteredScales.has(key))) await unlock("all_scales");
+
   // Check: streak achievements
   const user = await prisma.user.findUnique({ where: { id: userId } });
   if (user.currentStreak >= 3) await unlock("streak_3");